@@ -0,0 +1,78 @@
+import fs from 'fs';
+import { z } from 'zod';
+
+// One rule of the approval policy, e.g.
+//   { "tool": "shopify_cancelOrder" }                                 every cancellation
+//   { "tool": "stripe_issueRefund", "arg": "amount", "over": 10000 }   refunds over $100.00
+const ApprovalRuleSchema = z.object({
+  tool: z.string().min(1, { message: "Tool name cannot be empty." }),
+  arg: z.string().min(1).optional(),  // numeric argument to compare
+  over: z.number().optional(),        // approval needed when args[arg] > over
+  reason: z.string().optional()       // shown to the agent and the reviewer
+}).refine(rule => (rule.arg === undefined) === (rule.over === undefined), {
+  message: '"arg" and "over" must be set together.'
+});
+
+export type ApprovalRule = z.infer<typeof ApprovalRuleSchema>;
+
+const ApprovalPolicySchema = z.array(ApprovalRuleSchema);
+
+function describeRule(rule: ApprovalRule): string {
+  if (rule.reason) {
+    return rule.reason;
+  }
+  return rule.arg ? `${rule.arg} over ${rule.over}` : `every ${rule.tool} call needs approval`;
+}
+
+// Decides which tool calls go to the approval queue instead of running straight away
+export class ApprovalPolicy {
+  constructor(private rules: ApprovalRule[]) {}
+
+  get size(): number {
+    return this.rules.length;
+  }
+
+  // The first matching rule, described for humans, or null if the call may run now.
+  // A missing argument counts as over the limit: a refund without `amount` refunds everything left.
+  match(toolName: string, args: Record<string, any>): { reason: string } | null {
+    for (const rule of this.rules) {
+      if (rule.tool !== toolName) {
+        continue;
+      }
+      if (rule.arg === undefined) {
+        return { reason: describeRule(rule) };
+      }
+      const value = args[rule.arg];
+      if (value === undefined || value === null || Number(value) > rule.over!) {
+        return { reason: describeRule(rule) };
+      }
+    }
+    return null;
+  }
+}
+
+export function parseApprovalPolicy(json: string, source: string): ApprovalPolicy {
+  let raw: unknown;
+  try {
+    raw = JSON.parse(json);
+  } catch (error: any) {
+    throw new Error(`Approval policy in ${source} is not valid JSON: ${error.message}`);
+  }
+  const parsed = ApprovalPolicySchema.safeParse(raw);
+  if (!parsed.success) {
+    throw new Error(`Invalid approval policy in ${source}: ${JSON.stringify(parsed.error.flatten())}`);
+  }
+  return new ApprovalPolicy(parsed.data);
+}
+
+// A JSON array of rules, from the MCP_APPROVAL_POLICY_FILE file or inline in MCP_APPROVAL_POLICY
+export function createApprovalPolicyFromEnv(): ApprovalPolicy {
+  const filePath = process.env.MCP_APPROVAL_POLICY_FILE;
+  if (filePath) {
+    return parseApprovalPolicy(fs.readFileSync(filePath, 'utf8'), filePath);
+  }
+  if (process.env.MCP_APPROVAL_POLICY) {
+    return parseApprovalPolicy(process.env.MCP_APPROVAL_POLICY, 'MCP_APPROVAL_POLICY');
+  }
+  return new ApprovalPolicy([]);
+}
@@ -0,0 +1,116 @@
+import crypto from 'crypto';
+import { HandlerResult } from '../toolRegistry';
+import { ApprovalPolicy, createApprovalPolicyFromEnv } from './approvalPolicy';
+import { ApprovalStore, PendingAction, PendingActionStatus, createApprovalStoreFromEnv } from './approvalStore';
+import { createLogger } from '../utils/logger';
+import { ErrorCodes, errorResult } from '../utils/toolErrors';
+
+const log = createLogger('approvals.approvalQueue');
+
+export type ApprovalDecision =
+  | { status: 'decided'; action: PendingAction }
+  | { status: 'not_found' }
+  | { status: 'not_pending'; action: PendingAction };
+
+// Holds tool calls that match the approval policy until a reviewer approves or rejects them.
+// On approval the original handler runs with the caller's original credentials and its
+// result is stored on the action for the agent to fetch.
+export class ApprovalQueue {
+  // Ready-to-run handler calls by action ID. Kept in memory only: they hold the caller's credentials.
+  private executors = new Map<string, () => Promise<HandlerResult>>();
+
+  constructor(readonly policy: ApprovalPolicy, private store: ApprovalStore, private ttlMs: number) {}
+
+  async submit(
+    call: { tenantId: string; clientName: string; toolName: string; args: Record<string, any>; reason: string },
+    execute: () => Promise<HandlerResult>
+  ): Promise<PendingAction> {
+    const now = Date.now();
+    const action: PendingAction = {
+      id: `act_${crypto.randomBytes(12).toString('hex')}`,
+      ...call,
+      status: 'pending',
+      createdAt: new Date(now).toISOString(),
+      expiresAt: new Date(now + this.ttlMs).toISOString(),
+    };
+    this.executors.set(action.id, execute);
+    await this.store.set(action);
+    log.info(`${call.toolName} call from ${call.clientName} (tenant ${call.tenantId}) held for approval as ${action.id}: ${call.reason}`);
+    return action;
+  }
+
+  // Pending actions past their deadline are marked expired when next read
+  private async expireIfDue(action: PendingAction): Promise<PendingAction> {
+    if (action.status === 'pending' && Date.parse(action.expiresAt) <= Date.now()) {
+      action.status = 'expired';
+      this.executors.delete(action.id);
+      await this.store.set(action);
+    }
+    return action;
+  }
+
+  async get(tenantId: string, id: string): Promise<PendingAction | undefined> {
+    const action = await this.store.get(id);
+    return action && action.tenantId === tenantId ? this.expireIfDue(action) : undefined;
+  }
+
+  async list(tenantId: string, status?: PendingActionStatus): Promise<PendingAction[]> {
+    const actions = (await this.store.list()).filter(action => action.tenantId === tenantId);
+    const current = await Promise.all(actions.map(action => this.expireIfDue(action)));
+    return current
+      .filter(action => !status || action.status === status)
+      .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+  }
+
+  async approve(tenantId: string, id: string, reviewer: string, note?: string): Promise<ApprovalDecision> {
+    const action = await this.get(tenantId, id);
+    if (!action) {
+      return { status: 'not_found' };
+    }
+    if (action.status !== 'pending') {
+      return { status: 'not_pending', action };
+    }
+    // Marked before running so a second approval of the same action is refused
+    Object.assign(action, { status: 'executing', decidedBy: reviewer, decidedAt: new Date().toISOString(), note });
+    await this.store.set(action);
+    log.info(`Action ${id} (${action.toolName}) approved by ${reviewer}`);
+
+    const execute = this.executors.get(id);
+    this.executors.delete(id);
+    const result: HandlerResult = execute
+      ? await execute()
+      : errorResult(ErrorCodes.CONFLICT, 'The server restarted before this action was approved, so the credentials for it are gone. Call the tool again.');
+    Object.assign(action, { status: result.success ? 'completed' : 'failed', result, completedAt: new Date().toISOString() });
+    await this.store.set(action);
+    return { status: 'decided', action };
+  }
+
+  async reject(tenantId: string, id: string, reviewer: string, note?: string): Promise<ApprovalDecision> {
+    const action = await this.get(tenantId, id);
+    if (!action) {
+      return { status: 'not_found' };
+    }
+    if (action.status !== 'pending') {
+      return { status: 'not_pending', action };
+    }
+    Object.assign(action, { status: 'rejected', decidedBy: reviewer, decidedAt: new Date().toISOString(), note });
+    this.executors.delete(id);
+    await this.store.set(action);
+    log.info(`Action ${id} (${action.toolName}) rejected by ${reviewer}`);
+    return { status: 'decided', action };
+  }
+}
+
+// What the agent gets back instead of the handler's result
+export function pendingApprovalResult(action: PendingAction): HandlerResult {
+  return {
+    success: true,
+    message: `${action.toolName} needs human approval before it runs (${action.reason}). Pending action ID: ${action.id}. Call approvals_getAction with this action_id to check whether it was approved and to get the result.`,
+    data: { status: 'pending_approval', actionId: action.id, expiresAt: action.expiresAt }
+  };
+}
+
+export function createApprovalQueueFromEnv(): ApprovalQueue {
+  const ttlMs = parseInt(process.env.MCP_APPROVAL_TTL_MS || '', 10) || 24 * 60 * 60 * 1000;
+  return new ApprovalQueue(createApprovalPolicyFromEnv(), createApprovalStoreFromEnv(), ttlMs);
+}
@@ -0,0 +1,73 @@
+import express from 'express';
+import { z } from 'zod';
+import { getCaller } from '../auth/callerContext';
+import { ApprovalQueue, ApprovalDecision } from './approvalQueue';
+import { PendingActionStatus } from './approvalStore';
+import { AuditStore } from '../audit/auditLog';
+import { auditApprovalDecision } from '../audit/auditTools';
+import { runWithRequestContext } from '../utils/requestContext';
+
+const STATUSES: PendingActionStatus[] = ['pending', 'executing', 'completed', 'failed', 'rejected', 'expired'];
+
+const DecisionSchema = z.object({
+  note: z.string().max(1000).optional()
+});
+
+// Admin endpoints for reviewing held tool calls. Mount behind authentication; every route
+// is scoped to the caller's tenant. Approving runs the original handler before responding.
+// Decisions are written to the audit log, if one is given.
+export function createApprovalRouter(queue: ApprovalQueue, audit?: AuditStore | null): express.Router {
+  const router = express.Router();
+
+  const sendDecision = (res: express.Response, decision: ApprovalDecision) => {
+    if (decision.status === 'not_found') {
+      res.status(404).json({ error: 'Pending action not found.' });
+      return;
+    }
+    if (decision.status === 'not_pending') {
+      res.status(409).json({ error: `Action is ${decision.action.status}, not pending.`, action: decision.action });
+      return;
+    }
+    res.status(200).json(decision.action);
+  };
+
+  router.get('/', async (req, res) => {
+    const status = req.query.status;
+    if (status !== undefined && !STATUSES.includes(status as PendingActionStatus)) {
+      res.status(400).json({ error: `Invalid status. Expected one of: ${STATUSES.join(', ')}.` });
+      return;
+    }
+    res.status(200).json({ actions: await queue.list(getCaller(req).tenantId, status as PendingActionStatus | undefined) });
+  });
+
+  router.get('/:id', async (req, res) => {
+    const action = await queue.get(getCaller(req).tenantId, req.params.id);
+    if (!action) {
+      res.status(404).json({ error: 'Pending action not found.' });
+      return;
+    }
+    res.status(200).json(action);
+  });
+
+  for (const verb of ['approve', 'reject'] as const) {
+    router.post(`/:id/${verb}`, async (req, res) => {
+      const parsedBody = DecisionSchema.safeParse(req.body ?? {});
+      if (!parsedBody.success) {
+        res.status(400).json({ error: 'Invalid request body.', errors: parsedBody.error.flatten().fieldErrors });
+        return;
+      }
+      const { tenantId, clientName } = getCaller(req);
+      const decision = await runWithRequestContext(async () => {
+        const startedAt = Date.now();
+        const decision = await queue[verb](tenantId, req.params.id, clientName, parsedBody.data.note);
+        if (audit && decision.status === 'decided') {
+          await auditApprovalDecision(audit, decision.action, clientName, Date.now() - startedAt);
+        }
+        return decision;
+      });
+      sendDecision(res, decision);
+    });
+  }
+
+  return router;
+}
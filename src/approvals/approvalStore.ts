@@ -0,0 +1,109 @@
+import fs from 'fs';
+import path from 'path';
+import { HandlerResult } from '../toolRegistry';
+import { createLogger } from '../utils/logger';
+
+const log = createLogger('approvals.approvalStore');
+
+export type PendingActionStatus = 'pending' | 'executing' | 'completed' | 'failed' | 'rejected' | 'expired';
+
+// A tool call held for human approval. `args` are the tool arguments without credentials,
+// so a record is safe to show to reviewers and to write to disk.
+export interface PendingAction {
+  id: string;
+  tenantId: string;
+  clientName: string;   // the client that made the call
+  toolName: string;
+  args: Record<string, any>;
+  reason: string;       // why the policy held it
+  status: PendingActionStatus;
+  createdAt: string;
+  expiresAt: string;    // a pending action not decided by then expires
+  decidedBy?: string;
+  decidedAt?: string;
+  note?: string;        // reviewer's comment
+  result?: HandlerResult;
+  completedAt?: string;
+}
+
+export interface ApprovalStore {
+  get(id: string): Promise<PendingAction | undefined>;
+  set(action: PendingAction): Promise<void>;
+  list(): Promise<PendingAction[]>;
+}
+
+export class InMemoryApprovalStore implements ApprovalStore {
+  private actions = new Map<string, PendingAction>();
+
+  async get(id: string) {
+    return this.actions.get(id);
+  }
+
+  async set(action: PendingAction) {
+    this.actions.set(action.id, { ...action });
+  }
+
+  async list() {
+    return [...this.actions.values()];
+  }
+}
+
+// Keeps pending actions and their results in a JSON file across restarts.
+export class FileApprovalStore implements ApprovalStore {
+  private actions = new Map<string, PendingAction>();
+  private writeChain: Promise<void> = Promise.resolve();
+
+  constructor(private filePath: string) {
+    if (fs.existsSync(filePath)) {
+      try {
+        const actions: PendingAction[] = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        for (const action of actions) {
+          this.actions.set(action.id, action);
+        }
+        log.info(`Loaded ${this.actions.size} approval records from ${filePath}`);
+      } catch (error: any) {
+        log.error(`Could not read approvals file ${filePath}, starting empty`, { error });
+      }
+    }
+  }
+
+  private persist(): Promise<void> {
+    const snapshot = JSON.stringify([...this.actions.values()], null, 2);
+    this.writeChain = this.writeChain
+      .then(async () => {
+        await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+        const tempPath = `${this.filePath}.tmp`;
+        await fs.promises.writeFile(tempPath, snapshot, { encoding: 'utf8', mode: 0o600 });
+        await fs.promises.rename(tempPath, this.filePath);
+      })
+      .catch((error: any) => {
+        log.error(`Failed to write approvals file ${this.filePath}`, { error });
+      });
+    return this.writeChain;
+  }
+
+  async get(id: string) {
+    return this.actions.get(id);
+  }
+
+  async set(action: PendingAction) {
+    this.actions.set(action.id, { ...action });
+    await this.persist();
+  }
+
+  async list() {
+    return [...this.actions.values()];
+  }
+}
+
+export function createApprovalStoreFromEnv(): ApprovalStore {
+  const storeType = (process.env.MCP_APPROVAL_STORE || 'memory').toLowerCase();
+  if (storeType === 'file') {
+    const filePath = process.env.MCP_APPROVAL_STORE_FILE || path.join(process.cwd(), 'data', 'approvals.json');
+    return new FileApprovalStore(filePath);
+  }
+  if (storeType !== 'memory') {
+    log.warn(`Unknown MCP_APPROVAL_STORE "${storeType}". Falling back to in-memory approval store.`);
+  }
+  return new InMemoryApprovalStore();
+}
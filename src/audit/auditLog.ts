@@ -0,0 +1,141 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import readline from 'readline';
+import { createLogger } from '../utils/logger';
+
+const log = createLogger('audit.auditLog');
+
+export type AuditOutcome = 'success' | 'error' | 'denied' | 'pending_approval' | 'dry_run' | 'replayed' | 'cached' | 'rejected';
+
+// One tool invocation, or one reviewer decision on a held call. Arguments are redacted
+// before they get here as log entries are (see redactForLog): secrets, emails and card
+// numbers are masked.
+export interface AuditRecord {
+  id: string;
+  timestamp: string;
+  requestId: string | null;      // matches the requestId in log entries for the same call
+  tenantId: string;
+  clientName: string;            // the API key's client, or the reviewer for approval decisions
+  toolName: string;
+  args: Record<string, any>;
+  outcome: AuditOutcome;
+  success: boolean;
+  message: string | null;        // result message or error
+  providerStatus: number | null; // HTTP status of the last provider response, if the tool called one
+  latencyMs: number;
+  actionId?: string;             // the pending action, for held calls and their approval
+}
+
+export interface AuditQuery {
+  tenantId: string;
+  tool?: string;
+  client?: string;
+  from?: string; // ISO timestamps, inclusive
+  to?: string;
+  success?: boolean;
+  limit: number;
+}
+
+export interface AuditStore {
+  append(record: AuditRecord): Promise<void>;
+  query(query: AuditQuery): Promise<AuditRecord[]>; // newest first
+}
+
+function matches(record: AuditRecord, query: AuditQuery): boolean {
+  return record.tenantId === query.tenantId
+    && (!query.tool || record.toolName === query.tool)
+    && (!query.client || record.clientName === query.client)
+    && (!query.from || record.timestamp >= query.from)
+    && (!query.to || record.timestamp <= query.to)
+    && (query.success === undefined || record.success === query.success);
+}
+
+// The newest `limit` matches, newest first, without holding every match in memory
+async function collectNewest(records: Iterable<AuditRecord> | AsyncIterable<AuditRecord>, query: AuditQuery): Promise<AuditRecord[]> {
+  const found: AuditRecord[] = [];
+  for await (const record of records) {
+    if (matches(record, query)) {
+      found.push(record);
+      if (found.length > query.limit) {
+        found.shift();
+      }
+    }
+  }
+  return found.reverse();
+}
+
+export class InMemoryAuditStore implements AuditStore {
+  private records: AuditRecord[] = [];
+
+  async append(record: AuditRecord) {
+    this.records.push(record);
+  }
+
+  async query(query: AuditQuery) {
+    return collectNewest(this.records, query);
+  }
+}
+
+// One JSON record per line, only ever appended to. Queries scan the file.
+export class JsonlAuditStore implements AuditStore {
+  private writeChain: Promise<void> = Promise.resolve();
+  private directoryReady = false;
+
+  constructor(private filePath: string) {}
+
+  append(record: AuditRecord): Promise<void> {
+    const line = `${JSON.stringify(record)}\n`;
+    this.writeChain = this.writeChain
+      .then(async () => {
+        if (!this.directoryReady) {
+          await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+          this.directoryReady = true;
+        }
+        await fs.promises.appendFile(this.filePath, line, { encoding: 'utf8', mode: 0o600 });
+      })
+      .catch((error: any) => {
+        log.error(`Failed to write audit record ${record.id} to ${this.filePath}`, { error });
+      });
+    return this.writeChain;
+  }
+
+  async query(query: AuditQuery) {
+    await this.writeChain; // include records still being written
+    if (!fs.existsSync(this.filePath)) {
+      return [];
+    }
+    const lines = readline.createInterface({ input: fs.createReadStream(this.filePath, 'utf8'), crlfDelay: Infinity });
+    const records = (async function* () {
+      for await (const line of lines) {
+        try {
+          if (line.trim()) {
+            yield JSON.parse(line) as AuditRecord;
+          }
+        } catch {
+          // A torn last line from a crash mid-write; skip it
+        }
+      }
+    })();
+    return collectNewest(records, query);
+  }
+}
+
+export function newAuditRecordId(): string {
+  return `aud_${crypto.randomBytes(12).toString('hex')}`;
+}
+
+// MCP_AUDIT_STORE: "file" (default, JSONL), "memory" or "none"
+export function createAuditStoreFromEnv(): AuditStore | null {
+  const storeType = (process.env.MCP_AUDIT_STORE || 'file').toLowerCase();
+  if (storeType === 'none') {
+    return null;
+  }
+  if (storeType === 'memory') {
+    return new InMemoryAuditStore();
+  }
+  if (storeType !== 'file') {
+    log.warn(`Unknown MCP_AUDIT_STORE "${storeType}". Falling back to the JSONL audit log.`);
+  }
+  return new JsonlAuditStore(process.env.MCP_AUDIT_LOG_FILE || path.join(process.cwd(), 'data', 'audit.jsonl'));
+}
@@ -0,0 +1,41 @@
+import express from 'express';
+import { z } from 'zod';
+import { getCaller } from '../auth/callerContext';
+import { AuditStore } from './auditLog';
+
+const AuditQuerySchema = z.object({
+  tool: z.string().min(1).optional(),
+  client: z.string().min(1).optional(),
+  from: z.string().datetime({ offset: true, message: "from must be an ISO 8601 timestamp." }).optional(),
+  to: z.string().datetime({ offset: true, message: "to must be an ISO 8601 timestamp." }).optional(),
+  success: z.enum(['true', 'false']).optional(),
+  limit: z.coerce.number().int().min(1).max(1000).default(100)
+});
+
+// Read-only query endpoint for the audit log. Mount behind authentication; results are
+// limited to the caller's tenant and returned newest first.
+export function createAuditRouter(store: AuditStore): express.Router {
+  const router = express.Router();
+
+  router.get('/', async (req, res) => {
+    const parsedQuery = AuditQuerySchema.safeParse(req.query);
+    if (!parsedQuery.success) {
+      res.status(400).json({ error: 'Invalid query parameters.', errors: parsedQuery.error.flatten().fieldErrors });
+      return;
+    }
+    const { tool, client, from, to, success, limit } = parsedQuery.data;
+    const records = await store.query({
+      tenantId: getCaller(req).tenantId,
+      tool,
+      client,
+      // Compare as UTC ISO strings, the form records are written in
+      from: from ? new Date(from).toISOString() : undefined,
+      to: to ? new Date(to).toISOString() : undefined,
+      success: success === undefined ? undefined : success === 'true',
+      limit
+    });
+    res.status(200).json({ records });
+  });
+
+  return router;
+}
@@ -0,0 +1,100 @@
+import { getCallerFromExtra } from '../auth/callerContext';
+import { HandlerResult, ToolCallWrapper } from '../toolRegistry';
+import { PendingAction } from '../approvals/approvalStore';
+import { runWithRequestContext, getRequestContext } from '../utils/requestContext';
+import { redactForLog } from '../utils/redact';
+import { AuditOutcome, AuditStore, newAuditRecordId } from './auditLog';
+
+function lastProviderStatus(): number | null {
+  const responses = getRequestContext()?.providerResponses || [];
+  return responses.length > 0 ? responses[responses.length - 1].status : null;
+}
+
+// Reads the outcome back out of a tools/call result (see toCallToolResult for its shape)
+function describeCallResult(result: any): { outcome: AuditOutcome; message: string | null; details: any } {
+  let body: any = null;
+  try {
+    body = JSON.parse(result?.content?.[0]?.text);
+  } catch {
+    // Not JSON; only isError tells us anything
+  }
+  if (result?.isError) {
+    return { outcome: body?.details?.requiredScope ? 'denied' : 'error', message: body?.error ?? null, details: body?.details };
+  }
+  const message = typeof body?.message === 'string' ? body.message : null;
+  if (result?._meta?.idempotentReplay) {
+    return { outcome: 'replayed', message, details: null };
+  }
+  if (result?._meta?.cached) {
+    return { outcome: 'cached', message, details: null };
+  }
+  if (body?.data?.status === 'pending_approval') {
+    return { outcome: 'pending_approval', message, details: body.data };
+  }
+  if (body?.data?.dryRun) {
+    return { outcome: 'dry_run', message, details: null };
+  }
+  return { outcome: 'success', message, details: null };
+}
+
+// Records every call to a tool, including calls refused for scope. Chain it after
+// restrictToolsByScope so it sees those refusals.
+export function auditToolCalls(store: AuditStore): ToolCallWrapper {
+  return (toolName, callTool) => (toolArgs, extra) => runWithRequestContext(async () => {
+    const startedAt = Date.now();
+    const { tenantId, clientName } = getCallerFromExtra(extra);
+    const base = {
+      id: newAuditRecordId(),
+      timestamp: new Date(startedAt).toISOString(),
+      requestId: getRequestContext()?.requestId ?? null,
+      tenantId,
+      clientName,
+      toolName,
+      args: redactForLog(toolArgs),
+    };
+    try {
+      const result = await callTool(toolArgs, extra);
+      const { outcome, message, details } = describeCallResult(result);
+      await store.append({
+        ...base,
+        outcome,
+        success: !result?.isError,
+        message,
+        providerStatus: lastProviderStatus() ?? (typeof details?.status === 'number' ? details.status : null),
+        latencyMs: Date.now() - startedAt,
+        ...(outcome === 'pending_approval' ? { actionId: details.actionId } : {}),
+      });
+      return result;
+    } catch (error: any) {
+      // The SDK turns a thrown error into an isError result
+      await store.append({ ...base, outcome: 'error', success: false, message: error.message, providerStatus: lastProviderStatus(), latencyMs: Date.now() - startedAt });
+      throw error;
+    }
+  });
+}
+
+// Records a reviewer's decision on a held call. Approvals run the handler, so wrap the
+// approval in runWithRequestContext to capture the provider status.
+export async function auditApprovalDecision(
+  store: AuditStore,
+  action: PendingAction,
+  reviewer: string,
+  latencyMs: number
+): Promise<void> {
+  const result: HandlerResult | undefined = action.result;
+  await store.append({
+    id: newAuditRecordId(),
+    timestamp: new Date().toISOString(),
+    requestId: getRequestContext()?.requestId ?? null,
+    tenantId: action.tenantId,
+    clientName: reviewer,
+    toolName: action.toolName,
+    args: redactForLog(action.args),
+    outcome: action.status === 'rejected' ? 'rejected' : result?.success ? 'success' : 'error',
+    success: action.status !== 'rejected' && !!result?.success,
+    message: action.status === 'rejected' ? (action.note ?? null) : (result?.message ?? null),
+    providerStatus: lastProviderStatus() ?? (typeof result?.errors?.status === 'number' ? result.errors.status : null),
+    latencyMs,
+    actionId: action.id,
+  });
+}
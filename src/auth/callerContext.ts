@@ -0,0 +1,54 @@
+import express from 'express';
+import { AuthInfo } from '@modelcontextprotocol/sdk/server/auth/types.js';
+import { RequestHandlerExtra } from '@modelcontextprotocol/sdk/shared/protocol.js';
+import { ServerNotification, ServerRequest } from '@modelcontextprotocol/sdk/types.js';
+
+export const DEFAULT_TENANT_ID = 'default';
+const TENANT_ID_PATTERN = /^[A-Za-z0-9_.-]{1,64}$/;
+
+// Who is calling, as established by the authentication middleware
+export interface CallerContext {
+  clientName: string;
+  tenantId: string;
+  scopes: string[]; // see ./scopes
+  expiresAt?: number; // seconds since epoch, when the client's key expires
+}
+
+export function isValidTenantId(tenantId: string): boolean {
+  return TENANT_ID_PATTERN.test(tenantId);
+}
+
+// The SDK's StreamableHTTPServerTransport forwards `req.auth` to tool callbacks as
+// `extra.authInfo`, so the caller travels with each MCP message without extra plumbing.
+export function attachCaller(req: express.Request, caller: CallerContext): void {
+  const authInfo: AuthInfo = {
+    token: '', // Never carry key material past the middleware
+    clientId: caller.clientName,
+    scopes: caller.scopes,
+    expiresAt: caller.expiresAt,
+    extra: { tenantId: caller.tenantId },
+  };
+  (req as express.Request & { auth?: AuthInfo }).auth = authInfo;
+}
+
+// No authInfo means no HTTP authentication took place (stdio mode): the local user gets full access
+function callerFromAuthInfo(authInfo: AuthInfo | undefined): CallerContext {
+  if (!authInfo) {
+    return { clientName: 'local', tenantId: DEFAULT_TENANT_ID, scopes: ['*'] };
+  }
+  const tenantId = authInfo.extra?.tenantId;
+  return {
+    clientName: authInfo.clientId,
+    tenantId: typeof tenantId === 'string' ? tenantId : DEFAULT_TENANT_ID,
+    scopes: authInfo.scopes,
+    expiresAt: authInfo.expiresAt,
+  };
+}
+
+export function getCaller(req: express.Request): CallerContext {
+  return callerFromAuthInfo((req as express.Request & { auth?: AuthInfo }).auth);
+}
+
+export function getCallerFromExtra(extra: RequestHandlerExtra<ServerRequest, ServerNotification>): CallerContext {
+  return callerFromAuthInfo(extra.authInfo);
+}
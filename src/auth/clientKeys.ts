@@ -0,0 +1,90 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import { z } from 'zod';
+import { CallerContext, isValidTenantId } from './callerContext';
+import { isValidScope } from './scopes';
+import { createLogger } from '../utils/logger';
+
+const log = createLogger('auth.clientKeys');
+
+// One entry per client. Only the SHA-256 of each key is stored, e.g. `echo -n "$KEY" | sha256sum`.
+const ClientKeySchema = z.object({
+  clientName: z.string().min(1, { message: "Client name cannot be empty." }),
+  tenantId: z.string().refine(isValidTenantId, { message: "Tenant ID must be 1-64 letters, digits, '.', '_' or '-'." }),
+  keySha256: z.string().regex(/^[a-f0-9]{64}$/i, { message: "keySha256 must be a hex SHA-256 digest." }),
+  expiresAt: z.string().datetime({ offset: true }).optional(),
+  scopes: z.array(z.string().refine(isValidScope, { message: "Scopes look like 'read:*', 'write:shopify' or 'refund:stripe'." })).min(1)
+});
+
+const ClientKeysFileSchema = z.object({
+  clients: z.array(ClientKeySchema)
+});
+
+export type ClientKey = z.infer<typeof ClientKeySchema>;
+
+export type ClientAuthResult =
+  | { success: true; caller: CallerContext }
+  | { success: false; reason: 'unknown' | 'expired'; clientName?: string };
+
+export function hashApiKey(key: string): string {
+  return crypto.createHash('sha256').update(key, 'utf8').digest('hex');
+}
+
+// Registry of per-client internal API keys. Each key belongs to one client and one tenant,
+// may expire, and carries the scopes that decide which tools the client can see and call.
+export class ClientKeyRegistry {
+  private byHash = new Map<string, ClientKey>();
+
+  constructor(clients: ClientKey[]) {
+    for (const client of clients) {
+      const hash = client.keySha256.toLowerCase();
+      if (this.byHash.has(hash)) {
+        throw new Error(`Duplicate API key in client key registry (client ${client.clientName}).`);
+      }
+      this.byHash.set(hash, client);
+    }
+  }
+
+  get size(): number {
+    return this.byHash.size;
+  }
+
+  authenticate(providedKey: string): ClientAuthResult {
+    const client = this.byHash.get(hashApiKey(providedKey));
+    if (!client) {
+      return { success: false, reason: 'unknown' };
+    }
+    const expiresAtMs = client.expiresAt ? new Date(client.expiresAt).getTime() : undefined;
+    if (expiresAtMs !== undefined && expiresAtMs <= Date.now()) {
+      return { success: false, reason: 'expired', clientName: client.clientName };
+    }
+    return {
+      success: true,
+      caller: {
+        clientName: client.clientName,
+        tenantId: client.tenantId,
+        scopes: client.scopes,
+        expiresAt: expiresAtMs !== undefined ? Math.floor(expiresAtMs / 1000) : undefined,
+      }
+    };
+  }
+}
+
+export function loadClientKeyRegistry(filePath: string): ClientKeyRegistry {
+  const parsed = ClientKeysFileSchema.safeParse(JSON.parse(fs.readFileSync(filePath, 'utf8')));
+  if (!parsed.success) {
+    throw new Error(`Invalid client key file ${filePath}: ${JSON.stringify(parsed.error.flatten())}`);
+  }
+  return new ClientKeyRegistry(parsed.data.clients);
+}
+
+// MCP_CLIENT_KEYS_FILE is optional; without it only the internal API key is accepted
+export function createClientKeyRegistryFromEnv(): ClientKeyRegistry {
+  const filePath = process.env.MCP_CLIENT_KEYS_FILE;
+  if (!filePath) {
+    return new ClientKeyRegistry([]);
+  }
+  const registry = loadClientKeyRegistry(filePath);
+  log.info(`Loaded ${registry.size} client API keys from ${filePath}`);
+  return registry;
+}
@@ -0,0 +1,156 @@
+import crypto from 'crypto';
+import { SecretProvider } from '../secrets/secretProvider';
+import { createLogger } from '../utils/logger';
+
+const log = createLogger('auth.internalApiKeys');
+
+// A fetched key plus a label for it that is safe to log (e.g. the secret version number)
+export interface FetchedApiKey {
+  key: string;
+  generation: string;
+}
+
+interface KeyGeneration {
+  generation: string;
+  hash: Buffer;
+  loadedAt: string;
+  retiresAt?: number; // set once a newer key replaces it
+}
+
+export interface InternalApiKeyManagerOptions {
+  fetchKey?: () => Promise<FetchedApiKey>; // secret backend; omit to use the fallback key only
+  sourceName?: string;                      // for logs, e.g. "gcp"
+  fallbackKey?: string;
+  graceMs: number;           // how long a replaced key keeps working
+  refreshIntervalMs: number; // 0 disables background refresh
+}
+
+function hashKey(key: string): Buffer {
+  return crypto.createHash('sha256').update(key, 'utf8').digest();
+}
+
+// Holds the internal API key and, after a rotation, the keys it replaced until their grace
+// window ends, so clients can switch over without downtime. Only generation labels are logged.
+export class InternalApiKeyManager {
+  private current: KeyGeneration | null = null;
+  private previous: KeyGeneration[] = [];
+  private refreshTimer: NodeJS.Timeout | null = null;
+
+  constructor(private options: InternalApiKeyManagerOptions) {}
+
+  get isLoaded(): boolean {
+    return this.current !== null;
+  }
+
+  // Startup load: falls back to the fallback key if the remote source fails
+  async load(): Promise<void> {
+    const { fetchKey, sourceName, fallbackKey } = this.options;
+    if (fetchKey) {
+      try {
+        this.install(await fetchKey());
+        log.info(`Successfully fetched and configured API key from the ${sourceName} secret backend.`);
+        return;
+      } catch (error: any) {
+        log.error(`Error fetching API key from the ${sourceName} secret backend`, { error });
+        if (!fallbackKey) {
+          throw new Error('Secret backend fetch failed and MCP_SERVER_INTERNAL_API_KEY_FALLBACK is not set.');
+        }
+        log.warn('Falling back to MCP_SERVER_INTERNAL_API_KEY_FALLBACK due to secret backend error.');
+      }
+    } else {
+      if (!fallbackKey) {
+        throw new Error('MCP_SERVER_INTERNAL_API_KEY_FALLBACK is not set and MCP_API_KEY_SECRET_NAME is not configured.');
+      }
+      log.info('MCP_API_KEY_SECRET_NAME not set. Using fallback API key for local development.');
+    }
+    this.install({ key: fallbackKey, generation: 'fallback' });
+  }
+
+  // Re-fetch from the remote source. On failure the keys already loaded stay valid.
+  async reload(): Promise<{ changed: boolean; generation: string | null }> {
+    if (!this.options.fetchKey) {
+      return { changed: false, generation: this.current?.generation ?? null };
+    }
+    const changed = this.install(await this.options.fetchKey());
+    return { changed, generation: this.current?.generation ?? null };
+  }
+
+  private install(fetched: FetchedApiKey): boolean {
+    const hash = hashKey(fetched.key);
+    if (this.current && crypto.timingSafeEqual(this.current.hash, hash)) {
+      return false;
+    }
+    const now = Date.now();
+    if (this.current) {
+      this.current.retiresAt = now + this.options.graceMs;
+      this.previous.push(this.current);
+      log.info(`Internal API key rotated: ${this.current.generation} -> ${fetched.generation}. ${this.current.generation} is accepted until ${new Date(this.current.retiresAt).toISOString()}.`);
+    }
+    // A key that comes back after a rollback is current again, not retiring
+    this.previous = this.previous.filter(key => !crypto.timingSafeEqual(key.hash, hash));
+    this.current = { generation: fetched.generation, hash, loadedAt: new Date(now).toISOString() };
+    return true;
+  }
+
+  // Returns the generation the key belongs to, or null if it matches none
+  authenticate(key: string): string | null {
+    const now = Date.now();
+    this.previous = this.previous.filter(previous => previous.retiresAt! > now);
+    const hash = hashKey(key);
+    for (const candidate of [this.current, ...this.previous]) {
+      if (candidate && crypto.timingSafeEqual(candidate.hash, hash)) {
+        return candidate.generation;
+      }
+    }
+    return null;
+  }
+
+  status() {
+    const now = Date.now();
+    return {
+      current: this.current ? { generation: this.current.generation, loadedAt: this.current.loadedAt } : null,
+      previous: this.previous
+        .filter(key => key.retiresAt! > now)
+        .map(key => ({ generation: key.generation, loadedAt: key.loadedAt, acceptedUntil: new Date(key.retiresAt!).toISOString() })),
+    };
+  }
+
+  start(): void {
+    if (!this.options.fetchKey || this.options.refreshIntervalMs <= 0) {
+      return;
+    }
+    this.refreshTimer = setInterval(() => {
+      this.reload().catch((error: any) => {
+        log.error('Background refresh of the internal API key failed; keeping current keys', { error });
+      });
+    }, this.options.refreshIntervalMs);
+    this.refreshTimer.unref();
+  }
+
+  stop(): void {
+    if (this.refreshTimer) {
+      clearInterval(this.refreshTimer);
+      this.refreshTimer = null;
+    }
+  }
+}
+
+// The key is the MCP_API_KEY_SECRET_NAME secret in the configured secret backend
+export function createInternalApiKeyManagerFromEnv(secrets: SecretProvider): InternalApiKeyManager {
+  const secretName = process.env.MCP_API_KEY_SECRET_NAME;
+  const refreshInterval = parseInt(process.env.MCP_API_KEY_REFRESH_INTERVAL_MS || '', 10);
+  const fetchKey = async (): Promise<FetchedApiKey> => {
+    const secret = await secrets.getSecret(secretName!);
+    if (!secret) {
+      throw new Error(`Secret ${secretName} not found in the ${secrets.name} secret backend.`);
+    }
+    return { key: secret.value, generation: `${secretName}@${secret.version}` };
+  };
+  return new InternalApiKeyManager({
+    fetchKey: secretName ? fetchKey : undefined,
+    sourceName: secrets.name,
+    fallbackKey: process.env.MCP_SERVER_INTERNAL_API_KEY_FALLBACK,
+    graceMs: parseInt(process.env.MCP_API_KEY_GRACE_PERIOD_MS || '', 10) || 60 * 60 * 1000,
+    refreshIntervalMs: Number.isNaN(refreshInterval) ? 5 * 60 * 1000 : refreshInterval, // 0 disables
+  });
+}
@@ -0,0 +1,81 @@
+import express from 'express';
+import { RegisteredTool } from '@modelcontextprotocol/sdk/server/mcp.js';
+import { getCaller, getCallerFromExtra } from './callerContext';
+import type { ToolCallWrapper } from '../toolRegistry';
+import { createLogger } from '../utils/logger';
+
+const log = createLogger('auth.scopes');
+
+// Scopes are `<verb>:<provider>` (e.g. `read:hubspot`, `write:shopify`, `refund:stripe`).
+// Either side may be `*`, and a bare `*` grants everything.
+const SCOPE_PATTERN = /^(\*|[a-z]+:(\*|[a-z0-9_-]+))$/;
+
+export function isValidScope(scope: string): boolean {
+  return SCOPE_PATTERN.test(scope);
+}
+
+function scopeGrants(granted: string, required: string): boolean {
+  if (granted === '*' || granted === required) {
+    return true;
+  }
+  const [grantedVerb, grantedTarget] = granted.split(':');
+  const [requiredVerb, requiredTarget] = required.split(':');
+  return (grantedVerb === '*' || grantedVerb === requiredVerb)
+    && (grantedTarget === '*' || grantedTarget === requiredTarget);
+}
+
+export function hasScope(grantedScopes: string[], required: string): boolean {
+  return grantedScopes.some(granted => scopeGrants(granted, required));
+}
+
+// For HTTP routes behind the authentication middleware, e.g. requireScope('admin:connections')
+export function requireScope(required: string): express.RequestHandler {
+  return (req, res, next) => {
+    const { clientName, scopes } = getCaller(req);
+    if (!hasScope(scopes, required)) {
+      res.status(403).json({ error: `Forbidden: requires scope '${required}', which client '${clientName}' does not have.` });
+      return;
+    }
+    next();
+  };
+}
+
+// Leaves tools outside `scopes` out of tools/list. The SDK refuses calls to them with an
+// InvalidParams error before any tool code runs. For an MCP server instance that serves one
+// caller, so call it with that caller's scopes when the instance is created.
+export function hideToolsOutsideScopes(tools: Map<string, RegisteredTool>, toolScopes: Map<string, string>, scopes: string[]): void {
+  for (const [name, tool] of tools) {
+    const required = toolScopes.get(name);
+    if (required && !hasScope(scopes, required)) {
+      tool.disable();
+    }
+  }
+}
+
+// Rejects calls to tools outside the caller's scopes. The caller is read from each request's
+// authInfo, so a client that loses a scope during a stateful session is refused from its
+// next call on, even though the tool is still listed.
+export function restrictToolsByScope(toolScopes: Map<string, string>): ToolCallWrapper {
+  return (toolName, callTool) => async (toolArgs, extra) => {
+    const { clientName, scopes } = getCallerFromExtra(extra);
+    const required = toolScopes.get(toolName);
+    if (required && !hasScope(scopes, required)) {
+      log.warn(`Client ${clientName} denied tool ${toolName}: missing scope ${required}`);
+      return {
+        content: [{
+          type: "text",
+          text: JSON.stringify({
+            error: `Not allowed: ${toolName} requires scope '${required}', which client '${clientName}' does not have.`,
+            code: 'NOT_ALLOWED',
+            retryable: false,
+            provider: null,
+            details: { requiredScope: required, grantedScopes: scopes },
+            data: null
+          })
+        }],
+        isError: true
+      };
+    }
+    return callTool(toolArgs, extra);
+  };
+}
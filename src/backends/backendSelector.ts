@@ -0,0 +1,79 @@
+import { createLogger } from '../utils/logger';
+
+const log = createLogger('backends.backendSelector');
+
+// Every handler has two implementations of its provider calls: `live` calls the provider's
+// API and `mock` simulates it in process.
+export type Backend = 'live' | 'mock';
+
+const BACKENDS: Backend[] = ['live', 'mock'];
+
+export function isBackend(value: any): value is Backend {
+  return BACKENDS.includes(value);
+}
+
+// Backend per provider; "*" applies to providers not named
+export type BackendOverride = Record<string, Backend>;
+
+/**
+ * Parses an override such as "mock" (every provider) or "stripe=live,shopify=mock", as sent
+ * in the x-mcp-backend header. Throws on anything else.
+ */
+export function parseBackendOverride(value: string): BackendOverride {
+  const override: BackendOverride = {};
+  for (const part of value.split(',').map(part => part.trim()).filter(Boolean)) {
+    const [provider, backend] = part.includes('=') ? part.split('=').map(side => side.trim()) : ['*', part];
+    if (!isBackend(backend) || !/^(\*|[a-z0-9_-]+)$/.test(provider)) {
+      throw new Error(`Invalid backend override "${part}". Use "live", "mock" or "<provider>=<live|mock>", comma-separated.`);
+    }
+    override[provider] = backend;
+  }
+  return override;
+}
+
+function overrideFor(override: BackendOverride | undefined, provider: string): Backend | undefined {
+  return override?.[provider] ?? override?.['*'];
+}
+
+// Picks the backend for a tool call. The most specific setting wins:
+//   1. the request's override (x-mcp-backend header)
+//   2. the tenant's override (MCP_TENANT_BACKENDS)
+//   3. the server's setting for the provider (<PROVIDER>_BACKEND, then MCP_BACKEND)
+//   4. the handler's own default (`defaultBackend`, else mock)
+export class BackendSelector {
+  constructor(private tenantOverrides: Record<string, BackendOverride> = {}) {}
+
+  // Read on every call, like the provider HTTP client's settings
+  serverBackend(provider: string, declared: Backend): Backend {
+    for (const name of [`${provider.toUpperCase()}_BACKEND`, 'MCP_BACKEND']) {
+      const value = process.env[name]?.toLowerCase();
+      if (isBackend(value)) {
+        return value;
+      }
+      if (value) {
+        log.warn(`Ignoring ${name}="${value}". Use live or mock.`);
+      }
+    }
+    return declared;
+  }
+
+  select(provider: string, declared: Backend, tenantId: string, requestOverride?: BackendOverride): Backend {
+    return overrideFor(requestOverride, provider)
+      ?? overrideFor(this.tenantOverrides[tenantId], provider)
+      ?? this.serverBackend(provider, declared);
+  }
+}
+
+// MCP_TENANT_BACKENDS is a JSON object of tenant -> override, e.g.
+// {"qa": "mock", "staging": "stripe=mock"}
+export function createBackendSelectorFromEnv(): BackendSelector {
+  const tenantOverrides: Record<string, BackendOverride> = {};
+  if (process.env.MCP_TENANT_BACKENDS) {
+    const configured: Record<string, string> = JSON.parse(process.env.MCP_TENANT_BACKENDS);
+    for (const [tenantId, value] of Object.entries(configured)) {
+      tenantOverrides[tenantId] = parseBackendOverride(value);
+    }
+    log.info(`Backend overrides configured for tenants: ${Object.keys(tenantOverrides).join(', ')}`);
+  }
+  return new BackendSelector(tenantOverrides);
+}
@@ -0,0 +1,118 @@
+import crypto from 'crypto';
+import { HandlerResult } from '../toolRegistry';
+import { Backend } from '../backends/backendSelector';
+import { stableStringify } from '../idempotency/idempotencyGuard';
+import { ResponseCacheStore, createResponseCacheStoreFromEnv } from './responseCacheStore';
+import { createLogger } from '../utils/logger';
+
+const log = createLogger('cache.responseCache');
+
+export type CachedOutcome =
+  | { cached: false; result: HandlerResult }
+  | { cached: true; result: HandlerResult; cachedAt: string; ageMs: number };
+
+export interface CacheScope {
+  tenantId: string;
+  toolName: string;
+  provider: string;
+  group: string; // what the tool reads, e.g. "contacts"; writes invalidate by group
+  backend: Backend;
+  scenario?: string; // the mock scenario served, for the mock backend
+  clock?: string;    // the mock clock's setting, for the mock backend when it is not the real time
+}
+
+// Whitespace and the case of email addresses don't change what a lookup returns
+function normaliseArgs(args: Record<string, any>): Record<string, any> {
+  const normalised: Record<string, any> = {};
+  for (const [key, value] of Object.entries(args)) {
+    if (typeof value !== 'string') {
+      normalised[key] = value;
+      continue;
+    }
+    const trimmed = value.trim();
+    normalised[key] = /email/i.test(key) ? trimmed.toLowerCase() : trimmed;
+  }
+  return normalised;
+}
+
+// Read-through cache for lookup tools. Entries are keyed by tenant, tool, backend, normalised
+// arguments and the credentials used, so callers with different provider accounts never
+// share an entry and mock data never answers a live call; mock entries are also keyed by
+// scenario and by the mock clock, once a test has set it. Only successful results are kept. All tenants share the mock data, so a mock
+// write clears every tenant's mock entries for that scenario.
+export class ResponseCache {
+  constructor(private store: ResponseCacheStore, private ttlMs: number) {}
+
+  private tag(tenantId: string, provider: string, group: string): string {
+    return `${tenantId}:${provider}:${group}`;
+  }
+
+  private mockTags(scenario: string, provider: string, group: string): string[] {
+    return [`mock:${scenario}:${provider}:${group}`, `mock:${scenario}:${provider}`];
+  }
+
+  /**
+   * Returns the cached result for this call or runs `execute` and caches it. With `bypass`
+   * the provider is always called and the fresh result replaces the cached one.
+   */
+  async read(
+    scope: CacheScope,
+    args: Record<string, any>,
+    auth: Record<string, any>,
+    execute: () => Promise<HandlerResult>,
+    bypass = false
+  ): Promise<CachedOutcome> {
+    const hash = crypto.createHash('sha256').update(stableStringify({ backend: scope.backend, scenario: scope.scenario, clock: scope.clock, args: normaliseArgs(args), auth })).digest('hex');
+    const key = `${scope.tenantId}:${scope.toolName}:${hash}`;
+
+    if (!bypass) {
+      const entry = await this.store.get(key);
+      if (entry) {
+        log.debug(`Serving ${scope.toolName} from the response cache`);
+        return { cached: true, result: entry.result, cachedAt: new Date(entry.createdAt).toISOString(), ageMs: Date.now() - entry.createdAt };
+      }
+    }
+
+    const result = await execute();
+    if (result.success) {
+      const createdAt = Date.now();
+      const tags = [this.tag(scope.tenantId, scope.provider, scope.group)];
+      if (scope.backend === 'mock' && scope.scenario) {
+        tags.push(...this.mockTags(scope.scenario, scope.provider, scope.group));
+      }
+      await this.store.set({ key, tags, result, createdAt, expiresAt: createdAt + this.ttlMs });
+    }
+    return { cached: false, result };
+  }
+
+  // Called after a write succeeds, e.g. shopify_cancelOrder clears the tenant's cached orders
+  async invalidate(tenantId: string, provider: string, groups: string[], backend: Backend, scenario?: string): Promise<void> {
+    for (const group of groups) {
+      const mock = backend === 'mock' && scenario;
+      const tag = mock ? this.mockTags(scenario, provider, group)[0] : this.tag(tenantId, provider, group);
+      const deleted = await this.store.deleteByTag(tag);
+      if (deleted > 0) {
+        log.info(`Invalidated ${deleted} cached ${provider} ${group} responses for ${mock ? `mock scenario "${scenario}"` : `tenant ${tenantId}`}`);
+      }
+    }
+  }
+
+  // Called when a provider's mock data in a scenario is reset or replaced
+  async invalidateMock(scenario: string, provider: string): Promise<void> {
+    const deleted = await this.store.deleteByTag(`mock:${scenario}:${provider}`);
+    if (deleted > 0) {
+      log.info(`Invalidated ${deleted} cached ${provider} mock responses for scenario "${scenario}"`);
+    }
+  }
+}
+
+// MCP_CACHE_TTL_MS=0 turns the cache off
+export function createResponseCacheFromEnv(): ResponseCache | null {
+  const rawTtl = parseInt(process.env.MCP_CACHE_TTL_MS || '', 10);
+  const ttlMs = Number.isNaN(rawTtl) ? 60 * 1000 : rawTtl;
+  if (ttlMs <= 0) {
+    log.info('Response cache disabled (MCP_CACHE_TTL_MS=0).');
+    return null;
+  }
+  return new ResponseCache(createResponseCacheStoreFromEnv(), ttlMs);
+}
@@ -0,0 +1,180 @@
+import fs from 'fs';
+import path from 'path';
+import { HandlerResult } from '../toolRegistry';
+import { EncryptedPayload, newSalt, deriveKey, encryptJson, decryptJson } from '../secrets/encryption';
+import { createLogger } from '../utils/logger';
+
+const log = createLogger('cache.responseCacheStore');
+
+// A successful lookup result, kept until it expires or a related write invalidates it
+export interface CacheEntry {
+  key: string;        // "<tenant>:<tool>:<hash of args and credentials>"
+  tags: string[];     // "<tenant>:<provider>:<group>", e.g. "default:hubspot:contacts"
+  result: HandlerResult;
+  createdAt: number;  // ms since epoch
+  expiresAt: number;  // ms since epoch
+}
+
+export interface ResponseCacheStore {
+  get(key: string): Promise<CacheEntry | undefined>;
+  set(entry: CacheEntry): Promise<void>;
+  // Removes every entry with the tag; returns how many there were
+  deleteByTag(tag: string): Promise<number>;
+}
+
+function pruneExpired(entries: Map<string, CacheEntry>): void {
+  const now = Date.now();
+  for (const [key, entry] of entries) {
+    if (entry.expiresAt <= now) {
+      entries.delete(key);
+    }
+  }
+}
+
+function deleteTagged(entries: Map<string, CacheEntry>, tag: string): number {
+  let deleted = 0;
+  for (const [key, entry] of entries) {
+    if (entry.tags.includes(tag)) {
+      entries.delete(key);
+      deleted++;
+    }
+  }
+  return deleted;
+}
+
+export class InMemoryResponseCacheStore implements ResponseCacheStore {
+  private entries = new Map<string, CacheEntry>();
+
+  async get(key: string) {
+    const entry = this.entries.get(key);
+    return entry && entry.expiresAt > Date.now() ? entry : undefined;
+  }
+
+  async set(entry: CacheEntry) {
+    pruneExpired(this.entries);
+    this.entries.set(entry.key, entry);
+  }
+
+  async deleteByTag(tag: string) {
+    return deleteTagged(this.entries, tag);
+  }
+}
+
+interface StoredCacheEntry extends Omit<CacheEntry, 'result'> {
+  result: EncryptedPayload;
+}
+
+interface CacheFile {
+  version: 1;
+  salt: string;
+  entries: StoredCacheEntry[];
+}
+
+// Keeps entries in a JSON file so a restart (or a second process sharing the file at
+// startup) does not start cold. Results hold customer data, so each is encrypted
+// (AES-256-GCM) under a key derived from MCP_CACHE_ENCRYPTION_KEY, as in the connection
+// vault; keys and tags stay readable.
+export class FileResponseCacheStore implements ResponseCacheStore {
+  private entries = new Map<string, CacheEntry>();
+  private sealed = new Map<string, EncryptedPayload>(); // each entry's result, encrypted when it is set
+  private salt: string;
+  private key: Buffer;
+  private writeChain: Promise<void> = Promise.resolve();
+
+  constructor(private filePath: string, secret: string) {
+    let file: CacheFile | null = null;
+    if (fs.existsSync(filePath)) {
+      try {
+        const parsed = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        if (parsed?.version !== 1 || !Array.isArray(parsed.entries)) {
+          throw new Error('Not an encrypted response cache file.');
+        }
+        file = parsed;
+      } catch (error: any) {
+        log.error(`Could not read response cache file ${filePath}, starting empty`, { error });
+      }
+    }
+    this.salt = file?.salt || newSalt();
+    this.key = deriveKey(secret, this.salt);
+
+    // Losing a cache only costs provider calls, so entries that don't decrypt are dropped
+    const now = Date.now();
+    let unreadable = 0;
+    for (const stored of (file?.entries || []).filter(entry => entry.expiresAt > now)) {
+      try {
+        this.entries.set(stored.key, { ...stored, result: decryptJson(this.key, stored.result, stored.key) });
+        this.sealed.set(stored.key, stored.result);
+      } catch {
+        unreadable++;
+      }
+    }
+    if (unreadable > 0) {
+      log.error(`Could not decrypt ${unreadable} cached responses in ${filePath}; dropped them. Check MCP_CACHE_ENCRYPTION_KEY.`);
+    }
+    if (file) {
+      log.info(`Loaded ${this.entries.size} cached responses from ${filePath}`);
+    }
+  }
+
+  private persist(): Promise<void> {
+    for (const key of this.sealed.keys()) {
+      if (!this.entries.has(key)) {
+        this.sealed.delete(key);
+      }
+    }
+    const file: CacheFile = {
+      version: 1,
+      salt: this.salt,
+      entries: [...this.entries.values()].map(entry => ({ ...entry, result: this.sealed.get(entry.key)! })),
+    };
+    const snapshot = JSON.stringify(file, null, 2);
+    this.writeChain = this.writeChain
+      .then(async () => {
+        await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+        const tempPath = `${this.filePath}.tmp`;
+        await fs.promises.writeFile(tempPath, snapshot, { encoding: 'utf8', mode: 0o600 });
+        await fs.promises.rename(tempPath, this.filePath);
+      })
+      .catch((error: any) => {
+        log.error(`Failed to write response cache file ${this.filePath}`, { error });
+      });
+    return this.writeChain;
+  }
+
+  async get(key: string) {
+    const entry = this.entries.get(key);
+    return entry && entry.expiresAt > Date.now() ? entry : undefined;
+  }
+
+  async set(entry: CacheEntry) {
+    pruneExpired(this.entries);
+    this.entries.set(entry.key, entry);
+    // The key is the additional data, so a result can't be moved to another entry
+    this.sealed.set(entry.key, encryptJson(this.key, entry.result, entry.key));
+    await this.persist();
+  }
+
+  async deleteByTag(tag: string) {
+    const deleted = deleteTagged(this.entries, tag);
+    if (deleted > 0) {
+      await this.persist();
+    }
+    return deleted;
+  }
+}
+
+export function createResponseCacheStoreFromEnv(): ResponseCacheStore {
+  const storeType = (process.env.MCP_CACHE_STORE || 'memory').toLowerCase();
+  if (storeType === 'file') {
+    const secret = process.env.MCP_CACHE_ENCRYPTION_KEY;
+    if (!secret) {
+      throw new Error('MCP_CACHE_STORE=file needs MCP_CACHE_ENCRYPTION_KEY: cached results hold customer data and are encrypted at rest.');
+    }
+    const filePath = process.env.MCP_CACHE_STORE_FILE || path.join(process.cwd(), 'data', 'response-cache.json');
+    return new FileResponseCacheStore(filePath, secret);
+  }
+  if (storeType !== 'memory') {
+    log.warn(`Unknown MCP_CACHE_STORE "${storeType}". Falling back to in-memory response cache.`);
+  }
+  return new InMemoryResponseCacheStore();
+}
@@ -0,0 +1,111 @@
+import { z } from 'zod';
+import { ToolDefinition, CredentialMode, CredentialResolver, writeToolParams, cacheToolParams, createToolCredentials } from './toolRegistry';
+import { Backend } from './backends/backendSelector';
+import { toTitleCase, zodToJsonSchema, generateSamplePayload } from './utils/discoveryHelpers';
+
+export const CATALOG_RESOURCE_URI = 'knowreply://catalog';
+
+// Everything the catalog needs to describe a tool, whether it comes from a handler module or is registered inline
+export interface CatalogSource {
+  name: string;
+  provider: string;
+  action: string;
+  defaultBackend: Backend;
+  scope: string;
+  ArgsSchema: z.AnyZodObject;
+  AuthSchema: z.AnyZodObject;
+  authParamMap: Record<string, string>; // tool param name -> AuthSchema key
+}
+
+export interface CatalogAction {
+  name: string;
+  action: string;
+  title: string;
+  mode: Backend; // the backend this caller's calls use, unless the request overrides it
+  scope: string; // scope a client key needs to see and call this tool
+  argsSchema: Record<string, any>; // JSON Schema of the params the tool accepts, credential params included
+  auth: { param: string; field: string; schema: Record<string, any> }[]; // params that carry secrets; empty when the server supplies them
+  samplePayload: Record<string, any>;
+}
+
+export interface CatalogProvider {
+  provider: string;
+  title: string;
+  actions: CatalogAction[];
+}
+
+export interface Catalog {
+  server: { name: string; version: string };
+  credentialMode: CredentialMode; // how tools receive provider credentials (see `auth` on each action)
+  providers: CatalogProvider[];
+}
+
+export function catalogSourceFromTool(tool: ToolDefinition): CatalogSource {
+  return {
+    name: tool.name,
+    provider: tool.provider,
+    action: tool.action,
+    defaultBackend: tool.defaultBackend,
+    scope: tool.scope,
+    ArgsSchema: tool.module.ArgsSchema.extend({ ...writeToolParams(tool.access), ...cacheToolParams(tool.module) }),
+    AuthSchema: tool.module.AuthSchema,
+    authParamMap: tool.authParamMap
+  };
+}
+
+function describeAction(source: CatalogSource, credentialResolver: CredentialResolver | undefined, mode: Backend): CatalogAction {
+  // The same credential params the registered tool gets: raw secrets, a selector such as
+  // connection_id, or none
+  const credentials = createToolCredentials(source.provider, source.AuthSchema, source.authParamMap, credentialResolver);
+  const argsSchema = zodToJsonSchema(source.ArgsSchema.extend(credentials.paramsShape));
+  const authSchema = zodToJsonSchema(source.AuthSchema);
+  const auth = Object.entries(source.authParamMap)
+    .filter(([param]) => param in credentials.paramsShape)
+    .map(([param, field]) => ({
+      param,
+      field,
+      schema: authSchema.properties?.[field] || {}
+    }));
+
+  const samplePayload: Record<string, any> = generateSamplePayload(argsSchema);
+  for (const { param } of auth) {
+    samplePayload[param] = `YOUR_${param.toUpperCase()}`;
+  }
+
+  return {
+    name: source.name,
+    action: source.action,
+    title: toTitleCase(source.action),
+    mode,
+    scope: source.scope,
+    argsSchema,
+    auth,
+    samplePayload
+  };
+}
+
+// `isVisible` lets callers see only the tools their scopes allow; `backendFor` reports the
+// backend a tool uses for them
+export function buildCatalog(
+  sources: CatalogSource[],
+  server: { name: string; version: string },
+  credentialResolver?: CredentialResolver,
+  isVisible: (source: CatalogSource) => boolean = () => true,
+  backendFor: (source: CatalogSource) => Backend = source => source.defaultBackend
+): Catalog {
+  const byProvider = new Map<string, CatalogProvider>();
+  for (const source of sources.filter(isVisible)) {
+    let entry = byProvider.get(source.provider);
+    if (!entry) {
+      entry = { provider: source.provider, title: toTitleCase(source.provider), actions: [] };
+      byProvider.set(source.provider, entry);
+    }
+    entry.actions.push(describeAction(source, credentialResolver, backendFor(source)));
+  }
+
+  const providers = [...byProvider.values()].sort((a, b) => a.provider.localeCompare(b.provider));
+  for (const provider of providers) {
+    provider.actions.sort((a, b) => a.action.localeCompare(b.action));
+  }
+  return { server, credentialMode: credentialResolver?.mode || 'tool_params', providers };
+}
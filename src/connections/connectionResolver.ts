@@ -0,0 +1,58 @@
+import { z } from 'zod';
+import { CredentialResolver } from '../toolRegistry';
+import { getCallerFromExtra } from '../auth/callerContext';
+import { ConnectionVault } from './connectionVault';
+import { createLogger } from '../utils/logger';
+
+const log = createLogger('connections.connectionResolver');
+
+// Tools take an optional connection_id instead of a raw secret. Without one, the tenant's
+// default connection for the provider is used, or its only connection if there is just one.
+export function createConnectionCredentialResolver(vault: ConnectionVault): CredentialResolver {
+  return {
+    mode: 'connections',
+    toolParams: () => ({
+      connection_id: z.string().min(1).optional()
+        .describe('ID of a stored provider connection. Omit to use the default connection for this provider.')
+    }),
+    resolve: async (provider, authSchema, params, extra) => {
+      const { tenantId } = getCallerFromExtra(extra);
+      let connectionId: string | undefined = params.connection_id;
+
+      if (connectionId) {
+        const connection = vault.get(tenantId, connectionId);
+        if (!connection) {
+          return { success: false, message: `Connection ${connectionId} not found.` };
+        }
+        if (connection.provider !== provider) {
+          return { success: false, message: `Connection ${connectionId} is for ${connection.provider}, not ${provider}.` };
+        }
+      } else {
+        const candidates = vault.list(tenantId, provider);
+        const chosen = candidates.find(connection => connection.isDefault) || (candidates.length === 1 ? candidates[0] : undefined);
+        if (!chosen) {
+          return {
+            success: false,
+            message: candidates.length === 0
+              ? `No ${provider} connection is configured for this tenant.`
+              : `Several ${provider} connections exist and none is the default. Pass connection_id.`
+          };
+        }
+        connectionId = chosen.id;
+      }
+
+      let credentials: Record<string, any> | undefined;
+      try {
+        credentials = vault.getCredentials(tenantId, connectionId);
+      } catch (error: any) {
+        log.error(`Failed to read credentials for connection ${connectionId}`, { error });
+        return { success: false, message: `Credentials for connection ${connectionId} could not be read.` };
+      }
+      const parsed = authSchema.safeParse(credentials);
+      if (!parsed.success) {
+        return { success: false, message: `Connection ${connectionId} is missing credentials this tool needs: ${Object.keys(parsed.error.flatten().fieldErrors).join(', ')}.` };
+      }
+      return { success: true, credentials: parsed.data };
+    }
+  };
+}
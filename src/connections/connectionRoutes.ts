@@ -0,0 +1,108 @@
+import express from 'express';
+import { z } from 'zod';
+import { getCaller } from '../auth/callerContext';
+import { ConnectionVault } from './connectionVault';
+import { createLogger } from '../utils/logger';
+
+const log = createLogger('connections.connectionRoutes');
+
+const CreateConnectionSchema = z.object({
+  provider: z.string().min(1, { message: "Provider cannot be empty." }),
+  name: z.string().min(1, { message: "Connection name cannot be empty." }),
+  credentials: z.record(z.any()),
+  isDefault: z.boolean().optional()
+});
+
+const UpdateConnectionSchema = z.object({
+  name: z.string().min(1, { message: "Connection name cannot be empty." }).optional(),
+  credentials: z.record(z.any()).optional(),
+  isDefault: z.boolean().optional()
+});
+
+// Admin endpoints for the connection vault. Mount behind authentication; every route is
+// scoped to the caller's tenant. Responses carry metadata only, never credentials.
+export function createConnectionRouter(vault: ConnectionVault, providerAuthSchemas: Map<string, z.AnyZodObject>): express.Router {
+  const router = express.Router();
+
+  const validateCredentials = (provider: string, credentials: Record<string, any>) => {
+    const authSchema = providerAuthSchemas.get(provider);
+    if (!authSchema) {
+      return { success: false as const, status: 400, body: { error: `Unknown provider: ${provider}`, providers: [...providerAuthSchemas.keys()] } };
+    }
+    const parsed = authSchema.safeParse(credentials);
+    if (!parsed.success) {
+      return { success: false as const, status: 400, body: { error: 'Invalid credentials for provider.', errors: parsed.error.flatten().fieldErrors } };
+    }
+    return { success: true as const, credentials: parsed.data };
+  };
+
+  router.get('/', (req, res) => {
+    const provider = typeof req.query.provider === 'string' ? req.query.provider : undefined;
+    res.status(200).json({ connections: vault.list(getCaller(req).tenantId, provider) });
+  });
+
+  router.get('/:id', (req, res) => {
+    const connection = vault.get(getCaller(req).tenantId, req.params.id);
+    if (!connection) {
+      res.status(404).json({ error: 'Connection not found.' });
+      return;
+    }
+    res.status(200).json(connection);
+  });
+
+  router.post('/', async (req, res) => {
+    const parsedBody = CreateConnectionSchema.safeParse(req.body);
+    if (!parsedBody.success) {
+      res.status(400).json({ error: 'Invalid request body.', errors: parsedBody.error.flatten().fieldErrors });
+      return;
+    }
+    const { provider, name, credentials, isDefault } = parsedBody.data;
+    const validated = validateCredentials(provider, credentials);
+    if (!validated.success) {
+      res.status(validated.status).json(validated.body);
+      return;
+    }
+    const { tenantId, clientName } = getCaller(req);
+    const connection = await vault.create(tenantId, { provider, name, credentials: validated.credentials, isDefault });
+    log.info(`Connection ${connection.id} (${provider}) created for tenant ${tenantId} by ${clientName}`);
+    res.status(201).json(connection);
+  });
+
+  router.put('/:id', async (req, res) => {
+    const parsedBody = UpdateConnectionSchema.safeParse(req.body);
+    if (!parsedBody.success) {
+      res.status(400).json({ error: 'Invalid request body.', errors: parsedBody.error.flatten().fieldErrors });
+      return;
+    }
+    const { tenantId, clientName } = getCaller(req);
+    const existing = vault.get(tenantId, req.params.id);
+    if (!existing) {
+      res.status(404).json({ error: 'Connection not found.' });
+      return;
+    }
+    const changes = { ...parsedBody.data };
+    if (changes.credentials) {
+      const validated = validateCredentials(existing.provider, changes.credentials);
+      if (!validated.success) {
+        res.status(validated.status).json(validated.body);
+        return;
+      }
+      changes.credentials = validated.credentials;
+    }
+    const connection = await vault.update(tenantId, req.params.id, changes);
+    log.info(`Connection ${req.params.id} updated for tenant ${tenantId} by ${clientName}`);
+    res.status(200).json(connection);
+  });
+
+  router.delete('/:id', async (req, res) => {
+    const { tenantId, clientName } = getCaller(req);
+    if (!await vault.delete(tenantId, req.params.id)) {
+      res.status(404).json({ error: 'Connection not found.' });
+      return;
+    }
+    log.info(`Connection ${req.params.id} deleted for tenant ${tenantId} by ${clientName}`);
+    res.status(204).end();
+  });
+
+  return router;
+}
@@ -0,0 +1,198 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { EncryptedPayload, newSalt, deriveKey, encryptJson, decryptJson } from '../secrets/encryption';
+import { createLogger } from '../utils/logger';
+
+const log = createLogger('connections.connectionVault');
+
+// Connection metadata as returned to admins. Credentials are never included.
+export interface ConnectionRecord {
+  id: string;
+  tenantId: string;
+  provider: string;
+  name: string;
+  isDefault: boolean;
+  createdAt: string;
+  updatedAt: string;
+}
+
+interface StoredConnection extends ConnectionRecord {
+  credentials: EncryptedPayload;
+}
+
+interface VaultFile {
+  version: 1;
+  salt: string;
+  connections: StoredConnection[];
+}
+
+// Named, per-tenant provider credentials, persisted to a JSON file with each credential
+// set encrypted (AES-256-GCM) under a key derived from MCP_CONNECTIONS_ENCRYPTION_KEY.
+// Metadata stays readable so connections can be listed without decrypting anything.
+export class ConnectionVault {
+  private connections = new Map<string, StoredConnection>();
+  private salt: string;
+  private key: Buffer;
+  private writeChain: Promise<void> = Promise.resolve();
+
+  constructor(private filePath: string, secret: string) {
+    let file: VaultFile | null = null;
+    if (fs.existsSync(filePath)) {
+      file = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    }
+    this.salt = file?.salt || newSalt();
+    this.key = deriveKey(secret, this.salt);
+    for (const connection of file?.connections || []) {
+      this.connections.set(connection.id, connection);
+    }
+
+    // Fail at startup rather than on the first tool call if the key doesn't match the file
+    const first = this.connections.values().next().value;
+    if (first) {
+      this.decrypt(first);
+    }
+    log.info(`Connection vault loaded with ${this.connections.size} connections from ${filePath}`);
+  }
+
+  // Binding the ciphertext to tenant/id/provider stops a record's credentials being swapped into another
+  private aad(connection: ConnectionRecord): string {
+    return `${connection.tenantId}:${connection.id}:${connection.provider}`;
+  }
+
+  private encrypt(connection: ConnectionRecord, credentials: Record<string, any>): EncryptedPayload {
+    return encryptJson(this.key, credentials, this.aad(connection));
+  }
+
+  private decrypt(connection: StoredConnection): Record<string, any> {
+    try {
+      return decryptJson(this.key, connection.credentials, this.aad(connection));
+    } catch {
+      throw new Error(`Could not decrypt credentials for connection ${connection.id}. Check MCP_CONNECTIONS_ENCRYPTION_KEY.`);
+    }
+  }
+
+  private async persist(): Promise<void> {
+    const file: VaultFile = { version: 1, salt: this.salt, connections: [...this.connections.values()] };
+    await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+    const tempPath = `${this.filePath}.tmp`;
+    await fs.promises.writeFile(tempPath, JSON.stringify(file, null, 2), { encoding: 'utf8', mode: 0o600 });
+    await fs.promises.rename(tempPath, this.filePath);
+  }
+
+  // Applies `change` to the connections and writes the file, one change at a time. If the
+  // write fails the change is undone and the error thrown, so the vault never hands out
+  // credentials it has not saved; later changes still go ahead.
+  private commit<T>(change: () => T): Promise<T> {
+    const committed = this.writeChain.then(async () => {
+      const before = new Map([...this.connections].map(([id, connection]) => [id, { ...connection }]));
+      const result = change();
+      try {
+        await this.persist();
+      } catch (error: any) {
+        this.connections = before;
+        log.error(`Failed to write connection vault ${this.filePath}; the change was rolled back`, { error });
+        throw error;
+      }
+      return result;
+    });
+    this.writeChain = committed.then(() => undefined, () => undefined);
+    return committed;
+  }
+
+  private toRecord({ credentials, ...record }: StoredConnection): ConnectionRecord {
+    return { ...record };
+  }
+
+  private find(tenantId: string, id: string): StoredConnection | undefined {
+    const connection = this.connections.get(id);
+    return connection && connection.tenantId === tenantId ? connection : undefined;
+  }
+
+  // Only one default per tenant and provider
+  private clearDefault(tenantId: string, provider: string): void {
+    for (const connection of this.connections.values()) {
+      if (connection.tenantId === tenantId && connection.provider === provider) {
+        connection.isDefault = false;
+      }
+    }
+  }
+
+  list(tenantId: string, provider?: string): ConnectionRecord[] {
+    return [...this.connections.values()]
+      .filter(connection => connection.tenantId === tenantId && (!provider || connection.provider === provider))
+      .map(connection => this.toRecord(connection));
+  }
+
+  get(tenantId: string, id: string): ConnectionRecord | undefined {
+    const connection = this.find(tenantId, id);
+    return connection ? this.toRecord(connection) : undefined;
+  }
+
+  getCredentials(tenantId: string, id: string): Record<string, any> | undefined {
+    const connection = this.find(tenantId, id);
+    return connection ? this.decrypt(connection) : undefined;
+  }
+
+  create(tenantId: string, input: { provider: string; name: string; credentials: Record<string, any>; isDefault?: boolean }): Promise<ConnectionRecord> {
+    return this.commit(() => {
+      const now = new Date().toISOString();
+      const record: ConnectionRecord = {
+        id: `conn_${crypto.randomBytes(12).toString('hex')}`,
+        tenantId,
+        provider: input.provider,
+        name: input.name,
+        isDefault: !!input.isDefault,
+        createdAt: now,
+        updatedAt: now,
+      };
+      if (record.isDefault) {
+        this.clearDefault(tenantId, record.provider);
+      }
+      this.connections.set(record.id, { ...record, credentials: this.encrypt(record, input.credentials) });
+      return record;
+    });
+  }
+
+  async update(tenantId: string, id: string, changes: { name?: string; credentials?: Record<string, any>; isDefault?: boolean }): Promise<ConnectionRecord | undefined> {
+    if (!this.find(tenantId, id)) {
+      return undefined;
+    }
+    return this.commit(() => {
+      const connection = this.find(tenantId, id);
+      if (!connection) {
+        return undefined; // deleted by a change queued before this one
+      }
+      if (changes.name !== undefined) {
+        connection.name = changes.name;
+      }
+      if (changes.isDefault !== undefined) {
+        if (changes.isDefault) {
+          this.clearDefault(tenantId, connection.provider);
+        }
+        connection.isDefault = changes.isDefault;
+      }
+      if (changes.credentials !== undefined) {
+        connection.credentials = this.encrypt(connection, changes.credentials);
+      }
+      connection.updatedAt = new Date().toISOString();
+      return this.toRecord(connection);
+    });
+  }
+
+  async delete(tenantId: string, id: string): Promise<boolean> {
+    if (!this.find(tenantId, id)) {
+      return false;
+    }
+    return this.commit(() => this.connections.delete(id));
+  }
+}
+
+export function createConnectionVaultFromEnv(): ConnectionVault | null {
+  const secret = process.env.MCP_CONNECTIONS_ENCRYPTION_KEY;
+  if (!secret) {
+    return null;
+  }
+  const filePath = process.env.MCP_CONNECTIONS_FILE || path.join(process.cwd(), 'data', 'connections.json');
+  return new ConnectionVault(filePath, secret);
+}
@@ -0,0 +1,255 @@
+const z = require('zod');
+const { getRequestContext } = require('../utils/requestContext');
+const { failedAttemptError, getProviderClient, setProviderAttemptHook } = require('../utils/providerHttpClient');
+const { createLogger } = require('../utils/logger');
+
+const log = createLogger('faults.faultInjector');
+
+// Fault injection, for testing how agents cope with provider outages. Rules make provider
+// calls slow or fail the way a provider would: a timeout, HTTP 429 with Retry-After, 500,
+// 503, or a 200 whose body is not the expected JSON. A rule targets every provider ("*"),
+// one provider ("stripe") or one tool ("stripe_issueRefund"); the most specific matching
+// rule applies. Live calls get faults in the provider HTTP client, per attempt, so retries
+// and Retry-After behave as they would in an outage; mock calls get them per backend
+// function (see withMockFaults). Rules are changed at runtime through /admin/faults.
+//
+// Off unless NODE_ENV=development or MCP_FAULT_INJECTION=on, so a production server never
+// injects faults by accident.
+
+const FAULT_KINDS = ['timeout', 'rate_limited', 'server_error', 'unavailable', 'malformed'];
+
+const FaultRuleSchema = z.object({
+  latencyMs: z.union([
+    z.number().int().nonnegative(),
+    z.tuple([z.number().int().nonnegative(), z.number().int().nonnegative()]) // [min, max], picked at random
+  ]).optional(),
+  fault: z.enum(FAULT_KINDS).optional(),
+  rate: z.number().min(0).max(1).default(1), // the share of calls `fault` applies to
+  retryAfterSeconds: z.number().int().nonnegative().default(1), // rate_limited: the Retry-After header
+  backends: z.array(z.enum(['live', 'mock'])).min(1).default(['live', 'mock'])
+}).strict().refine(rule => rule.latencyMs !== undefined || rule.fault !== undefined, {
+  message: 'A fault rule needs latencyMs, fault or both.'
+}).refine(rule => !Array.isArray(rule.latencyMs) || rule.latencyMs[0] <= rule.latencyMs[1], {
+  message: 'latencyMs as [min, max] needs min <= max.', path: ['latencyMs']
+});
+
+// "*", a provider name or a tool name (provider_action)
+const TARGET_PATTERN = /^(\*|[a-z]+(_[A-Za-z]+)?)$/;
+
+const RulesSchema = z.record(z.string().regex(TARGET_PATTERN, { message: 'Expected "*", a provider or a tool name.' }), FaultRuleSchema);
+
+const STATUS_FAULTS = {
+  rate_limited: { status: 429, statusText: 'Too Many Requests' },
+  server_error: { status: 500, statusText: 'Internal Server Error' },
+  unavailable: { status: 503, statusText: 'Service Unavailable' },
+};
+
+// What a misconfigured proxy in front of the provider might send back
+const MALFORMED_BODY = '<html><head><title>Error</title></head><body>Unexpected response</body></html>';
+
+let enabled = null;
+let rules = {};
+// Functions withMockFaults returned, so wrapping one again (e.g. a second handler discovery
+// over the same cached modules) does not apply faults twice
+const wrappedMocks = new WeakSet();
+
+function formatIssues(error) {
+  return error.issues.map(issue => `${issue.path.join('.') || '(root)'}: ${issue.message.replace(/\.$/, '')}`).join('; ');
+}
+
+/**
+ * Parses `{ target: rule }`; throws naming the failing fields.
+ * @param {unknown} value
+ */
+function parseFaultRules(value) {
+  const parsed = RulesSchema.safeParse(value);
+  if (!parsed.success) {
+    throw new Error(`Invalid fault rules: ${formatIssues(parsed.error)}`);
+  }
+  return parsed.data;
+}
+
+/**
+ * Reads MCP_FAULT_INJECTION and the starting rules in MCP_FAULTS. Servers call it at startup
+ * so bad rules stop them; otherwise the first provider call does.
+ */
+function loadFaultInjectionFromEnv() {
+  const setting = (process.env.MCP_FAULT_INJECTION || '').toLowerCase();
+  if (setting && setting !== 'on' && setting !== 'off') {
+    throw new Error(`Unknown MCP_FAULT_INJECTION "${process.env.MCP_FAULT_INJECTION}". Use on or off.`);
+  }
+  enabled = setting ? setting === 'on' : process.env.NODE_ENV === 'development';
+  rules = {};
+  if (process.env.MCP_FAULTS) {
+    if (!enabled) {
+      throw new Error('MCP_FAULTS is set but fault injection is off. Set MCP_FAULT_INJECTION=on to use it.');
+    }
+    rules = parseFaultRules(JSON.parse(process.env.MCP_FAULTS));
+  }
+  if (enabled) {
+    log.warn(`Fault injection is on${Object.keys(rules).length ? ` with rules for ${Object.keys(rules).join(', ')}` : ''}`);
+  }
+  return enabled;
+}
+
+function faultInjectionEnabled() {
+  if (enabled === null) {
+    loadFaultInjectionFromEnv();
+  }
+  return enabled;
+}
+
+function requireEnabled() {
+  if (!faultInjectionEnabled()) {
+    throw new Error('Fault injection is off. Set MCP_FAULT_INJECTION=on to use it.');
+  }
+}
+
+// Every rule, by target
+function listFaultRules() {
+  return faultInjectionEnabled() ? { ...rules } : {};
+}
+
+/**
+ * Sets the rule for a target, replacing any it had. Returns the rule with defaults filled in.
+ * @param {string} target "*", a provider or a tool name
+ * @param {unknown} rule
+ */
+function setFaultRule(target, rule) {
+  requireEnabled();
+  const parsed = parseFaultRules({ [target]: rule })[target];
+  rules[target] = parsed;
+  log.warn(`Fault rule set for ${target}`, { rule: parsed });
+  return parsed;
+}
+
+/**
+ * Removes a target's rule. Returns whether it had one.
+ * @param {string} target
+ */
+function clearFaultRule(target) {
+  requireEnabled();
+  const existed = Object.prototype.hasOwnProperty.call(rules, target);
+  delete rules[target];
+  if (existed) {
+    log.info(`Fault rule cleared for ${target}`);
+  }
+  return existed;
+}
+
+// Removes every rule. Returns the targets that had one.
+function clearFaultRules() {
+  requireEnabled();
+  const targets = Object.keys(rules);
+  rules = {};
+  log.info('Fault rules cleared');
+  return targets;
+}
+
+/**
+ * What to do to one provider call: its added latency and the fault, if any. Null when no
+ * rule applies.
+ * @param {string} provider
+ * @param {'live' | 'mock'} backend
+ */
+function pickFault(provider, backend) {
+  if (!faultInjectionEnabled()) {
+    return null;
+  }
+  const toolName = getRequestContext()?.toolName;
+  const rule = (toolName && rules[toolName]) || rules[provider] || rules['*'];
+  if (!rule || !rule.backends.includes(backend)) {
+    return null;
+  }
+  const latencyMs = Array.isArray(rule.latencyMs)
+    ? rule.latencyMs[0] + Math.round(Math.random() * (rule.latencyMs[1] - rule.latencyMs[0]))
+    : rule.latencyMs ?? 0;
+  const fault = rule.fault && Math.random() < rule.rate ? rule.fault : null;
+  if (!latencyMs && !fault) {
+    return null;
+  }
+  log.warn(`Injecting ${[latencyMs ? `${latencyMs}ms latency` : null, fault].filter(Boolean).join(' and ')} into a ${backend} ${provider} call`, { toolName });
+  return { latencyMs, fault, retryAfterSeconds: rule.retryAfterSeconds };
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// The axios-style error the provider HTTP client would see for a failing fault
+function faultError(fault, retryAfterSeconds, timeoutMs) {
+  if (fault === 'timeout') {
+    return Object.assign(new Error(`timeout of ${timeoutMs}ms exceeded`), { code: 'ECONNABORTED', request: {} });
+  }
+  const { status, statusText } = STATUS_FAULTS[fault];
+  const headers = status === 429 ? { 'retry-after': String(retryAfterSeconds) } : {};
+  return Object.assign(new Error(`Request failed with status code ${status}`), {
+    request: {},
+    response: { status, statusText, headers, data: null }
+  });
+}
+
+// Waits out the latency, and the timeout for a timeout; throws the fault's error, or
+// resolves with the response for a malformed payload, or with null if the call goes ahead
+async function applyFault({ latencyMs, fault, retryAfterSeconds }, timeoutMs) {
+  if (latencyMs) {
+    await sleep(latencyMs);
+  }
+  if (fault === 'timeout') {
+    await sleep(timeoutMs);
+  }
+  if (fault === 'malformed') {
+    return { status: 200, statusText: 'OK', headers: { 'content-type': 'text/html' }, data: MALFORMED_BODY };
+  }
+  if (fault) {
+    throw faultError(fault, retryAfterSeconds, timeoutMs);
+  }
+  return null;
+}
+
+setProviderAttemptHook(async ({ provider, timeoutMs }) => {
+  const picked = pickFault(provider, 'live');
+  return picked ? applyFault(picked, timeoutMs) : null;
+});
+
+/**
+ * Wraps a mock backend function so it gets the faults a live call to the provider would:
+ * the same latency, the ProviderHttpError the live call would end with, or the malformed
+ * body in place of its result. Timeouts wait the provider's HTTP timeout. A function it
+ * already wrapped is returned as is.
+ * @template {(...args: any[]) => Promise<any>} T
+ * @param {string} provider
+ * @param {T} fn
+ * @returns {T}
+ */
+function withMockFaults(provider, fn) {
+  if (wrappedMocks.has(fn)) {
+    return fn;
+  }
+  const wrapped = /** @type {T} */ (async (...args) => {
+    const picked = pickFault(provider, 'mock');
+    if (!picked) {
+      return fn(...args);
+    }
+    let response;
+    try {
+      response = await applyFault(picked, getProviderClient(provider).timeoutMs);
+    } catch (error) {
+      throw failedAttemptError(provider, error);
+    }
+    return response ? response.data : fn(...args);
+  });
+  wrappedMocks.add(wrapped);
+  return wrapped;
+}
+
+module.exports = {
+  FAULT_KINDS,
+  loadFaultInjectionFromEnv,
+  faultInjectionEnabled,
+  listFaultRules,
+  setFaultRule,
+  clearFaultRule,
+  clearFaultRules,
+  withMockFaults,
+};
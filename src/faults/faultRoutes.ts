@@ -0,0 +1,53 @@
+import express from 'express';
+import { getCaller } from '../auth/callerContext';
+import { FAULT_KINDS, listFaultRules, setFaultRule, clearFaultRule, clearFaultRules } from './faultInjector';
+import { createLogger } from '../utils/logger';
+
+const log = createLogger('faults.faultRoutes');
+
+// Admin endpoints for fault injection rules, keyed by target: "*", a provider or a tool
+// name. Mount behind authentication, and only while fault injection is on. Rules apply to
+// every tenant's calls and take effect on the next provider call.
+export function createFaultRouter(targets: string[]): express.Router {
+  const router = express.Router();
+  const knownTargets = ['*', ...targets];
+
+  router.get('/', (req, res) => {
+    res.status(200).json({ faults: FAULT_KINDS, targets: knownTargets, rules: listFaultRules() });
+  });
+
+  router.put('/:target', (req, res) => {
+    const { target } = req.params;
+    if (!knownTargets.includes(target)) {
+      res.status(400).json({ error: `Unknown target "${target}". Expected "*", a provider or a tool name.` });
+      return;
+    }
+    let rule: unknown;
+    try {
+      rule = setFaultRule(target, req.body ?? {});
+    } catch (error: any) {
+      res.status(400).json({ error: error.message });
+      return;
+    }
+    log.info('Fault rule set', { clientName: getCaller(req).clientName, target, rule });
+    res.status(200).json({ target, rule });
+  });
+
+  router.delete('/:target', (req, res) => {
+    const { target } = req.params;
+    if (!clearFaultRule(target)) {
+      res.status(404).json({ error: `No fault rule for "${target}".` });
+      return;
+    }
+    log.info('Fault rule cleared', { clientName: getCaller(req).clientName, target });
+    res.status(200).json({ cleared: [target] });
+  });
+
+  router.delete('/', (req, res) => {
+    const cleared = clearFaultRules();
+    log.info('Fault rules cleared', { clientName: getCaller(req).clientName, cleared });
+    res.status(200).json({ cleared });
+  });
+
+  return router;
+}
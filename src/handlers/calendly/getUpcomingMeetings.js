@@ -1,4 +1,12 @@
 const z = require('zod');
+const { createLogger } = require('../../utils/logger');
+const { ErrorCodes, ToolError, errorResult } = require('../../utils/toolErrors');
+const { backendErrorResult } = require('../../utils/providerHttpClient');
+const { calendlyRequest } = require('../../utils/providerApis');
+const { getMockData } = require('../../mocks/mockStore');
+const { mockNow } = require('../../mocks/mockClock');
+
+const log = createLogger('handlers.calendly.getUpcomingMeetings');
 
 // Zod Schemas for validation
 const ArgsSchema = z.object({
@@ -10,59 +18,17 @@ const AuthSchema = z.object({
   token: z.string().min(1, { message: "Calendly API token cannot be empty." })
 });
 
-// Mock data for Calendly events (can reuse/extend from rescheduleMeeting)
-const mockCalendlyEventsDbForListing = {
-  "invitee@example.com": [
-    {
-      uri: "https://api.calendly.com/scheduled_events/event_uuid_123",
-      name: "Project Kickoff Meeting",
-      status: "active",
-      start_time: new Date(Date.now() + 3 * 24 * 60 * 60 * 1000).toISOString(), // 3 days from now
-      end_time: new Date(Date.now() + (3 * 24 * 60 * 60 * 1000) + (60 * 60 * 1000)).toISOString(),
-      event_type: "https://api.calendly.com/event_types/ETYPE123",
-      invitees_counter: { total: 1, active: 1, limit: 1 }
-    },
-    {
-      uri: "https://api.calendly.com/scheduled_events/event_uuid_future_sync",
-      name: "Future Sync-Up",
-      status: "active",
-      start_time: new Date(Date.now() + 10 * 24 * 60 * 60 * 1000).toISOString(), // 10 days from now
-      end_time: new Date(Date.now() + (10 * 24 * 60 * 60 * 1000) + (30 * 60 * 1000)).toISOString(),
-      event_type: "https://api.calendly.com/event_types/ETYPE789",
-      invitees_counter: { total: 1, active: 1, limit: 1 }
-    }
-  ],
-  "another@example.com": [
-    // This user has a past event, which shouldn't be returned by "getUpcoming"
-     {
-      uri: "https://api.calendly.com/scheduled_events/event_uuid_past_for_another",
-      name: "Old Meeting for Another",
-      status: "active",
-      start_time: new Date(Date.now() - 2 * 24 * 60 * 60 * 1000).toISOString(),
-      end_time: new Date(Date.now() - (2 * 24 * 60 * 60 * 1000) + (60 * 60 * 1000)).toISOString(),
-      event_type: "https://api.calendly.com/event_types/ETYPEPAST",
-      invitees_counter: { total: 1, active: 1, limit: 1 }
-    }
-  ],
-  "userwithno_upcoming@example.com": []
-};
-
 // Internal function to simulate a call to the Calendly API
-async function _mockCalendlyApi_getUpcomingMeetings({ email, apiKey }) {
-  console.log(`_mockCalendlyApi_getUpcomingMeetings: Simulating Calendly API call for invitee email: ${email}`);
-  console.log(`_mockCalendlyApi_getUpcomingMeetings: Using (simulated) API Key: ${apiKey ? apiKey.substring(0, 5) + '...' : 'N/A'}`);
+async function _mockCalendlyApi_getUpcomingMeetings({ email }) {
+  log.debug('Simulating Calendly API call', { email });
 
-  const allUserEvents = mockCalendlyEventsDbForListing[email];
-
-  if (!allUserEvents && email === "notfound_invitee@example.com") {
-      return "mock_api_error_invitee_not_found"; // Specific case for not found
-  }
-
-  if (!allUserEvents) {
-      return []; // User exists but no events at all, or no upcoming ones
+  const allUserEvents = Object.values(getMockData('calendly').scheduled_events)
+    .filter(event => event.invitee_email?.toLowerCase() === email.toLowerCase());
+  if (allUserEvents.length === 0) {
+    return null; // Never invited to any event
   }
 
-  const upcomingEvents = allUserEvents.filter(event => new Date(event.start_time) > new Date());
+  const upcomingEvents = allUserEvents.filter(event => event.status === "active" && new Date(event.start_time).getTime() > mockNow());
 
   // Simulate sorting by start_time ascending (common for upcoming meetings)
   upcomingEvents.sort((a, b) => new Date(a.start_time) - new Date(b.start_time));
@@ -70,40 +36,52 @@ async function _mockCalendlyApi_getUpcomingMeetings({ email, apiKey }) {
   return upcomingEvents;
 }
 
-async function handleGetUpcomingMeetings({ args, auth }) {
-  console.log('Executing MCP: calendly.getUpcomingMeetings');
+// Lists the token owner's organization's active future events with this invitee. Calendly
+// can't tell an unknown invitee from one with no meetings, so this never resolves with null.
+async function _liveCalendlyApi_getUpcomingMeetings({ email, auth }) {
+  const { resource: user } = await calendlyRequest(auth, { method: 'GET', url: '/users/me' });
+  const { collection } = await calendlyRequest(auth, {
+    method: 'GET',
+    url: '/scheduled_events',
+    params: {
+      organization: user.current_organization,
+      invitee_email: email,
+      min_start_time: new Date().toISOString(),
+      status: 'active',
+      sort: 'start_time:asc'
+    }
+  });
+  return collection;
+}
+
+// Both resolve with Calendly scheduled events sorted by start time, or null when the
+// invitee is unknown
+const backends = {
+  live: { getUpcomingMeetings: _liveCalendlyApi_getUpcomingMeetings },
+  mock: { getUpcomingMeetings: _mockCalendlyApi_getUpcomingMeetings }
+};
+
+async function handleGetUpcomingMeetings({ args, auth, backend = 'mock' }) {
+  log.debug('Executing MCP: calendly.getUpcomingMeetings', { backend });
 
   const parsedArgs = ArgsSchema.safeParse(args);
   if (!parsedArgs.success) {
-    console.warn('MCP: calendly.getUpcomingMeetings - Invalid arguments:', parsedArgs.error.flatten().fieldErrors);
-    return {
-      success: false,
-      message: "Invalid arguments.",
-      errors: parsedArgs.error.flatten().fieldErrors,
-      data: null
-    };
+    log.warn('Invalid arguments', { errors: parsedArgs.error.flatten().fieldErrors });
+    return errorResult(ErrorCodes.VALIDATION, "Invalid arguments.", { details: parsedArgs.error.flatten().fieldErrors });
   }
 
   const parsedAuth = AuthSchema.safeParse(auth);
   if (!parsedAuth.success) {
-    console.warn('MCP: calendly.getUpcomingMeetings - Invalid auth:', parsedAuth.error.flatten().fieldErrors);
-    return {
-      success: false,
-      message: "Invalid auth information (Calendly API token).",
-      errors: parsedAuth.error.flatten().fieldErrors,
-      data: null
-    };
+    log.warn('Invalid auth', { errors: parsedAuth.error.flatten().fieldErrors });
+    return errorResult(ErrorCodes.AUTH_FAILED, "Invalid auth information (Calendly API token).", { details: parsedAuth.error.flatten().fieldErrors });
   }
 
   const { email } = parsedArgs.data;
-  const { token: apiKey } = parsedAuth.data;
-
-  console.log('Received auth token (simulated use for Calendly API):', apiKey ? apiKey.substring(0,5) + '...' : 'No API key provided');
 
   try {
-    const events = await _mockCalendlyApi_getUpcomingMeetings({ email, apiKey });
+    const events = await backends[backend].getUpcomingMeetings({ email, auth: parsedAuth.data });
 
-    if (events === "mock_api_error_invitee_not_found") {
+    if (events === null) {
       return {
         success: true, // Request was valid, but invitee not found
         message: "Invitee email not found in Calendly (simulated).",
@@ -132,25 +110,20 @@ async function handleGetUpcomingMeetings({ args, auth }) {
         message: events.length > 0 ? "Upcoming meetings retrieved successfully." : "No upcoming meetings found for this email."
       };
     } else {
-      // Should not happen with current mock logic
-      return {
-        success: false,
-        message: "An unexpected error or response occurred while fetching upcoming meetings.",
-        data: null,
-      };
+      // Should not happen: both backends resolve with an array or null
+      return errorResult(ErrorCodes.INTERNAL, "An unexpected error or response occurred while fetching upcoming meetings.");
     }
   } catch (error) {
-    console.error("Error calling _mockCalendlyApi_getUpcomingMeetings:", error);
-    return {
-      success: false,
-      message: "An unexpected internal error occurred while trying to retrieve upcoming meetings.",
-      data: null,
-    };
+    if (!(error instanceof ToolError)) {
+      log.error('Error calling Calendly (getUpcomingMeetings)', { error, backend });
+    }
+    return backendErrorResult(error, 'calendly', "An unexpected internal error occurred while trying to retrieve upcoming meetings.");
   }
 }
 
 module.exports = {
   handler: handleGetUpcomingMeetings,
   ArgsSchema: ArgsSchema,
-  AuthSchema: AuthSchema
+  AuthSchema: AuthSchema,
+  backends: backends
 };
@@ -1,4 +1,13 @@
 const z = require('zod');
+const { createLogger } = require('../../utils/logger');
+const { ErrorCodes, ToolError, errorResult } = require('../../utils/toolErrors');
+const { backendErrorResult } = require('../../utils/providerHttpClient');
+const { calendlyRequest } = require('../../utils/providerApis');
+const { dryRunResult } = require('../../utils/dryRun');
+const { getMockData } = require('../../mocks/mockStore');
+const { mockNow, nowFor } = require('../../mocks/mockClock');
+
+const log = createLogger('handlers.calendly.rescheduleMeeting');
 
 // Zod Schemas for validation
 const ArgsSchema = z.object({
@@ -12,43 +21,36 @@ const AuthSchema = z.object({
   token: z.string().min(1, { message: "Calendly API token cannot be empty." })
 });
 
-// Mock data for Calendly events
-const mockCalendlyEventsDb = {
-  "event_uuid_123": {
-    uri: "https://api.calendly.com/scheduled_events/event_uuid_123",
-    name: "Project Kickoff Meeting",
-    status: "active",
-    start_time: new Date(Date.now() + 3 * 24 * 60 * 60 * 1000).toISOString(), // 3 days from now
-    end_time: new Date(Date.now() + (3 * 24 * 60 * 60 * 1000) + (60 * 60 * 1000)).toISOString(), // +1 hour
-    event_type: "https://api.calendly.com/event_types/ETYPE123",
-    invitee_email: "invitee@example.com" // For context, not directly used in reschedule by ID
-  },
-  "event_uuid_past": {
-    uri: "https://api.calendly.com/scheduled_events/event_uuid_past",
-    name: "Old Sync-Up",
-    status: "active", // Or could be 'finished' depending on how Calendly handles past events
-    start_time: new Date(Date.now() - 5 * 24 * 60 * 60 * 1000).toISOString(), // 5 days ago
-    end_time: new Date(Date.now() - (5 * 24 * 60 * 60 * 1000) + (30 * 60 * 1000)).toISOString(),
-    event_type: "https://api.calendly.com/event_types/ETYPE456",
-    invitee_email: "another@example.com"
+// The reschedule rules, enforced by both backends and checked by dry runs. `now` is the
+// backend's time in ms (see nowFor). Returns the ToolError the reschedule would fail with,
+// or null if it can go ahead.
+function _checkEventReschedulable(event, eventId, now) {
+  // Can't reschedule past events
+  if (new Date(event.start_time).getTime() < now || event.status !== "active") {
+    return new ToolError(ErrorCodes.CONFLICT, "Event is not reschedulable (e.g., it's in the past or already cancelled).", { data: { eventId } });
   }
-};
+  // Calendly's API has no reschedule call; only the invitee can, through their reschedule link
+  if (event.reschedule_url) {
+    return new ToolError(ErrorCodes.NOT_ALLOWED, "Calendly only lets the invitee reschedule, through their reschedule link.", {
+      data: { eventId, rescheduleUrl: event.reschedule_url }
+    });
+  }
+  return null;
+}
 
 // Internal function to simulate a call to the Calendly API
-async function _mockCalendlyApi_rescheduleMeeting({ eventId, newTime, apiKey }) {
-  console.log(`_mockCalendlyApi_rescheduleMeeting: Simulating Calendly API call to reschedule eventId: ${eventId} to newTime: ${newTime}`);
-  console.log(`_mockCalendlyApi_rescheduleMeeting: Using (simulated) API Key: ${apiKey ? apiKey.substring(0, 5) + '...' : 'N/A'}`);
+async function _mockCalendlyApi_rescheduleMeeting({ eventId, newTime }) {
+  log.debug('Simulating Calendly API call', { eventId, newTime });
 
-  const event = mockCalendlyEventsDb[eventId];
+  const event = getMockData('calendly').scheduled_events[eventId];
 
   if (!event) {
-    return "mock_api_error_event_not_found";
+    throw new ToolError(ErrorCodes.NOT_FOUND, "Event not found (simulated).");
   }
 
-  // Basic validation for mock: Can't reschedule past events in this simple mock
-  if (new Date(event.start_time) < new Date()) {
-    // Or more realistically, Calendly API might just return an error if the event is too old or unchangeable
-    return "mock_api_error_event_not_reschedulable";
+  const problem = _checkEventReschedulable(event, eventId, mockNow());
+  if (problem) {
+    throw problem;
   }
 
   // Simulate successful reschedule: update times and potentially generate a new URI or ID (Calendly behavior varies)
@@ -60,7 +62,7 @@ async function _mockCalendlyApi_rescheduleMeeting({ eventId, newTime, apiKey })
   event.end_time = new Date(new Date(newTime).getTime() + duration).toISOString();
   event.status = "active"; // Ensure it's active
 
-  console.log(`Mock: Event ${eventId} rescheduled from ${oldStartTime} to ${event.start_time}`);
+  log.debug('Mock event rescheduled', { eventId, from: oldStartTime, to: event.start_time });
 
   return { // Simulates a successful reschedule response
     resource: {
@@ -76,61 +78,88 @@ async function _mockCalendlyApi_rescheduleMeeting({ eventId, newTime, apiKey })
   };
 }
 
-async function handleRescheduleMeeting({ args, auth }) {
-  console.log('Executing MCP: calendly.rescheduleMeeting');
+// The scheduled event, with the invitee's reschedule link
+async function _liveCalendlyApi_getEvent({ eventId, auth }) {
+  const url = `/scheduled_events/${encodeURIComponent(eventId)}`;
+  const { resource: event } = await calendlyRequest(auth, { method: 'GET', url });
+  const { collection: invitees } = await calendlyRequest(auth, { method: 'GET', url: `${url}/invitees`, params: { status: 'active' } });
+  return { ...event, reschedule_url: invitees?.[0]?.reschedule_url ?? null };
+}
+
+async function _liveCalendlyApi_rescheduleMeeting({ eventId, auth }) {
+  const event = await _liveCalendlyApi_getEvent({ eventId, auth });
+  throw _checkEventReschedulable(event, eventId, Date.now())
+    ?? new ToolError(ErrorCodes.NOT_ALLOWED, "Calendly only lets the invitee reschedule, through their reschedule link.", { data: { eventId } });
+}
+
+// getEvent resolves with a Calendly scheduled event and throws when there is none;
+// rescheduleMeeting resolves with { resource, message }. The live reschedule always fails
+// with the invitee's reschedule link.
+const backends = {
+  live: {
+    getEvent: _liveCalendlyApi_getEvent,
+    rescheduleMeeting: _liveCalendlyApi_rescheduleMeeting
+  },
+  mock: {
+    getEvent: async ({ eventId }) => {
+      const event = getMockData('calendly').scheduled_events[eventId];
+      if (!event) {
+        throw new ToolError(ErrorCodes.NOT_FOUND, "Event not found (simulated).");
+      }
+      return event;
+    },
+    rescheduleMeeting: _mockCalendlyApi_rescheduleMeeting
+  }
+};
+
+async function handleRescheduleMeeting({ args, auth, backend = 'mock', dryRun }) {
+  log.debug('Executing MCP: calendly.rescheduleMeeting', { backend });
 
   const parsedArgs = ArgsSchema.safeParse(args);
   if (!parsedArgs.success) {
-    console.warn('MCP: calendly.rescheduleMeeting - Invalid arguments:', parsedArgs.error.flatten().fieldErrors);
-    return {
-      success: false,
-      message: "Invalid arguments.",
-      errors: parsedArgs.error.flatten().fieldErrors,
-      data: null
-    };
+    log.warn('Invalid arguments', { errors: parsedArgs.error.flatten().fieldErrors });
+    return errorResult(ErrorCodes.VALIDATION, "Invalid arguments.", { details: parsedArgs.error.flatten().fieldErrors });
   }
 
   const parsedAuth = AuthSchema.safeParse(auth);
   if (!parsedAuth.success) {
-    console.warn('MCP: calendly.rescheduleMeeting - Invalid auth:', parsedAuth.error.flatten().fieldErrors);
-    return {
-      success: false,
-      message: "Invalid auth information (Calendly API token).",
-      errors: parsedAuth.error.flatten().fieldErrors,
-      data: null
-    };
+    log.warn('Invalid auth', { errors: parsedAuth.error.flatten().fieldErrors });
+    return errorResult(ErrorCodes.AUTH_FAILED, "Invalid auth information (Calendly API token).", { details: parsedAuth.error.flatten().fieldErrors });
   }
 
   const { eventId, newTime } = parsedArgs.data;
-  const { token: apiKey } = parsedAuth.data;
-
-  console.log('Received auth token (simulated use for Calendly API):', apiKey ? apiKey.substring(0,5) + '...' : 'No API key provided');
+  const api = backends[backend];
 
   try {
     // Validate newTime is in the future (basic check)
-    if (new Date(newTime) <= new Date()) {
-        return {
-            success: false,
-            message: "New meeting time must be in the future.",
-            data: null
-        };
+    if (new Date(newTime).getTime() <= nowFor(backend)) {
+        return errorResult(ErrorCodes.VALIDATION, "New meeting time must be in the future.");
     }
 
-    const rescheduleResult = await _mockCalendlyApi_rescheduleMeeting({ eventId, newTime, apiKey });
+    if (dryRun) {
+      let event;
+      try {
+        event = await api.getEvent({ eventId, auth: parsedAuth.data });
+      } catch (error) {
+        if (!(error instanceof ToolError)) {
+          log.error('Error calling Calendly for a dry run (rescheduleMeeting)', { error, backend });
+        }
+        const failure = backendErrorResult(error, 'calendly', "An unexpected error occurred while trying to read the event.");
+        return dryRunResult({ wouldSucceed: false, reason: failure.message, code: failure.code, eventId });
+      }
+      const before = { startTime: event.start_time, endTime: event.end_time, status: event.status };
+      const problem = _checkEventReschedulable(event, eventId, nowFor(backend));
+      if (problem) {
+        return dryRunResult({ wouldSucceed: false, reason: problem.message, code: problem.code, before, eventId });
+      }
+      const duration = new Date(event.end_time).getTime() - new Date(event.start_time).getTime();
+      const after = { startTime: newTime, endTime: new Date(new Date(newTime).getTime() + duration).toISOString(), status: "active" };
+      return dryRunResult({ wouldSucceed: true, before, after, eventId });
+    }
 
-    if (rescheduleResult === "mock_api_error_event_not_found") {
-      return {
-        success: false,
-        message: "Event not found (simulated).",
-        data: null,
-      };
-    } else if (rescheduleResult === "mock_api_error_event_not_reschedulable") {
-      return {
-        success: false,
-        message: "Event is not reschedulable (e.g., it's in the past or already cancelled).",
-        data: { eventId }
-      };
-    } else if (rescheduleResult && rescheduleResult.resource && rescheduleResult.resource.uri) {
+    const rescheduleResult = await api.rescheduleMeeting({ eventId, newTime, auth: parsedAuth.data });
+
+    if (rescheduleResult && rescheduleResult.resource && rescheduleResult.resource.uri) {
       // As per design doc: "Return confirmation."
       const eventDetails = rescheduleResult.resource;
       return {
@@ -146,24 +175,19 @@ async function handleRescheduleMeeting({ args, auth }) {
         message: rescheduleResult.message || "Meeting rescheduled successfully."
       };
     } else {
-      return {
-        success: false,
-        message: "An unexpected error or response occurred during meeting reschedule.",
-        data: null,
-      };
+      return errorResult(ErrorCodes.INTERNAL, "An unexpected error or response occurred during meeting reschedule.");
     }
   } catch (error) {
-    console.error("Error calling _mockCalendlyApi_rescheduleMeeting:", error);
-    return {
-      success: false,
-      message: "An unexpected internal error occurred while trying to reschedule the meeting.",
-      data: null,
-    };
+    if (!(error instanceof ToolError)) {
+      log.error('Error calling Calendly (rescheduleMeeting)', { error, backend });
+    }
+    return backendErrorResult(error, 'calendly', "An unexpected internal error occurred while trying to reschedule the meeting.");
   }
 }
 
 module.exports = {
   handler: handleRescheduleMeeting,
   ArgsSchema: ArgsSchema,
-  AuthSchema: AuthSchema
+  AuthSchema: AuthSchema,
+  backends: backends
 };
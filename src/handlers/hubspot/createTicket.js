@@ -1,4 +1,13 @@
 const z = require('zod');
+const { createLogger } = require('../../utils/logger');
+const { ErrorCodes, ToolError, errorResult } = require('../../utils/toolErrors');
+const { backendErrorResult } = require('../../utils/providerHttpClient');
+const { hubspotRequest } = require('../../utils/providerApis');
+const { dryRunResult } = require('../../utils/dryRun');
+const { getMockData } = require('../../mocks/mockStore');
+const { mockNow } = require('../../mocks/mockClock');
+
+const log = createLogger('handlers.hubspot.createTicket');
 
 // Zod Schemas for validation
 const ArgsSchema = z.object({
@@ -11,16 +20,24 @@ const AuthSchema = z.object({
   token: z.string().min(1, { message: "API token cannot be empty." }) // For HubSpot API key
 });
 
-// Internal function to simulate a call to the HubSpot API
-async function _mockHubspotApi_createTicket({ subject, contactId, description, apiKey }) {
-  console.log(`_mockHubspotApi_createTicket: Simulating HubSpot API call to create ticket.`);
-  console.log(`_mockHubspotApi_createTicket: Subject: ${subject}, ContactID: ${contactId}, Description: ${description}`);
-  console.log(`_mockHubspotApi_createTicket: Using (simulated) API Key: ${apiKey ? apiKey.substring(0, 5) + '...' : 'N/A'}`);
-
-  // Basic validation for mock
-  if (contactId === "hub_contact_nonexistent") {
-    return "mock_api_error_contact_not_found";
+// HubSpot's built-in association type for ticket -> contact
+const TICKET_TO_CONTACT_ASSOCIATION_TYPE_ID = 16;
+
+// Simulated HubSpot read of the contact the ticket would be associated with, for dry runs
+async function _mockHubspotApi_getContact({ contactId }) {
+  const contact = getMockData('hubspot').contacts[contactId];
+  if (!contact) {
+    throw new ToolError(ErrorCodes.NOT_FOUND, "Associated contact not found (simulated). Cannot create ticket.");
   }
+  return contact;
+}
+
+// Internal function to simulate a call to the HubSpot API
+async function _mockHubspotApi_createTicket({ subject, contactId, description }) {
+  log.debug('Simulating HubSpot API call', { subject, contactId });
+
+  // The ticket must be associated with an existing contact
+  await _mockHubspotApi_getContact({ contactId });
 
   const newTicketId = `hub_ticket_mock_${Math.random().toString(36).substring(2, 9)}`;
   const newTicket = {
@@ -30,8 +47,8 @@ async function _mockHubspotApi_createTicket({ subject, contactId, description, a
       content: description,
       hs_pipeline: "0", // Default to Support Pipeline
       hs_pipeline_stage: "1", // Default to "New" or "Open" stage
-      createdate: new Date().toISOString(),
-      lastmodifieddate: new Date().toISOString(),
+      createdate: new Date(mockNow()).toISOString(),
+      lastmodifieddate: new Date(mockNow()).toISOString(),
     },
     associations: {
         "contacts": {
@@ -42,55 +59,80 @@ async function _mockHubspotApi_createTicket({ subject, contactId, description, a
     }
   };
 
-  // Optionally, store in a mock DB if needed for other operations, but not strictly for create
-  // mockTicketsDb[newTicketId] = newTicket;
+  // Stored so hubspot_getTicketStatus can find it
+  getMockData('hubspot').tickets[newTicketId] = newTicket;
 
   return newTicket; // Return the newly created ticket object
 }
 
-async function handleCreateTicket({ args, auth }) {
-  console.log('Executing MCP: hubspot.createTicket');
+// createTicket resolves with the new HubSpot ticket object; getContact throws when the
+// contact does not exist
+const backends = {
+  live: {
+    getContact: ({ contactId, auth }) => hubspotRequest(auth, {
+      method: 'GET',
+      url: `/crm/v3/objects/contacts/${encodeURIComponent(contactId)}`
+    }),
+    createTicket: ({ subject, contactId, description, auth }) => hubspotRequest(auth, {
+      method: 'POST',
+      url: '/crm/v3/objects/tickets',
+      data: {
+        properties: { subject, content: description, hs_pipeline: "0", hs_pipeline_stage: "1" },
+        associations: [{
+          to: { id: contactId },
+          types: [{ associationCategory: "HUBSPOT_DEFINED", associationTypeId: TICKET_TO_CONTACT_ASSOCIATION_TYPE_ID }]
+        }]
+      }
+    })
+  },
+  mock: {
+    getContact: _mockHubspotApi_getContact,
+    createTicket: _mockHubspotApi_createTicket
+  }
+};
+
+async function handleCreateTicket({ args, auth, backend = 'mock', dryRun }) {
+  log.debug('Executing MCP: hubspot.createTicket', { backend });
 
   // Validate args
   const parsedArgs = ArgsSchema.safeParse(args);
   if (!parsedArgs.success) {
-    console.warn('MCP: hubspot.createTicket - Invalid arguments:', parsedArgs.error.flatten().fieldErrors);
-    return {
-      success: false,
-      message: "Invalid arguments.",
-      errors: parsedArgs.error.flatten().fieldErrors,
-      data: null
-    };
+    log.warn('Invalid arguments', { errors: parsedArgs.error.flatten().fieldErrors });
+    return errorResult(ErrorCodes.VALIDATION, "Invalid arguments.", { details: parsedArgs.error.flatten().fieldErrors });
   }
 
   // Validate auth
   const parsedAuth = AuthSchema.safeParse(auth);
   if (!parsedAuth.success) {
-    console.warn('MCP: hubspot.createTicket - Invalid auth:', parsedAuth.error.flatten().fieldErrors);
-    return {
-      success: false,
-      message: "Invalid auth information.",
-      errors: parsedAuth.error.flatten().fieldErrors,
-      data: null
-    };
+    log.warn('Invalid auth', { errors: parsedAuth.error.flatten().fieldErrors });
+    return errorResult(ErrorCodes.AUTH_FAILED, "Invalid auth information.", { details: parsedAuth.error.flatten().fieldErrors });
   }
 
   // Use validated data
   const { subject, contactId, description } = parsedArgs.data;
-  const { token: apiKey } = parsedAuth.data; // HubSpot API Key
-
-  console.log('Received auth token (simulated use for HubSpot API key):', apiKey ? apiKey.substring(0,5) + '...' : 'No API key provided');
+  const api = backends[backend];
+
+  if (dryRun) {
+    try {
+      await api.getContact({ contactId, auth: parsedAuth.data });
+    } catch (error) {
+      if (!(error instanceof ToolError)) {
+        log.error('Error calling HubSpot for a dry run (createTicket)', { error, backend });
+      }
+      const failure = backendErrorResult(error, 'hubspot', "An unexpected error occurred while trying to read the associated contact.");
+      return dryRunResult({ wouldSucceed: false, reason: failure.message, code: failure.code, contactId });
+    }
+    return dryRunResult({
+      wouldSucceed: true,
+      before: null,
+      after: { subject, content: description, contactId, status: "New", pipeline: "Support Pipeline" }
+    });
+  }
 
   try {
-    const ticketCreationResult = await _mockHubspotApi_createTicket({ subject, contactId, description, apiKey });
+    const ticketCreationResult = await api.createTicket({ subject, contactId, description, auth: parsedAuth.data });
 
-    if (ticketCreationResult === "mock_api_error_contact_not_found") {
-      return {
-        success: false,
-        message: "Associated contact not found (simulated). Cannot create ticket.",
-        data: null,
-      };
-    } else if (ticketCreationResult && ticketCreationResult.id) {
+    if (ticketCreationResult && ticketCreationResult.id) {
       // As per design doc: "Return ticket ID and status."
       const stageMap = { "0": "Support Pipeline" }; // Example mapping
       const statusMap = { "1": "New" }; // Example mapping
@@ -108,24 +150,19 @@ async function handleCreateTicket({ args, auth }) {
         message: "Ticket created successfully."
       };
     } else {
-      return {
-        success: false,
-        message: "An unexpected error or response occurred during ticket creation.",
-        data: null,
-      };
+      return errorResult(ErrorCodes.INTERNAL, "An unexpected error or response occurred during ticket creation.");
     }
   } catch (error) {
-    console.error("Error calling _mockHubspotApi_createTicket:", error);
-    return {
-      success: false,
-      message: "An unexpected error occurred while trying to create the ticket.",
-      data: null,
-    };
+    if (!(error instanceof ToolError)) {
+      log.error('Error calling HubSpot (createTicket)', { error, backend });
+    }
+    return backendErrorResult(error, 'hubspot', "An unexpected error occurred while trying to create the ticket.");
   }
 }
 
 module.exports = {
   handler: handleCreateTicket,
   ArgsSchema: ArgsSchema,
-  AuthSchema: AuthSchema
+  AuthSchema: AuthSchema,
+  backends: backends
 };
@@ -1,4 +1,11 @@
 const z = require('zod');
+const { createLogger } = require('../../utils/logger');
+const { ErrorCodes, ToolError, errorResult } = require('../../utils/toolErrors');
+const { ProviderHttpError, backendErrorResult } = require('../../utils/providerHttpClient');
+const { hubspotRequest } = require('../../utils/providerApis');
+const { getMockData } = require('../../mocks/mockStore');
+
+const log = createLogger('handlers.hubspot.getContactByEmail');
 
 // Zod Schemas for validation
 const ArgsSchema = z.object({
@@ -9,75 +16,62 @@ const AuthSchema = z.object({
   token: z.string().min(1, { message: "API token cannot be empty." }) // For HubSpot API key
 });
 
+const CONTACT_PROPERTIES = ['email', 'firstname', 'lastname', 'company', 'lifecyclestage'];
+
 // Internal function to simulate a call to the HubSpot API
-async function _mockHubspotApi_getContactByEmail({ email, apiKey }) {
-  console.log(`_mockHubspotApi_getContactByEmail: Simulating HubSpot API call for email: ${email}`);
-  console.log(`_mockHubspotApi_getContactByEmail: Using (simulated) API Key: ${apiKey ? apiKey.substring(0, 5) + '...' : 'N/A'}`);
+async function _mockHubspotApi_getContactByEmail({ email }) {
+  log.debug('Simulating HubSpot API call', { email });
+
+  const contacts = Object.values(getMockData('hubspot').contacts);
+  return contacts.find(contact => contact.properties.email?.toLowerCase() === email.toLowerCase()) ?? null;
+}
 
-  if (email === "contact@example.com") {
-    return { // Simulates a found contact object from HubSpot
-      id: "hub_contact_12345",
-      properties: {
-        email: "contact@example.com",
-        firstname: "Test",
-        lastname: "Contact",
-        company: "Example Corp",
-        lifecyclestage: "customer"
-        // other HubSpot specific fields...
-      },
-      createdAt: new Date().toISOString(),
-      updatedAt: new Date().toISOString(),
-    };
-  } else if (email === "notfound@example.com") {
-    return null; // Simulates HubSpot API returning null or an empty list when contact not found
-  } else {
-    return "mock_api_error_unsupported_email";
+// Reads the contact from the HubSpot CRM API, looked up by its email property
+async function _liveHubspotApi_getContactByEmail({ email, auth }) {
+  try {
+    return await hubspotRequest(auth, {
+      method: 'GET',
+      url: `/crm/v3/objects/contacts/${encodeURIComponent(email)}`,
+      params: { idProperty: 'email', properties: CONTACT_PROPERTIES.join(',') }
+    });
+  } catch (error) {
+    if (error instanceof ProviderHttpError && error.status === 404) {
+      return null;
+    }
+    throw error;
   }
 }
 
-async function handleGetContactByEmail({ args, auth }) {
-  console.log('Executing MCP: hubspot.getContactByEmail');
+// Both resolve with a HubSpot contact object, or null when no contact has the email
+const backends = {
+  live: { getContactByEmail: _liveHubspotApi_getContactByEmail },
+  mock: { getContactByEmail: _mockHubspotApi_getContactByEmail }
+};
+
+async function handleGetContactByEmail({ args, auth, backend = 'mock' }) {
+  log.debug('Executing MCP: hubspot.getContactByEmail', { backend });
 
   // Validate args
   const parsedArgs = ArgsSchema.safeParse(args);
   if (!parsedArgs.success) {
-    console.warn('MCP: hubspot.getContactByEmail - Invalid arguments:', parsedArgs.error.flatten().fieldErrors);
-    return {
-      success: false,
-      message: "Invalid arguments.",
-      errors: parsedArgs.error.flatten().fieldErrors,
-      data: null
-    };
+    log.warn('Invalid arguments', { errors: parsedArgs.error.flatten().fieldErrors });
+    return errorResult(ErrorCodes.VALIDATION, "Invalid arguments.", { details: parsedArgs.error.flatten().fieldErrors });
   }
 
   // Validate auth
   const parsedAuth = AuthSchema.safeParse(auth);
   if (!parsedAuth.success) {
-    console.warn('MCP: hubspot.getContactByEmail - Invalid auth:', parsedAuth.error.flatten().fieldErrors);
-    return {
-      success: false,
-      message: "Invalid auth information.",
-      errors: parsedAuth.error.flatten().fieldErrors,
-      data: null
-    };
+    log.warn('Invalid auth', { errors: parsedAuth.error.flatten().fieldErrors });
+    return errorResult(ErrorCodes.AUTH_FAILED, "Invalid auth information.", { details: parsedAuth.error.flatten().fieldErrors });
   }
 
   // Use validated data
   const { email } = parsedArgs.data;
-  const { token: apiKey } = parsedAuth.data; // HubSpot API Key
-
-  console.log('Received auth token (simulated use for HubSpot API key):', apiKey ? apiKey.substring(0,5) + '...' : 'No API key provided');
 
   try {
-    const contactData = await _mockHubspotApi_getContactByEmail({ email, apiKey });
+    const contactData = await backends[backend].getContactByEmail({ email, auth: parsedAuth.data });
 
-    if (contactData === "mock_api_error_unsupported_email") {
-      return {
-        success: false,
-        message: "Unable to process this email with the current mock HubSpot API setup.",
-        data: null,
-      };
-    } else if (contactData) {
+    if (contactData) {
       // Extracting key fields as per design doc
       const responseData = {
         id: contactData.id,
@@ -99,17 +93,17 @@ async function handleGetContactByEmail({ args, auth }) {
       };
     }
   } catch (error) {
-    console.error("Error calling _mockHubspotApi_getContactByEmail:", error);
-    return {
-      success: false,
-      message: "An unexpected error occurred while trying to retrieve contact data.",
-      data: null,
-    };
+    if (!(error instanceof ToolError)) {
+      log.error('Error calling HubSpot (getContactByEmail)', { error, backend });
+    }
+    return backendErrorResult(error, 'hubspot', "An unexpected error occurred while trying to retrieve contact data.");
   }
 }
 
 module.exports = {
   handler: handleGetContactByEmail,
   ArgsSchema: ArgsSchema,
-  AuthSchema: AuthSchema
+  AuthSchema: AuthSchema,
+  backends: backends,
+  cacheGroup: 'contacts' // Cleared by hubspot_updateContact
 };
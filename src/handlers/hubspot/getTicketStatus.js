@@ -1,4 +1,11 @@
 const z = require('zod');
+const { createLogger } = require('../../utils/logger');
+const { ErrorCodes, ToolError, errorResult } = require('../../utils/toolErrors');
+const { backendErrorResult } = require('../../utils/providerHttpClient');
+const { hubspotRequest } = require('../../utils/providerApis');
+const { getMockData } = require('../../mocks/mockStore');
+
+const log = createLogger('handlers.hubspot.getTicketStatus');
 
 // Zod Schemas for validation
 const ArgsSchema = z.object({
@@ -9,92 +16,59 @@ const AuthSchema = z.object({
   token: z.string().min(1, { message: "API token cannot be empty." }) // For HubSpot API key
 });
 
-// Mock data store for tickets
-const mockTicketsDb = {
-  "hub_ticket_78901": {
-    id: "hub_ticket_78901",
-    properties: {
-      subject: "Issue with login",
-      hs_pipeline: "0", // Support Pipeline
-      hs_pipeline_stage: "2", // Waiting on customer
-      content: "User reported they cannot log in to their account.",
-      createdate: new Date(Date.now() - 2 * 24 * 60 * 60 * 1000).toISOString(), // 2 days ago
-      lastmodifieddate: new Date(Date.now() - 1 * 24 * 60 * 60 * 1000).toISOString(), // 1 day ago
-      // hs_ticket_priority: "HIGH" // Example other property
-    },
-    associations: {
-        "contacts": {
-            "results": [
-                { "id": "hub_contact_12345", "type": "ticket_to_contact" }
-            ]
-        }
-    }
-  }
-};
-
 // Internal function to simulate a call to the HubSpot API
-async function _mockHubspotApi_getTicketStatus({ ticketId, apiKey }) {
-  console.log(`_mockHubspotApi_getTicketStatus: Simulating HubSpot API call for ticketId: ${ticketId}`);
-  console.log(`_mockHubspotApi_getTicketStatus: Using (simulated) API Key: ${apiKey ? apiKey.substring(0, 5) + '...' : 'N/A'}`);
+async function _mockHubspotApi_getTicketStatus({ ticketId }) {
+  log.debug('Simulating HubSpot API call', { ticketId });
 
-  if (mockTicketsDb[ticketId]) {
-    return mockTicketsDb[ticketId]; // Return the full ticket object
-  } else if (ticketId === "hub_ticket_nonexistent") {
-    return "mock_api_error_ticket_not_found";
-  } else {
-    return "mock_api_error_fetch_failed";
+  const ticket = getMockData('hubspot').tickets[ticketId];
+  if (!ticket) {
+    throw new ToolError(ErrorCodes.NOT_FOUND, "Ticket not found (simulated).");
   }
+  return ticket; // Return the full ticket object
 }
 
-async function handleGetTicketStatus({ args, auth }) {
-  console.log('Executing MCP: hubspot.getTicketStatus');
+// Both resolve with a HubSpot ticket object
+const backends = {
+  live: {
+    getTicket: ({ ticketId, auth }) => hubspotRequest(auth, {
+      method: 'GET',
+      url: `/crm/v3/objects/tickets/${encodeURIComponent(ticketId)}`,
+      params: { properties: 'subject,content,hs_pipeline,hs_pipeline_stage,createdate,hs_lastmodifieddate' }
+    }).then(ticket => ({
+      ...ticket,
+      // The CRM v3 API names the modification time hs_lastmodifieddate
+      properties: { ...ticket.properties, lastmodifieddate: ticket.properties.hs_lastmodifieddate }
+    }))
+  },
+  mock: {
+    getTicket: _mockHubspotApi_getTicketStatus
+  }
+};
+
+async function handleGetTicketStatus({ args, auth, backend = 'mock' }) {
+  log.debug('Executing MCP: hubspot.getTicketStatus', { backend });
 
   // Validate args
   const parsedArgs = ArgsSchema.safeParse(args);
   if (!parsedArgs.success) {
-    console.warn('MCP: hubspot.getTicketStatus - Invalid arguments:', parsedArgs.error.flatten().fieldErrors);
-    return {
-      success: false,
-      message: "Invalid arguments.",
-      errors: parsedArgs.error.flatten().fieldErrors,
-      data: null
-    };
+    log.warn('Invalid arguments', { errors: parsedArgs.error.flatten().fieldErrors });
+    return errorResult(ErrorCodes.VALIDATION, "Invalid arguments.", { details: parsedArgs.error.flatten().fieldErrors });
   }
 
   // Validate auth
   const parsedAuth = AuthSchema.safeParse(auth);
   if (!parsedAuth.success) {
-    console.warn('MCP: hubspot.getTicketStatus - Invalid auth:', parsedAuth.error.flatten().fieldErrors);
-    return {
-      success: false,
-      message: "Invalid auth information.",
-      errors: parsedAuth.error.flatten().fieldErrors,
-      data: null
-    };
+    log.warn('Invalid auth', { errors: parsedAuth.error.flatten().fieldErrors });
+    return errorResult(ErrorCodes.AUTH_FAILED, "Invalid auth information.", { details: parsedAuth.error.flatten().fieldErrors });
   }
 
   // Use validated data
   const { ticketId } = parsedArgs.data;
-  const { token: apiKey } = parsedAuth.data; // HubSpot API Key
-
-  console.log('Received auth token (simulated use for HubSpot API key):', apiKey ? apiKey.substring(0,5) + '...' : 'No API key provided');
 
   try {
-    const ticketData = await _mockHubspotApi_getTicketStatus({ ticketId, apiKey });
+    const ticketData = await backends[backend].getTicket({ ticketId, auth: parsedAuth.data });
 
-    if (ticketData === "mock_api_error_ticket_not_found") {
-      return {
-        success: false,
-        message: "Ticket not found (simulated).",
-        data: null,
-      };
-    } else if (ticketData === "mock_api_error_fetch_failed") {
-      return {
-        success: false,
-        message: "Failed to fetch ticket status (simulated).",
-        data: null,
-      };
-    } else if (ticketData && ticketData.id) {
+    if (ticketData && ticketData.id) {
       // As per design doc: "Return status, pipeline, and recent updates."
       // Mapping mock HubSpot stage IDs to human-readable names (example)
       const stageMap = { "0": "Support Pipeline", "1": "Sales Pipeline" };
@@ -114,24 +88,19 @@ async function handleGetTicketStatus({ args, auth }) {
         message: "Ticket status retrieved successfully."
       };
     } else {
-      return {
-        success: false,
-        message: "An unexpected error or response occurred while fetching ticket status.",
-        data: null,
-      };
+      return errorResult(ErrorCodes.INTERNAL, "An unexpected error or response occurred while fetching ticket status.");
     }
   } catch (error) {
-    console.error("Error calling _mockHubspotApi_getTicketStatus:", error);
-    return {
-      success: false,
-      message: "An unexpected error occurred while trying to retrieve ticket status.",
-      data: null,
-    };
+    if (!(error instanceof ToolError)) {
+      log.error('Error calling HubSpot (getTicketStatus)', { error, backend });
+    }
+    return backendErrorResult(error, 'hubspot', "An unexpected error occurred while trying to retrieve ticket status.");
   }
 }
 
 module.exports = {
   handler: handleGetTicketStatus,
   ArgsSchema: ArgsSchema,
-  AuthSchema: AuthSchema
+  AuthSchema: AuthSchema,
+  backends: backends
 };
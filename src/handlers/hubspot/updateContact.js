@@ -1,4 +1,13 @@
 const z = require('zod');
+const { createLogger } = require('../../utils/logger');
+const { ErrorCodes, ToolError, errorResult } = require('../../utils/toolErrors');
+const { backendErrorResult } = require('../../utils/providerHttpClient');
+const { hubspotRequest } = require('../../utils/providerApis');
+const { dryRunResult } = require('../../utils/dryRun');
+const { getMockData } = require('../../mocks/mockStore');
+const { mockNow } = require('../../mocks/mockClock');
+
+const log = createLogger('handlers.hubspot.updateContact');
 
 // Zod Schemas for validation
 const ArgsSchema = z.object({
@@ -10,96 +19,96 @@ const AuthSchema = z.object({
   token: z.string().min(1, { message: "API token cannot be empty." }) // For HubSpot API key
 });
 
-// Mock data store for contacts (to simulate updates)
-const mockContactsDb = {
-  "hub_contact_12345": {
-    id: "hub_contact_12345",
-    properties: {
-      email: "contact@example.com",
-      firstname: "Test",
-      lastname: "Contact",
-      company: "Example Corp",
-      lifecyclestage: "customer"
-    },
-    createdAt: new Date(Date.now() - 100000).toISOString(),
-    updatedAt: new Date(Date.now() - 100000).toISOString(),
+// Simulated HubSpot read of a contact, for dry runs
+async function _mockHubspotApi_getContact({ contactId }) {
+  const contact = getMockData('hubspot').contacts[contactId];
+  if (!contact) {
+    throw new ToolError(ErrorCodes.NOT_FOUND, "Contact not found (simulated).");
   }
-};
+  return contact;
+}
 
 // Internal function to simulate a call to the HubSpot API
-async function _mockHubspotApi_updateContact({ contactId, updates, apiKey }) {
-  console.log(`_mockHubspotApi_updateContact: Simulating HubSpot API call to update contactId: ${contactId}`);
-  console.log(`_mockHubspotApi_updateContact: Updates: ${JSON.stringify(updates)}`);
-  console.log(`_mockHubspotApi_updateContact: Using (simulated) API Key: ${apiKey ? apiKey.substring(0, 5) + '...' : 'N/A'}`);
+async function _mockHubspotApi_updateContact({ contactId, updates }) {
+  log.debug('Simulating HubSpot API call', { contactId, properties: Object.keys(updates) });
 
-  if (mockContactsDb[contactId]) {
-    // Simulate updating the contact
-    mockContactsDb[contactId].properties = {
-      ...mockContactsDb[contactId].properties,
-      ...updates
-    };
-    mockContactsDb[contactId].updatedAt = new Date().toISOString();
-    return { // Simulates a successful update response from HubSpot
-      id: contactId,
-      properties: mockContactsDb[contactId].properties,
-      updatedAt: mockContactsDb[contactId].updatedAt
-    };
-  } else if (contactId === "hub_contact_nonexistent") {
-    return "mock_api_error_contact_not_found";
-  } else {
-    return "mock_api_error_update_failed";
-  }
+  const contact = await _mockHubspotApi_getContact({ contactId });
+  // Simulate updating the contact
+  contact.properties = { ...contact.properties, ...updates };
+  contact.updatedAt = new Date(mockNow()).toISOString();
+  return { // Simulates a successful update response from HubSpot
+    id: contactId,
+    properties: contact.properties,
+    updatedAt: contact.updatedAt
+  };
 }
 
-async function handleUpdateContact({ args, auth }) {
-  console.log('Executing MCP: hubspot.updateContact');
+// Both resolve with a HubSpot contact object ({ id, properties, updatedAt }). getContact
+// only needs to return the named properties.
+const backends = {
+  live: {
+    getContact: ({ contactId, properties, auth }) => hubspotRequest(auth, {
+      method: 'GET',
+      url: `/crm/v3/objects/contacts/${encodeURIComponent(contactId)}`,
+      params: { properties: properties.join(',') }
+    }),
+    updateContact: ({ contactId, updates, auth }) => hubspotRequest(auth, {
+      method: 'PATCH',
+      url: `/crm/v3/objects/contacts/${encodeURIComponent(contactId)}`,
+      data: { properties: updates }
+    })
+  },
+  mock: {
+    getContact: _mockHubspotApi_getContact,
+    updateContact: _mockHubspotApi_updateContact
+  }
+};
+
+async function handleUpdateContact({ args, auth, backend = 'mock', dryRun }) {
+  log.debug('Executing MCP: hubspot.updateContact', { backend });
 
   // Validate args
   const parsedArgs = ArgsSchema.safeParse(args);
   if (!parsedArgs.success) {
-    console.warn('MCP: hubspot.updateContact - Invalid arguments:', parsedArgs.error.flatten().fieldErrors);
-    return {
-      success: false,
-      message: "Invalid arguments.",
-      errors: parsedArgs.error.flatten().fieldErrors,
-      data: null
-    };
+    log.warn('Invalid arguments', { errors: parsedArgs.error.flatten().fieldErrors });
+    return errorResult(ErrorCodes.VALIDATION, "Invalid arguments.", { details: parsedArgs.error.flatten().fieldErrors });
   }
 
   // Validate auth
   const parsedAuth = AuthSchema.safeParse(auth);
   if (!parsedAuth.success) {
-    console.warn('MCP: hubspot.updateContact - Invalid auth:', parsedAuth.error.flatten().fieldErrors);
-    return {
-      success: false,
-      message: "Invalid auth information.",
-      errors: parsedAuth.error.flatten().fieldErrors,
-      data: null
-    };
+    log.warn('Invalid auth', { errors: parsedAuth.error.flatten().fieldErrors });
+    return errorResult(ErrorCodes.AUTH_FAILED, "Invalid auth information.", { details: parsedAuth.error.flatten().fieldErrors });
   }
 
   // Use validated data
   const { contactId, updates } = parsedArgs.data;
-  const { token: apiKey } = parsedAuth.data; // HubSpot API Key
+  const api = backends[backend];
 
-  console.log('Received auth token (simulated use for HubSpot API key):', apiKey ? apiKey.substring(0,5) + '...' : 'No API key provided');
+  if (dryRun) {
+    let contact;
+    try {
+      contact = await api.getContact({ contactId, properties: Object.keys(updates), auth: parsedAuth.data });
+    } catch (error) {
+      if (!(error instanceof ToolError)) {
+        log.error('Error calling HubSpot for a dry run (updateContact)', { error, backend });
+      }
+      const failure = backendErrorResult(error, 'hubspot', "An unexpected error occurred while trying to read the contact.");
+      return dryRunResult({ wouldSucceed: false, reason: failure.message, code: failure.code, contactId });
+    }
+    // Only the properties being updated, as they are now and as they would be
+    const before = {};
+    for (const key of Object.keys(updates)) {
+      before[key] = contact.properties[key] ?? null;
+    }
+    const changedProperties = Object.keys(updates).filter(key => before[key] !== updates[key]);
+    return dryRunResult({ wouldSucceed: true, before, after: { ...updates }, changedProperties, contactId });
+  }
 
   try {
-    const updateResult = await _mockHubspotApi_updateContact({ contactId, updates, apiKey });
+    const updateResult = await api.updateContact({ contactId, updates, auth: parsedAuth.data });
 
-    if (updateResult === "mock_api_error_contact_not_found") {
-      return {
-        success: false,
-        message: "Contact not found (simulated).",
-        data: null,
-      };
-    } else if (updateResult === "mock_api_error_update_failed") {
-      return {
-        success: false,
-        message: "Failed to update contact (simulated).",
-        data: null,
-      };
-    } else if (updateResult && updateResult.id) {
+    if (updateResult && updateResult.id) {
       // As per design doc: "Return confirmation with new values."
       return {
         success: true,
@@ -111,24 +120,20 @@ async function handleUpdateContact({ args, auth }) {
         message: "Contact updated successfully."
       };
     } else {
-      return {
-        success: false,
-        message: "An unexpected error or response occurred during contact update.",
-        data: null,
-      };
+      return errorResult(ErrorCodes.INTERNAL, "An unexpected error or response occurred during contact update.");
     }
   } catch (error) {
-    console.error("Error calling _mockHubspotApi_updateContact:", error);
-    return {
-      success: false,
-      message: "An unexpected error occurred while trying to update contact data.",
-      data: null,
-    };
+    if (!(error instanceof ToolError)) {
+      log.error('Error calling HubSpot (updateContact)', { error, backend });
+    }
+    return backendErrorResult(error, 'hubspot', "An unexpected error occurred while trying to update contact data.");
   }
 }
 
 module.exports = {
   handler: handleUpdateContact,
   ArgsSchema: ArgsSchema,
-  AuthSchema: AuthSchema
+  AuthSchema: AuthSchema,
+  backends: backends,
+  invalidates: ['contacts']
 };
@@ -1,4 +1,11 @@
 const z = require('zod');
+const { createLogger } = require('../../utils/logger');
+const { ErrorCodes, ToolError, errorResult } = require('../../utils/toolErrors');
+const { backendErrorResult } = require('../../utils/providerHttpClient');
+const { klaviyoProfileEvents } = require('../../utils/providerApis');
+const { getMockData } = require('../../mocks/mockStore');
+
+const log = createLogger('handlers.klaviyo.getCartStatus');
 
 // Zod Schemas for validation
 const ArgsSchema = z.object({
@@ -6,85 +13,87 @@ const ArgsSchema = z.object({
 });
 
 const AuthSchema = z.object({
-  token: z.string().min(1, { message: "Klaviyo API token cannot be empty." })
+  token: z.string().min(1, { message: "Klaviyo API token cannot be empty." }) // Private API key
 });
 
-// Mock data for Klaviyo cart status
-const mockKlaviyoCartDb = {
-  "user@example.com": { // User with an active cart
-    profileId: "klaviyo_prof_123",
-    cart: {
-      cart_id: "klaviyo_cart_abc123",
-      items: [
-        { product_id: "PROD001", sku: "TSHIRT-AWESOME-M", product_name: "Awesome T-Shirt", quantity: 1, unit_price: "25.00", line_total: "25.00" },
-        { product_id: "PROD002", sku: "CAP-COOL-OS", product_name: "Cool Cap", quantity: 2, unit_price: "15.00", line_total: "30.00" }
-      ],
-      currency: "USD",
-      total_amount: "55.00",
-      cart_url: "https://example.com/cart/klaviyo_cart_abc123",
-      last_updated_at: new Date(Date.now() - 1 * 60 * 60 * 1000).toISOString() // 1 hour ago
-    }
-  },
-  "another@example.com": { // User with an empty cart / no active cart
-    profileId: "klaviyo_prof_456",
-    cart: null
-  }
-};
-
 // Internal function to simulate a call to the Klaviyo API
-async function _mockKlaviyoApi_getCartStatus({ email, apiKey }) {
-  console.log(`_mockKlaviyoApi_getCartStatus: Simulating Klaviyo API call for email: ${email}`);
-  console.log(`_mockKlaviyoApi_getCartStatus: Using (simulated) API Key: ${apiKey ? apiKey.substring(0, 5) + '...' : 'N/A'}`);
+async function _mockKlaviyoApi_getCartStatus({ email }) {
+  log.debug('Simulating Klaviyo API call', { email });
 
-  const profileData = mockKlaviyoCartDb[email];
+  const { profiles, carts } = getMockData('klaviyo');
+  const profile = Object.values(profiles).find(candidate => candidate.email?.toLowerCase() === email.toLowerCase());
+  if (!profile) {
+    return { profileFound: false, cart: null };
+  }
+  // The most recently updated cart, if the profile has one
+  const [cart] = Object.values(carts)
+    .filter(candidate => candidate.profile_id === profile.id)
+    .sort((a, b) => new Date(b.last_updated_at) - new Date(a.last_updated_at));
+  return { profileFound: true, cart: cart ?? null };
+}
 
-  if (profileData) {
-    return profileData.cart; // This could be null if cart is empty/inactive
-  } else if (email === "notfound@example.com") {
-    return "mock_api_error_profile_not_found";
-  } else {
-    // For other emails, simulate profile found but no active cart (same as profileData.cart being null)
-    return null;
+// Klaviyo has no cart object. The live cart is the latest "Started Checkout" event, unless
+// an order was placed after it.
+async function _liveKlaviyoApi_getCartStatus({ email, auth }) {
+  const events = await klaviyoProfileEvents(auth, email, ["Started Checkout", "Placed Order"]);
+  if (events === null) {
+    return { profileFound: false, cart: null };
   }
+  const latest = events[0];
+  if (!latest || latest.metric !== "Started Checkout") {
+    return { profileFound: true, cart: null };
+  }
+  const checkout = latest.properties;
+  return {
+    profileFound: true,
+    cart: {
+      cart_id: checkout.$event_id,
+      items: (checkout.Items || []).map(item => ({
+        product_id: item.ProductID,
+        sku: item.SKU,
+        product_name: item.ProductName,
+        quantity: item.Quantity,
+        unit_price: item.ItemPrice,
+        line_total: item.RowTotal
+      })),
+      currency: checkout.$currency_code || checkout.Currency || null,
+      total_amount: checkout.$value,
+      cart_url: checkout.CheckoutURL || null,
+      last_updated_at: latest.datetime
+    }
+  };
 }
 
-async function handleGetCartStatus({ args, auth }) {
-  console.log('Executing MCP: klaviyo.getCartStatus');
+// Both resolve with { profileFound, cart }, where cart is null when there is no active cart
+const backends = {
+  live: { getCartStatus: _liveKlaviyoApi_getCartStatus },
+  mock: { getCartStatus: _mockKlaviyoApi_getCartStatus }
+};
+
+async function handleGetCartStatus({ args, auth, backend = 'mock' }) {
+  log.debug('Executing MCP: klaviyo.getCartStatus', { backend });
 
   const parsedArgs = ArgsSchema.safeParse(args);
   if (!parsedArgs.success) {
-    console.warn('MCP: klaviyo.getCartStatus - Invalid arguments:', parsedArgs.error.flatten().fieldErrors);
-    return {
-      success: false,
-      message: "Invalid arguments.",
-      errors: parsedArgs.error.flatten().fieldErrors,
-      data: null
-    };
+    log.warn('Invalid arguments', { errors: parsedArgs.error.flatten().fieldErrors });
+    return errorResult(ErrorCodes.VALIDATION, "Invalid arguments.", { details: parsedArgs.error.flatten().fieldErrors });
   }
 
   const parsedAuth = AuthSchema.safeParse(auth);
   if (!parsedAuth.success) {
-    console.warn('MCP: klaviyo.getCartStatus - Invalid auth:', parsedAuth.error.flatten().fieldErrors);
-    return {
-      success: false,
-      message: "Invalid auth information (Klaviyo API token).",
-      errors: parsedAuth.error.flatten().fieldErrors,
-      data: null
-    };
+    log.warn('Invalid auth', { errors: parsedAuth.error.flatten().fieldErrors });
+    return errorResult(ErrorCodes.AUTH_FAILED, "Invalid auth information (Klaviyo API token).", { details: parsedAuth.error.flatten().fieldErrors });
   }
 
   const { email } = parsedArgs.data;
-  const { token: apiKey } = parsedAuth.data;
-
-  console.log('Received auth token (simulated use for Klaviyo API key):', apiKey ? apiKey.substring(0,5) + '...' : 'No API key provided');
 
   try {
-    const cartData = await _mockKlaviyoApi_getCartStatus({ email, apiKey });
+    const { profileFound, cart: cartData } = await backends[backend].getCartStatus({ email, auth: parsedAuth.data });
 
-    if (cartData === "mock_api_error_profile_not_found") {
+    if (!profileFound) {
       return {
         success: true,
-        message: "Klaviyo profile not found (simulated).",
+        message: backend === 'mock' ? "Klaviyo profile not found (simulated)." : "Klaviyo profile not found.",
         data: { // Design doc: "Return cart contents, last updated timestamp." - null if no profile/cart
             email: email,
             cart: null
@@ -126,17 +135,16 @@ async function handleGetCartStatus({ args, auth }) {
       };
     }
   } catch (error) {
-    console.error("Error calling _mockKlaviyoApi_getCartStatus:", error);
-    return {
-      success: false,
-      message: "An unexpected internal error occurred while trying to retrieve cart status.",
-      data: null,
-    };
+    if (!(error instanceof ToolError)) {
+      log.error('Error calling Klaviyo (getCartStatus)', { error, backend });
+    }
+    return backendErrorResult(error, 'klaviyo', "An unexpected internal error occurred while trying to retrieve cart status.");
   }
 }
 
 module.exports = {
   handler: handleGetCartStatus,
   ArgsSchema: ArgsSchema,
-  AuthSchema: AuthSchema
+  AuthSchema: AuthSchema,
+  backends: backends
 };
@@ -1,4 +1,11 @@
 const z = require('zod');
+const { createLogger } = require('../../utils/logger');
+const { ErrorCodes, ToolError, errorResult } = require('../../utils/toolErrors');
+const { backendErrorResult } = require('../../utils/providerHttpClient');
+const { klaviyoProfileEvents } = require('../../utils/providerApis');
+const { getMockData } = require('../../mocks/mockStore');
+
+const log = createLogger('handlers.klaviyo.getEmailHistory');
 
 // Zod Schemas for validation
 const ArgsSchema = z.object({
@@ -6,99 +13,78 @@ const ArgsSchema = z.object({
 });
 
 const AuthSchema = z.object({
-  token: z.string().min(1, { message: "Klaviyo API token cannot be empty." })
-  // Klaviyo might use public/private keys; for simplicity, assuming a single token here.
-  // Actual implementation would depend on Klaviyo's specific auth scheme.
+  token: z.string().min(1, { message: "Klaviyo API token cannot be empty." }) // Private API key
 });
 
-// Mock data for Klaviyo email history
-const mockKlaviyoEmailHistoryDb = {
-  "user@example.com": {
-    profileId: "klaviyo_prof_123",
-    emailHistory: [
-      {
-        campaign_name: "Welcome Series - Email 1",
-        subject: "Welcome to KnowReply!",
-        sent_at: new Date(Date.now() - 5 * 24 * 60 * 60 * 1000).toISOString(), // 5 days ago
-        status: "Sent"
-      },
-      {
-        campaign_name: "Weekly Digest",
-        subject: "Your Weekly News",
-        sent_at: new Date(Date.now() - 2 * 24 * 60 * 60 * 1000).toISOString(), // 2 days ago
-        status: "Opened"
-      },
-      {
-        campaign_name: "Special Offer",
-        subject: "A Special Deal Just For You",
-        sent_at: new Date(Date.now() - 1 * 24 * 60 * 60 * 1000).toISOString(), // 1 day ago
-        status: "Clicked"
-      }
-    ]
-  },
-  "another@example.com": {
-    profileId: "klaviyo_prof_456",
-    emailHistory: [
-      { campaign_name: "Onboarding Tips", subject: "Getting Started with Our Service", sent_at: new Date().toISOString(), status: "Sent" }
-    ]
+// Internal function to simulate a call to the Klaviyo API
+async function _mockKlaviyoApi_getEmailHistory({ email }) {
+  log.debug('Simulating Klaviyo API call', { email });
+
+  const { profiles, emails } = getMockData('klaviyo');
+  const profile = Object.values(profiles).find(candidate => candidate.email?.toLowerCase() === email.toLowerCase());
+  if (!profile) {
+    return null; // No profile with this email
   }
-};
+  return Object.values(emails)
+    .filter(message => message.profile_id === profile.id)
+    .sort((a, b) => new Date(a.sent_at) - new Date(b.sent_at));
+}
 
-// Internal function to simulate a call to the Klaviyo API
-async function _mockKlaviyoApi_getEmailHistory({ email, apiKey }) {
-  console.log(`_mockKlaviyoApi_getEmailHistory: Simulating Klaviyo API call for email: ${email}`);
-  console.log(`_mockKlaviyoApi_getEmailHistory: Using (simulated) API Key: ${apiKey ? apiKey.substring(0, 5) + '...' : 'N/A'}`);
-
-  const profileData = mockKlaviyoEmailHistoryDb[email];
-
-  if (profileData) {
-    // Simulate returning email history for the profile
-    return profileData.emailHistory;
-  } else if (email === "notfound@example.com") {
-    return "mock_api_error_profile_not_found";
-  } else {
-    // For other emails, simulate profile found but no email history
-    return [];
+// Klaviyo records each email interaction as an event; the latest one per message gives its status
+const EMAIL_METRIC_STATUSES = { "Received Email": "Sent", "Opened Email": "Opened", "Clicked Email": "Clicked" };
+
+async function _liveKlaviyoApi_getEmailHistory({ email, auth }) {
+  const events = await klaviyoProfileEvents(auth, email, Object.keys(EMAIL_METRIC_STATUSES));
+  if (events === null) {
+    return null;
   }
+  const history = new Map();
+  for (const event of events) { // newest first
+    const messageKey = event.properties.$message || event.properties.Subject;
+    if (!history.has(messageKey)) {
+      history.set(messageKey, {
+        campaign_name: event.properties["Campaign Name"],
+        subject: event.properties.Subject,
+        sent_at: event.datetime,
+        status: EMAIL_METRIC_STATUSES[event.metric]
+      });
+    } else if (event.metric === "Received Email") {
+      history.get(messageKey).sent_at = event.datetime;
+    }
+  }
+  return [...history.values()];
 }
 
-async function handleGetEmailHistory({ args, auth }) {
-  console.log('Executing MCP: klaviyo.getEmailHistory');
+// Both resolve with the profile's email history, or null when there is no such profile
+const backends = {
+  live: { getEmailHistory: _liveKlaviyoApi_getEmailHistory },
+  mock: { getEmailHistory: _mockKlaviyoApi_getEmailHistory }
+};
+
+async function handleGetEmailHistory({ args, auth, backend = 'mock' }) {
+  log.debug('Executing MCP: klaviyo.getEmailHistory', { backend });
 
   const parsedArgs = ArgsSchema.safeParse(args);
   if (!parsedArgs.success) {
-    console.warn('MCP: klaviyo.getEmailHistory - Invalid arguments:', parsedArgs.error.flatten().fieldErrors);
-    return {
-      success: false,
-      message: "Invalid arguments.",
-      errors: parsedArgs.error.flatten().fieldErrors,
-      data: null
-    };
+    log.warn('Invalid arguments', { errors: parsedArgs.error.flatten().fieldErrors });
+    return errorResult(ErrorCodes.VALIDATION, "Invalid arguments.", { details: parsedArgs.error.flatten().fieldErrors });
   }
 
   const parsedAuth = AuthSchema.safeParse(auth);
   if (!parsedAuth.success) {
-    console.warn('MCP: klaviyo.getEmailHistory - Invalid auth:', parsedAuth.error.flatten().fieldErrors);
-    return {
-      success: false,
-      message: "Invalid auth information (Klaviyo API token).",
-      errors: parsedAuth.error.flatten().fieldErrors,
-      data: null
-    };
+    log.warn('Invalid auth', { errors: parsedAuth.error.flatten().fieldErrors });
+    return errorResult(ErrorCodes.AUTH_FAILED, "Invalid auth information (Klaviyo API token).", { details: parsedAuth.error.flatten().fieldErrors });
   }
 
   const { email } = parsedArgs.data;
-  const { token: apiKey } = parsedAuth.data;
-
-  console.log('Received auth token (simulated use for Klaviyo API key):', apiKey ? apiKey.substring(0,5) + '...' : 'No API key provided');
 
   try {
-    const history = await _mockKlaviyoApi_getEmailHistory({ email, apiKey });
+    const history = await backends[backend].getEmailHistory({ email, auth: parsedAuth.data });
 
-    if (history === "mock_api_error_profile_not_found") {
+    if (history === null) {
       return {
         success: true,
-        message: "Klaviyo profile not found (simulated).",
+        message: backend === 'mock' ? "Klaviyo profile not found (simulated)." : "Klaviyo profile not found.",
         data: { // Design doc: "[ { "subject": "Welcome", "sentAt": "..." }, ... ]" - empty if no profile
             email: email,
             history: []
@@ -122,24 +108,19 @@ async function handleGetEmailHistory({ args, auth }) {
         message: history.length > 0 ? "Email history retrieved successfully." : "Profile found, but no email history."
       };
     } else {
-      return {
-        success: false,
-        message: "An unexpected error or response occurred while fetching email history.",
-        data: null,
-      };
+      return errorResult(ErrorCodes.INTERNAL, "An unexpected error or response occurred while fetching email history.");
     }
   } catch (error) {
-    console.error("Error calling _mockKlaviyoApi_getEmailHistory:", error);
-    return {
-      success: false,
-      message: "An unexpected internal error occurred while trying to retrieve email history.",
-      data: null,
-    };
+    if (!(error instanceof ToolError)) {
+      log.error('Error calling Klaviyo (getEmailHistory)', { error, backend });
+    }
+    return backendErrorResult(error, 'klaviyo', "An unexpected internal error occurred while trying to retrieve email history.");
   }
 }
 
 module.exports = {
   handler: handleGetEmailHistory,
   ArgsSchema: ArgsSchema,
-  AuthSchema: AuthSchema
+  AuthSchema: AuthSchema,
+  backends: backends
 };
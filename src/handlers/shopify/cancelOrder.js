@@ -1,4 +1,13 @@
 const z = require('zod');
+const { createLogger } = require('../../utils/logger');
+const { ErrorCodes, ToolError, errorResult } = require('../../utils/toolErrors');
+const { backendErrorResult } = require('../../utils/providerHttpClient');
+const { shopifyRequest } = require('../../utils/providerApis');
+const { getMockData } = require('../../mocks/mockStore');
+const { mockNow } = require('../../mocks/mockClock');
+const { dryRunResult } = require('../../utils/dryRun');
+
+const log = createLogger('handlers.shopify.cancelOrder');
 
 // Zod Schemas for validation
 const ArgsSchema = z.object({
@@ -8,123 +17,136 @@ const ArgsSchema = z.object({
 });
 
 const AuthSchema = z.object({
-  token: z.string().min(1, { message: "Shopify Admin API token cannot be empty." })
+  token: z.string().min(1, { message: "Shopify Admin API token cannot be empty." }),
+  // Live backend only: the store's domain, e.g. my-store.myshopify.com
+  shop_domain: z.string().regex(/^[a-z0-9][a-z0-9-]*\.myshopify\.com$/i, { message: "Shop domain must look like my-store.myshopify.com." }).optional()
 });
 
-// Mock data store for orders (to simulate state changes)
-const mockShopifyOrders = {
-  "shopify_order_12345": { // Assumed to be fulfilled or shipped, thus not cancellable
-    id: "shopify_order_12345",
-    cancellable: false,
-    status: "fulfilled",
-    cancelled_at: null
-  },
-  "shopify_order_unfulfilled": { // Assumed to be unfulfilled, thus cancellable
-    id: "shopify_order_unfulfilled",
-    cancellable: true,
-    status: "unfulfilled", // Or 'pending'
-    cancelled_at: null
-  },
-  "shopify_order_already_cancelled": {
-    id: "shopify_order_already_cancelled",
-    cancellable: false,
-    status: "cancelled",
-    cancelled_at: new Date(Date.now() - 1 * 24 * 60 * 60 * 1000).toISOString() // 1 day ago
+// The cancellation rules, enforced by the mock and checked by dry runs on either backend.
+// Returns the ToolError the cancellation would fail with, or null if the order can be cancelled.
+function _checkOrderCancellable(order) {
+  if (!order) {
+    return new ToolError(ErrorCodes.NOT_FOUND, "Order not found (simulated).");
   }
-};
-
-// Internal function to simulate a call to the Shopify API
-async function _mockShopifyApi_cancelOrder({ orderId, apiKey }) {
-  console.log(`_mockShopifyApi_cancelOrder: Simulating Shopify API call to cancel orderId: ${orderId}`);
-  console.log(`_mockShopifyApi_cancelOrder: Using (simulated) API Key: ${apiKey ? apiKey.substring(0, 5) + '...' : 'N/A'}`);
+  if (order.status === "cancelled") {
+    return new ToolError(ErrorCodes.CONFLICT, "Order was already cancelled.", {
+      data: { orderId: order.id, status: order.status, cancelledAt: order.cancelled_at }
+    });
+  }
+  if (!order.cancellable) {
+    return new ToolError(ErrorCodes.NOT_ALLOWED, "Order is not cancellable (e.g., already shipped or fulfilled).", {
+      data: { orderId: order.id, status: order.status } // provide current status
+    });
+  }
+  return null;
+}
 
-  const order = mockShopifyOrders[orderId];
+// Reduces a Shopify order to the fields the cancellation rules look at. Shopify only
+// cancels orders that have not been fulfilled.
+function _toCancellableOrder(order) {
+  const cancelled = Boolean(order.cancelled_at);
+  return {
+    id: order.id,
+    cancellable: !cancelled && !order.fulfillment_status,
+    status: cancelled ? "cancelled" : (order.fulfillment_status || "unfulfilled"),
+    cancelled_at: order.cancelled_at
+  };
+}
 
+async function _mockShopifyApi_getOrder({ orderId }) {
+  const order = getMockData('shopify').orders[orderId];
   if (!order) {
-    return "mock_api_error_order_not_found";
+    throw new ToolError(ErrorCodes.NOT_FOUND, "Order not found (simulated).");
   }
+  return order;
+}
 
-  if (order.status === "cancelled") {
-    return "mock_api_error_already_cancelled";
-  }
+// Internal function to simulate a call to the Shopify API
+async function _mockShopifyApi_cancelOrder({ orderId }) {
+  log.debug('Simulating Shopify API call', { orderId });
 
-  if (!order.cancellable) {
-    return "mock_api_error_not_cancellable";
+  const order = await _mockShopifyApi_getOrder({ orderId });
+  const problem = _checkOrderCancellable(_toCancellableOrder(order));
+  if (problem) {
+    throw problem;
   }
 
   // Simulate successful cancellation
-  order.cancellable = false;
-  order.status = "cancelled";
-  order.cancelled_at = new Date().toISOString();
+  order.cancelled_at = new Date(mockNow()).toISOString();
 
   return { // Simulates a successful cancellation response (often the updated order object or a specific cancellation object)
     id: order.id,
-    status: order.status,
+    status: "cancelled",
     cancelled_at: order.cancelled_at,
     // May include refund details if applicable
   };
 }
 
-async function handleCancelOrder({ args, auth }) {
-  console.log('Executing MCP: shopify.cancelOrder');
+async function _liveShopifyApi_cancelOrder({ orderId, auth }) {
+  const { order } = await shopifyRequest(auth, { method: 'POST', url: `/orders/${encodeURIComponent(orderId)}/cancel.json`, data: {} });
+  return { id: order.id, status: "cancelled", cancelled_at: order.cancelled_at };
+}
+
+// getOrder resolves with { id, status, cancellable, cancelled_at } and throws when there is no
+// such order; cancelOrder resolves with { id, status, cancelled_at }
+const backends = {
+  live: {
+    getOrder: ({ orderId, auth }) => shopifyRequest(auth, { method: 'GET', url: `/orders/${encodeURIComponent(orderId)}.json` }).then(body => _toCancellableOrder(body.order)),
+    cancelOrder: _liveShopifyApi_cancelOrder
+  },
+  mock: {
+    getOrder: ({ orderId }) => _mockShopifyApi_getOrder({ orderId }).then(_toCancellableOrder),
+    cancelOrder: _mockShopifyApi_cancelOrder
+  }
+};
+
+async function handleCancelOrder({ args, auth, backend = 'mock', dryRun }) {
+  log.debug('Executing MCP: shopify.cancelOrder', { backend });
 
   const parsedArgs = ArgsSchema.safeParse(args);
   if (!parsedArgs.success) {
-    console.warn('MCP: shopify.cancelOrder - Invalid arguments:', parsedArgs.error.flatten().fieldErrors);
-    return {
-      success: false,
-      message: "Invalid arguments.",
-      errors: parsedArgs.error.flatten().fieldErrors,
-      data: null
-    };
+    log.warn('Invalid arguments', { errors: parsedArgs.error.flatten().fieldErrors });
+    return errorResult(ErrorCodes.VALIDATION, "Invalid arguments.", { details: parsedArgs.error.flatten().fieldErrors });
   }
 
   const parsedAuth = AuthSchema.safeParse(auth);
   if (!parsedAuth.success) {
-    console.warn('MCP: shopify.cancelOrder - Invalid auth:', parsedAuth.error.flatten().fieldErrors);
-    return {
-      success: false,
-      message: "Invalid auth information (Shopify Admin API token).",
-      errors: parsedAuth.error.flatten().fieldErrors,
-      data: null
-    };
+    log.warn('Invalid auth', { errors: parsedAuth.error.flatten().fieldErrors });
+    return errorResult(ErrorCodes.AUTH_FAILED, "Invalid auth information (Shopify Admin API token).", { details: parsedAuth.error.flatten().fieldErrors });
   }
 
   const { orderId } = parsedArgs.data;
-  const { token: apiKey } = parsedAuth.data;
-
-  console.log('Received auth token (simulated use for Shopify Admin API key):', apiKey ? apiKey.substring(0,5) + '...' : 'No API key provided');
+  const api = backends[backend];
+
+  if (dryRun) {
+    let order;
+    try {
+      order = await api.getOrder({ orderId, auth: parsedAuth.data });
+    } catch (error) {
+      if (!(error instanceof ToolError)) {
+        log.error('Error calling Shopify for a dry run (cancelOrder)', { error, backend });
+      }
+      const failure = backendErrorResult(error, 'shopify', "An unexpected error occurred while trying to read the order.");
+      return dryRunResult({ wouldSucceed: false, reason: failure.message, code: failure.code, orderId, cancellable: false });
+    }
+    const problem = _checkOrderCancellable(order);
+    const before = { status: order.status, cancellable: order.cancellable, cancelledAt: order.cancelled_at };
+    if (problem) {
+      return dryRunResult({ wouldSucceed: false, reason: problem.message, code: problem.code, before, orderId, cancellable: false });
+    }
+    return dryRunResult({
+      wouldSucceed: true,
+      before,
+      after: { status: "cancelled", cancellable: false, cancelledAt: "(time of cancellation)" },
+      orderId,
+      cancellable: true
+    });
+  }
 
   try {
-    const cancellationResult = await _mockShopifyApi_cancelOrder({ orderId, apiKey });
+    const cancellationResult = await api.cancelOrder({ orderId, auth: parsedAuth.data });
 
-    if (cancellationResult === "mock_api_error_order_not_found") {
-      return {
-        success: false,
-        message: "Order not found (simulated).",
-        data: null,
-      };
-    } else if (cancellationResult === "mock_api_error_already_cancelled") {
-      const order = mockShopifyOrders[orderId];
-      return {
-        success: false, // Or true, with a specific message? Design doc: "Return status with timestamp."
-        message: "Order was already cancelled.",
-        data: {
-          orderId: order.id,
-          status: order.status,
-          cancelledAt: order.cancelled_at
-        }
-      };
-    } else if (cancellationResult === "mock_api_error_not_cancellable") {
-      return {
-        success: false,
-        message: "Order is not cancellable (e.g., already shipped or fulfilled).",
-        data: {
-            orderId: orderId,
-            status: mockShopifyOrders[orderId]?.status // provide current status
-        }
-      };
-    } else if (cancellationResult && cancellationResult.status === "cancelled") {
+    if (cancellationResult && cancellationResult.status === "cancelled") {
       // As per design doc: "Return status with timestamp."
       return {
         success: true,
@@ -135,25 +157,20 @@ async function handleCancelOrder({ args, auth }) {
         },
         message: "Order cancelled successfully."
       };
-    } else {
-      return {
-        success: false,
-        message: "An unexpected error or response occurred during order cancellation.",
-        data: null,
-      };
     }
+    return errorResult(ErrorCodes.INTERNAL, "An unexpected error or response occurred during order cancellation.");
   } catch (error) {
-    console.error("Error calling _mockShopifyApi_cancelOrder:", error);
-    return {
-      success: false,
-      message: "An unexpected internal error occurred while trying to cancel the order.",
-      data: null,
-    };
+    if (!(error instanceof ToolError)) {
+      log.error('Error calling Shopify (cancelOrder)', { error, backend });
+    }
+    return backendErrorResult(error, 'shopify', "An unexpected internal error occurred while trying to cancel the order.");
   }
 }
 
 module.exports = {
   handler: handleCancelOrder,
   ArgsSchema: ArgsSchema,
-  AuthSchema: AuthSchema
+  AuthSchema: AuthSchema,
+  invalidates: ['orders'],
+  backends: backends
 };
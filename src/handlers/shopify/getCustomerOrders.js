@@ -1,4 +1,11 @@
 const z = require('zod');
+const { createLogger } = require('../../utils/logger');
+const { ErrorCodes, ToolError, errorResult } = require('../../utils/toolErrors');
+const { backendErrorResult } = require('../../utils/providerHttpClient');
+const { shopifyRequest } = require('../../utils/providerApis');
+const { getMockData } = require('../../mocks/mockStore');
+
+const log = createLogger('handlers.shopify.getCustomerOrders');
 
 // Zod Schemas for validation
 const ArgsSchema = z.object({
@@ -6,84 +13,70 @@ const ArgsSchema = z.object({
 });
 
 const AuthSchema = z.object({
-  token: z.string().min(1, { message: "Shopify Admin API token cannot be empty." })
+  token: z.string().min(1, { message: "Shopify Admin API token cannot be empty." }),
+  // Live backend only: the store's domain, e.g. my-store.myshopify.com
+  shop_domain: z.string().regex(/^[a-z0-9][a-z0-9-]*\.myshopify\.com$/i, { message: "Shop domain must look like my-store.myshopify.com." }).optional()
 });
 
-// Mock data for customer orders
-const mockCustomerOrdersDb = {
-  "customer@example.com": {
-    customerId: "shopify_cust_123",
-    orders: [
-      { id: "shopify_order_1001", name: "#1001", financial_status: "paid", fulfillment_status: "fulfilled", total_price: "30.00", created_at: new Date(Date.now() - 10 * 24 * 60 * 60 * 1000).toISOString() },
-      { id: "shopify_order_1002", name: "#1002", financial_status: "paid", fulfillment_status: "unfulfilled", total_price: "45.00", created_at: new Date(Date.now() - 5 * 24 * 60 * 60 * 1000).toISOString() },
-      { id: "shopify_order_1003", name: "#1003", financial_status: "refunded", fulfillment_status: "fulfilled", total_price: "20.00", created_at: new Date(Date.now() - 2 * 24 * 60 * 60 * 1000).toISOString() },
-      // Add more to test the "last 5" logic if desired, though mock will just return these 3 for this email
-    ]
-  },
-  "another@example.com": {
-    customerId: "shopify_cust_456",
-    orders: [
-      { id: "shopify_order_2001", name: "#2001", financial_status: "paid", fulfillment_status: "fulfilled", total_price: "100.00", created_at: new Date(Date.now() - 1 * 24 * 60 * 60 * 1000).toISOString() },
-    ]
-  }
-};
-
 // Internal function to simulate a call to the Shopify API
-async function _mockShopifyApi_getCustomerOrders({ email, apiKey }) {
-  console.log(`_mockShopifyApi_getCustomerOrders: Simulating Shopify API call for customer email: ${email}`);
-  console.log(`_mockShopifyApi_getCustomerOrders: Using (simulated) API Key: ${apiKey ? apiKey.substring(0, 5) + '...' : 'N/A'}`);
+async function _mockShopifyApi_getCustomerOrders({ email }) {
+  log.debug('Simulating Shopify API call', { email });
 
-  const customerData = mockCustomerOrdersDb[email];
+  const { customers, orders } = getMockData('shopify');
+  const customer = Object.values(customers).find(candidate => candidate.email?.toLowerCase() === email.toLowerCase());
+  if (!customer) {
+    return null; // No customer with this email
+  }
+  // The customer's 5 most recent orders, like the live backend
+  return Object.values(orders)
+    .filter(order => order.customer_id === customer.id)
+    .sort((a, b) => new Date(b.created_at) - new Date(a.created_at))
+    .slice(0, 5);
+}
 
-  if (customerData) {
-    // Simulate returning last 5 orders (already handled by mock data structure for simplicity)
-    // In a real API, you'd fetch customer by email, then fetch their orders with a limit.
-    return customerData.orders;
-  } else if (email === "notfound@example.com") {
-    return "mock_api_error_customer_not_found";
-  } else {
-    // For other emails, simulate customer found but no orders
-    return [];
+async function _liveShopifyApi_getCustomerOrders({ email, auth }) {
+  const { customers } = await shopifyRequest(auth, { method: 'GET', url: '/customers/search.json', params: { query: `email:${email}`, limit: 1 } });
+  if (!customers || customers.length === 0) {
+    return null;
   }
+  const { orders } = await shopifyRequest(auth, {
+    method: 'GET',
+    url: '/orders.json',
+    params: { customer_id: customers[0].id, status: 'any', limit: 5 }
+  });
+  return orders;
 }
 
-async function handleGetCustomerOrders({ args, auth }) {
-  console.log('Executing MCP: shopify.getCustomerOrders');
+// Both resolve with the customer's most recent orders, or null when there is no such customer
+const backends = {
+  live: { getCustomerOrders: _liveShopifyApi_getCustomerOrders },
+  mock: { getCustomerOrders: _mockShopifyApi_getCustomerOrders }
+};
+
+async function handleGetCustomerOrders({ args, auth, backend = 'mock' }) {
+  log.debug('Executing MCP: shopify.getCustomerOrders', { backend });
 
   const parsedArgs = ArgsSchema.safeParse(args);
   if (!parsedArgs.success) {
-    console.warn('MCP: shopify.getCustomerOrders - Invalid arguments:', parsedArgs.error.flatten().fieldErrors);
-    return {
-      success: false,
-      message: "Invalid arguments.",
-      errors: parsedArgs.error.flatten().fieldErrors,
-      data: null
-    };
+    log.warn('Invalid arguments', { errors: parsedArgs.error.flatten().fieldErrors });
+    return errorResult(ErrorCodes.VALIDATION, "Invalid arguments.", { details: parsedArgs.error.flatten().fieldErrors });
   }
 
   const parsedAuth = AuthSchema.safeParse(auth);
   if (!parsedAuth.success) {
-    console.warn('MCP: shopify.getCustomerOrders - Invalid auth:', parsedAuth.error.flatten().fieldErrors);
-    return {
-      success: false,
-      message: "Invalid auth information (Shopify Admin API token).",
-      errors: parsedAuth.error.flatten().fieldErrors,
-      data: null
-    };
+    log.warn('Invalid auth', { errors: parsedAuth.error.flatten().fieldErrors });
+    return errorResult(ErrorCodes.AUTH_FAILED, "Invalid auth information (Shopify Admin API token).", { details: parsedAuth.error.flatten().fieldErrors });
   }
 
   const { email } = parsedArgs.data;
-  const { token: apiKey } = parsedAuth.data;
-
-  console.log('Received auth token (simulated use for Shopify Admin API key):', apiKey ? apiKey.substring(0,5) + '...' : 'No API key provided');
 
   try {
-    const orders = await _mockShopifyApi_getCustomerOrders({ email, apiKey });
+    const orders = await backends[backend].getCustomerOrders({ email, auth: parsedAuth.data });
 
-    if (orders === "mock_api_error_customer_not_found") {
+    if (orders === null) {
       return {
         success: true, // Customer lookup was successful, but no customer found
-        message: "Customer not found (simulated).",
+        message: backend === 'mock' ? "Customer not found (simulated)." : "Customer not found.",
         data: { // Consistent with design: "Return simplified array of order summaries." - empty if no customer
             email: email,
             orders: []
@@ -94,7 +87,7 @@ async function handleGetCustomerOrders({ args, auth }) {
       const simplifiedOrders = orders.map(order => ({
         orderId: order.id,
         orderNumber: order.name,
-        status: order.fulfillment_status || "pending_fulfillment",
+        status: order.cancelled_at ? "cancelled" : (order.fulfillment_status || "pending_fulfillment"),
         financialStatus: order.financial_status,
         totalPrice: order.total_price,
         createdAt: order.created_at
@@ -109,25 +102,21 @@ async function handleGetCustomerOrders({ args, auth }) {
         message: orders.length > 0 ? "Customer orders retrieved successfully." : "Customer found, but has no orders."
       };
     } else {
-      // Should not happen with current mock
-      return {
-        success: false,
-        message: "An unexpected error or response occurred while fetching customer orders.",
-        data: null,
-      };
+      // Should not happen: both backends resolve with an array or null
+      return errorResult(ErrorCodes.INTERNAL, "An unexpected error or response occurred while fetching customer orders.");
     }
   } catch (error) {
-    console.error("Error calling _mockShopifyApi_getCustomerOrders:", error);
-    return {
-      success: false,
-      message: "An unexpected internal error occurred while trying to retrieve customer orders.",
-      data: null,
-    };
+    if (!(error instanceof ToolError)) {
+      log.error('Error calling Shopify (getCustomerOrders)', { error, backend });
+    }
+    return backendErrorResult(error, 'shopify', "An unexpected internal error occurred while trying to retrieve customer orders.");
   }
 }
 
 module.exports = {
   handler: handleGetCustomerOrders,
   ArgsSchema: ArgsSchema,
-  AuthSchema: AuthSchema
+  AuthSchema: AuthSchema,
+  cacheGroup: 'orders', // Cleared by shopify_cancelOrder
+  backends: backends
 };
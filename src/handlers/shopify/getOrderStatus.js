@@ -1,4 +1,11 @@
 const z = require('zod');
+const { createLogger } = require('../../utils/logger');
+const { ErrorCodes, ToolError, errorResult } = require('../../utils/toolErrors');
+const { backendErrorResult } = require('../../utils/providerHttpClient');
+const { shopifyRequest } = require('../../utils/providerApis');
+const { getMockData } = require('../../mocks/mockStore');
+
+const log = createLogger('handlers.shopify.getOrderStatus');
 
 // Zod Schemas for validation
 const ArgsSchema = z.object({
@@ -6,106 +13,59 @@ const ArgsSchema = z.object({
 });
 
 const AuthSchema = z.object({
-  token: z.string().min(1, { message: "Shopify Admin API token cannot be empty." })
+  token: z.string().min(1, { message: "Shopify Admin API token cannot be empty." }),
+  // Live backend only: the store's domain, e.g. my-store.myshopify.com
+  shop_domain: z.string().regex(/^[a-z0-9][a-z0-9-]*\.myshopify\.com$/i, { message: "Shop domain must look like my-store.myshopify.com." }).optional()
 });
 
 // Internal function to simulate a call to the Shopify API
-async function _mockShopifyApi_getOrderStatus({ orderId, apiKey }) {
-  console.log(`_mockShopifyApi_getOrderStatus: Simulating Shopify API call for orderId: ${orderId}`);
-  console.log(`_mockShopifyApi_getOrderStatus: Using (simulated) API Key: ${apiKey ? apiKey.substring(0, 5) + '...' : 'N/A'}`);
+async function _mockShopifyApi_getOrderStatus({ orderId }) {
+  log.debug('Simulating Shopify API call', { orderId });
 
-  if (orderId === "shopify_order_12345") {
-    return { // Simulates a found order object from Shopify
-      id: orderId,
-      name: "#1001", // Order name/number
-      financial_status: "paid",
-      fulfillment_status: "fulfilled", // or 'unfulfilled', 'partially_fulfilled', null
-      created_at: new Date(Date.now() - 3 * 24 * 60 * 60 * 1000).toISOString(), // 3 days ago
-      line_items: [
-        {
-          id: "li_mock_abc",
-          title: "Awesome T-Shirt",
-          quantity: 1,
-          price: "25.00",
-          sku: "TSHIRT-AWESOME-M"
-        },
-        {
-          id: "li_mock_def",
-          title: "Cool Cap",
-          quantity: 1,
-          price: "15.00",
-          sku: "CAP-COOL-OS"
-        }
-      ],
-      shipping_lines: [
-        {
-          title: "Standard Shipping",
-          price: "5.00",
-          // Shopify often includes estimated delivery times here or in fulfillment data
-        }
-      ],
-      // A very rough mock for estimated delivery
-      estimated_delivery_at: new Date(Date.now() + 2 * 24 * 60 * 60 * 1000).toISOString(), // 2 days from now
-    };
-  } else if (orderId === "shopify_order_unfulfilled") {
-     return {
-      id: orderId,
-      name: "#1002",
-      financial_status: "paid",
-      fulfillment_status: null,
-      created_at: new Date(Date.now() - 1 * 24 * 60 * 60 * 1000).toISOString(), // 1 day ago
-      line_items: [{ id: "li_mock_xyz", title: "Magic Mug", quantity: 1, price: "12.50", sku: "MUG-MAGIC" }],
-      estimated_delivery_at: null,
-    };
-  } else {
-    return "mock_api_error_order_not_found";
+  const order = getMockData('shopify').orders[orderId];
+  if (!order) {
+    throw new ToolError(ErrorCodes.NOT_FOUND, "Order not found (simulated).");
   }
+  return order;
+}
+
+async function _liveShopifyApi_getOrderStatus({ orderId, auth }) {
+  const { order } = await shopifyRequest(auth, { method: 'GET', url: `/orders/${encodeURIComponent(orderId)}.json` });
+  // Shopify keeps delivery estimates on fulfillments, not on the order
+  return { ...order, estimated_delivery_at: order.estimated_delivery_at ?? null };
 }
 
-async function handleGetOrderStatus({ args, auth }) {
-  console.log('Executing MCP: shopify.getOrderStatus');
+// Both resolve with a Shopify order object and throw when there is none
+const backends = {
+  live: { getOrderStatus: _liveShopifyApi_getOrderStatus },
+  mock: { getOrderStatus: _mockShopifyApi_getOrderStatus }
+};
+
+async function handleGetOrderStatus({ args, auth, backend = 'mock' }) {
+  log.debug('Executing MCP: shopify.getOrderStatus', { backend });
 
   const parsedArgs = ArgsSchema.safeParse(args);
   if (!parsedArgs.success) {
-    console.warn('MCP: shopify.getOrderStatus - Invalid arguments:', parsedArgs.error.flatten().fieldErrors);
-    return {
-      success: false,
-      message: "Invalid arguments.",
-      errors: parsedArgs.error.flatten().fieldErrors,
-      data: null
-    };
+    log.warn('Invalid arguments', { errors: parsedArgs.error.flatten().fieldErrors });
+    return errorResult(ErrorCodes.VALIDATION, "Invalid arguments.", { details: parsedArgs.error.flatten().fieldErrors });
   }
 
   const parsedAuth = AuthSchema.safeParse(auth);
   if (!parsedAuth.success) {
-    console.warn('MCP: shopify.getOrderStatus - Invalid auth:', parsedAuth.error.flatten().fieldErrors);
-    return {
-      success: false,
-      message: "Invalid auth information (Shopify Admin API token).",
-      errors: parsedAuth.error.flatten().fieldErrors,
-      data: null
-    };
+    log.warn('Invalid auth', { errors: parsedAuth.error.flatten().fieldErrors });
+    return errorResult(ErrorCodes.AUTH_FAILED, "Invalid auth information (Shopify Admin API token).", { details: parsedAuth.error.flatten().fieldErrors });
   }
 
   const { orderId } = parsedArgs.data;
-  const { token: apiKey } = parsedAuth.data;
-
-  console.log('Received auth token (simulated use for Shopify Admin API key):', apiKey ? apiKey.substring(0,5) + '...' : 'No API key provided');
 
   try {
-    const orderData = await _mockShopifyApi_getOrderStatus({ orderId, apiKey });
+    const orderData = await backends[backend].getOrderStatus({ orderId, auth: parsedAuth.data });
 
-    if (orderData === "mock_api_error_order_not_found") {
-      return {
-        success: false, // As per design doc, success is true if data is null for "not found"
-        message: "Order not found (simulated).",
-        data: null,
-      };
-    } else if (orderData && orderData.id) {
+    if (orderData && orderData.id) {
       // Extracting key fields as per design doc example: { "status": "fulfilled", "estimatedDelivery": "2025-06-01", "items": [ ... ] }
       const responseData = {
         orderNumber: orderData.name,
-        status: orderData.fulfillment_status || "pending_fulfillment", // More descriptive status
+        status: orderData.cancelled_at ? "cancelled" : (orderData.fulfillment_status || "pending_fulfillment"), // More descriptive status
         financialStatus: orderData.financial_status,
         estimatedDelivery: orderData.estimated_delivery_at,
         items: orderData.line_items.map(item => ({
@@ -122,25 +82,20 @@ async function handleGetOrderStatus({ args, auth }) {
         message: "Order status retrieved successfully."
       };
     } else {
-      // Should not happen with current mock if "mock_api_error_order_not_found" is handled
-      return {
-        success: false,
-        message: "An unexpected error or response occurred while fetching order status.",
-        data: null,
-      };
+      // Should not happen: both backends throw when the order is not found
+      return errorResult(ErrorCodes.INTERNAL, "An unexpected error or response occurred while fetching order status.");
     }
   } catch (error) {
-    console.error("Error calling _mockShopifyApi_getOrderStatus:", error);
-    return {
-      success: false,
-      message: "An unexpected internal error occurred while trying to retrieve order status.",
-      data: null,
-    };
+    if (!(error instanceof ToolError)) {
+      log.error('Error calling Shopify (getOrderStatus)', { error, backend });
+    }
+    return backendErrorResult(error, 'shopify', "An unexpected internal error occurred while trying to retrieve order status.");
   }
 }
 
 module.exports = {
   handler: handleGetOrderStatus,
   ArgsSchema: ArgsSchema,
-  AuthSchema: AuthSchema
+  AuthSchema: AuthSchema,
+  backends: backends
 };
@@ -1,5 +1,10 @@
 const z = require('zod');
-const axios = require('axios'); // Import axios
+const { createLogger } = require('../../utils/logger');
+const { ErrorCodes, ToolError, errorResult } = require('../../utils/toolErrors');
+const { getProviderClient, backendErrorResult } = require('../../utils/providerHttpClient');
+const { getMockData } = require('../../mocks/mockStore');
+
+const log = createLogger('handlers.stripe.getLastInvoice');
 
 // Zod Schemas for validation (remain the same)
 const ArgsSchema = z.object({
@@ -10,60 +15,70 @@ const AuthSchema = z.object({
   token: z.string().min(1, { message: "Stripe API key (secret key) cannot be empty." })
 });
 
-// The _mockStripeApi_getLastInvoice function is removed or commented out.
+async function _mockStripeApi_listInvoices({ customerId }) {
+  log.debug('Simulating Stripe API call', { customerId });
+  const { customers, invoices } = getMockData('stripe');
+  if (!customers[customerId]) {
+    throw new ToolError(ErrorCodes.NOT_FOUND, "No such customer (simulated).");
+  }
+  const latest = Object.values(invoices)
+    .filter(invoice => invoice.customer === customerId)
+    .sort((a, b) => b.created - a.created)
+    .slice(0, 1);
+  return { object: "list", data: latest, has_more: false };
+}
 
-async function handleGetLastInvoice({ args, auth }) {
-  console.log('Executing MCP: stripe.getLastInvoice (Live API)');
+async function _liveStripeApi_listInvoices({ customerId, auth }) {
+  log.debug('Calling Stripe API to get last invoice', { customerId });
+  // Fetch invoices for the customer, order by creation date descending (Stripe default is descending by created)
+  // We can also filter by status if needed, e.g., ['open', 'paid']
+  // The design doc mentioned "most recent invoice with amount, status."
+  const response = await getProviderClient('stripe').get('/invoices', {
+    params: {
+      customer: customerId,
+      limit: 1, // Get only the most recent one
+      // status: 'paid' // Optional: filter by status, e.g., only 'paid' or 'open' invoices
+                       // Or fetch without status and return whatever is most recent.
+                       // For now, let's fetch the absolute most recent regardless of status
+                       // to match "most recent invoice" broadly.
+    },
+    headers: {
+      'Authorization': `Bearer ${auth.token}`,
+      'Content-Type': 'application/x-www-form-urlencoded'
+    }
+  });
+  return response.data;
+}
+
+// Both resolve with a Stripe list of the customer's most recent invoice
+const backends = {
+  live: { listInvoices: _liveStripeApi_listInvoices },
+  mock: { listInvoices: _mockStripeApi_listInvoices }
+};
+
+async function handleGetLastInvoice({ args, auth, backend = 'live' }) {
+  log.debug('Executing MCP: stripe.getLastInvoice', { backend });
 
   const parsedArgs = ArgsSchema.safeParse(args);
   if (!parsedArgs.success) {
-    console.warn('MCP: stripe.getLastInvoice - Invalid arguments:', parsedArgs.error.flatten().fieldErrors);
-    return {
-      success: false,
-      message: "Invalid arguments.",
-      errors: parsedArgs.error.flatten().fieldErrors,
-      data: null
-    };
+    log.warn('Invalid arguments', { errors: parsedArgs.error.flatten().fieldErrors });
+    return errorResult(ErrorCodes.VALIDATION, "Invalid arguments.", { details: parsedArgs.error.flatten().fieldErrors });
   }
 
   const parsedAuth = AuthSchema.safeParse(auth);
   if (!parsedAuth.success) {
-    console.warn('MCP: stripe.getLastInvoice - Invalid auth:', parsedAuth.error.flatten().fieldErrors);
-    return {
-      success: false,
-      message: "Invalid auth information (Stripe API key).",
-      errors: parsedAuth.error.flatten().fieldErrors,
-      data: null
-    };
+    log.warn('Invalid auth', { errors: parsedAuth.error.flatten().fieldErrors });
+    return errorResult(ErrorCodes.AUTH_FAILED, "Invalid auth information (Stripe API key).", { details: parsedAuth.error.flatten().fieldErrors });
   }
 
   const { customerId } = parsedArgs.data;
-  const { token: apiKey } = parsedAuth.data; // Stripe Secret Key
 
   try {
-    console.log(`Calling Stripe API to get last invoice for customer: ${customerId}`);
-    // Fetch invoices for the customer, order by creation date descending (Stripe default is descending by created)
-    // We can also filter by status if needed, e.g., ['open', 'paid']
-    // The design doc mentioned "most recent invoice with amount, status."
-    const response = await axios.get('https://api.stripe.com/v1/invoices', {
-      params: {
-        customer: customerId,
-        limit: 1, // Get only the most recent one
-        // status: 'paid' // Optional: filter by status, e.g., only 'paid' or 'open' invoices
-                         // Or fetch without status and return whatever is most recent.
-                         // For now, let's fetch the absolute most recent regardless of status
-                         // to match "most recent invoice" broadly.
-      },
-      headers: {
-        'Authorization': `Bearer ${apiKey}`,
-        'Content-Type': 'application/x-www-form-urlencoded'
-      }
-    });
+    const invoices = await backends[backend].listInvoices({ customerId, auth: parsedAuth.data });
 
-    if (response.data && response.data.data && response.data.data.length > 0) {
-      const invoice = response.data.data[0];
+    if (invoices && invoices.data && invoices.data.length > 0) {
+      const invoice = invoices.data[0];
       // Transform Stripe invoice object to our desired MCP data structure
-      // This should align with the fields previously in the mock.
       const invoiceData = {
         id: invoice.id,
         customer: invoice.customer,
@@ -99,33 +114,18 @@ async function handleGetLastInvoice({ args, auth }) {
       };
     }
   } catch (error) {
-    console.error("Error calling Stripe API (getLastInvoice):", error.message);
-    let errorMessage = "An unexpected error occurred while trying to retrieve the last invoice from Stripe.";
-    let errorDetails = null;
-
-    if (error.response) {
-      console.error('Stripe API Error Status:', error.response.status);
-      console.error('Stripe API Error Data:', error.response.data);
-      errorMessage = `Stripe API Error: ${error.response.data?.error?.message || error.response.statusText || 'Failed to retrieve data'}`;
-      errorDetails = {
-        status: error.response.status,
-        data: error.response.data?.error
-      };
-    } else if (error.request) {
-      errorMessage = "No response received from Stripe API. Check network connectivity.";
+    if (!(error instanceof ToolError)) {
+      log.error('Error calling Stripe (getLastInvoice)', { error, backend });
     }
-
-    return {
-      success: false,
-      message: errorMessage,
-      data: null,
-      errors: errorDetails
-    };
+    return backendErrorResult(error, 'stripe', "An unexpected internal error occurred while trying to retrieve the last invoice.");
   }
 }
 
 module.exports = {
   handler: handleGetLastInvoice,
   ArgsSchema: ArgsSchema,
-  AuthSchema: AuthSchema
+  AuthSchema: AuthSchema,
+  defaultBackend: 'live', // Unlike the other providers, Stripe calls its real API unless configured otherwise
+  cacheGroup: 'invoices', // Cleared by stripe_issueRefund
+  backends: backends
 };
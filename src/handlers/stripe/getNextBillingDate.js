@@ -1,5 +1,10 @@
 const z = require('zod');
-const axios = require('axios'); // Import axios
+const { createLogger } = require('../../utils/logger');
+const { ErrorCodes, ToolError, errorResult } = require('../../utils/toolErrors');
+const { getProviderClient, backendErrorResult } = require('../../utils/providerHttpClient');
+const { getMockData } = require('../../mocks/mockStore');
+
+const log = createLogger('handlers.stripe.getNextBillingDate');
 
 // Zod Schemas for validation (remain the same)
 const ArgsSchema = z.object({
@@ -10,56 +15,67 @@ const AuthSchema = z.object({
   token: z.string().min(1, { message: "Stripe API key (secret key) cannot be empty." })
 });
 
-// The _mockStripeApi_getNextBillingDate function is removed or commented out.
+async function _mockStripeApi_listActiveSubscriptions({ customerId }) {
+  log.debug('Simulating Stripe API call', { customerId });
+  const { customers, subscriptions } = getMockData('stripe');
+  if (!customers[customerId]) {
+    throw new ToolError(ErrorCodes.NOT_FOUND, "No such customer (simulated).");
+  }
+  const latest = Object.values(subscriptions)
+    .filter(subscription => subscription.customer === customerId && subscription.status === 'active')
+    .sort((a, b) => b.created - a.created)
+    .slice(0, 1);
+  return { object: "list", data: latest, has_more: false };
+}
 
-async function handleGetNextBillingDate({ args, auth }) {
-  console.log('Executing MCP: stripe.getNextBillingDate (Live API)');
+async function _liveStripeApi_listActiveSubscriptions({ customerId, auth }) {
+  log.debug('Calling Stripe API to get active subscriptions', { customerId });
+  // Fetch active subscriptions for the customer
+  // We are interested in the 'current_period_end' for the next billing date.
+  const response = await getProviderClient('stripe').get('/subscriptions', {
+    params: {
+      customer: customerId,
+      status: 'active', // Only fetch active subscriptions
+      limit: 1 // Typically a customer has one active subscription for a given product,
+               // but Stripe allows multiple. Fetching 1 is usually what's desired for "next billing date".
+               // If multiple active subscriptions exist, this will pick the most recently created one.
+    },
+    headers: {
+      'Authorization': `Bearer ${auth.token}`,
+      'Content-Type': 'application/x-www-form-urlencoded'
+    }
+  });
+  return response.data;
+}
+
+// Both resolve with a Stripe list of the customer's most recent active subscription
+const backends = {
+  live: { listActiveSubscriptions: _liveStripeApi_listActiveSubscriptions },
+  mock: { listActiveSubscriptions: _mockStripeApi_listActiveSubscriptions }
+};
+
+async function handleGetNextBillingDate({ args, auth, backend = 'live' }) {
+  log.debug('Executing MCP: stripe.getNextBillingDate', { backend });
 
   const parsedArgs = ArgsSchema.safeParse(args);
   if (!parsedArgs.success) {
-    console.warn('MCP: stripe.getNextBillingDate - Invalid arguments:', parsedArgs.error.flatten().fieldErrors);
-    return {
-      success: false,
-      message: "Invalid arguments.",
-      errors: parsedArgs.error.flatten().fieldErrors,
-      data: null
-    };
+    log.warn('Invalid arguments', { errors: parsedArgs.error.flatten().fieldErrors });
+    return errorResult(ErrorCodes.VALIDATION, "Invalid arguments.", { details: parsedArgs.error.flatten().fieldErrors });
   }
 
   const parsedAuth = AuthSchema.safeParse(auth);
   if (!parsedAuth.success) {
-    console.warn('MCP: stripe.getNextBillingDate - Invalid auth:', parsedAuth.error.flatten().fieldErrors);
-    return {
-      success: false,
-      message: "Invalid auth information (Stripe API key).",
-      errors: parsedAuth.error.flatten().fieldErrors,
-      data: null
-    };
+    log.warn('Invalid auth', { errors: parsedAuth.error.flatten().fieldErrors });
+    return errorResult(ErrorCodes.AUTH_FAILED, "Invalid auth information (Stripe API key).", { details: parsedAuth.error.flatten().fieldErrors });
   }
 
   const { customerId } = parsedArgs.data;
-  const { token: apiKey } = parsedAuth.data; // Stripe Secret Key
 
   try {
-    console.log(`Calling Stripe API to get active subscriptions for customer: ${customerId}`);
-    // Fetch active subscriptions for the customer
-    // We are interested in the 'current_period_end' for the next billing date.
-    const response = await axios.get('https://api.stripe.com/v1/subscriptions', {
-      params: {
-        customer: customerId,
-        status: 'active', // Only fetch active subscriptions
-        limit: 1 // Typically a customer has one active subscription for a given product,
-                 // but Stripe allows multiple. Fetching 1 is usually what's desired for "next billing date".
-                 // If multiple active subscriptions exist, this will pick the most recently created one.
-      },
-      headers: {
-        'Authorization': `Bearer ${apiKey}`,
-        'Content-Type': 'application/x-www-form-urlencoded'
-      }
-    });
+    const subscriptions = await backends[backend].listActiveSubscriptions({ customerId, auth: parsedAuth.data });
 
-    if (response.data && response.data.data && response.data.data.length > 0) {
-      const subscription = response.data.data[0];
+    if (subscriptions && subscriptions.data && subscriptions.data.length > 0) {
+      const subscription = subscriptions.data[0];
       // Transform Stripe subscription object to our desired MCP data structure
       const subscriptionData = {
         customerId: subscription.customer,
@@ -84,33 +100,18 @@ async function handleGetNextBillingDate({ args, auth }) {
       };
     }
   } catch (error) {
-    console.error("Error calling Stripe API (getNextBillingDate/subscriptions):", error.message);
-    let errorMessage = "An unexpected error occurred while trying to retrieve subscription data from Stripe.";
-    let errorDetails = null;
-
-    if (error.response) {
-      console.error('Stripe API Error Status:', error.response.status);
-      console.error('Stripe API Error Data:', error.response.data);
-      errorMessage = `Stripe API Error: ${error.response.data?.error?.message || error.response.statusText || 'Failed to retrieve data'}`;
-      errorDetails = {
-        status: error.response.status,
-        data: error.response.data?.error
-      };
-    } else if (error.request) {
-      errorMessage = "No response received from Stripe API. Check network connectivity.";
+    if (!(error instanceof ToolError)) {
+      log.error('Error calling Stripe (getNextBillingDate/subscriptions)', { error, backend });
     }
-
-    return {
-      success: false,
-      message: errorMessage,
-      data: null,
-      errors: errorDetails
-    };
+    return backendErrorResult(error, 'stripe', "An unexpected internal error occurred while trying to retrieve the next billing date.");
   }
 }
 
 module.exports = {
   handler: handleGetNextBillingDate,
   ArgsSchema: ArgsSchema,
-  AuthSchema: AuthSchema
+  AuthSchema: AuthSchema,
+  defaultBackend: 'live', // Unlike the other providers, Stripe calls its real API unless configured otherwise
+  cacheGroup: 'subscriptions',
+  backends: backends
 };
@@ -1,6 +1,13 @@
 const z = require('zod');
-const axios = require('axios'); // Import axios
+const { createLogger } = require('../../utils/logger');
+const { ErrorCodes, ToolError, errorResult } = require('../../utils/toolErrors');
+const { getProviderClient, backendErrorResult } = require('../../utils/providerHttpClient');
+const { getMockData } = require('../../mocks/mockStore');
+const { mockNow } = require('../../mocks/mockClock');
 const qs = require('qs'); // Import qs for form data encoding
+const { dryRunResult } = require('../../utils/dryRun');
+
+const log = createLogger('handlers.stripe.issueRefund');
 
 // Zod Schemas for validation (remain the same)
 const ArgsSchema = z.object({
@@ -12,58 +19,159 @@ const AuthSchema = z.object({
   token: z.string().min(1, { message: "Stripe API key (secret key) cannot be empty." })
 });
 
-// The _mockStripeApi_issueRefund function is removed or commented out.
+// Stripe's refund rules, enforced by the mock and checked by dry runs on either backend.
+// Returns the ToolError the refund would fail with, or null if it can go ahead.
+function _checkRefundable(charge, refundAmount) {
+  const refundableAmount = charge.amount - (charge.amount_refunded || 0);
+  if (charge.status !== 'succeeded') {
+    return new ToolError(ErrorCodes.CONFLICT, `Charge status is ${charge.status}; only succeeded charges can be refunded.`);
+  }
+  if (refundableAmount <= 0) {
+    return new ToolError(ErrorCodes.CONFLICT, 'Charge has already been fully refunded.');
+  }
+  if (refundAmount > refundableAmount) {
+    return new ToolError(ErrorCodes.VALIDATION, `Requested amount ${refundAmount} exceeds the refundable balance of ${refundableAmount}.`);
+  }
+  return null;
+}
+
+async function _mockStripeApi_createRefund({ chargeId, amount }) {
+  log.debug('Simulating Stripe API call', { chargeId, amount });
+  const { charges, refunds } = getMockData('stripe');
+  const charge = charges[chargeId];
+  if (!charge) {
+    throw new ToolError(ErrorCodes.NOT_FOUND, "No such charge (simulated).");
+  }
+  const refundAmount = amount ?? charge.amount - charge.amount_refunded;
+  const problem = _checkRefundable(charge, refundAmount);
+  if (problem) {
+    throw problem;
+  }
+  charge.amount_refunded += refundAmount;
+  charge.refunded = charge.amount_refunded === charge.amount;
+  const refund = {
+    id: `re_mock_${Object.keys(refunds).length + 1}`,
+    object: "refund",
+    amount: refundAmount,
+    charge: chargeId,
+    currency: charge.currency,
+    status: "succeeded",
+    reason: null,
+    created: Math.floor(mockNow() / 1000)
+  };
+  refunds[refund.id] = refund;
+  return refund;
+}
+
+async function _liveStripeApi_createRefund({ chargeId, amount, auth, idempotencyKey }) {
+  log.info('Calling Stripe API to issue refund', { chargeId, amount: amount ?? 'full' });
+
+  const requestBody = {
+    charge: chargeId,
+  };
+  if (amount) {
+    requestBody.amount = amount;
+  }
+
+  // Stripe expects form-urlencoded data for POST requests
+  const encodedRequestBody = qs.stringify(requestBody);
+
+  // The caller's idempotency_key becomes Stripe's Idempotency-Key, so Stripe applies a repeated
+  // refund once even if our local record of it is gone. Without one, the client generates a key.
+  const response = await getProviderClient('stripe').post('/refunds', encodedRequestBody, {
+    idempotencyKey,
+    headers: {
+      'Authorization': `Bearer ${auth.token}`,
+      'Content-Type': 'application/x-www-form-urlencoded'
+    }
+  });
+  return response.data;
+}
+
+// getCharge resolves with a Stripe charge object and throws when there is none; createRefund
+// resolves with a Stripe refund object
+const backends = {
+  live: {
+    getCharge: async ({ chargeId, auth }) => {
+      const response = await getProviderClient('stripe').get(`/charges/${encodeURIComponent(chargeId)}`, {
+        headers: { 'Authorization': `Bearer ${auth.token}` }
+      });
+      return response.data;
+    },
+    createRefund: _liveStripeApi_createRefund
+  },
+  mock: {
+    getCharge: async ({ chargeId }) => {
+      const charge = getMockData('stripe').charges[chargeId];
+      if (!charge) {
+        throw new ToolError(ErrorCodes.NOT_FOUND, "No such charge (simulated).");
+      }
+      return charge;
+    },
+    createRefund: _mockStripeApi_createRefund
+  }
+};
+
+// Dry run: reads the charge and reports how much of it is still refundable, without refunding
+async function previewRefund({ chargeId, amount, auth, backend }) {
+  let charge;
+  try {
+    charge = await backends[backend].getCharge({ chargeId, auth });
+  } catch (error) {
+    const failure = backendErrorResult(error, 'stripe', "An unexpected error occurred while trying to read the charge.");
+    if (failure.code === ErrorCodes.NOT_FOUND) {
+      return dryRunResult({ wouldSucceed: false, reason: failure.message, code: ErrorCodes.NOT_FOUND, chargeId });
+    }
+    log.error('Error calling Stripe (issueRefund dry run)', { error, backend });
+    return failure;
+  }
+
+  const refundableAmount = charge.amount - (charge.amount_refunded || 0);
+  const refundAmount = amount ?? refundableAmount;
+  const before = { amountRefunded: charge.amount_refunded || 0, refundableAmount, refunded: !!charge.refunded };
+  const summary = { chargeId, currency: charge.currency, chargeAmount: charge.amount, refundAmount };
 
-async function handleIssueRefund({ args, auth }) {
-  console.log('Executing MCP: stripe.issueRefund (Live API)');
+  const problem = _checkRefundable(charge, refundAmount);
+  if (problem) {
+    return dryRunResult({ wouldSucceed: false, reason: problem.message, code: problem.code, before, ...summary });
+  }
+  return dryRunResult({
+    wouldSucceed: true,
+    before,
+    after: {
+      amountRefunded: before.amountRefunded + refundAmount,
+      refundableAmount: refundableAmount - refundAmount,
+      refunded: refundAmount === refundableAmount
+    },
+    ...summary
+  });
+}
+
+async function handleIssueRefund({ args, auth, backend = 'live', idempotencyKey, dryRun }) {
+  log.debug('Executing MCP: stripe.issueRefund', { backend });
 
   const parsedArgs = ArgsSchema.safeParse(args);
   if (!parsedArgs.success) {
-    console.warn('MCP: stripe.issueRefund - Invalid arguments:', parsedArgs.error.flatten().fieldErrors);
-    return {
-      success: false,
-      message: "Invalid arguments.",
-      errors: parsedArgs.error.flatten().fieldErrors,
-      data: null
-    };
+    log.warn('Invalid arguments', { errors: parsedArgs.error.flatten().fieldErrors });
+    return errorResult(ErrorCodes.VALIDATION, "Invalid arguments.", { details: parsedArgs.error.flatten().fieldErrors });
   }
 
   const parsedAuth = AuthSchema.safeParse(auth);
   if (!parsedAuth.success) {
-    console.warn('MCP: stripe.issueRefund - Invalid auth:', parsedAuth.error.flatten().fieldErrors);
-    return {
-      success: false,
-      message: "Invalid auth information (Stripe API key).",
-      errors: parsedAuth.error.flatten().fieldErrors,
-      data: null
-    };
+    log.warn('Invalid auth', { errors: parsedAuth.error.flatten().fieldErrors });
+    return errorResult(ErrorCodes.AUTH_FAILED, "Invalid auth information (Stripe API key).", { details: parsedAuth.error.flatten().fieldErrors });
   }
 
   const { chargeId, amount } = parsedArgs.data; // amount is optional (integer in cents)
-  const { token: apiKey } = parsedAuth.data; // Stripe Secret Key
-
-  try {
-    console.log(`Calling Stripe API to issue refund for charge: ${chargeId}${amount ? ` with amount: ${amount}` : ' (full refund)'}`);
-
-    const requestBody = {
-      charge: chargeId,
-    };
-    if (amount) {
-      requestBody.amount = amount;
-    }
 
-    // Stripe expects form-urlencoded data for POST requests
-    const encodedRequestBody = qs.stringify(requestBody);
+  if (dryRun) {
+    return previewRefund({ chargeId, amount, auth: parsedAuth.data, backend });
+  }
 
-    const response = await axios.post('https://api.stripe.com/v1/refunds', encodedRequestBody, {
-      headers: {
-        'Authorization': `Bearer ${apiKey}`,
-        'Content-Type': 'application/x-www-form-urlencoded'
-      }
-    });
+  try {
+    const refund = await backends[backend].createRefund({ chargeId, amount, auth: parsedAuth.data, idempotencyKey });
 
-    if (response.data && response.data.id) {
-      const refund = response.data;
+    if (refund && refund.id) {
       // Transform Stripe refund object to our desired MCP data structure
       const refundData = {
         id: refund.id,
@@ -82,40 +190,22 @@ async function handleIssueRefund({ args, auth }) {
       };
     } else {
       // This case might not be typical for Stripe if an error doesn't throw an HTTP error code
-      return {
-        success: false,
-        message: "Stripe API call for refund did not return expected data.",
-        data: null
-      };
+      return errorResult(ErrorCodes.INTERNAL, "Stripe API call for refund did not return expected data.");
     }
   } catch (error) {
-    console.error("Error calling Stripe API (issueRefund):", error.message);
-    let errorMessage = "An unexpected error occurred while trying to issue the refund via Stripe.";
-    let errorDetails = null;
-
-    if (error.response) {
-      console.error('Stripe API Error Status:', error.response.status);
-      console.error('Stripe API Error Data:', error.response.data);
-      errorMessage = `Stripe API Error: ${error.response.data?.error?.message || error.response.statusText || 'Failed to process refund'}`;
-      errorDetails = {
-        status: error.response.status,
-        data: error.response.data?.error
-      };
-    } else if (error.request) {
-      errorMessage = "No response received from Stripe API. Check network connectivity.";
+    if (!(error instanceof ToolError)) {
+      log.error('Error calling Stripe (issueRefund)', { error, backend });
     }
-
-    return {
-      success: false,
-      message: errorMessage,
-      data: null,
-      errors: errorDetails
-    };
+    return backendErrorResult(error, 'stripe', "An unexpected internal error occurred while trying to issue the refund.");
   }
 }
 
 module.exports = {
   handler: handleIssueRefund,
   ArgsSchema: ArgsSchema,
-  AuthSchema: AuthSchema
+  AuthSchema: AuthSchema,
+  defaultBackend: 'live', // Unlike the other providers, Stripe calls its real API unless configured otherwise
+  access: 'refund', // Needs the refund:stripe scope, not just write:stripe
+  invalidates: ['invoices'],
+  backends: backends
 };
@@ -1,4 +1,11 @@
 const z = require('zod');
+const { createLogger } = require('../../utils/logger');
+const { ErrorCodes, ToolError, errorResult } = require('../../utils/toolErrors');
+const { backendErrorResult } = require('../../utils/providerHttpClient');
+const { zendeskRequest } = require('../../utils/providerApis');
+const { getMockData } = require('../../mocks/mockStore');
+
+const log = createLogger('handlers.zendesk.getTicketByEmail');
 
 // Zod Schemas for validation
 const ArgsSchema = z.object({
@@ -6,98 +13,71 @@ const ArgsSchema = z.object({
 });
 
 const AuthSchema = z.object({
-  token: z.string().min(1, { message: "Zendesk API token cannot be empty." })
-  // Note: Zendesk API auth can be token-based (api_token/email) or OAuth.
-  // For simplicity, this mock assumes a single token is passed.
+  token: z.string().min(1, { message: "Zendesk API token cannot be empty." }), // OAuth access token for the live API
+  // Live backend only: the account's subdomain, as in https://<subdomain>.zendesk.com
+  subdomain: z.string().regex(/^[a-z0-9][a-z0-9-]*$/i, { message: "Zendesk subdomain may only contain letters, digits and hyphens." }).optional()
 });
 
-// Mock data for Zendesk tickets
-const mockZendeskTicketsDb = {
-  "user@example.com": { // Requester email
-    tickets: [
-      {
-        id: "zd_ticket_12345",
-        subject: "Issue with my recent order",
-        description: "I haven't received my package yet.",
-        status: "open", // e.g., new, open, pending, hold, solved, closed
-        priority: "normal",
-        created_at: new Date(Date.now() - 3 * 24 * 60 * 60 * 1000).toISOString(), // 3 days ago
-        updated_at: new Date(Date.now() - 1 * 24 * 60 * 60 * 1000).toISOString()  // 1 day ago
-      },
-      {
-        id: "zd_ticket_00789",
-        subject: "Login problem",
-        description: "Can't log in to my account.",
-        status: "pending",
-        priority: "high",
-        created_at: new Date(Date.now() - 5 * 24 * 60 * 60 * 1000).toISOString(),
-        updated_at: new Date(Date.now() - 2 * 24 * 60 * 60 * 1000).toISOString()
-      }
-    ]
-  },
-  "another@example.com": {
-    tickets: [
-      { id: "zd_ticket_67890", subject: "Billing question", status: "solved", priority: "low", created_at: new Date(Date.now() - 10 * 24 * 60 * 60 * 1000).toISOString(), updated_at: new Date(Date.now() - 9 * 24 * 60 * 60 * 1000).toISOString()}
-    ]
-  }
-};
-
 // Internal function to simulate a call to the Zendesk API
-async function _mockZendeskApi_getTicketByEmail({ email, apiKey }) {
-  console.log(`_mockZendeskApi_getTicketByEmail: Simulating Zendesk API call for email: ${email}`);
-  console.log(`_mockZendeskApi_getTicketByEmail: Using (simulated) API Key/Auth: ${apiKey ? apiKey.substring(0, 5) + '...' : 'N/A'}`);
+async function _mockZendeskApi_getTicketByEmail({ email }) {
+  log.debug('Simulating Zendesk API call', { email });
 
-  const userData = mockZendeskTicketsDb[email];
+  const { users, tickets } = getMockData('zendesk');
+  const user = Object.values(users).find(candidate => candidate.email?.toLowerCase() === email.toLowerCase());
+  if (!user) {
+    return { userFound: false, ticket: null };
+  }
+  // The requester's most recently updated ticket, if any
+  const [latest] = Object.values(tickets)
+    .filter(ticket => ticket.requester_id === user.id)
+    .sort((a, b) => new Date(b.updated_at) - new Date(a.updated_at));
+  return { userFound: true, ticket: latest ?? null };
+}
 
-  if (userData && userData.tickets && userData.tickets.length > 0) {
-    // Simulate returning the most recent ticket (by updated_at or created_at)
-    const sortedTickets = [...userData.tickets].sort((a, b) => new Date(b.updated_at) - new Date(a.updated_at));
-    return sortedTickets[0]; // Return the most recent ticket object
-  } else if (email === "notfound@example.com") {
-    return "mock_api_error_user_not_found";
-  } else {
-    // For other emails, simulate user found but no tickets
-    return null;
+// Finds the requester by email, then their most recently updated ticket
+async function _liveZendeskApi_getTicketByEmail({ email, auth }) {
+  const { users } = await zendeskRequest(auth, { method: 'GET', url: '/users/search.json', params: { query: `email:${email}` } });
+  if (!users || users.length === 0) {
+    return { userFound: false, ticket: null };
   }
+  const { tickets } = await zendeskRequest(auth, {
+    method: 'GET',
+    url: `/users/${users[0].id}/tickets/requested.json`,
+    params: { sort_by: 'updated_at', sort_order: 'desc', per_page: 1 }
+  });
+  return { userFound: true, ticket: tickets?.[0] ?? null };
 }
 
-async function handleGetTicketByEmail({ args, auth }) {
-  console.log('Executing MCP: zendesk.getTicketByEmail');
+// Both resolve with { userFound, ticket }, where ticket is a Zendesk ticket object or null
+const backends = {
+  live: { getTicketByEmail: _liveZendeskApi_getTicketByEmail },
+  mock: { getTicketByEmail: _mockZendeskApi_getTicketByEmail }
+};
+
+async function handleGetTicketByEmail({ args, auth, backend = 'mock' }) {
+  log.debug('Executing MCP: zendesk.getTicketByEmail', { backend });
 
   const parsedArgs = ArgsSchema.safeParse(args);
   if (!parsedArgs.success) {
-    console.warn('MCP: zendesk.getTicketByEmail - Invalid arguments:', parsedArgs.error.flatten().fieldErrors);
-    return {
-      success: false,
-      message: "Invalid arguments.",
-      errors: parsedArgs.error.flatten().fieldErrors,
-      data: null
-    };
+    log.warn('Invalid arguments', { errors: parsedArgs.error.flatten().fieldErrors });
+    return errorResult(ErrorCodes.VALIDATION, "Invalid arguments.", { details: parsedArgs.error.flatten().fieldErrors });
   }
 
   const parsedAuth = AuthSchema.safeParse(auth);
   if (!parsedAuth.success) {
-    console.warn('MCP: zendesk.getTicketByEmail - Invalid auth:', parsedAuth.error.flatten().fieldErrors);
-    return {
-      success: false,
-      message: "Invalid auth information (Zendesk API token).",
-      errors: parsedAuth.error.flatten().fieldErrors,
-      data: null
-    };
+    log.warn('Invalid auth', { errors: parsedAuth.error.flatten().fieldErrors });
+    return errorResult(ErrorCodes.AUTH_FAILED, "Invalid auth information (Zendesk API token).", { details: parsedAuth.error.flatten().fieldErrors });
   }
 
   const { email } = parsedArgs.data;
-  const { token: apiKey } = parsedAuth.data;
-
-  console.log('Received auth token (simulated use for Zendesk API):', apiKey ? apiKey.substring(0,5) + '...' : 'No API key provided');
 
   try {
-    const ticketData = await _mockZendeskApi_getTicketByEmail({ email, apiKey });
+    const { userFound, ticket: ticketData } = await backends[backend].getTicketByEmail({ email, auth: parsedAuth.data });
 
-    if (ticketData === "mock_api_error_user_not_found") {
+    if (!userFound) {
       return {
         success: true,
-        message: "Zendesk user/requester not found (simulated).",
+        message: backend === 'mock' ? "Zendesk user/requester not found (simulated)." : "Zendesk user/requester not found.",
         data: { // Design doc: "Return most recent ticket with status." - null if no user/ticket
             email: email,
             ticket: null
@@ -133,17 +113,16 @@ async function handleGetTicketByEmail({ args, auth }) {
       };
     }
   } catch (error) {
-    console.error("Error calling _mockZendeskApi_getTicketByEmail:", error);
-    return {
-      success: false,
-      message: "An unexpected internal error occurred while trying to retrieve ticket data.",
-      data: null,
-    };
+    if (!(error instanceof ToolError)) {
+      log.error('Error calling Zendesk (getTicketByEmail)', { error, backend });
+    }
+    return backendErrorResult(error, 'zendesk', "An unexpected internal error occurred while trying to retrieve ticket data.");
   }
 }
 
 module.exports = {
   handler: handleGetTicketByEmail,
   ArgsSchema: ArgsSchema,
-  AuthSchema: AuthSchema
+  AuthSchema: AuthSchema,
+  backends: backends
 };
@@ -1,4 +1,13 @@
 const z = require('zod');
+const { createLogger } = require('../../utils/logger');
+const { ErrorCodes, ToolError, errorResult } = require('../../utils/toolErrors');
+const { backendErrorResult } = require('../../utils/providerHttpClient');
+const { zendeskRequest } = require('../../utils/providerApis');
+const { dryRunResult } = require('../../utils/dryRun');
+const { getMockData } = require('../../mocks/mockStore');
+const { mockNow } = require('../../mocks/mockClock');
+
+const log = createLogger('handlers.zendesk.updateTicketStatus');
 
 // Zod Schemas for validation
 const ArgsSchema = z.object({
@@ -9,152 +18,156 @@ const ArgsSchema = z.object({
 });
 
 const AuthSchema = z.object({
-  token: z.string().min(1, { message: "Zendesk API token cannot be empty." })
+  token: z.string().min(1, { message: "Zendesk API token cannot be empty." }), // OAuth access token for the live API
+  // Live backend only: the account's subdomain, as in https://<subdomain>.zendesk.com
+  subdomain: z.string().regex(/^[a-z0-9][a-z0-9-]*$/i, { message: "Zendesk subdomain may only contain letters, digits and hyphens." }).optional()
 });
 
-// Mock data store for Zendesk tickets (can be shared or extended from getTicketByEmail)
-// For simplicity, we'll define a few relevant states here.
-// In a real scenario, this might interact with a more complex shared mock DB.
-const mockTicketsForUpdate = {
-  "zd_ticket_12345": { // Assumed to be open and updatable
-    id: "zd_ticket_12345",
-    status: "open",
-    subject: "Issue with my recent order",
-    updated_at: new Date(Date.now() - 1 * 24 * 60 * 60 * 1000).toISOString()
-  },
-  "zd_ticket_00789": { // Assumed to be pending
-    id: "zd_ticket_00789",
-    status: "pending",
-    subject: "Login problem",
-    updated_at: new Date(Date.now() - 2 * 24 * 60 * 60 * 1000).toISOString()
-  },
-  "zd_ticket_closed": { // Already closed, perhaps not updatable to "open" easily
-    id: "zd_ticket_closed",
-    status: "closed",
-    subject: "Old issue, resolved",
-    updated_at: new Date(Date.now() - 30 * 24 * 60 * 60 * 1000).toISOString()
-  }
-};
-
-// Internal function to simulate a call to the Zendesk API
-async function _mockZendeskApi_updateTicketStatus({ ticketId, newStatus, apiKey }) {
-  console.log(`_mockZendeskApi_updateTicketStatus: Simulating Zendesk API call to update ticketId: ${ticketId} to status: ${newStatus}`);
-  console.log(`_mockZendeskApi_updateTicketStatus: Using (simulated) API Key/Auth: ${apiKey ? apiKey.substring(0, 5) + '...' : 'N/A'}`);
-
-  const ticket = mockTicketsForUpdate[ticketId];
-
+// The update rules, enforced by the mock and checked by dry runs on either backend. Returns
+// the ToolError the update would fail with, or null if it can go ahead.
+function _checkTicketStatusUpdate(ticket, newStatus) {
   if (!ticket) {
-    return "mock_api_error_ticket_not_found";
+    return new ToolError(ErrorCodes.NOT_FOUND, "Ticket not found (simulated).");
   }
-
   // Simple mock validation: Can't reopen a closed ticket in this mock easily
   if (ticket.status === "closed" && (newStatus === "open" || newStatus === "pending")) {
-    return "mock_api_error_update_conflict"; // Or a more specific "cannot reopen"
+    return new ToolError(
+      ErrorCodes.CONFLICT,
+      `Ticket status update conflict (e.g., cannot easily reopen a closed ticket in this mock). Current status: ${ticket.status}`,
+      { data: { ticketId: ticket.id, currentStatus: ticket.status } }
+    );
   }
+  return null;
+}
 
-  if (ticket.status === newStatus) {
-    return "mock_api_no_change_needed";
+// Internal function to simulate a call to the Zendesk API
+async function _mockZendeskApi_updateTicketStatus({ ticketId, newStatus }) {
+  log.debug('Simulating Zendesk API call', { ticketId, newStatus });
+
+  const ticket = getMockData('zendesk').tickets[ticketId];
+  const problem = _checkTicketStatusUpdate(ticket, newStatus);
+  if (problem) {
+    throw problem;
   }
 
-  // Simulate successful update
-  ticket.status = newStatus;
-  ticket.updated_at = new Date().toISOString();
+  // Setting the status it already has changes nothing
+  const changed = ticket.status !== newStatus;
+  if (changed) {
+    ticket.status = newStatus;
+    ticket.updated_at = new Date(mockNow()).toISOString();
+  }
 
   return { // Simulates a successful update response (often the updated ticket object)
     id: ticket.id,
     status: ticket.status,
     subject: ticket.subject, // Include some other fields for context
-    updated_at: ticket.updated_at
+    updated_at: ticket.updated_at,
+    changed
   };
 }
 
-async function handleUpdateTicketStatus({ args, auth }) {
-  console.log('Executing MCP: zendesk.updateTicketStatus');
+async function _liveZendeskApi_updateTicketStatus({ ticketId, newStatus, auth }) {
+  const url = `/tickets/${encodeURIComponent(ticketId)}.json`;
+  const { ticket } = await zendeskRequest(auth, { method: 'GET', url });
+  if (ticket.status === newStatus) {
+    return { id: ticket.id, status: ticket.status, subject: ticket.subject, updated_at: ticket.updated_at, changed: false };
+  }
+  const { ticket: updated } = await zendeskRequest(auth, { method: 'PUT', url, data: { ticket: { status: newStatus } } });
+  return { id: updated.id, status: updated.status, subject: updated.subject, updated_at: updated.updated_at, changed: true };
+}
+
+// getTicket resolves with a Zendesk ticket object and throws when there is none;
+// updateTicketStatus resolves with { id, status, subject, updated_at, changed }
+const backends = {
+  live: {
+    getTicket: ({ ticketId, auth }) => zendeskRequest(auth, { method: 'GET', url: `/tickets/${encodeURIComponent(ticketId)}.json` }).then(body => body.ticket),
+    updateTicketStatus: _liveZendeskApi_updateTicketStatus
+  },
+  mock: {
+    getTicket: async ({ ticketId }) => {
+      const ticket = getMockData('zendesk').tickets[ticketId];
+      if (!ticket) {
+        throw new ToolError(ErrorCodes.NOT_FOUND, "Ticket not found (simulated).");
+      }
+      return ticket;
+    },
+    updateTicketStatus: _mockZendeskApi_updateTicketStatus
+  }
+};
+
+async function handleUpdateTicketStatus({ args, auth, backend = 'mock', dryRun }) {
+  log.debug('Executing MCP: zendesk.updateTicketStatus', { backend });
 
   const parsedArgs = ArgsSchema.safeParse(args);
   if (!parsedArgs.success) {
-    console.warn('MCP: zendesk.updateTicketStatus - Invalid arguments:', parsedArgs.error.flatten().fieldErrors);
-    return {
-      success: false,
-      message: "Invalid arguments.",
-      errors: parsedArgs.error.flatten().fieldErrors,
-      data: null
-    };
+    log.warn('Invalid arguments', { errors: parsedArgs.error.flatten().fieldErrors });
+    return errorResult(ErrorCodes.VALIDATION, "Invalid arguments.", { details: parsedArgs.error.flatten().fieldErrors });
   }
 
   const parsedAuth = AuthSchema.safeParse(auth);
   if (!parsedAuth.success) {
-    console.warn('MCP: zendesk.updateTicketStatus - Invalid auth:', parsedAuth.error.flatten().fieldErrors);
-    return {
-      success: false,
-      message: "Invalid auth information (Zendesk API token).",
-      errors: parsedAuth.error.flatten().fieldErrors,
-      data: null
-    };
+    log.warn('Invalid auth', { errors: parsedAuth.error.flatten().fieldErrors });
+    return errorResult(ErrorCodes.AUTH_FAILED, "Invalid auth information (Zendesk API token).", { details: parsedAuth.error.flatten().fieldErrors });
   }
 
   const { ticketId, newStatus } = parsedArgs.data;
-  const { token: apiKey } = parsedAuth.data;
-
-  console.log('Received auth token (simulated use for Zendesk API):', apiKey ? apiKey.substring(0,5) + '...' : 'No API key provided');
+  const api = backends[backend];
+
+  if (dryRun) {
+    let ticket;
+    try {
+      ticket = await api.getTicket({ ticketId, auth: parsedAuth.data });
+    } catch (error) {
+      if (!(error instanceof ToolError)) {
+        log.error('Error calling Zendesk for a dry run (updateTicketStatus)', { error, backend });
+      }
+      const failure = backendErrorResult(error, 'zendesk', "An unexpected error occurred while trying to read the ticket.");
+      return dryRunResult({ wouldSucceed: false, reason: failure.message, code: failure.code, ticketId });
+    }
+    const problem = _checkTicketStatusUpdate(ticket, newStatus);
+    const before = { status: ticket.status };
+    if (problem) {
+      return dryRunResult({ wouldSucceed: false, reason: `A ${ticket.status} ticket cannot be set to ${newStatus}.`, code: problem.code, before, ticketId });
+    }
+    return dryRunResult({ wouldSucceed: true, before, after: { status: newStatus }, changed: ticket.status !== newStatus, ticketId });
+  }
 
   try {
-    const updateResult = await _mockZendeskApi_updateTicketStatus({ ticketId, newStatus, apiKey });
+    const updateResult = await api.updateTicketStatus({ ticketId, newStatus, auth: parsedAuth.data });
 
-    if (updateResult === "mock_api_error_ticket_not_found") {
-      return {
-        success: false,
-        message: "Ticket not found (simulated).",
-        data: null,
-      };
-    } else if (updateResult === "mock_api_error_update_conflict") {
-      return {
-        success: false,
-        message: `Ticket status update conflict (e.g., cannot easily reopen a closed ticket in this mock). Current status: ${mockTicketsForUpdate[ticketId]?.status}`,
-        data: { ticketId, currentStatus: mockTicketsForUpdate[ticketId]?.status }
-      };
-    } else if (updateResult === "mock_api_no_change_needed") {
-        const ticket = mockTicketsForUpdate[ticketId];
-        return {
-            success: true, // Or false depending on desired strictness
-            message: "Ticket status is already set to the requested status.",
-            data: {
-                ticketId: ticket.id,
-                status: ticket.status,
-                updatedAt: ticket.updated_at // Using existing updated_at
-            }
-        };
-    } else if (updateResult && updateResult.id) {
-      // As per design doc: "Return confirmation payload."
+    if (!updateResult.changed) {
       return {
         success: true,
+        message: "Ticket status is already set to the requested status.",
         data: {
           ticketId: updateResult.id,
-          newStatus: updateResult.status,
-          subject: updateResult.subject,
-          updatedAt: updateResult.updated_at
-        },
-        message: "Ticket status updated successfully."
-      };
-    } else {
-      return {
-        success: false,
-        message: "An unexpected error or response occurred during ticket status update.",
-        data: null,
+          status: updateResult.status,
+          updatedAt: updateResult.updated_at // Using existing updated_at
+        }
       };
     }
-  } catch (error) {
-    console.error("Error calling _mockZendeskApi_updateTicketStatus:", error);
+    // As per design doc: "Return confirmation payload."
     return {
-      success: false,
-      message: "An unexpected internal error occurred while trying to update ticket status.",
-      data: null,
+      success: true,
+      data: {
+        ticketId: updateResult.id,
+        newStatus: updateResult.status,
+        subject: updateResult.subject,
+        updatedAt: updateResult.updated_at
+      },
+      message: "Ticket status updated successfully."
     };
+  } catch (error) {
+    if (!(error instanceof ToolError)) {
+      log.error('Error calling Zendesk (updateTicketStatus)', { error, backend });
+    }
+    return backendErrorResult(error, 'zendesk', "An unexpected internal error occurred while trying to update ticket status.");
   }
 }
 
 module.exports = {
   handler: handleUpdateTicketStatus,
   ArgsSchema: ArgsSchema,
-  AuthSchema: AuthSchema
+  AuthSchema: AuthSchema,
+  backends: backends
 };
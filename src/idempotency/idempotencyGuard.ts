@@ -0,0 +1,100 @@
+import crypto from 'crypto';
+import { HandlerResult } from '../toolRegistry';
+import { IdempotencyStore, createIdempotencyStoreFromEnv } from './idempotencyStore';
+import { createLogger } from '../utils/logger';
+
+const log = createLogger('idempotency.idempotencyGuard');
+
+export type IdempotentOutcome =
+  | { status: 'executed'; result: HandlerResult }
+  | { status: 'replayed'; result: HandlerResult; originalAt: string }
+  | { status: 'conflict'; message: string };
+
+// Key order must not change the fingerprint
+export function stableStringify(value: any): string {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value) ?? 'null';
+}
+
+// A failure worth retrying (e.g. a provider 503) is not remembered, so a retry with the
+// same key really runs again. Everything else is replayed as it was.
+function isReplayable(result: HandlerResult): boolean {
+  return result.success || result.retryable !== true;
+}
+
+// Runs a write action at most once per (tenant, tool, idempotency key) within the TTL.
+// Repeats get the stored result; a repeat that arrives while the first call is still
+// running waits for it, and gets a retryable failure as its own rather than as a replay,
+// as a later repeat would. Reusing a key with different arguments is refused.
+export class IdempotencyGuard {
+  private inFlight = new Map<string, { fingerprint: string; promise: Promise<HandlerResult>; startedAt: string }>();
+
+  constructor(private store: IdempotencyStore, private ttlMs: number) {}
+
+  async run(
+    scope: { tenantId: string; toolName: string; idempotencyKey: string },
+    args: Record<string, any>,
+    execute: () => Promise<HandlerResult>
+  ): Promise<IdempotentOutcome> {
+    const key = `${scope.tenantId}:${scope.toolName}:${scope.idempotencyKey}`;
+    const fingerprint = crypto.createHash('sha256').update(stableStringify(args)).digest('hex');
+    const conflict = (): IdempotentOutcome => ({
+      status: 'conflict',
+      message: `idempotency_key "${scope.idempotencyKey}" was already used for ${scope.toolName} with different arguments. Use a new key for a different request.`
+    });
+
+    const join = async (running: { fingerprint: string; promise: Promise<HandlerResult>; startedAt: string }): Promise<IdempotentOutcome> => {
+      if (running.fingerprint !== fingerprint) {
+        return conflict();
+      }
+      const result = await running.promise;
+      // Running it again here would race the other waiters; the caller retries instead
+      if (!isReplayable(result)) {
+        return { status: 'executed', result };
+      }
+      return { status: 'replayed', result, originalAt: running.startedAt };
+    };
+
+    const running = this.inFlight.get(key);
+    if (running) {
+      return join(running);
+    }
+
+    const stored = await this.store.get(key);
+    // A call with the same key may have started while the store was read
+    const started = this.inFlight.get(key);
+    if (started) {
+      return join(started);
+    }
+    if (stored) {
+      if (stored.fingerprint !== fingerprint) {
+        return conflict();
+      }
+      log.info(`Replaying stored result for ${scope.toolName} (idempotency key ${scope.idempotencyKey})`);
+      return { status: 'replayed', result: stored.result, originalAt: stored.createdAt };
+    }
+
+    const startedAt = new Date().toISOString();
+    const promise = execute();
+    this.inFlight.set(key, { fingerprint, promise, startedAt });
+    try {
+      const result = await promise;
+      if (isReplayable(result)) {
+        await this.store.set({ key, fingerprint, result, createdAt: startedAt, expiresAt: Date.now() + this.ttlMs });
+      }
+      return { status: 'executed', result };
+    } finally {
+      this.inFlight.delete(key);
+    }
+  }
+}
+
+export function createIdempotencyGuardFromEnv(): IdempotencyGuard {
+  const ttlMs = parseInt(process.env.MCP_IDEMPOTENCY_TTL_MS || '', 10) || 24 * 60 * 60 * 1000;
+  return new IdempotencyGuard(createIdempotencyStoreFromEnv(), ttlMs);
+}
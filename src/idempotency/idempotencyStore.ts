@@ -0,0 +1,108 @@
+import fs from 'fs';
+import path from 'path';
+import { HandlerResult } from '../toolRegistry';
+import { createLogger } from '../utils/logger';
+
+const log = createLogger('idempotency.idempotencyStore');
+
+// The outcome of a write tool call, kept so that a repeat with the same idempotency key
+// replays it instead of running the action again.
+export interface IdempotencyRecord {
+  key: string;          // "<tenant>:<tool>:<idempotency_key>"
+  fingerprint: string;  // hash of the arguments the key was first used with
+  result: HandlerResult;
+  createdAt: string;
+  expiresAt: number;    // ms since epoch
+}
+
+export interface IdempotencyStore {
+  get(key: string): Promise<IdempotencyRecord | undefined>;
+  set(record: IdempotencyRecord): Promise<void>;
+}
+
+export class InMemoryIdempotencyStore implements IdempotencyStore {
+  private records = new Map<string, IdempotencyRecord>();
+
+  private prune(): void {
+    const now = Date.now();
+    for (const [key, record] of this.records) {
+      if (record.expiresAt <= now) {
+        this.records.delete(key);
+      }
+    }
+  }
+
+  async get(key: string) {
+    const record = this.records.get(key);
+    return record && record.expiresAt > Date.now() ? record : undefined;
+  }
+
+  async set(record: IdempotencyRecord) {
+    this.prune();
+    this.records.set(record.key, record);
+  }
+}
+
+// Keeps records in a JSON file so a restart doesn't reopen the door to duplicates.
+export class FileIdempotencyStore implements IdempotencyStore {
+  private records = new Map<string, IdempotencyRecord>();
+  private writeChain: Promise<void> = Promise.resolve();
+
+  constructor(private filePath: string) {
+    if (fs.existsSync(filePath)) {
+      try {
+        const now = Date.now();
+        const records: IdempotencyRecord[] = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        for (const record of records.filter(record => record.expiresAt > now)) {
+          this.records.set(record.key, record);
+        }
+        log.info(`Loaded ${this.records.size} idempotency records from ${filePath}`);
+      } catch (error: any) {
+        log.error(`Could not read idempotency file ${filePath}, starting empty`, { error });
+      }
+    }
+  }
+
+  private persist(): Promise<void> {
+    const snapshot = JSON.stringify([...this.records.values()], null, 2);
+    this.writeChain = this.writeChain
+      .then(async () => {
+        await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+        const tempPath = `${this.filePath}.tmp`;
+        await fs.promises.writeFile(tempPath, snapshot, { encoding: 'utf8', mode: 0o600 });
+        await fs.promises.rename(tempPath, this.filePath);
+      })
+      .catch((error: any) => {
+        log.error(`Failed to write idempotency file ${this.filePath}`, { error });
+      });
+    return this.writeChain;
+  }
+
+  async get(key: string) {
+    const record = this.records.get(key);
+    return record && record.expiresAt > Date.now() ? record : undefined;
+  }
+
+  async set(record: IdempotencyRecord) {
+    const now = Date.now();
+    for (const [key, existing] of this.records) {
+      if (existing.expiresAt <= now) {
+        this.records.delete(key);
+      }
+    }
+    this.records.set(record.key, record);
+    await this.persist();
+  }
+}
+
+export function createIdempotencyStoreFromEnv(): IdempotencyStore {
+  const storeType = (process.env.MCP_IDEMPOTENCY_STORE || 'memory').toLowerCase();
+  if (storeType === 'file') {
+    const filePath = process.env.MCP_IDEMPOTENCY_STORE_FILE || path.join(process.cwd(), 'data', 'idempotency.json');
+    return new FileIdempotencyStore(filePath);
+  }
+  if (storeType !== 'memory') {
+    log.warn(`Unknown MCP_IDEMPOTENCY_STORE "${storeType}". Falling back to in-memory idempotency store.`);
+  }
+  return new InMemoryIdempotencyStore();
+}
@@ -0,0 +1,58 @@
+import fs from 'fs';
+import { z } from 'zod';
+import { CredentialResolver } from './toolRegistry';
+import { createLogger } from './utils/logger';
+
+const log = createLogger('localCredentials');
+
+// Provider credentials for local (stdio) use, so they never pass through tool params.
+// Sources, later ones winning:
+//   1. MCP_CREDENTIALS_FILE - JSON like { "stripe": { "token": "sk_test_..." }, "hubspot": { "token": "..." } }
+//   2. <PROVIDER>_API_KEY env vars (e.g. STRIPE_API_KEY) - used as that provider's `token`
+function loadCredentialsFile(filePath: string): Record<string, Record<string, any>> {
+  try {
+    const parsed = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+      throw new Error('Expected an object keyed by provider name.');
+    }
+    return parsed;
+  } catch (error: any) {
+    throw new Error(`Could not read credentials file ${filePath}: ${error.message}`);
+  }
+}
+
+export function createLocalCredentialResolver(): CredentialResolver {
+  const credentialsFile = process.env.MCP_CREDENTIALS_FILE;
+  const fromFile = credentialsFile ? loadCredentialsFile(credentialsFile) : {};
+
+  const lookup = (provider: string, authSchema: z.AnyZodObject): Record<string, any> | undefined => {
+    const credentials: Record<string, any> = { ...(fromFile[provider] || {}) };
+    const envKey = process.env[`${provider.toUpperCase()}_API_KEY`];
+    if (envKey) {
+      credentials.token = envKey;
+    }
+    if (Object.keys(credentials).length === 0) {
+      return undefined;
+    }
+
+    const parsed = authSchema.safeParse(credentials);
+    if (!parsed.success) {
+      log.warn(`Local credentials for ${provider} are invalid and will be ignored`, { errors: parsed.error.flatten().fieldErrors });
+      return undefined;
+    }
+    return parsed.data;
+  };
+
+  return {
+    mode: 'local',
+    // Configured providers need no credential params at all; the rest keep `<provider>_api_key`
+    toolParams: (provider, authSchema) => (lookup(provider, authSchema) ? {} : null),
+    resolve: async (provider, authSchema) => {
+      const credentials = lookup(provider, authSchema);
+      if (!credentials) {
+        return { success: false, message: `No local credentials configured for ${provider}.` };
+      }
+      return { success: true, credentials };
+    }
+  };
+}
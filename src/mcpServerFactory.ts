@@ -0,0 +1,221 @@
+import { McpServer, RegisteredTool } from '@modelcontextprotocol/sdk/server/mcp.js';
+import { z } from 'zod';
+import { getProviderClient, providerErrorResult } from './utils/providerHttpClient';
+import { discoverHandlerTools, registerHandlerTools, getProviderAuthSchemas, createToolCredentials, toCallToolResult, toolScope, chainToolCallWrappers, CredentialResolver } from './toolRegistry';
+import { IdempotencyGuard } from './idempotency/idempotencyGuard';
+import { ResponseCache } from './cache/responseCache';
+import { Backend, BackendSelector } from './backends/backendSelector';
+import { getMockData, currentMockScenario } from './mocks/mockStore';
+import { withMockFaults } from './faults/faultInjector';
+import { ApprovalQueue } from './approvals/approvalQueue';
+import { AuditStore } from './audit/auditLog';
+import { auditToolCalls } from './audit/auditTools';
+import { ServerMetrics } from './metrics/serverMetrics';
+import { instrumentToolCalls } from './metrics/toolMetrics';
+import { traceToolCalls } from './tracing/toolTracing';
+import { buildCatalog, catalogSourceFromTool, CatalogSource, CATALOG_RESOURCE_URI } from './catalog';
+import { CallerContext, getCallerFromExtra } from './auth/callerContext';
+import { hasScope, hideToolsOutsideScopes, restrictToolsByScope } from './auth/scopes';
+import { createLogger } from './utils/logger';
+import { getRequestContext, setToolName } from './utils/requestContext';
+import { ErrorCodes, errorResult } from './utils/toolErrors';
+
+const log = createLogger('mcpServerFactory');
+
+// --- MCP Server Setup ---
+const mcpServerOptions: ConstructorParameters<typeof McpServer>[0] = {
+  name: "KnowReply-MCP-Server",
+  version: "1.0.0",
+};
+
+// Handler modules are discovered once; each MCP server instance registers the same set.
+const handlerTools = discoverHandlerTools();
+log.info(`Discovered ${handlerTools.length} handler tools: ${handlerTools.map(tool => tool.name).join(', ')}`);
+
+// Schemas for the inline stripe_getCustomerByEmail tool, kept separate so the catalog can describe it
+const stripeGetCustomerByEmailArgsSchema = z.object({
+  email: z.string().email({ message: "Invalid email format." })
+});
+const stripeGetCustomerByEmailAuthSchema = z.object({
+  token: z.string().min(1, { message: "Stripe API key (secret key) cannot be empty." })
+});
+
+const stripeGetCustomerByEmailAuthParamMap = { stripe_api_key: "token" };
+
+// What a stored connection must contain for each provider (used by the connection vault)
+export const providerAuthSchemas = getProviderAuthSchemas(handlerTools);
+const stripeAuthSchema = providerAuthSchemas.get("stripe");
+providerAuthSchemas.set("stripe", stripeAuthSchema ? stripeAuthSchema.merge(stripeGetCustomerByEmailAuthSchema) : stripeGetCustomerByEmailAuthSchema);
+
+// --- Discovery Catalog ---
+const catalogSources: CatalogSource[] = [
+  {
+    name: "stripe_getCustomerByEmail",
+    provider: "stripe",
+    action: "getCustomerByEmail",
+    defaultBackend: "live",
+    scope: toolScope("stripe", "getCustomerByEmail"),
+    ArgsSchema: stripeGetCustomerByEmailArgsSchema,
+    AuthSchema: stripeGetCustomerByEmailAuthSchema,
+    authParamMap: stripeGetCustomerByEmailAuthParamMap
+  },
+  ...handlerTools.map(catalogSourceFromTool)
+];
+
+// Scope each tool requires, e.g. stripe_issueRefund -> refund:stripe
+const toolScopes = new Map(catalogSources.map(source => [source.name, source.scope]));
+// Provider label for tool metrics and spans
+const toolProviders = new Map(catalogSources.map(source => [source.name, source.provider]));
+toolProviders.set("approvals_getAction", "approvals");
+
+// For rate limiting, which reads the tool's provider and access off its scope
+export function getToolScope(name: string): string | undefined {
+  return toolScopes.get(name);
+}
+export const toolProviderNames = [...new Set(catalogSources.map(source => source.provider))];
+// The provider tools, which fault injection rules can target by name
+export const providerToolNames = catalogSources.map(source => source.name);
+
+// Built on each read so that time-based sample values (e.g. future datetimes) stay valid.
+// Pass the credential resolver to describe the credential params tools take with it, the
+// caller's scopes to list only the tools they may use, and the backend selector and their
+// tenant to report the backend each tool uses for them.
+export function getCatalog(credentialResolver?: CredentialResolver, scopes: string[] = ['*'], backends?: BackendSelector, tenantId?: string) {
+  return buildCatalog(
+    catalogSources,
+    { name: mcpServerOptions.name, version: mcpServerOptions.version },
+    credentialResolver,
+    source => hasScope(scopes, source.scope),
+    source => backends && tenantId ? backends.select(source.provider, source.defaultBackend, tenantId) : source.defaultBackend
+  );
+}
+
+// The inline stripe_getCustomerByEmail tool's backends; both resolve with a Stripe customer
+// object, or null when no customer has the email
+const stripeCustomerBackends: Record<Backend, (email: string, apiKey: string) => Promise<any>> = {
+  live: async (email, apiKey) => {
+    const response = await getProviderClient("stripe").get('/customers', {
+      params: { email: email, limit: 1 },
+      headers: {
+        'Authorization': `Bearer ${apiKey}`,
+        'Content-Type': 'application/x-www-form-urlencoded'
+      }
+    });
+    return response.data?.data?.[0] ?? null;
+  },
+  mock: withMockFaults("stripe", async (email: string) => Object.values<any>(getMockData("stripe").customers).find(customer => customer.email?.toLowerCase() === email.toLowerCase()) ?? null),
+};
+
+export interface McpServerInstanceOptions {
+  // Where tools get provider credentials from. Without one, callers pass `<provider>_api_key` params.
+  credentialResolver?: CredentialResolver;
+  // Shared across instances so repeated idempotency keys are recognised between requests
+  idempotency?: IdempotencyGuard;
+  // Shared across instances so cached lookups outlive a single request
+  cache?: ResponseCache | null;
+  // Holds calls matching the approval policy; also adds the approvals_getAction tool
+  approvals?: ApprovalQueue;
+  // Where one record per tool call is written
+  audit?: AuditStore | null;
+  // Counts and times tool calls for GET /metrics
+  metrics?: ServerMetrics;
+  // Picks the live or mock backend per provider, tenant and request
+  backends?: BackendSelector;
+  // The caller this instance serves (one per request, or per stateful session): tools outside
+  // its scopes are left out of tools/list. Without one every tool is listed (stdio).
+  caller?: CallerContext;
+}
+
+export function initializeMcpServerInstance(options: McpServerInstanceOptions = {}): McpServer {
+  const server = new McpServer(mcpServerOptions);
+  const stripeCredentials = createToolCredentials("stripe", stripeGetCustomerByEmailAuthSchema, stripeGetCustomerByEmailAuthParamMap, options.credentialResolver);
+  // Every tool's callback is wrapped with these, innermost first
+  const wrapToolCall = chainToolCallWrappers([
+    restrictToolsByScope(toolScopes),
+    options.audit ? auditToolCalls(options.audit) : null,
+    options.metrics ? instrumentToolCalls(options.metrics, toolProviders) : null,
+    traceToolCalls(toolProviders),
+  ]);
+  const tools = new Map<string, RegisteredTool>();
+
+  server.resource(
+    "catalog",
+    CATALOG_RESOURCE_URI,
+    {
+      mimeType: "application/json",
+      description: "Providers, actions, argument schemas, auth requirements and sample payloads for every tool on this server."
+    },
+    async (uri, extra) => ({
+      contents: [{ uri: uri.href, mimeType: "application/json", text: JSON.stringify(getCatalog(options.credentialResolver, getCallerFromExtra(extra).scopes, options.backends, getCallerFromExtra(extra).tenantId)) }]
+    })
+  );
+
+  tools.set("stripe_getCustomerByEmail", server.tool(
+    "stripe_getCustomerByEmail",
+    { ...stripeGetCustomerByEmailArgsSchema.shape, ...stripeCredentials.paramsShape },
+    wrapToolCall("stripe_getCustomerByEmail", async (toolArgs, extra) => {
+      const split = await stripeCredentials.split(toolArgs, extra);
+      if (!split.success) {
+        return toCallToolResult(errorResult(ErrorCodes.AUTH_FAILED, split.message), "stripe");
+      }
+      const { email } = split.args;
+      const { token: apiKey } = split.auth;
+      const backend = options.backends
+        ? options.backends.select("stripe", "live", getCallerFromExtra(extra).tenantId, getRequestContext()?.backendOverride)
+        : "live";
+      setToolName("stripe_getCustomerByEmail");
+      const scenario = backend === "mock" ? currentMockScenario() : undefined;
+      const meta = { backend, ...(scenario && { scenario }) };
+      log.info('Executing MCP SDK Tool: stripe_getCustomerByEmail', { email, backend });
+
+      try {
+        const customer = await stripeCustomerBackends[backend](email, apiKey);
+        if (customer) {
+          const customerData = {
+            id: customer.id,
+            name: customer.name || null,
+            email: customer.email,
+            created: customer.created ? new Date(customer.created * 1000).toISOString() : null,
+          };
+          return { content: [{ type: "text", text: JSON.stringify(customerData) }], _meta: meta };
+        } else {
+          return { content: [{ type: "text", text: JSON.stringify({ message: "Customer not found with the provided email.", customerData: null }) }], _meta: meta };
+        }
+      } catch (error: any) {
+        log.error("Error calling Stripe API (tool: stripe_getCustomerByEmail)", { error, backend });
+        return toCallToolResult({ ...providerErrorResult(error, "stripe"), backend, scenario }, "stripe");
+      }
+    })
+  ));
+
+  const approvals = options.approvals;
+  if (approvals) {
+    // Not scope-restricted: any caller may look up the held actions of its own tenant
+    tools.set("approvals_getAction", server.tool(
+      "approvals_getAction",
+      {
+        action_id: z.string().min(1).describe("The pending action ID a held tool call returned.")
+      },
+      wrapToolCall("approvals_getAction", async ({ action_id }, extra) => {
+        const action = await approvals.get(getCallerFromExtra(extra).tenantId, action_id);
+        if (!action) {
+          return toCallToolResult(errorResult(ErrorCodes.NOT_FOUND, "Pending action not found.", { details: { actionId: action_id } }), "approvals");
+        }
+        const { id, toolName, status, reason, createdAt, expiresAt, decidedBy, decidedAt, note, result, completedAt } = action;
+        return {
+          content: [{ type: "text", text: JSON.stringify({ id, toolName, status, reason, createdAt, expiresAt, decidedBy, decidedAt, note, result, completedAt }) }]
+        };
+      })
+    ));
+  }
+
+  const handlerToolOptions = { credentialResolver: options.credentialResolver, idempotency: options.idempotency, approvals, cache: options.cache, backends: options.backends, wrapToolCall };
+  for (const [name, tool] of registerHandlerTools(server, handlerTools, handlerToolOptions)) {
+    tools.set(name, tool);
+  }
+  if (options.caller) {
+    hideToolsOutsideScopes(tools, toolScopes, options.caller.scopes);
+  }
+
+  return server;
+}
@@ -0,0 +1,174 @@
+// A minimal Prometheus client: counters, gauges and histograms with labels, rendered in the
+// text exposition format (https://prometheus.io/docs/instrumenting/exposition_formats/).
+
+type Labels = Record<string, string | number>;
+
+export const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+function escapeLabelValue(value: string): string {
+  return value.replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatLabels(names: string[], values: string[], extra?: [string, string]): string {
+  const pairs = names.map((name, i) => `${name}="${escapeLabelValue(values[i])}"`);
+  if (extra) {
+    pairs.push(`${extra[0]}="${escapeLabelValue(extra[1])}"`);
+  }
+  return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+function formatValue(value: number): string {
+  if (value === Infinity) return '+Inf';
+  if (value === -Infinity) return '-Inf';
+  return String(value);
+}
+
+abstract class Metric<T> {
+  protected series = new Map<string, { labelValues: string[]; value: T }>();
+
+  constructor(readonly name: string, readonly help: string, readonly labelNames: string[] = []) {}
+
+  abstract readonly type: 'counter' | 'gauge' | 'histogram';
+
+  protected abstract initial(): T;
+
+  // Label values in labelNames order; a missing label is ""
+  protected entry(labels: Labels = {}) {
+    const labelValues = this.labelNames.map(name => String(labels[name] ?? ''));
+    const key = labelValues.join('\u0000');
+    let entry = this.series.get(key);
+    if (!entry) {
+      entry = { labelValues, value: this.initial() };
+      this.series.set(key, entry);
+    }
+    return entry;
+  }
+
+  protected abstract renderSeries(labelValues: string[], value: T): string[];
+
+  render(): string {
+    const lines = [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${this.type}`];
+    for (const { labelValues, value } of this.series.values()) {
+      lines.push(...this.renderSeries(labelValues, value));
+    }
+    return lines.join('\n');
+  }
+}
+
+export class Counter extends Metric<number> {
+  readonly type = 'counter';
+
+  protected initial() {
+    return 0;
+  }
+
+  inc(labels?: Labels, amount = 1): void {
+    this.entry(labels).value += amount;
+  }
+
+  protected renderSeries(labelValues: string[], value: number) {
+    return [`${this.name}${formatLabels(this.labelNames, labelValues)} ${formatValue(value)}`];
+  }
+}
+
+export class Gauge extends Metric<number> {
+  readonly type = 'gauge';
+
+  protected initial() {
+    return 0;
+  }
+
+  set(labels: Labels | undefined, value: number): void {
+    this.entry(labels).value = value;
+  }
+
+  inc(labels?: Labels, amount = 1): void {
+    this.entry(labels).value += amount;
+  }
+
+  dec(labels?: Labels, amount = 1): void {
+    this.entry(labels).value -= amount;
+  }
+
+  protected renderSeries(labelValues: string[], value: number) {
+    return [`${this.name}${formatLabels(this.labelNames, labelValues)} ${formatValue(value)}`];
+  }
+}
+
+interface HistogramValue {
+  bucketCounts: number[]; // per upper bound, not cumulative
+  sum: number;
+  count: number;
+}
+
+export class Histogram extends Metric<HistogramValue> {
+  readonly type = 'histogram';
+
+  constructor(name: string, help: string, labelNames: string[] = [], readonly buckets: number[] = DEFAULT_BUCKETS) {
+    super(name, help, labelNames);
+  }
+
+  protected initial() {
+    return { bucketCounts: this.buckets.map(() => 0), sum: 0, count: 0 };
+  }
+
+  observe(labels: Labels | undefined, value: number): void {
+    const entry = this.entry(labels).value;
+    const index = this.buckets.findIndex(bound => value <= bound);
+    if (index >= 0) {
+      entry.bucketCounts[index]++;
+    }
+    entry.sum += value;
+    entry.count++;
+  }
+
+  protected renderSeries(labelValues: string[], value: HistogramValue) {
+    const lines: string[] = [];
+    let cumulative = 0;
+    this.buckets.forEach((bound, i) => {
+      cumulative += value.bucketCounts[i];
+      lines.push(`${this.name}_bucket${formatLabels(this.labelNames, labelValues, ['le', formatValue(bound)])} ${cumulative}`);
+    });
+    lines.push(`${this.name}_bucket${formatLabels(this.labelNames, labelValues, ['le', '+Inf'])} ${value.count}`);
+    lines.push(`${this.name}_sum${formatLabels(this.labelNames, labelValues)} ${formatValue(value.sum)}`);
+    lines.push(`${this.name}_count${formatLabels(this.labelNames, labelValues)} ${value.count}`);
+    return lines;
+  }
+}
+
+export class MetricsRegistry {
+  private metrics: Metric<any>[] = [];
+  private collectors: (() => void)[] = [];
+
+  counter(name: string, help: string, labelNames: string[] = []): Counter {
+    return this.add(new Counter(name, help, labelNames));
+  }
+
+  gauge(name: string, help: string, labelNames: string[] = []): Gauge {
+    return this.add(new Gauge(name, help, labelNames));
+  }
+
+  histogram(name: string, help: string, labelNames: string[] = [], buckets?: number[]): Histogram {
+    return this.add(new Histogram(name, help, labelNames, buckets));
+  }
+
+  private add<M extends Metric<any>>(metric: M): M {
+    if (this.metrics.some(existing => existing.name === metric.name)) {
+      throw new Error(`Metric ${metric.name} is already registered.`);
+    }
+    this.metrics.push(metric);
+    return metric;
+  }
+
+  // For values read at scrape time rather than updated as they change (e.g. open sessions)
+  onCollect(collector: () => void): void {
+    this.collectors.push(collector);
+  }
+
+  render(): string {
+    for (const collect of this.collectors) {
+      collect();
+    }
+    return `${this.metrics.map(metric => metric.render()).join('\n')}\n`;
+  }
+}
@@ -0,0 +1,64 @@
+import { onProviderResponse } from '../utils/providerHttpClient';
+import { MetricsRegistry } from './metricsRegistry';
+
+export type AuthFailureReason = 'missing_key' | 'unknown_key' | 'expired_key' | 'tenant_mismatch' | 'invalid_tenant' | 'not_configured';
+
+// The metrics GET /metrics exposes. Labels are tool names, providers and status codes only:
+// never argument values, tenants or clients, so the number of series stays bounded.
+export class ServerMetrics {
+  readonly registry = new MetricsRegistry();
+
+  readonly toolCalls = this.registry.counter(
+    'mcp_tool_calls_total',
+    'Tool calls by tool, provider and result (success, or error for isError results).',
+    ['tool', 'provider', 'result']
+  );
+  readonly toolCallDuration = this.registry.histogram(
+    'mcp_tool_call_duration_seconds',
+    'Time from receiving a tool call to returning its result, in seconds.',
+    ['tool', 'provider']
+  );
+  readonly providerResponses = this.registry.counter(
+    'mcp_provider_http_responses_total',
+    'Provider API responses by provider and HTTP status, one per attempt including retries. status="network_error" when no response arrived.',
+    ['provider', 'status']
+  );
+  readonly providerRequestDuration = this.registry.histogram(
+    'mcp_provider_http_request_duration_seconds',
+    'Duration of each provider API attempt, in seconds.',
+    ['provider']
+  );
+  readonly authFailures = this.registry.counter(
+    'mcp_auth_failures_total',
+    'Requests refused by API key authentication, by reason.',
+    ['reason']
+  );
+  readonly corsRejections = this.registry.counter(
+    'mcp_cors_rejections_total',
+    'Requests refused because their Origin is not in CORS_ALLOWED_ORIGINS.'
+  );
+  readonly rateLimited = this.registry.counter(
+    'mcp_rate_limited_requests_total',
+    'Requests to /mcp refused with HTTP 429, by the limit they exceeded (client, tool or provider).',
+    ['limit']
+  );
+  readonly activeTransports = this.registry.gauge(
+    'mcp_active_transports',
+    'Open MCP transports: in-flight requests in stateless mode, live sessions in stateful mode.',
+    ['mode']
+  );
+
+  render(): string {
+    return this.registry.render();
+  }
+}
+
+// Also counts every provider API attempt made in this process from then on
+export function createServerMetrics(): ServerMetrics {
+  const metrics = new ServerMetrics();
+  onProviderResponse(({ provider, status, durationMs }) => {
+    metrics.providerResponses.inc({ provider, status: status ?? 'network_error' });
+    metrics.providerRequestDuration.observe({ provider }, durationMs / 1000);
+  });
+  return metrics;
+}
@@ -0,0 +1,21 @@
+import { ToolCallWrapper } from '../toolRegistry';
+import { ServerMetrics } from './serverMetrics';
+
+// Counts and times every call to a tool. `toolProviders` maps each tool to its provider
+// label. Chain it after restrictToolsByScope and auditToolCalls, so the time includes scope
+// checks and auditing.
+export function instrumentToolCalls(metrics: ServerMetrics, toolProviders: Map<string, string>): ToolCallWrapper {
+  return (toolName, callTool) => async (toolArgs, extra) => {
+    const labels = { tool: toolName, provider: toolProviders.get(toolName) ?? 'unknown' };
+    const startedAt = process.hrtime.bigint();
+    let result: any;
+    try {
+      result = await callTool(toolArgs, extra);
+      return result;
+    } finally {
+      // A thrown error counts as an error
+      metrics.toolCalls.inc({ ...labels, result: result && !result.isError ? 'success' : 'error' });
+      metrics.toolCallDuration.observe(labels, Number(process.hrtime.bigint() - startedAt) / 1e9);
+    }
+  };
+}
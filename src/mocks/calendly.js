@@ -0,0 +1,17 @@
+const z = require('zod');
+const { collection, isoTime } = require('./fixtureTypes');
+
+// Shaped like Calendly scheduled events, keyed by UUID, each with its (single) invitee's email
+const schema = z.object({
+  scheduled_events: collection(z.object({
+    uri: z.string().url(),
+    name: z.string(),
+    status: z.enum(['active', 'canceled']),
+    start_time: isoTime,
+    end_time: isoTime,
+    event_type: z.string().url(),
+    invitee_email: z.string().email()
+  }).passthrough(), key => ({ uri: `https://api.calendly.com/scheduled_events/${key}` }))
+}).strict();
+
+module.exports = { schema };
@@ -0,0 +1,47 @@
+const z = require('zod');
+const { parseMockTime } = require('./mockClock');
+
+// Building blocks for the providers' fixture schemas (src/mocks/<provider>.js). Scenario files
+// are validated against them when they load, and parsed with them again each time a scenario
+// is seeded, so relative times are counted from the mock clock at the seeding.
+
+const fixtureTime = z.string().refine(value => !Number.isNaN(parseMockTime(value)), {
+  message: 'Expected an ISO 8601 timestamp or a time relative to now, e.g. "now-3d" or "now+2d+1h".'
+});
+
+// An ISO 8601 timestamp
+const isoTime = fixtureTime.transform(value => new Date(parseMockTime(value)).toISOString());
+
+// Unix seconds, as Stripe uses; fixtures may also give a timestamp or relative time
+const unixTime = z.union([
+  z.number().int(),
+  fixtureTime.transform(value => Math.floor(parseMockTime(value) / 1000))
+]);
+
+/**
+ * A collection: records keyed by ID. `keyFields` gives the fields a record's key stands for
+ * (by default `id`); they are filled in from the key when left out, and must match it when not.
+ * @param {z.ZodTypeAny} recordSchema
+ * @param {(key: string) => Record<string, any>} [keyFields]
+ */
+function collection(recordSchema, keyFields = key => ({ id: key })) {
+  return z.record(z.object({}).passthrough())
+    .superRefine((records, ctx) => {
+      for (const [key, record] of Object.entries(records)) {
+        for (const [field, expected] of Object.entries(keyFields(key))) {
+          if (record[field] !== undefined && record[field] !== expected) {
+            ctx.addIssue({ code: z.ZodIssueCode.custom, path: [key, field], message: `Must be "${expected}" (the record's key) or left out.` });
+          }
+        }
+      }
+    })
+    .transform(records => Object.fromEntries(Object.entries(records).map(([key, record]) => [key, { ...record, ...keyFields(key) }])))
+    .pipe(z.record(recordSchema))
+    .default({});
+}
+
+module.exports = {
+  collection,
+  isoTime,
+  unixTime,
+};
@@ -0,0 +1,34 @@
+const z = require('zod');
+const { collection, isoTime } = require('./fixtureTypes');
+
+// Shaped like HubSpot CRM v3 objects
+const schema = z.object({
+  contacts: collection(z.object({
+    id: z.string(),
+    properties: z.object({
+      email: z.string().email(),
+      firstname: z.string().optional(),
+      lastname: z.string().optional()
+    }).passthrough(),
+    createdAt: isoTime,
+    updatedAt: isoTime
+  }).passthrough()),
+  tickets: collection(z.object({
+    id: z.string(),
+    properties: z.object({
+      subject: z.string(),
+      hs_pipeline: z.string().default('0'), // Support Pipeline
+      hs_pipeline_stage: z.string(),
+      content: z.string().optional(),
+      createdate: isoTime,
+      lastmodifieddate: isoTime
+    }).passthrough(),
+    associations: z.object({
+      contacts: z.object({
+        results: z.array(z.object({ id: z.string(), type: z.string().default('ticket_to_contact') }))
+      })
+    }).passthrough().optional()
+  }).passthrough())
+}).strict();
+
+module.exports = { schema };
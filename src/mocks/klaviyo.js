@@ -0,0 +1,39 @@
+const z = require('zod');
+const { collection, isoTime } = require('./fixtureTypes');
+
+// Profiles, the campaign emails sent to them (status is the furthest the recipient got)
+// and their active carts
+const money = z.string().regex(/^\d+(\.\d{1,2})?$/, { message: 'Expected a decimal amount such as "12.50".' });
+
+const schema = z.object({
+  profiles: collection(z.object({
+    id: z.string(),
+    email: z.string().email()
+  }).passthrough()),
+  emails: collection(z.object({
+    id: z.string(),
+    profile_id: z.string(),
+    campaign_name: z.string(),
+    subject: z.string(),
+    sent_at: isoTime,
+    status: z.enum(['Sent', 'Opened', 'Clicked'])
+  }).passthrough()),
+  carts: collection(z.object({
+    cart_id: z.string(),
+    profile_id: z.string(),
+    items: z.array(z.object({
+      product_id: z.string(),
+      sku: z.string().optional(),
+      product_name: z.string(),
+      quantity: z.number().int().positive(),
+      unit_price: money,
+      line_total: money
+    }).passthrough()),
+    currency: z.string().default('USD'),
+    total_amount: money,
+    cart_url: z.string().url().optional(),
+    last_updated_at: isoTime
+  }).passthrough(), key => ({ cart_id: key }))
+}).strict();
+
+module.exports = { schema };
@@ -0,0 +1,162 @@
+const { getRequestContext, setMockTime } = require('../utils/requestContext');
+const { createLogger } = require('../utils/logger');
+
+const log = createLogger('mocks.mockClock');
+
+// The time the mock backends run at. It follows the real time until a test sets it: frozen at
+// an instant, or running from one, and moved forward on demand (see /admin/mocks/clock). A
+// request can also fix its own time with the x-mcp-clock header. Fixture times, the rule
+// checks (e.g. "event already started") and the timestamps mock writes record all read it;
+// the live backends always use the real time. One clock serves every tenant and scenario.
+let frozenAt = null; // ms since the epoch while frozen
+let offsetMs = 0;    // added to the real time while running
+
+// "now", or "now" plus offsets such as "now-3d" or "now+2d+1h" (units: ms, s, m, h, d, w)
+const RELATIVE_TIME_PATTERN = /^now((?:[+-]\d+(?:ms|s|m|h|d|w))*)$/;
+const DURATION_PATTERN = /^[+-]?\d+(?:ms|s|m|h|d|w)(?:[+-]\d+(?:ms|s|m|h|d|w))*$/;
+const OFFSET_PATTERN = /([+-])(\d+)(ms|s|m|h|d|w)/g;
+const UNIT_MS = { ms: 1, s: 1000, m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000, w: 7 * 24 * 60 * 60 * 1000 };
+const ISO_DATETIME_PATTERN = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:\d{2})$/;
+
+function sumOffsets(offsets) {
+  let total = 0;
+  for (const [, sign, amount, unit] of offsets.matchAll(OFFSET_PATTERN)) {
+    total += (sign === '-' ? -1 : 1) * parseInt(amount, 10) * UNIT_MS[unit];
+  }
+  return total;
+}
+
+/**
+ * The mock backends' current time in milliseconds since the epoch: the request's x-mcp-clock
+ * time if it sent one, else the mock clock.
+ */
+function mockNow() {
+  const requestTime = getRequestContext()?.mockTime;
+  if (requestTime !== undefined) {
+    return requestTime;
+  }
+  return frozenAt ?? Date.now() + offsetMs;
+}
+
+/**
+ * The current time for a backend: the mock clock for the mock backend, the real time for
+ * the live one. For rule checks that both backends share.
+ * @param {'live' | 'mock'} backend
+ */
+function nowFor(backend) {
+  return backend === 'mock' ? mockNow() : Date.now();
+}
+
+/**
+ * Runs `fn` synchronously against the mock clock alone, leaving out the request's x-mcp-clock
+ * time, for work whose result outlives the request.
+ * @template T
+ * @param {() => T} fn
+ * @returns {T}
+ */
+function onSharedMockClock(fn) {
+  const requestTime = getRequestContext()?.mockTime;
+  if (requestTime === undefined) {
+    return fn();
+  }
+  setMockTime(undefined);
+  try {
+    return fn();
+  } finally {
+    setMockTime(requestTime);
+  }
+}
+
+/**
+ * Milliseconds since the epoch for an ISO 8601 timestamp (with a time zone) or a time
+ * relative to the mock clock such as "now-3d"; NaN for anything else.
+ * @param {string} value
+ */
+function parseMockTime(value) {
+  const relative = RELATIVE_TIME_PATTERN.exec(value);
+  if (relative) {
+    return mockNow() + sumOffsets(relative[1]);
+  }
+  return ISO_DATETIME_PATTERN.test(value) ? Date.parse(value) : NaN;
+}
+
+/**
+ * Milliseconds for a duration such as "3d", "+2h", "-30m" or "1d+12h"; NaN for anything else.
+ * @param {string} value
+ */
+function parseDuration(value) {
+  if (!DURATION_PATTERN.test(value)) {
+    return NaN;
+  }
+  return sumOffsets(/^[+-]/.test(value) ? value : `+${value}`);
+}
+
+/**
+ * Sets the mock clock to `at`, frozen there by default or running on from it.
+ * @param {number} at ms since the epoch
+ * @param {{ frozen?: boolean }} [options]
+ */
+function setMockClock(at, { frozen = true } = {}) {
+  frozenAt = frozen ? at : null;
+  offsetMs = frozen ? 0 : at - Date.now();
+  log.info(`Mock clock set to ${new Date(at).toISOString()}${frozen ? ' (frozen)' : ''}`);
+}
+
+/**
+ * Moves the mock clock by `ms` (back if negative), frozen or not.
+ * @param {number} ms
+ */
+function advanceMockClock(ms) {
+  if (frozenAt !== null) {
+    frozenAt += ms;
+  } else {
+    offsetMs += ms;
+  }
+  log.info(`Mock clock moved by ${ms}ms to ${new Date(mockNow()).toISOString()}`);
+}
+
+// Back to the real time
+function resetMockClock() {
+  frozenAt = null;
+  offsetMs = 0;
+  log.info('Mock clock reset to the real time');
+}
+
+// The mock clock's state; `now` includes the request's x-mcp-clock time
+function mockClockStatus() {
+  return {
+    now: new Date(mockNow()).toISOString(),
+    frozen: frozenAt !== null,
+    offsetMs: frozenAt !== null ? frozenAt - Date.now() : offsetMs,
+    real: frozenAt === null && offsetMs === 0
+  };
+}
+
+/**
+ * Identifies the time mock results were computed at, for the response cache: undefined
+ * while the mock clock follows the real time, else a key that changes whenever the clock
+ * is set or moved.
+ */
+function mockClockKey() {
+  const requestTime = getRequestContext()?.mockTime;
+  if (requestTime !== undefined) {
+    return `at:${requestTime}`;
+  }
+  if (frozenAt !== null) {
+    return `at:${frozenAt}`;
+  }
+  return offsetMs !== 0 ? `offset:${offsetMs}` : undefined;
+}
+
+module.exports = {
+  mockNow,
+  nowFor,
+  onSharedMockClock,
+  parseMockTime,
+  parseDuration,
+  setMockClock,
+  advanceMockClock,
+  resetMockClock,
+  mockClockStatus,
+  mockClockKey,
+};
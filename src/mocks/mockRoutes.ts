@@ -0,0 +1,136 @@
+import express from 'express';
+import { z } from 'zod';
+import { getCaller } from '../auth/callerContext';
+import { ResponseCache } from '../cache/responseCache';
+import { mockProviders, currentMockScenario, resetMockData, snapshotMockData, restoreMockData } from './mockStore';
+import { listMockScenarios, defaultMockScenario } from './scenarios';
+import { parseMockTime, parseDuration, setMockClock, advanceMockClock, resetMockClock, mockClockStatus } from './mockClock';
+import { createLogger } from '../utils/logger';
+
+const log = createLogger('mocks.mockRoutes');
+
+const ProvidersSchema = z.array(z.enum(mockProviders as [string, ...string[]])).min(1);
+
+const ResetSchema = z.object({
+  providers: ProvidersSchema.optional() // all providers if omitted
+});
+
+const RestoreSchema = z.object({
+  providers: z.record(z.any())
+});
+
+const ClockSetSchema = z.object({
+  at: z.string().refine(value => !Number.isNaN(parseMockTime(value)), {
+    message: 'Expected an ISO 8601 timestamp or a time relative to the mock clock, e.g. "now+3d".'
+  }),
+  frozen: z.boolean().default(true)
+});
+
+const ClockAdvanceSchema = z.object({
+  by: z.union([
+    z.number().int(), // milliseconds
+    z.string().refine(value => !Number.isNaN(parseDuration(value)), { message: 'Expected a duration such as "3d", "-2h" or "1d+12h".' })
+  ])
+});
+
+// Admin endpoints for the mock backends' data, for test runs: list the scenarios, take a
+// snapshot, reset to the scenario's fixtures, put a snapshot back, and set the mock clock.
+// The data endpoints act on the scenario the request picks with x-mcp-scenario, else the
+// default. Mount behind
+// authentication. The data is shared by all tenants. Cached mock responses are cleared
+// whenever the data is replaced.
+export function createMockRouter(cache: ResponseCache | null): express.Router {
+  const router = express.Router();
+
+  const invalidateCache = async (scenario: string, providers: string[]) => {
+    for (const provider of providers) {
+      await cache?.invalidateMock(scenario, provider);
+    }
+  };
+
+  // Changing the clock leaves seeded data alone; reset afterwards to seed relative to it
+  router.get('/clock', (req, res) => {
+    res.status(200).json(mockClockStatus());
+  });
+
+  router.put('/clock', (req, res) => {
+    const parsedBody = ClockSetSchema.safeParse(req.body ?? {});
+    if (!parsedBody.success) {
+      res.status(400).json({ error: 'Invalid request body.', errors: parsedBody.error.flatten().fieldErrors });
+      return;
+    }
+    setMockClock(parseMockTime(parsedBody.data.at), { frozen: parsedBody.data.frozen });
+    const status = mockClockStatus();
+    log.info('Mock clock set', { clientName: getCaller(req).clientName, now: status.now, frozen: status.frozen });
+    res.status(200).json(status);
+  });
+
+  router.post('/clock/advance', (req, res) => {
+    const parsedBody = ClockAdvanceSchema.safeParse(req.body ?? {});
+    if (!parsedBody.success) {
+      res.status(400).json({ error: 'Invalid request body.', errors: parsedBody.error.flatten().fieldErrors });
+      return;
+    }
+    const { by } = parsedBody.data;
+    advanceMockClock(typeof by === 'number' ? by : parseDuration(by));
+    const status = mockClockStatus();
+    log.info('Mock clock advanced', { clientName: getCaller(req).clientName, by, now: status.now });
+    res.status(200).json(status);
+  });
+
+  router.delete('/clock', (req, res) => {
+    resetMockClock();
+    log.info('Mock clock reset', { clientName: getCaller(req).clientName });
+    res.status(200).json(mockClockStatus());
+  });
+
+  router.get('/scenarios', (req, res) => {
+    res.status(200).json({ default: defaultMockScenario(), scenarios: listMockScenarios() });
+  });
+
+  // ?providers=stripe,shopify limits the snapshot to those providers
+  router.get('/', (req, res) => {
+    const requested = typeof req.query.providers === 'string' ? req.query.providers.split(',').map(name => name.trim()) : undefined;
+    const parsedProviders = ProvidersSchema.optional().safeParse(requested);
+    if (!parsedProviders.success) {
+      res.status(400).json({ error: `Invalid providers. Expected a comma-separated list of: ${mockProviders.join(', ')}.` });
+      return;
+    }
+    res.status(200).json({ takenAt: new Date().toISOString(), scenario: currentMockScenario(), providers: snapshotMockData(parsedProviders.data) });
+  });
+
+  router.post('/reset', async (req, res) => {
+    const parsedBody = ResetSchema.safeParse(req.body ?? {});
+    if (!parsedBody.success) {
+      res.status(400).json({ error: 'Invalid request body.', errors: parsedBody.error.flatten().fieldErrors });
+      return;
+    }
+    const scenario = currentMockScenario();
+    const providers = resetMockData(parsedBody.data.providers);
+    await invalidateCache(scenario, providers);
+    log.info('Mock data reset', { clientName: getCaller(req).clientName, scenario, providers });
+    res.status(200).json({ scenario, reset: providers });
+  });
+
+  // Replaces the data of the providers in the body (as returned by GET) and keeps the rest
+  router.put('/', async (req, res) => {
+    const parsedBody = RestoreSchema.safeParse(req.body ?? {});
+    if (!parsedBody.success) {
+      res.status(400).json({ error: 'Invalid request body.', errors: parsedBody.error.flatten().fieldErrors });
+      return;
+    }
+    const scenario = currentMockScenario();
+    let providers: string[];
+    try {
+      providers = restoreMockData(parsedBody.data.providers);
+    } catch (error: any) {
+      res.status(400).json({ error: error.message });
+      return;
+    }
+    await invalidateCache(scenario, providers);
+    log.info('Mock data restored', { clientName: getCaller(req).clientName, scenario, providers });
+    res.status(200).json({ scenario, restored: providers });
+  });
+
+  return router;
+}
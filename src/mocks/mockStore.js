@@ -0,0 +1,112 @@
+const { createLogger } = require('../utils/logger');
+const { getRequestContext } = require('../utils/requestContext');
+const { mockProviders, defaultMockScenario, requireMockScenario, seedFromScenario, parseProviderFixtures } = require('./scenarios');
+const { onSharedMockClock } = require('./mockClock');
+
+const log = createLogger('mocks.mockStore');
+
+// The data the mock backends read and write, one store per scenario and provider shared by
+// all of that provider's handlers, so a write made through one tool is seen by every later
+// read in the same scenario. Each store is an object of collections (e.g. Shopify's
+// `orders`), each an object of records keyed by ID. Stores are seeded from the scenario's
+// fixtures (see ./scenarios.js) on first use and live for the process. All tenants share
+// them, so a write made by one tenant is seen by every other.
+const stores = {};
+
+function requireMockProvider(provider) {
+  if (!mockProviders.includes(provider)) {
+    throw new Error(`Unknown mock provider "${provider}". Known providers: ${mockProviders.join(', ')}.`);
+  }
+}
+
+// The scenario picked for the current request (x-mcp-scenario), else the default
+function currentMockScenario() {
+  return getRequestContext()?.mockScenario || defaultMockScenario();
+}
+
+function scenarioStores(scenario) {
+  requireMockScenario(scenario);
+  stores[scenario] = stores[scenario] || {};
+  return stores[scenario];
+}
+
+/**
+ * The provider's live mock data in the current scenario. Look it up on every call rather
+ * than holding on to it: a reset or restore replaces it.
+ * @param {string} provider
+ */
+function getMockData(provider) {
+  requireMockProvider(provider);
+  const scenario = currentMockScenario();
+  const providerStores = scenarioStores(scenario);
+  if (!providerStores[provider]) {
+    // Whichever request comes first seeds the store for everyone, so its relative times are
+    // resolved against the mock clock rather than that request's x-mcp-clock time
+    providerStores[provider] = onSharedMockClock(() => seedFromScenario(scenario, provider));
+  }
+  return providerStores[provider];
+}
+
+/**
+ * Puts the providers' data (all of them by default) in the current scenario back to the
+ * scenario's fixtures. Relative fixture times are resolved against the time of the reset.
+ * @param {string[]} [providers]
+ * @returns {string[]} the providers reset
+ */
+function resetMockData(providers = mockProviders) {
+  providers.forEach(requireMockProvider);
+  const scenario = currentMockScenario();
+  const providerStores = scenarioStores(scenario);
+  for (const provider of providers) {
+    providerStores[provider] = seedFromScenario(scenario, provider);
+  }
+  log.info(`Mock data reset for ${providers.join(', ')} in scenario "${scenario}"`);
+  return providers;
+}
+
+/**
+ * A deep copy of the providers' data (all of them by default) in the current scenario, as
+ * provider -> collections.
+ * @param {string[]} [providers]
+ */
+function snapshotMockData(providers = mockProviders) {
+  const snapshot = {};
+  for (const provider of providers) {
+    snapshot[provider] = structuredClone(getMockData(provider));
+  }
+  return snapshot;
+}
+
+const isPlainObject = value => typeof value === 'object' && value !== null && !Array.isArray(value);
+
+/**
+ * Replaces the data of each provider in `snapshot` (as returned by snapshotMockData) in the
+ * current scenario and leaves the others alone. Each provider's data is checked against its
+ * fixture schema, as scenario files are; nothing is replaced if any of it is invalid.
+ * @param {Record<string, Record<string, Record<string, object>>>} snapshot
+ * @returns {string[]} the providers restored
+ */
+function restoreMockData(snapshot) {
+  if (!isPlainObject(snapshot)) {
+    throw new Error('A mock data snapshot must be an object of provider -> collections.');
+  }
+  const restored = {};
+  for (const [provider, data] of Object.entries(snapshot)) {
+    requireMockProvider(provider);
+    restored[provider] = parseProviderFixtures(provider, structuredClone(data));
+  }
+  const scenario = currentMockScenario();
+  Object.assign(scenarioStores(scenario), restored);
+  const providers = Object.keys(restored);
+  log.info(`Mock data restored for ${providers.join(', ')} in scenario "${scenario}"`);
+  return providers;
+}
+
+module.exports = {
+  mockProviders,
+  currentMockScenario,
+  getMockData,
+  resetMockData,
+  snapshotMockData,
+  restoreMockData,
+};
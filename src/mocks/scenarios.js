@@ -0,0 +1,150 @@
+const fs = require('fs');
+const path = require('path');
+const z = require('zod');
+const YAML = require('yaml');
+const { createLogger } = require('../utils/logger');
+
+const log = createLogger('mocks.scenarios');
+
+// Scenarios are named fixture packs for the mock backends: one JSON or YAML file each, named
+// after the scenario, giving the records every provider's mock starts with. The built-in ones
+// live in scenarios/ at the repository root; MCP_SCENARIOS_DIR adds more and overrides
+// built-in ones of the same name. Files are validated against the providers' fixture schemas
+// (src/mocks/<provider>.js) when they load, so a broken fixture stops startup rather than
+// failing a tool call.
+const fixtureSchemas = {
+  calendly: require('./calendly').schema,
+  hubspot: require('./hubspot').schema,
+  klaviyo: require('./klaviyo').schema,
+  shopify: require('./shopify').schema,
+  stripe: require('./stripe').schema,
+  zendesk: require('./zendesk').schema,
+};
+
+const mockProviders = Object.keys(fixtureSchemas);
+
+// Providers left out of a scenario, and collections left out of a provider, start empty
+const ScenarioFileSchema = z.object({
+  description: z.string().optional(),
+  providers: z.object(Object.fromEntries(mockProviders.map(provider => [provider, fixtureSchemas[provider].optional()]))).strict().default({})
+}).strict();
+
+const BUILT_IN_SCENARIOS_DIR = path.join(__dirname, '..', '..', 'scenarios');
+const SCENARIO_FILE_PATTERN = /^(.+)\.(json|ya?ml)$/;
+
+let scenarios = null;
+
+function formatIssues(error) {
+  return error.issues.map(issue => `${issue.path.join('.') || '(root)'}: ${issue.message.replace(/\.$/, '')}`).join('; ');
+}
+
+function readScenarioFile(filePath) {
+  const text = fs.readFileSync(filePath, 'utf8');
+  let document;
+  try {
+    document = filePath.endsWith('.json') ? JSON.parse(text) : YAML.parse(text);
+  } catch (error) {
+    throw new Error(`Invalid mock scenario file ${filePath}: ${error.message}`);
+  }
+  const parsed = ScenarioFileSchema.safeParse(document ?? {});
+  if (!parsed.success) {
+    throw new Error(`Invalid mock scenario file ${filePath}: ${formatIssues(parsed.error)}`);
+  }
+  // Keep the file as written: relative times are resolved each time the scenario is seeded
+  return { description: parsed.data.description ?? null, source: filePath, providers: document?.providers ?? {} };
+}
+
+function readScenarioDir(dir) {
+  const found = {};
+  for (const fileName of fs.readdirSync(dir).sort()) {
+    const match = SCENARIO_FILE_PATTERN.exec(fileName);
+    if (!match) {
+      continue;
+    }
+    const name = match[1];
+    if (found[name]) {
+      throw new Error(`Mock scenario "${name}" is defined twice in ${dir}: ${path.basename(found[name].source)} and ${fileName}.`);
+    }
+    found[name] = readScenarioFile(path.join(dir, fileName));
+  }
+  return found;
+}
+
+/**
+ * Reads and validates every scenario, and checks that the default one (MCP_MOCK_SCENARIO)
+ * exists. Servers call it at startup; otherwise the first lookup does.
+ * Throws naming the file and the failing fields if any fixture is invalid.
+ */
+function loadMockScenarios() {
+  const loaded = readScenarioDir(BUILT_IN_SCENARIOS_DIR);
+  const extraDir = process.env.MCP_SCENARIOS_DIR;
+  if (extraDir) {
+    if (!fs.existsSync(extraDir)) {
+      throw new Error(`MCP_SCENARIOS_DIR ${extraDir} does not exist.`);
+    }
+    Object.assign(loaded, readScenarioDir(extraDir));
+  }
+  scenarios = loaded;
+  requireMockScenario(defaultMockScenario());
+  log.info(`Loaded ${Object.keys(loaded).length} mock scenarios; default is "${defaultMockScenario()}"`);
+  return Object.keys(loaded);
+}
+
+function getScenarios() {
+  if (!scenarios) {
+    loadMockScenarios();
+  }
+  return scenarios;
+}
+
+// The scenario the mock backends serve unless a request picks another
+function defaultMockScenario() {
+  return process.env.MCP_MOCK_SCENARIO || 'default';
+}
+
+function requireMockScenario(name) {
+  const available = getScenarios();
+  if (!Object.prototype.hasOwnProperty.call(available, name)) {
+    throw new Error(`Unknown mock scenario "${name}". Known scenarios: ${Object.keys(available).join(', ')}.`);
+  }
+}
+
+// Name, description and file of every scenario, for the admin API
+function listMockScenarios() {
+  return Object.entries(getScenarios()).map(([name, scenario]) => ({ name, description: scenario.description, source: scenario.source }));
+}
+
+/**
+ * Fresh data for one provider in a scenario: its collections of records keyed by ID, with
+ * defaults filled in and relative times resolved against now.
+ * @param {string} name
+ * @param {string} provider
+ */
+function seedFromScenario(name, provider) {
+  requireMockScenario(name);
+  return fixtureSchemas[provider].parse(structuredClone(getScenarios()[name].providers[provider] ?? {}));
+}
+
+/**
+ * Validates a provider's data against its fixture schema, e.g. a snapshot being restored.
+ * Returns the parsed data or throws naming the failing fields.
+ * @param {string} provider
+ * @param {unknown} data
+ */
+function parseProviderFixtures(provider, data) {
+  const parsed = fixtureSchemas[provider].safeParse(data);
+  if (!parsed.success) {
+    throw new Error(`Invalid mock data for ${provider}: ${formatIssues(parsed.error)}`);
+  }
+  return parsed.data;
+}
+
+module.exports = {
+  mockProviders,
+  loadMockScenarios,
+  defaultMockScenario,
+  requireMockScenario,
+  listMockScenarios,
+  seedFromScenario,
+  parseProviderFixtures,
+};
@@ -0,0 +1,36 @@
+const z = require('zod');
+const { collection, isoTime } = require('./fixtureTypes');
+
+// Shaped like Shopify Admin REST API objects. An order is unfulfilled while its
+// fulfillment_status is null and cancelled once cancelled_at is set.
+const money = z.string().regex(/^\d+(\.\d{1,2})?$/, { message: 'Expected a decimal amount such as "12.50".' });
+
+const schema = z.object({
+  customers: collection(z.object({
+    id: z.string(),
+    email: z.string().email(),
+    first_name: z.string().optional(),
+    last_name: z.string().optional()
+  }).passthrough()),
+  orders: collection(z.object({
+    id: z.string(),
+    name: z.string(), // Order name/number, e.g. "#1001"
+    customer_id: z.string(),
+    financial_status: z.string(),
+    fulfillment_status: z.enum(['fulfilled', 'partial', 'restocked']).nullable().default(null),
+    cancelled_at: isoTime.nullable().default(null),
+    total_price: money,
+    created_at: isoTime,
+    line_items: z.array(z.object({
+      id: z.string(),
+      title: z.string(),
+      quantity: z.number().int().positive(),
+      price: money,
+      sku: z.string().nullable().default(null)
+    }).passthrough()).min(1),
+    shipping_lines: z.array(z.object({ title: z.string(), price: money }).passthrough()).default([]),
+    estimated_delivery_at: isoTime.nullable().default(null)
+  }).passthrough())
+}).strict();
+
+module.exports = { schema };
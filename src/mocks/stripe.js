@@ -0,0 +1,69 @@
+const z = require('zod');
+const { collection, unixTime } = require('./fixtureTypes');
+
+// Shaped like Stripe API objects: amounts in cents, times in Unix seconds
+const amount = z.number().int().nonnegative();
+
+const schema = z.object({
+  customers: collection(z.object({
+    id: z.string(),
+    object: z.literal('customer').default('customer'),
+    email: z.string().email(),
+    name: z.string().nullable().default(null),
+    created: unixTime.optional()
+  }).passthrough()),
+  invoices: collection(z.object({
+    id: z.string(),
+    object: z.literal('invoice').default('invoice'),
+    customer: z.string(),
+    amount_due: amount,
+    amount_paid: amount,
+    amount_remaining: amount,
+    currency: z.string().default('usd'),
+    status: z.enum(['draft', 'open', 'paid', 'uncollectible', 'void']),
+    due_date: unixTime.nullable().default(null),
+    created: unixTime,
+    invoice_pdf: z.string().nullable().default(null),
+    hosted_invoice_url: z.string().nullable().default(null),
+    lines: z.object({
+      data: z.array(z.object({
+        id: z.string(),
+        description: z.string().nullable().default(null),
+        amount,
+        currency: z.string().default('usd'),
+        quantity: z.number().int().positive().default(1),
+        period: z.object({ start: unixTime, end: unixTime })
+      }).passthrough())
+    }).default({ data: [] })
+  }).passthrough()),
+  subscriptions: collection(z.object({
+    id: z.string(),
+    object: z.literal('subscription').default('subscription'),
+    customer: z.string(),
+    status: z.enum(['incomplete', 'incomplete_expired', 'trialing', 'active', 'past_due', 'canceled', 'unpaid', 'paused']),
+    created: unixTime,
+    current_period_end: unixTime,
+    trial_end: unixTime.nullable().default(null),
+    plan: z.object({ id: z.string(), nickname: z.string().nullable().optional(), product: z.string().optional() }).passthrough().optional()
+  }).passthrough()),
+  charges: collection(z.object({
+    id: z.string(),
+    object: z.literal('charge').default('charge'),
+    customer: z.string().nullable().default(null),
+    amount,
+    amount_refunded: amount.default(0),
+    refunded: z.boolean().default(false),
+    currency: z.string().default('usd'),
+    status: z.enum(['succeeded', 'pending', 'failed'])
+  }).passthrough()),
+  refunds: collection(z.object({
+    id: z.string(),
+    object: z.literal('refund').default('refund'),
+    amount,
+    charge: z.string(),
+    currency: z.string().default('usd'),
+    status: z.string().default('succeeded')
+  }).passthrough())
+}).strict();
+
+module.exports = { schema };
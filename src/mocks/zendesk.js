@@ -0,0 +1,23 @@
+const z = require('zod');
+const { collection, isoTime } = require('./fixtureTypes');
+
+// Shaped like Zendesk Support API objects
+const schema = z.object({
+  users: collection(z.object({
+    id: z.string(),
+    name: z.string(),
+    email: z.string().email()
+  }).passthrough()),
+  tickets: collection(z.object({
+    id: z.string(),
+    requester_id: z.string(),
+    subject: z.string(),
+    description: z.string().default(''),
+    status: z.enum(['new', 'open', 'pending', 'hold', 'solved', 'closed']),
+    priority: z.enum(['low', 'normal', 'high', 'urgent']).nullable().default(null),
+    created_at: isoTime,
+    updated_at: isoTime
+  }).passthrough())
+}).strict();
+
+module.exports = { schema };
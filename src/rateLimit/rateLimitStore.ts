@@ -0,0 +1,98 @@
+import { createLogger } from '../utils/logger';
+
+const log = createLogger('rateLimit.rateLimitStore');
+
+// A bucket holds up to `capacity` tokens and regains `refillPerSecond` of them every second
+export interface TokenBucketLimit {
+  capacity: number;
+  refillPerSecond: number;
+}
+
+export interface BucketTake {
+  key: string;
+  limit: TokenBucketLimit;
+}
+
+export interface TakeAllResult {
+  allowed: boolean;
+  refused: number | null; // when refused, the index of the first take that could not be met
+  retryAfterMs: number;   // when refused, how long until that bucket has the tokens
+}
+
+// Limiter state. `takeAll` takes one token per entry (a key listed twice gives two) only if
+// every bucket has them, and takes nothing otherwise, so a refused request leaves every
+// bucket as it was. Implementations must make it atomic, so a shared store (e.g. Redis) can
+// enforce one limit across several server instances.
+export interface RateLimitStore {
+  takeAll(takes: BucketTake[]): Promise<TakeAllResult>;
+}
+
+interface Bucket {
+  tokens: number;
+  updatedAt: number; // ms since epoch
+  limit: TokenBucketLimit;
+}
+
+// Buckets for this process only; each server instance enforces its own limits
+export class InMemoryRateLimitStore implements RateLimitStore {
+  private buckets = new Map<string, Bucket>();
+
+  constructor(private maxBuckets = 10000) {}
+
+  private refill(bucket: Bucket, limit: TokenBucketLimit, now: number): void {
+    bucket.limit = limit;
+    const elapsedSeconds = (now - bucket.updatedAt) / 1000;
+    bucket.tokens = Math.min(limit.capacity, bucket.tokens + elapsedSeconds * limit.refillPerSecond);
+    bucket.updatedAt = now;
+  }
+
+  // A bucket idle long enough to be full again is the same as no bucket
+  private prune(now: number): void {
+    for (const [key, bucket] of this.buckets) {
+      const fullAfterMs = ((bucket.limit.capacity - bucket.tokens) / bucket.limit.refillPerSecond) * 1000;
+      if (now - bucket.updatedAt >= fullAfterMs) {
+        this.buckets.delete(key);
+      }
+    }
+  }
+
+  private bucket(key: string, limit: TokenBucketLimit, now: number): Bucket {
+    let bucket = this.buckets.get(key);
+    if (!bucket) {
+      if (this.buckets.size >= this.maxBuckets) {
+        this.prune(now);
+      }
+      bucket = { tokens: limit.capacity, updatedAt: now, limit };
+      this.buckets.set(key, bucket);
+    } else {
+      this.refill(bucket, limit, now);
+    }
+    return bucket;
+  }
+
+  async takeAll(takes: BucketTake[]) {
+    const now = Date.now();
+    const needed = new Map<string, number>();
+    for (let i = 0; i < takes.length; i++) {
+      const { key, limit } = takes[i];
+      const count = (needed.get(key) ?? 0) + 1;
+      needed.set(key, count);
+      const bucket = this.bucket(key, limit, now);
+      if (bucket.tokens < count) {
+        return { allowed: false, refused: i, retryAfterMs: Math.ceil(((count - bucket.tokens) / limit.refillPerSecond) * 1000) };
+      }
+    }
+    for (const [key, count] of needed) {
+      this.buckets.get(key)!.tokens -= count;
+    }
+    return { allowed: true, refused: null, retryAfterMs: 0 };
+  }
+}
+
+export function createRateLimitStoreFromEnv(): RateLimitStore {
+  const storeType = (process.env.MCP_RATE_LIMIT_STORE || 'memory').toLowerCase();
+  if (storeType !== 'memory') {
+    log.warn(`Unknown MCP_RATE_LIMIT_STORE "${storeType}". Falling back to in-memory rate limits.`);
+  }
+  return new InMemoryRateLimitStore();
+}
@@ -0,0 +1,179 @@
+import express from 'express';
+import { getCaller, CallerContext } from '../auth/callerContext';
+import { RateLimitStore, TokenBucketLimit, createRateLimitStoreFromEnv } from './rateLimitStore';
+import { createLogger } from '../utils/logger';
+
+const log = createLogger('rateLimit.rateLimiter');
+
+// `count` calls per `windowMs`, refilled evenly, with bursts of up to `count`
+export interface RateLimit {
+  count: number;
+  windowMs: number;
+  text: string; // as configured, e.g. "10/min"
+}
+
+const WINDOW_UNITS: Record<string, number> = { s: 1000, sec: 1000, m: 60 * 1000, min: 60 * 1000, h: 60 * 60 * 1000, hour: 60 * 60 * 1000 };
+const RATE_LIMIT_PATTERN = /^(\d+)\s*\/\s*(\d+)?\s*(s|sec|m|min|h|hour)$/;
+
+/**
+ * Parses "<count>/<window>", e.g. "60/min", "5/s" or "500/15m". "off" means no limit.
+ */
+export function parseRateLimit(value: string): RateLimit | null {
+  const text = value.trim().toLowerCase();
+  if (text === 'off') {
+    return null;
+  }
+  const match = RATE_LIMIT_PATTERN.exec(text);
+  const count = match ? parseInt(match[1], 10) : 0;
+  if (!match || count <= 0) {
+    throw new Error(`Invalid rate limit "${value}". Use "<count>/<window>", e.g. "60/min", "5/s" or "off".`);
+  }
+  return { count, windowMs: parseInt(match[2] || '1', 10) * WINDOW_UNITS[match[3]], text };
+}
+
+function toBucketLimit(limit: RateLimit): TokenBucketLimit {
+  return { capacity: limit.count, refillPerSecond: limit.count / (limit.windowMs / 1000) };
+}
+
+export type RateLimitKind = 'client' | 'tool' | 'provider';
+
+export interface RateLimitConfig {
+  perClient: RateLimit | null;    // all /mcp requests from one API key
+  perTool: RateLimit | null;      // calls from one client to one read tool
+  perWriteTool: RateLimit | null; // calls from one client to one write or refund tool
+  perProvider: RateLimit | null;  // calls from one tenant to one provider's tools
+  tools: Record<string, RateLimit | null>;     // per-tool overrides of perTool/perWriteTool
+  providers: Record<string, RateLimit | null>; // per-provider overrides of perProvider
+}
+
+// A tools/call in the request, with what the server knows about the tool
+export interface RateLimitedToolCall {
+  name: string;
+  provider: string;
+  write: boolean;
+}
+
+export type RateLimitDecision =
+  | { allowed: true }
+  | { allowed: false; kind: RateLimitKind; subject: string; limit: RateLimit; retryAfterMs: number };
+
+// Token-bucket limits per client, per client and tool, and per tenant and provider. Each
+// request takes one token from its client's bucket and each tool call in it one from the
+// tool and provider buckets. Tokens are taken only if every bucket has them: the first empty
+// bucket refuses the request and nothing is taken from the others.
+export class RateLimiter {
+  constructor(private store: RateLimitStore, private config: RateLimitConfig) {}
+
+  private toolLimit(call: RateLimitedToolCall): RateLimit | null {
+    if (call.name in this.config.tools) {
+      return this.config.tools[call.name];
+    }
+    return call.write ? this.config.perWriteTool : this.config.perTool;
+  }
+
+  private providerLimit(provider: string): RateLimit | null {
+    return provider in this.config.providers ? this.config.providers[provider] : this.config.perProvider;
+  }
+
+  async check(caller: CallerContext, toolCalls: RateLimitedToolCall[]): Promise<RateLimitDecision> {
+    const checks: { kind: RateLimitKind; subject: string; key: string; limit: RateLimit | null }[] = [
+      { kind: 'client', subject: caller.clientName, key: `client:${caller.clientName}`, limit: this.config.perClient },
+    ];
+    for (const call of toolCalls) {
+      checks.push({ kind: 'provider', subject: call.provider, key: `provider:${caller.tenantId}:${call.provider}`, limit: this.providerLimit(call.provider) });
+      checks.push({ kind: 'tool', subject: call.name, key: `tool:${caller.clientName}:${call.name}`, limit: this.toolLimit(call) });
+    }
+    const limited = checks.filter(check => check.limit !== null);
+    const taken = await this.store.takeAll(limited.map(({ key, limit }) => ({ key, limit: toBucketLimit(limit!) })));
+    if (!taken.allowed) {
+      const { kind, subject, limit } = limited[taken.refused!];
+      return { allowed: false, kind, subject, limit: limit!, retryAfterMs: taken.retryAfterMs };
+    }
+    return { allowed: true };
+  }
+}
+
+/**
+ * Express middleware for /mcp, behind the authentication middleware. `toolScope` returns the
+ * scope of a tool name (e.g. "write:shopify"), or undefined for names the server doesn't
+ * know; those only count against the client limit. Refused requests get HTTP 429 with
+ * Retry-After and a JSON-RPC error.
+ */
+export function rateLimitMcpRequests(
+  limiter: RateLimiter,
+  toolScope: (name: string) => string | undefined,
+  onLimited?: (kind: RateLimitKind) => void
+): express.RequestHandler {
+  return async (req, res, next) => {
+    const messages: any[] = Array.isArray(req.body) ? req.body : [req.body];
+    const toolCalls: RateLimitedToolCall[] = [];
+    for (const message of messages) {
+      const name = message?.method === 'tools/call' ? message.params?.name : undefined;
+      const scope = typeof name === 'string' ? toolScope(name) : undefined;
+      if (scope) {
+        const [access, provider] = scope.split(':');
+        toolCalls.push({ name, provider, write: access !== 'read' });
+      }
+    }
+
+    let decision: RateLimitDecision;
+    try {
+      decision = await limiter.check(getCaller(req), toolCalls);
+    } catch (error: any) {
+      // An unavailable limiter store must not take the server down with it
+      log.error('Rate limit check failed; allowing the request', { error });
+      return next();
+    }
+    if (decision.allowed) {
+      return next();
+    }
+
+    const retryAfterSeconds = Math.max(1, Math.ceil(decision.retryAfterMs / 1000));
+    log.warn(`Rate limit exceeded for ${decision.kind} ${decision.subject}`, { clientName: getCaller(req).clientName, limit: decision.limit.text, retryAfterMs: decision.retryAfterMs });
+    onLimited?.(decision.kind);
+    res.set('Retry-After', String(retryAfterSeconds)).status(429).json({
+      jsonrpc: '2.0',
+      error: {
+        code: -32000,
+        message: `Rate limit exceeded for ${decision.kind} ${decision.subject} (${decision.limit.text}). Retry after ${retryAfterSeconds} s.`,
+        data: { code: 'RATE_LIMITED', retryable: true, retryAfterMs: decision.retryAfterMs, limit: decision.kind }
+      },
+      id: Array.isArray(req.body) ? null : req.body?.id ?? null,
+    });
+  };
+}
+
+function parseLimitEnv(name: string, fallback: string): RateLimit | null {
+  return parseRateLimit(process.env[name] || fallback);
+}
+
+// MCP_RATE_LIMITS=off turns rate limiting off. Per-provider limits are read from
+// <PROVIDER>_RATE_LIMIT (e.g. STRIPE_RATE_LIMIT) for the given providers.
+export function createRateLimiterFromEnv(providers: string[]): RateLimiter | null {
+  if ((process.env.MCP_RATE_LIMITS || '').toLowerCase() === 'off') {
+    log.info('Rate limiting disabled (MCP_RATE_LIMITS=off).');
+    return null;
+  }
+  const tools: Record<string, RateLimit | null> = {};
+  if (process.env.MCP_RATE_LIMIT_TOOLS) {
+    const overrides: Record<string, string> = JSON.parse(process.env.MCP_RATE_LIMIT_TOOLS);
+    for (const [toolName, value] of Object.entries(overrides)) {
+      tools[toolName] = parseRateLimit(value);
+    }
+  }
+  const providerLimits: Record<string, RateLimit | null> = {};
+  for (const provider of providers) {
+    const value = process.env[`${provider.toUpperCase()}_RATE_LIMIT`];
+    if (value) {
+      providerLimits[provider] = parseRateLimit(value);
+    }
+  }
+  return new RateLimiter(createRateLimitStoreFromEnv(), {
+    perClient: parseLimitEnv('MCP_RATE_LIMIT_PER_CLIENT', '300/min'),
+    perTool: parseLimitEnv('MCP_RATE_LIMIT_PER_TOOL', '60/min'),
+    perWriteTool: parseLimitEnv('MCP_RATE_LIMIT_PER_WRITE_TOOL', '10/min'),
+    perProvider: parseLimitEnv('MCP_RATE_LIMIT_PER_PROVIDER', '120/min'),
+    tools,
+    providers: providerLimits,
+  });
+}
@@ -0,0 +1,37 @@
+import crypto from 'crypto';
+
+// AES-256-GCM with a key derived (scrypt) from a passphrase and a per-file salt. Used for
+// anything this server keeps encrypted at rest: the connection vault and the file secret backend.
+const ALGORITHM = 'aes-256-gcm';
+
+export interface EncryptedPayload {
+  iv: string;
+  tag: string;
+  data: string;
+}
+
+export function newSalt(): string {
+  return crypto.randomBytes(16).toString('base64');
+}
+
+export function deriveKey(secret: string, salt: string): Buffer {
+  return crypto.scryptSync(secret, Buffer.from(salt, 'base64'), 32);
+}
+
+// `aad` binds the ciphertext to its record so it can't be swapped into another one
+export function encryptJson(key: Buffer, value: any, aad: string): EncryptedPayload {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+  cipher.setAAD(Buffer.from(aad, 'utf8'));
+  const data = Buffer.concat([cipher.update(JSON.stringify(value), 'utf8'), cipher.final()]);
+  return { iv: iv.toString('base64'), tag: cipher.getAuthTag().toString('base64'), data: data.toString('base64') };
+}
+
+// Throws if the key is wrong or the payload was tampered with
+export function decryptJson(key: Buffer, payload: EncryptedPayload, aad: string): any {
+  const decipher = crypto.createDecipheriv(ALGORITHM, key, Buffer.from(payload.iv, 'base64'));
+  decipher.setAAD(Buffer.from(aad, 'utf8'));
+  decipher.setAuthTag(Buffer.from(payload.tag, 'base64'));
+  const plaintext = Buffer.concat([decipher.update(Buffer.from(payload.data, 'base64')), decipher.final()]);
+  return JSON.parse(plaintext.toString('utf8'));
+}
@@ -0,0 +1,18 @@
+import { SecretProvider } from './secretProvider';
+
+// "stripe-api-key" -> STRIPE_API_KEY
+export function envVarNameForSecret(secretName: string): string {
+  return secretName.toUpperCase().replace(/[^A-Z0-9]+/g, '_');
+}
+
+// Reads secrets from environment variables, which cannot change while the process runs
+export function createEnvSecretProvider(env: NodeJS.ProcessEnv = process.env): SecretProvider {
+  return {
+    name: 'env',
+    async getSecret(secretName) {
+      const variable = envVarNameForSecret(secretName);
+      const value = env[variable];
+      return value ? { value, version: `env:${variable}` } : null;
+    }
+  };
+}
@@ -0,0 +1,103 @@
+import fs from 'fs';
+import path from 'path';
+import { SecretProvider, SecretValue } from './secretProvider';
+import { EncryptedPayload, newSalt, deriveKey, encryptJson, decryptJson } from './encryption';
+
+interface StoredSecret {
+  version: number;
+  updatedAt: string;
+  value: EncryptedPayload;
+}
+
+interface SecretsFile {
+  version: 1;
+  salt: string;
+  secrets: Record<string, StoredSecret>;
+}
+
+// Secrets in a local JSON file, each value encrypted under MCP_SECRETS_FILE_KEY. The file is
+// re-read on every lookup, so changes made with the secrets CLI apply without a restart.
+export class FileSecretProvider implements SecretProvider {
+  readonly name = 'file';
+  private keys = new Map<string, Buffer>(); // salt -> derived key; scrypt is slow
+
+  constructor(private filePath: string, private passphrase: string) {}
+
+  private keyFor(salt: string): Buffer {
+    let key = this.keys.get(salt);
+    if (!key) {
+      key = deriveKey(this.passphrase, salt);
+      this.keys.set(salt, key);
+    }
+    return key;
+  }
+
+  private async read(): Promise<SecretsFile> {
+    try {
+      return JSON.parse(await fs.promises.readFile(this.filePath, 'utf8'));
+    } catch (error: any) {
+      if (error.code === 'ENOENT') {
+        return { version: 1, salt: newSalt(), secrets: {} };
+      }
+      throw new Error(`Could not read secrets file ${this.filePath}: ${error.message}`);
+    }
+  }
+
+  private async write(file: SecretsFile): Promise<void> {
+    await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+    const tempPath = `${this.filePath}.tmp`;
+    await fs.promises.writeFile(tempPath, JSON.stringify(file, null, 2), { encoding: 'utf8', mode: 0o600 });
+    await fs.promises.rename(tempPath, this.filePath);
+  }
+
+  async getSecret(secretName: string): Promise<SecretValue | null> {
+    const file = await this.read();
+    const stored = file.secrets[secretName];
+    if (!stored) {
+      return null;
+    }
+    let value: string;
+    try {
+      value = decryptJson(this.keyFor(file.salt), stored.value, secretName);
+    } catch {
+      throw new Error(`Could not decrypt secret ${secretName} in ${this.filePath}. Check MCP_SECRETS_FILE_KEY.`);
+    }
+    return { value, version: String(stored.version) };
+  }
+
+  async listSecrets(): Promise<{ name: string; version: number; updatedAt: string }[]> {
+    const file = await this.read();
+    return Object.entries(file.secrets).map(([name, { version, updatedAt }]) => ({ name, version, updatedAt }));
+  }
+
+  async setSecret(secretName: string, value: string): Promise<number> {
+    const file = await this.read();
+    const version = (file.secrets[secretName]?.version || 0) + 1;
+    file.secrets[secretName] = {
+      version,
+      updatedAt: new Date().toISOString(),
+      value: encryptJson(this.keyFor(file.salt), value, secretName),
+    };
+    await this.write(file);
+    return version;
+  }
+
+  async deleteSecret(secretName: string): Promise<boolean> {
+    const file = await this.read();
+    if (!file.secrets[secretName]) {
+      return false;
+    }
+    delete file.secrets[secretName];
+    await this.write(file);
+    return true;
+  }
+}
+
+export function createFileSecretProviderFromEnv(): FileSecretProvider {
+  const passphrase = process.env.MCP_SECRETS_FILE_KEY;
+  if (!passphrase) {
+    throw new Error('MCP_SECRET_BACKEND=file requires MCP_SECRETS_FILE_KEY.');
+  }
+  const filePath = process.env.MCP_SECRETS_FILE || path.join(process.cwd(), 'data', 'secrets.json');
+  return new FileSecretProvider(filePath, passphrase);
+}
@@ -0,0 +1,52 @@
+import { SecretManagerServiceClient } from '@google-cloud/secret-manager';
+import { SecretProvider } from './secretProvider';
+import { createLogger } from '../utils/logger';
+
+const log = createLogger('secrets.gcpSecretProvider');
+
+const GRPC_NOT_FOUND = 5;
+
+// Google Cloud Secret Manager; always reads the `latest` version of a secret
+export function createGcpSecretProvider(gcloudProject: string): SecretProvider {
+  const client = new SecretManagerServiceClient();
+  return {
+    name: 'gcp',
+    async getSecret(secretName) {
+      const secretVersionName = `projects/${gcloudProject}/secrets/${secretName}/versions/latest`;
+      let versionResponse;
+      try {
+        [versionResponse] = await client.accessSecretVersion({ name: secretVersionName });
+      } catch (error: any) {
+        if (error.code === GRPC_NOT_FOUND) {
+          return null;
+        }
+        throw error;
+      }
+
+      let payload: string | undefined;
+      if (versionResponse.payload?.data) {
+        if (typeof versionResponse.payload.data === 'string') {
+          payload = versionResponse.payload.data;
+        } else if (versionResponse.payload.data instanceof Uint8Array || Buffer.isBuffer(versionResponse.payload.data)) {
+          payload = Buffer.from(versionResponse.payload.data).toString('utf8');
+        } else {
+          log.error('Secret payload data is of an unexpected type', { type: typeof versionResponse.payload.data });
+          throw new Error('Secret payload data is of an unexpected type.');
+        }
+      }
+      if (!payload) {
+        throw new Error(`Secret ${secretName} payload is empty, data is missing, or data is of an unexpected type.`);
+      }
+      // versionResponse.name is the resolved version, e.g. projects/p/secrets/s/versions/7
+      return { value: payload, version: versionResponse.name?.split('/').pop() || 'latest' };
+    }
+  };
+}
+
+export function createGcpSecretProviderFromEnv(): SecretProvider {
+  const gcloudProject = process.env.GCLOUD_PROJECT;
+  if (!gcloudProject) {
+    throw new Error('MCP_SECRET_BACKEND=gcp requires GCLOUD_PROJECT.');
+  }
+  return createGcpSecretProvider(gcloudProject);
+}
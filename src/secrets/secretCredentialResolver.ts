@@ -0,0 +1,46 @@
+import { CredentialResolver } from '../toolRegistry';
+import { SecretProvider, providerSecretName } from './secretProvider';
+import { createLogger } from '../utils/logger';
+
+const log = createLogger('secrets.secretCredentialResolver');
+
+// A provider secret holds either a JSON object matching the provider's AuthSchema
+// (e.g. {"token": "sk_test_..."}) or a bare API key, which is used as `token`.
+function parseCredentialSecret(value: string): Record<string, any> {
+  try {
+    const parsed = JSON.parse(value);
+    if (parsed && typeof parsed === 'object' && !Array.isArray(parsed)) {
+      return parsed;
+    }
+  } catch {
+    // Not JSON: a bare key
+  }
+  return { token: value };
+}
+
+// Provider credentials come from the secret backend (`<provider>-api-key`), shared by all
+// callers. Tools take no credential params at all.
+export function createSecretCredentialResolver(secrets: SecretProvider): CredentialResolver {
+  return {
+    mode: 'secrets',
+    toolParams: () => ({}),
+    resolve: async (provider, authSchema) => {
+      const secretName = providerSecretName(provider);
+      let secret;
+      try {
+        secret = await secrets.getSecret(secretName);
+      } catch (error: any) {
+        log.error(`Failed to read ${secretName} from the ${secrets.name} secret backend`, { error });
+        return { success: false, message: `Credentials for ${provider} could not be read from the secret backend.` };
+      }
+      if (!secret) {
+        return { success: false, message: `No ${provider} credentials configured: secret ${secretName} not found in the ${secrets.name} secret backend.` };
+      }
+      const parsed = authSchema.safeParse(parseCredentialSecret(secret.value));
+      if (!parsed.success) {
+        return { success: false, message: `Secret ${secretName} is missing credentials this tool needs: ${Object.keys(parsed.error.flatten().fieldErrors).join(', ')}.` };
+      }
+      return { success: true, credentials: parsed.data };
+    }
+  };
+}
@@ -0,0 +1,69 @@
+import { createEnvSecretProvider } from './envSecretProvider';
+import { createFileSecretProviderFromEnv } from './fileSecretProvider';
+import { createVaultSecretProviderFromEnv } from './vaultSecretProvider';
+import { createGcpSecretProviderFromEnv } from './gcpSecretProvider';
+
+export interface SecretValue {
+  value: string;
+  version: string; // safe to log; identifies which revision of the secret this is
+}
+
+// A place secrets are read from: the internal API key and provider credentials
+// (`<provider>-api-key`) both go through this, whichever backend is configured.
+export interface SecretProvider {
+  name: string;
+  // null when the secret does not exist; throws when the backend cannot be reached
+  getSecret(secretName: string): Promise<SecretValue | null>;
+}
+
+export type SecretBackend = 'env' | 'file' | 'vault' | 'gcp';
+const SECRET_BACKENDS: SecretBackend[] = ['env', 'file', 'vault', 'gcp'];
+
+// Secret name under which a provider's credentials are stored, e.g. "stripe-api-key"
+export function providerSecretName(provider: string): string {
+  return `${provider}-api-key`;
+}
+
+// Caches hits for ttlMs so that credentials are not fetched from a remote backend on every tool call
+export function withSecretCache(provider: SecretProvider, ttlMs: number): SecretProvider {
+  if (ttlMs <= 0) {
+    return provider;
+  }
+  const cache = new Map<string, { secret: SecretValue; expiresAt: number }>();
+  return {
+    name: provider.name,
+    async getSecret(secretName) {
+      const cached = cache.get(secretName);
+      if (cached && cached.expiresAt > Date.now()) {
+        return cached.secret;
+      }
+      const secret = await provider.getSecret(secretName);
+      if (secret) {
+        cache.set(secretName, { secret, expiresAt: Date.now() + ttlMs });
+      } else {
+        cache.delete(secretName);
+      }
+      return secret;
+    }
+  };
+}
+
+// MCP_SECRET_BACKEND picks the backend. Without it, GCP Secret Manager is used when
+// GCLOUD_PROJECT is set (the original behaviour) and environment variables otherwise.
+export function createSecretProviderFromEnv(): SecretProvider {
+  const configured = process.env.MCP_SECRET_BACKEND as SecretBackend | undefined;
+  if (configured && !SECRET_BACKENDS.includes(configured)) {
+    throw new Error(`Unknown MCP_SECRET_BACKEND "${configured}". Use one of: ${SECRET_BACKENDS.join(', ')}.`);
+  }
+  const backend: SecretBackend = configured || (process.env.GCLOUD_PROJECT ? 'gcp' : 'env');
+  switch (backend) {
+    case 'file':
+      return createFileSecretProviderFromEnv();
+    case 'vault':
+      return createVaultSecretProviderFromEnv();
+    case 'gcp':
+      return createGcpSecretProviderFromEnv();
+    default:
+      return createEnvSecretProvider();
+  }
+}
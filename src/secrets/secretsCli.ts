@@ -0,0 +1,44 @@
+#!/usr/bin/env node
+import dotenv from 'dotenv';
+import { createFileSecretProviderFromEnv } from './fileSecretProvider';
+
+// Manages the encrypted secrets file used by MCP_SECRET_BACKEND=file:
+//   npm run secrets -- list
+//   echo -n "sk_test_..." | npm run secrets -- set stripe-api-key
+//   npm run secrets -- delete stripe-api-key
+// Values are read from stdin so they don't end up in shell history.
+dotenv.config();
+
+async function readStdin(): Promise<string> {
+  const chunks: Buffer[] = [];
+  for await (const chunk of process.stdin) {
+    chunks.push(Buffer.from(chunk));
+  }
+  return Buffer.concat(chunks).toString('utf8').replace(/\r?\n$/, '');
+}
+
+async function main() {
+  const [command, secretName] = process.argv.slice(2);
+  const secrets = createFileSecretProviderFromEnv();
+
+  if (command === 'list') {
+    for (const secret of await secrets.listSecrets()) {
+      console.log(`${secret.name}\tversion ${secret.version}\tupdated ${secret.updatedAt}`);
+    }
+  } else if (command === 'set' && secretName) {
+    const value = await readStdin();
+    if (!value) {
+      throw new Error('No value on stdin.');
+    }
+    console.log(`Stored ${secretName} (version ${await secrets.setSecret(secretName, value)})`);
+  } else if (command === 'delete' && secretName) {
+    console.log(await secrets.deleteSecret(secretName) ? `Deleted ${secretName}` : `${secretName} not found`);
+  } else {
+    throw new Error('Usage: secrets list | secrets set <name> (value on stdin) | secrets delete <name>');
+  }
+}
+
+main().catch((error: any) => {
+  console.error(error.message);
+  process.exit(1);
+});
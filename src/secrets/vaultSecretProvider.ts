@@ -0,0 +1,65 @@
+import axios from 'axios';
+import { SecretProvider } from './secretProvider';
+
+export interface VaultSecretProviderOptions {
+  address: string;    // e.g. https://vault.example.com:8200
+  token: string;
+  mount: string;      // KV v2 mount, e.g. "secret"
+  pathPrefix: string; // secrets live at <mount>/data/<pathPrefix>/<secretName>
+  namespace?: string; // Vault Enterprise / HCP namespace
+  timeoutMs: number;
+}
+
+// HashiCorp Vault (or any server speaking its KV v2 HTTP API). A secret's `value` field is
+// returned as-is; secrets with other fields are returned as a JSON object string.
+export function createVaultSecretProvider(options: VaultSecretProviderOptions): SecretProvider {
+  const client = axios.create({
+    baseURL: options.address.replace(/\/+$/, ''),
+    timeout: options.timeoutMs,
+    headers: {
+      'X-Vault-Token': options.token,
+      ...(options.namespace ? { 'X-Vault-Namespace': options.namespace } : {})
+    }
+  });
+  const prefix = options.pathPrefix.replace(/^\/+|\/+$/g, '');
+
+  return {
+    name: 'vault',
+    async getSecret(secretName) {
+      const secretPath = [prefix, secretName].filter(Boolean).map(encodeURIComponent).join('/');
+      let response;
+      try {
+        response = await client.get(`/v1/${options.mount}/data/${secretPath}`);
+      } catch (error: any) {
+        if (error.response?.status === 404) {
+          return null;
+        }
+        const reason = error.response ? `HTTP ${error.response.status}` : error.message;
+        throw new Error(`Vault read of ${secretName} failed: ${reason}`);
+      }
+
+      const data = response.data?.data?.data;
+      if (!data || typeof data !== 'object') {
+        return null; // deleted or destroyed version
+      }
+      const value = Object.keys(data).length === 1 && typeof data.value === 'string' ? data.value : JSON.stringify(data);
+      return { value, version: String(response.data.data.metadata?.version ?? 'unknown') };
+    }
+  };
+}
+
+export function createVaultSecretProviderFromEnv(): SecretProvider {
+  const address = process.env.VAULT_ADDR;
+  const token = process.env.VAULT_TOKEN;
+  if (!address || !token) {
+    throw new Error('MCP_SECRET_BACKEND=vault requires VAULT_ADDR and VAULT_TOKEN.');
+  }
+  return createVaultSecretProvider({
+    address,
+    token,
+    mount: process.env.MCP_VAULT_KV_MOUNT || 'secret',
+    pathPrefix: process.env.MCP_VAULT_PATH_PREFIX ?? 'knowreply-mcp',
+    namespace: process.env.VAULT_NAMESPACE,
+    timeoutMs: parseInt(process.env.MCP_VAULT_TIMEOUT_MS || '', 10) || 5000,
+  });
+}
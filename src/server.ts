@@ -1,102 +1,119 @@
+import crypto from 'crypto';
 import express from 'express';
 import cors from 'cors';
 import dotenv from 'dotenv';
-import { McpServer } from '@modelcontextprotocol/sdk/server/mcp.js';
 import { StreamableHTTPServerTransport } from '@modelcontextprotocol/sdk/server/streamableHttp.js';
-import { SecretManagerServiceClient } from '@google-cloud/secret-manager';
-import { z, ZodError } from 'zod';
-import axios from 'axios';
-
-// Define McpContent locally based on current usage
-interface McpTextContent {
-  type: "text";
-  text: string;
-  [key: string]: any; // Allow any other properties (FIX APPLIED HERE)
-}
-type McpContent = McpTextContent;
+import { McpSessionManager } from './sessions/sessionManager';
+import { createSessionStoreFromEnv } from './sessions/sessionStore';
+import { CATALOG_RESOURCE_URI } from './catalog';
+import { initializeMcpServerInstance, getCatalog, providerAuthSchemas, getToolScope, toolProviderNames, providerToolNames } from './mcpServerFactory';
+import { attachCaller, getCaller, isValidTenantId, CallerContext, DEFAULT_TENANT_ID } from './auth/callerContext';
+import { createClientKeyRegistryFromEnv } from './auth/clientKeys';
+import { createInternalApiKeyManagerFromEnv } from './auth/internalApiKeys';
+import { requireScope } from './auth/scopes';
+import { createConnectionVaultFromEnv } from './connections/connectionVault';
+import { createConnectionCredentialResolver } from './connections/connectionResolver';
+import { createConnectionRouter } from './connections/connectionRoutes';
+import { createSecretProviderFromEnv, withSecretCache } from './secrets/secretProvider';
+import { createSecretCredentialResolver } from './secrets/secretCredentialResolver';
+import { CredentialResolver } from './toolRegistry';
+import { createIdempotencyGuardFromEnv } from './idempotency/idempotencyGuard';
+import { createResponseCacheFromEnv } from './cache/responseCache';
+import { createRateLimiterFromEnv, rateLimitMcpRequests } from './rateLimit/rateLimiter';
+import { createBackendSelectorFromEnv, parseBackendOverride } from './backends/backendSelector';
+import { createApprovalQueueFromEnv } from './approvals/approvalQueue';
+import { createApprovalRouter } from './approvals/approvalRoutes';
+import { createAuditStoreFromEnv } from './audit/auditLog';
+import { createAuditRouter } from './audit/auditRoutes';
+import { createMockRouter } from './mocks/mockRoutes';
+import { loadMockScenarios, requireMockScenario } from './mocks/scenarios';
+import { parseMockTime } from './mocks/mockClock';
+import { loadFaultInjectionFromEnv } from './faults/faultInjector';
+import { createFaultRouter } from './faults/faultRoutes';
+import { createServerMetrics } from './metrics/serverMetrics';
+import { startTracingFromEnv, traceHttpRequest, withSpan } from './tracing/tracing';
+import { createLogger } from './utils/logger';
+import { runWithRequestContext, setBackendOverride, setMockScenario, setMockTime } from './utils/requestContext';
 
 // Load .env file first
 dotenv.config();
 
 const app = express();
 const port = process.env.PORT || 3000;
+const log = createLogger('server');
 
-// --- Centralized API Key Fetching Logic ---
-let internalApiKey: string | null = null;
+// --- Tracing ---
+// OpenTelemetry spans for /mcp requests, MCP connects, tool calls and provider HTTP calls,
+// exported over OTLP, printed with OTEL_TRACES_EXPORTER=console, or else logged at debug level.
+// Registered before anything creates spans.
+startTracingFromEnv();
 
-async function fetchAndSetInternalApiKey(): Promise<void> {
-  const gcloudProject = process.env.GCLOUD_PROJECT;
-  const secretName = process.env.MCP_API_KEY_SECRET_NAME;
-  const fallbackApiKey = process.env.MCP_SERVER_INTERNAL_API_KEY_FALLBACK;
+// --- Metrics ---
+// Prometheus metrics served at GET /metrics. Created before the middleware that counts into it.
+const metrics = createServerMetrics();
 
-  if (gcloudProject && secretName) {
-    try {
-      const client = new SecretManagerServiceClient();
-      const secretVersionName = `projects/${gcloudProject}/secrets/${secretName}/versions/latest`;
-      console.log(`Attempting to fetch secret: ${secretVersionName}`);
-      const request = { name: secretVersionName };
-      const [versionResponse] = await client.accessSecretVersion(request);
-
-      // Refined payload handling (FIX APPLIED HERE)
-      let apiKeyPayload: string | undefined;
-      if (versionResponse.payload?.data) {
-          if (typeof versionResponse.payload.data === 'string') {
-              apiKeyPayload = versionResponse.payload.data;
-          } else if (versionResponse.payload.data instanceof Uint8Array || Buffer.isBuffer(versionResponse.payload.data)) {
-              apiKeyPayload = Buffer.from(versionResponse.payload.data).toString('utf8');
-          } else {
-              console.error('Secret payload data is of an unexpected type:', typeof versionResponse.payload.data);
-              throw new Error('Secret payload data is of an unexpected type.');
-          }
-      }
+// --- Secrets ---
+// One secret backend (MCP_SECRET_BACKEND: env, file, vault or gcp) serves the internal API key
+// and, with MCP_PROVIDER_CREDENTIALS_SOURCE=secrets, provider credentials.
+const secretProvider = createSecretProviderFromEnv();
 
-      if (!apiKeyPayload) {
-        throw new Error('Fetched secret payload is empty, data is missing, or data is of an unexpected type.');
-      }
-      internalApiKey = apiKeyPayload;
-      console.log('Successfully fetched and configured API key from Secret Manager.');
-    } catch (error: any) {
-      console.error('Error fetching API key from Secret Manager:', error.message);
-      if (!fallbackApiKey) {
-        throw new Error('Secret Manager fetch failed and MCP_SERVER_INTERNAL_API_KEY_FALLBACK is not set.');
-      }
-      console.warn('Falling back to MCP_SERVER_INTERNAL_API_KEY_FALLBACK due to Secret Manager error.');
-      internalApiKey = fallbackApiKey;
-    }
-  } else {
-    if (!fallbackApiKey) {
-      throw new Error('MCP_SERVER_INTERNAL_API_KEY_FALLBACK is not set and GCP config for Secret Manager is missing.');
-    }
-    console.log('GCLOUD_PROJECT or MCP_API_KEY_SECRET_NAME not set. Using fallback API key for local development.');
-    internalApiKey = fallbackApiKey;
-  }
-  if (!internalApiKey) {
-    throw new Error('CRITICAL: Internal API Key could not be configured.');
-  }
-}
+// --- Internal API Key ---
+// Loaded from the secret backend (or the fallback) at startup and re-fetched in the background,
+// so a rotated key is picked up without a restart.
+const internalApiKeys = createInternalApiKeyManagerFromEnv(secretProvider);
 
 // --- Authentication Middleware (Service-to-Service) ---
+// Accepts the internal API key (full access, acts for the tenant in x-tenant-id) or a
+// per-client key from MCP_CLIENT_KEYS_FILE (bound to its own tenant and scopes).
+let clientKeyRegistry = createClientKeyRegistryFromEnv();
+
 const authenticateApiKey = (req: express.Request, res: express.Response, next: express.NextFunction) => {
-  if (!internalApiKey) {
-    console.error('CRITICAL: Internal API Key is not configured on server. Denying request.');
+  if (!internalApiKeys.isLoaded) {
+    log.error('Internal API key is not configured on server. Denying request.');
+    metrics.authFailures.inc({ reason: 'not_configured' });
     return res.status(500).json({ error: 'Internal Server Configuration Error: API Key missing' });
   }
   const providedApiKey = req.headers['x-internal-api-key'];
+  const key = Array.isArray(providedApiKey) ? providedApiKey[0] : providedApiKey;
 
-  let keyForLog = 'None';
-  if (providedApiKey) {
-    const key = Array.isArray(providedApiKey) ? providedApiKey[0] : providedApiKey;
-    if (typeof key === 'string' && key.length > 0) {
-      keyForLog = key.substring(0, 5) + '...';
-    } else if (typeof key === 'string' && key.length === 0) {
-      keyForLog = '[empty string]';
-    }
+  if (!key) {
+    log.warn('Failed authentication attempt: no API key', { method: req.method, path: req.path });
+    metrics.authFailures.inc({ reason: 'missing_key' });
+    return res.status(401).json({ error: 'Unauthorized access to MCP server' });
   }
 
-  if (!providedApiKey || providedApiKey !== internalApiKey) {
-    console.warn(`Failed authentication attempt. Provided key: ${keyForLog}`);
+  const tenantHeader = req.headers['x-tenant-id'];
+  const requestedTenantId = Array.isArray(tenantHeader) ? tenantHeader[0] : tenantHeader;
+  if (requestedTenantId !== undefined && !isValidTenantId(requestedTenantId)) {
+    metrics.authFailures.inc({ reason: 'invalid_tenant' });
+    return res.status(400).json({ error: 'Invalid x-tenant-id header. Use 1-64 letters, digits, ".", "_" or "-".' });
+  }
+
+  const internalKeyGeneration = internalApiKeys.authenticate(key);
+  if (internalKeyGeneration) {
+    // The internal key is trusted to act for any tenant; the caller names it per request
+    log.debug('Authenticated with internal API key', { method: req.method, path: req.path, keyGeneration: internalKeyGeneration });
+    attachCaller(req, { clientName: 'internal', tenantId: requestedTenantId || DEFAULT_TENANT_ID, scopes: ['*'] });
+    return next();
+  }
+
+  const result = clientKeyRegistry.authenticate(key);
+  if (!result.success) {
+    if (result.reason === 'expired') {
+      log.warn('Rejected expired API key', { clientName: result.clientName });
+      metrics.authFailures.inc({ reason: 'expired_key' });
+      return res.status(401).json({ error: 'API key has expired' });
+    }
+    log.warn('Failed authentication attempt: unknown API key', { method: req.method, path: req.path });
+    metrics.authFailures.inc({ reason: 'unknown_key' });
     return res.status(401).json({ error: 'Unauthorized access to MCP server' });
   }
+  if (requestedTenantId && requestedTenantId !== result.caller.tenantId) {
+    metrics.authFailures.inc({ reason: 'tenant_mismatch' });
+    return res.status(403).json({ error: `API key for client '${result.caller.clientName}' cannot act for tenant '${requestedTenantId}'.` });
+  }
+  log.debug('Authenticated with client API key', { method: req.method, path: req.path, clientName: result.caller.clientName });
+  attachCaller(req, result.caller);
   next();
 };
 
@@ -105,152 +122,302 @@ const allowedOriginsEnv = process.env.CORS_ALLOWED_ORIGINS;
 const allowedOrigins = allowedOriginsEnv ? allowedOriginsEnv.split(',').map(origin => origin.trim()) : [];
 
 if (allowedOrigins.length === 0 && process.env.NODE_ENV !== 'development') {
-  console.warn('CORS_ALLOWED_ORIGINS is not set. Cross-origin browser requests might be blocked in production.');
+  log.warn('CORS_ALLOWED_ORIGINS is not set. Cross-origin browser requests might be blocked in production.');
 } else if (allowedOrigins.length === 0 && process.env.NODE_ENV === 'development') {
-  console.log('CORS_ALLOWED_ORIGINS not set. Defaulting to common local development origins for development mode.');
+  log.info('CORS_ALLOWED_ORIGINS not set. Defaulting to common local development origins for development mode.');
   allowedOrigins.push('http://localhost:3000', 'http://localhost:3001', 'http://localhost:5173', 'http://localhost:8080');
 }
 
 const corsOptions: cors.CorsOptions = {
   origin: function (origin, callback) {
-    console.log(`CORS Check: Request Origin: '${origin}', Allowed Origins Configured: '${allowedOrigins.join('|')}'`);
+    // Runs on every request, so allowed origins are only logged at debug level
     if (!origin || allowedOrigins.includes(origin)) {
-      console.log(`CORS: Origin ${origin ? origin : 'undefined (server-to-server or curl)'} allowed.`);
+      log.debug('CORS origin allowed', { origin: origin || 'none (server-to-server or curl)' });
       callback(null, true);
     } else {
-      console.warn(`CORS: Origin ${origin} NOT allowed.`);
+      log.warn('CORS origin not allowed', { origin, allowedOrigins });
+      metrics.corsRejections.inc();
       callback(new Error(`Origin ${origin} not allowed by CORS`));
     }
   },
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'x-internal-api-key'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'x-internal-api-key', 'mcp-session-id', 'last-event-id', 'x-tenant-id', 'x-request-id', 'x-mcp-backend', 'x-mcp-scenario', 'x-mcp-clock'],
+  exposedHeaders: ['mcp-session-id', 'x-request-id'],
   credentials: true,
   optionsSuccessStatus: 204
 };
 
-// --- MCP Server Setup ---
-function initializeMcpServerInstance(): McpServer {
-  const mcpServerOptions: ConstructorParameters<typeof McpServer>[0] = {
-    name: "KnowReply-MCP-Server",
-    version: "1.0.0",
-  };
-  const server = new McpServer(mcpServerOptions);
-
-  server.tool(
-    "stripe_getCustomerByEmail",
-    {
-      email: z.string().email({ message: "Invalid email format." }),
-      stripe_api_key: z.string().min(1, { message: "Stripe API key (secret key) cannot be empty." })
-    },
-    async (toolArgs: { email: string, stripe_api_key: string }): Promise<{ content: McpContent[], isError?: boolean }> => {
-      const { email, stripe_api_key: apiKey } = toolArgs;
-      console.log(`Executing MCP SDK Tool: stripe_getCustomerByEmail for email: ${email}`);
+// --- MCP Session Configuration ---
+// Stateless by default: every POST gets its own server instance. Stateful mode issues
+// session IDs on initialize and supports GET streams, Last-Event-ID resumption and DELETE.
+const statefulSessions = process.env.MCP_STATEFUL_SESSIONS === 'true';
+const sessionIdleTimeoutMs = parseInt(process.env.MCP_SESSION_IDLE_TIMEOUT_MS || '', 10) || 30 * 60 * 1000;
+
+// A caller-supplied x-request-id is kept if it looks like an ID, so logs can be joined across services
+const REQUEST_ID_PATTERN = /^[A-Za-z0-9._:-]{1,128}$/;
+
+// Gives each HTTP request a request ID (echoed in the x-request-id response header) that the
+// logger and audit log attach to everything done for it, down to the tool handlers.
+function assignRequestId(req: express.Request, res: express.Response, next: express.NextFunction) {
+  const requested = req.get('x-request-id');
+  const requestId = requested && REQUEST_ID_PATTERN.test(requested) ? requested : crypto.randomUUID();
+  res.setHeader('x-request-id', requestId);
+  runWithRequestContext(() => next(), { requestId });
+}
 
-      try {
-        const response = await axios.get('https://api.stripe.com/v1/customers', {
-          params: { email: email, limit: 1 },
-          headers: {
-            'Authorization': `Bearer ${apiKey}`,
-            'Content-Type': 'application/x-www-form-urlencoded'
-          }
-        });
+// Open unless MCP_METRICS_TOKEN is set, in which case scrapers send it as a bearer token
+function authenticateMetricsScrape(req: express.Request, res: express.Response, next: express.NextFunction) {
+  const token = process.env.MCP_METRICS_TOKEN;
+  if (!token) {
+    return next();
+  }
+  const provided = Buffer.from(req.get('authorization') || '', 'utf8');
+  const expected = Buffer.from(`Bearer ${token}`, 'utf8');
+  if (provided.length !== expected.length || !crypto.timingSafeEqual(provided, expected)) {
+    return res.status(401).json({ error: 'Unauthorized access to metrics' });
+  }
+  next();
+}
 
-        if (response.data && response.data.data && response.data.data.length > 0) {
-          const customer = response.data.data[0];
-          const customerData = {
-            id: customer.id,
-            name: customer.name || null,
-            email: customer.email,
-            created: customer.created ? new Date(customer.created * 1000).toISOString() : null,
-          };
-          return { content: [{ type: "text", text: JSON.stringify(customerData) }] };
-        } else {
-          return { content: [{ type: "text", text: JSON.stringify({ message: "Customer not found with the provided email.", customerData: null }) }] };
-        }
-      } catch (error: any) {
-        console.error("Error calling Stripe API (tool: stripe_getCustomerByEmail):", error.message);
-        let errorMessage = "An unexpected error occurred while trying to retrieve customer data from Stripe.";
-        let errorDetails: any = null;
-
-        if (error.response) {
-          errorMessage = `Stripe API Error: ${error.response.data?.error?.message || error.response.statusText || 'Failed to retrieve data'}`;
-          errorDetails = { status: error.response.status, data: error.response.data?.error };
-        } else if (error.request) {
-          errorMessage = "No response received from Stripe API. Check network connectivity.";
-        }
+// x-mcp-backend picks the live or mock backend for the tool calls in this request, e.g.
+// "mock" or "stripe=live,shopify=mock"
+function applyBackendOverride(req: express.Request, res: express.Response, next: express.NextFunction) {
+  const header = req.get('x-mcp-backend');
+  if (header) {
+    try {
+      setBackendOverride(parseBackendOverride(header));
+    } catch (error: any) {
+      res.status(400).json({ jsonrpc: '2.0', error: { code: -32600, message: error.message }, id: req.body?.id ?? null });
+      return;
+    }
+  }
+  next();
+}
 
-        return {
-          content: [{ type: "text", text: JSON.stringify({ error: errorMessage, details: errorDetails }) }],
-          isError: true
-        };
-      }
+// x-mcp-scenario picks the fixture pack the mock backends serve for this request (see
+// src/mocks/scenarios.js)
+function applyMockScenario(req: express.Request, res: express.Response, next: express.NextFunction) {
+  const header = req.get('x-mcp-scenario');
+  if (header) {
+    try {
+      requireMockScenario(header.trim());
+      setMockScenario(header.trim());
+    } catch (error: any) {
+      res.status(400).json({ jsonrpc: '2.0', error: { code: -32600, message: error.message }, id: req.body?.id ?? null });
+      return;
+    }
+  }
+  next();
+}
+
+// x-mcp-clock fixes the mock clock's time for this request: an ISO 8601 timestamp or a time
+// relative to the mock clock, e.g. "now+3d" (see src/mocks/mockClock.js)
+function applyMockTime(req: express.Request, res: express.Response, next: express.NextFunction) {
+  const header = req.get('x-mcp-clock');
+  if (header) {
+    const time = parseMockTime(header.trim());
+    if (Number.isNaN(time)) {
+      res.status(400).json({ jsonrpc: '2.0', error: { code: -32600, message: `Invalid x-mcp-clock "${header}". Use an ISO 8601 timestamp or a relative time such as "now+3d".` }, id: req.body?.id ?? null });
+      return;
     }
-  );
+    setMockTime(time);
+  }
+  next();
+}
 
-  return server;
+function sendMcpRouteError(req: express.Request, res: express.Response, error: any) {
+  if (!res.headersSent) {
+    res.status(500).json({
+      jsonrpc: '2.0',
+      error: {
+        code: -32000,
+        message: 'Internal server error while handling MCP request.',
+        data: error.message
+      },
+      id: req.body?.id || null,
+    });
+  }
 }
 
 // --- Main Server Startup Logic ---
 async function startServer() {
   try {
-    await fetchAndSetInternalApiKey();
+    await internalApiKeys.load();
+    internalApiKeys.start();
+    loadMockScenarios();
+    const faultInjection = loadFaultInjectionFromEnv();
 
+    app.use(assignRequestId);
     app.use(express.json());
     app.use(cors(corsOptions));
+    app.use('/mcp', traceHttpRequest('/mcp'));
 
     app.get('/health', (req, res) => {
       res.status(200).json({
         status: 'ok',
         message: 'MCP Server is running',
-        apiKeyStatus: internalApiKey ? 'Loaded' : 'Not Loaded'
+        apiKeyStatus: internalApiKeys.isLoaded ? 'Loaded' : 'Not Loaded'
       });
     });
 
-    app.post('/mcp', authenticateApiKey, async (req: express.Request, res: express.Response) => {
-      const mcpInstance = initializeMcpServerInstance();
-      const transport = new StreamableHTTPServerTransport({
-        sessionIdGenerator: undefined,
-      });
+    app.get('/metrics', authenticateMetricsScrape, (req, res) => {
+      res.type('text/plain; version=0.0.4').send(metrics.render());
+    });
 
-      res.on('close', () => {
-        console.log(`Request to /mcp closed by client. Closing MCP transport and server instance for this request.`);
-        transport.close();
-        mcpInstance.close();
-      });
+    // --- Key Management ---
+    // Forces an immediate re-fetch of the internal API key and re-reads MCP_CLIENT_KEYS_FILE
+    app.get('/admin/keys', authenticateApiKey, requireScope('admin:keys'), (req, res) => {
+      res.status(200).json({ internalApiKey: internalApiKeys.status(), clientKeys: clientKeyRegistry.size });
+    });
 
+    app.post('/admin/keys/reload', authenticateApiKey, requireScope('admin:keys'), async (req, res) => {
       try {
-        await mcpInstance.connect(transport);
-        await transport.handleRequest(req, res, req.body);
+        const { changed } = await internalApiKeys.reload();
+        clientKeyRegistry = createClientKeyRegistryFromEnv();
+        log.info('Keys reloaded', { clientName: getCaller(req).clientName, internalApiKeyRotated: changed });
+        res.status(200).json({ rotated: changed, internalApiKey: internalApiKeys.status(), clientKeys: clientKeyRegistry.size });
       } catch (error: any) {
-        console.error('Error handling MCP request in /mcp route:', error.message, error.stack);
-        if (!res.headersSent) {
-          res.status(500).json({
-            jsonrpc: '2.0',
-            error: {
-              code: -32000,
-              message: 'Internal server error while handling MCP request.',
-              data: error.message
-            },
-            id: req.body?.id || null,
-          });
-        }
+        log.error('Key reload failed; keeping current keys', { error });
+        res.status(502).json({ error: 'Key reload failed; current keys are still in use.', details: error.message });
       }
     });
 
+    // --- Provider Credentials ---
+    // params: callers pass secrets as tool params. connections: per-tenant connection vault
+    // (the default when the vault is configured). secrets: the secret backend.
+    const connectionVault = createConnectionVaultFromEnv();
+    const credentialsSource = process.env.MCP_PROVIDER_CREDENTIALS_SOURCE || (connectionVault ? 'connections' : 'params');
+    let credentialResolver: CredentialResolver | undefined;
+    if (credentialsSource === 'connections') {
+      if (!connectionVault) {
+        throw new Error('MCP_PROVIDER_CREDENTIALS_SOURCE=connections requires MCP_CONNECTIONS_ENCRYPTION_KEY.');
+      }
+      credentialResolver = createConnectionCredentialResolver(connectionVault);
+    } else if (credentialsSource === 'secrets') {
+      const cacheTtlMs = parseInt(process.env.MCP_SECRET_CACHE_TTL_MS || '', 10);
+      credentialResolver = createSecretCredentialResolver(withSecretCache(secretProvider, Number.isNaN(cacheTtlMs) ? 60 * 1000 : cacheTtlMs));
+    } else if (credentialsSource !== 'params') {
+      throw new Error(`Unknown MCP_PROVIDER_CREDENTIALS_SOURCE "${credentialsSource}". Use params, connections or secrets.`);
+    }
+    const idempotency = createIdempotencyGuardFromEnv();
+    const approvals = createApprovalQueueFromEnv();
+    const audit = createAuditStoreFromEnv();
+    const cache = createResponseCacheFromEnv();
+    const backends = createBackendSelectorFromEnv();
+    const rateLimiter = createRateLimiterFromEnv(toolProviderNames);
+    const limitMcpRate: express.RequestHandler = rateLimiter
+      ? rateLimitMcpRequests(rateLimiter, getToolScope, kind => metrics.rateLimited.inc({ limit: kind }))
+      : (req, res, next) => next();
+    const createMcpServer = (caller: CallerContext) => initializeMcpServerInstance({ credentialResolver, idempotency, approvals, audit, metrics, cache, backends, caller });
+
+    app.use('/admin/approvals', authenticateApiKey, requireScope('admin:approvals'), createApprovalRouter(approvals, audit));
+    if (audit) {
+      app.use('/admin/audit', authenticateApiKey, requireScope('admin:audit'), createAuditRouter(audit));
+    } else {
+      app.use('/admin/audit', authenticateApiKey, requireScope('admin:audit'), (req, res) => {
+        res.status(503).json({ error: 'Audit log is disabled (MCP_AUDIT_STORE=none).' });
+      });
+    }
+
+    app.use('/admin/mocks', authenticateApiKey, requireScope('admin:mocks'), applyMockScenario, applyMockTime, createMockRouter(cache));
+    if (faultInjection) {
+      app.use('/admin/faults', authenticateApiKey, requireScope('admin:faults'), createFaultRouter([...toolProviderNames, ...providerToolNames]));
+    } else {
+      app.use('/admin/faults', authenticateApiKey, requireScope('admin:faults'), (req, res) => {
+        res.status(503).json({ error: 'Fault injection is off. Set MCP_FAULT_INJECTION=on to enable it.' });
+      });
+    }
+
+    if (connectionVault) {
+      app.use('/admin/connections', authenticateApiKey, requireScope('admin:connections'), createConnectionRouter(connectionVault, providerAuthSchemas));
+    } else {
+      app.use('/admin/connections', authenticateApiKey, requireScope('admin:connections'), (req, res) => {
+        res.status(503).json({ error: 'Connection vault is disabled. Set MCP_CONNECTIONS_ENCRYPTION_KEY to enable it.' });
+      });
+    }
+
+    app.get('/discover', authenticateApiKey, (req, res) => {
+      res.status(200).json(getCatalog(credentialResolver, getCaller(req).scopes, backends, getCaller(req).tenantId));
+    });
+
+    if (statefulSessions) {
+      const sessionManager = new McpSessionManager({
+        createServer: createMcpServer,
+        store: createSessionStoreFromEnv(),
+        idleTimeoutMs: sessionIdleTimeoutMs,
+      });
+      sessionManager.start();
+      metrics.registry.onCollect(() => metrics.activeTransports.set({ mode: 'stateful' }, sessionManager.activeSessionCount));
+
+      // POST for client messages, GET for the server-to-client SSE stream (with Last-Event-ID resumption), DELETE to end a session
+      app.all('/mcp', authenticateApiKey, limitMcpRate, applyBackendOverride, applyMockScenario, applyMockTime, async (req: express.Request, res: express.Response) => {
+        if (!['POST', 'GET', 'DELETE'].includes(req.method)) {
+          res.set('Allow', 'GET, POST, DELETE').status(405).end();
+          return;
+        }
+        try {
+          await sessionManager.handleRequest(req, res);
+        } catch (error: any) {
+          log.error('Error handling stateful MCP request in /mcp route', { method: req.method, error, stack: error.stack });
+          sendMcpRouteError(req, res, error);
+        }
+      });
+    } else {
+      app.post('/mcp', authenticateApiKey, limitMcpRate, applyBackendOverride, applyMockScenario, applyMockTime, async (req: express.Request, res: express.Response) => {
+        const mcpInstance = createMcpServer(getCaller(req));
+        const transport = new StreamableHTTPServerTransport({
+          sessionIdGenerator: undefined,
+        });
+        metrics.activeTransports.inc({ mode: 'stateless' });
+
+        res.on('close', () => {
+          log.debug('Request to /mcp closed. Closing MCP transport and server instance for this request.');
+          metrics.activeTransports.dec({ mode: 'stateless' });
+          transport.close();
+          mcpInstance.close();
+        });
+
+        try {
+          await withSpan('mcp.connect', { 'mcp.session.mode': 'stateless' }, () => mcpInstance.connect(transport));
+          await transport.handleRequest(req, res, req.body);
+        } catch (error: any) {
+          log.error('Error handling MCP request in /mcp route', { error, stack: error.stack });
+          sendMcpRouteError(req, res, error);
+        }
+      });
+
+      // Without sessions there is no standalone stream to open and nothing to delete
+      app.all('/mcp', authenticateApiKey, (req, res) => {
+        res.set('Allow', 'POST').status(405).json({
+          jsonrpc: '2.0',
+          error: { code: -32000, message: 'Method not allowed. Enable MCP_STATEFUL_SESSIONS for GET/DELETE session handling.' },
+          id: null,
+        });
+      });
+    }
+
     app.listen(port, () => {
-      console.log(`MCP Server (SDK-based) listening at http://localhost:${port}`);
-      console.log(`MCP requests should be POSTed to /mcp`);
-      if(process.env.NODE_ENV === 'development' && allowedOrigins.length > 0) {
-        console.log(`Development CORS enabled for: ${allowedOrigins.join(', ')}`);
-      } else if (allowedOrigins.length > 0) {
-        console.log(`Production CORS enabled for: ${allowedOrigins.join(', ')}`);
+      log.info(`MCP Server (SDK-based) listening at http://localhost:${port}. MCP requests should be POSTed to /mcp`);
+      if (statefulSessions) {
+        log.info(`Stateful MCP sessions enabled. GET and DELETE /mcp are available.`, { idleTimeoutMs: sessionIdleTimeoutMs });
+      }
+      log.info(`Tool catalog available at GET /discover and as MCP resource ${CATALOG_RESOURCE_URI}`);
+      log.info('Credential configuration', { secretBackend: secretProvider.name, providerCredentials: credentialsSource });
+      if (approvals.policy.size > 0) {
+        log.info('Approval policy loaded. Review held tool calls at /admin/approvals.', { rules: approvals.policy.size });
+      }
+      if (connectionVault) {
+        log.info('Connection vault enabled. Manage provider connections at /admin/connections.');
+      }
+      if (allowedOrigins.length > 0) {
+        log.info('CORS enabled', { mode: process.env.NODE_ENV === 'development' ? 'development' : 'production', allowedOrigins });
       } else {
-        console.warn('CORS_ALLOWED_ORIGINS is not configured. Browser-based cross-origin requests will likely fail.');
+        log.warn('CORS_ALLOWED_ORIGINS is not configured. Browser-based cross-origin requests will likely fail.');
       }
     });
 
   } catch (error: any) {
-    console.error('Failed to start server:', error.message, error.stack);
+    log.error('Failed to start server', { error, stack: error.stack });
     process.exit(1);
   }
 }
@@ -258,14 +425,14 @@ async function startServer() {
 startServer();
 
 process.on('uncaughtException', (err) => {
-  console.error('UNCAUGHT EXCEPTION:', err.message, err.stack);
+  log.error('Uncaught exception', { error: err, stack: err.stack });
   process.exit(1);
 });
 
 process.on('unhandledRejection', (reason, promise) => {
   if (reason instanceof Error) {
-    console.error('UNHANDLED REJECTION:', reason.message, reason.stack);
+    log.error('Unhandled rejection', { error: reason, stack: reason.stack });
   } else {
-    console.error('UNHANDLED REJECTION (non-Error type):', reason);
+    log.error('Unhandled rejection (non-Error type)', { reason: String(reason) });
   }
 });
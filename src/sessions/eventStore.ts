@@ -0,0 +1,53 @@
+import { EventStore, EventId, StreamId } from '@modelcontextprotocol/sdk/server/streamableHttp.js';
+import { JSONRPCMessage } from '@modelcontextprotocol/sdk/types.js';
+
+interface StoredEvent {
+  streamId: StreamId;
+  message: JSONRPCMessage;
+  storedAt: number;
+}
+
+// In-memory event log for one session, used to replay SSE messages after a client
+// reconnects with Last-Event-ID. One store per session: the SDK reuses the same
+// stream ID for every session's standalone GET stream.
+export class InMemoryEventStore implements EventStore {
+  private events = new Map<EventId, StoredEvent>(); // Map keeps insertion (= chronological) order
+  private counter = 0;
+
+  constructor(private maxEvents: number = 1000, private maxAgeMs: number = 30 * 60 * 1000) {}
+
+  private prune(): void {
+    const cutoff = Date.now() - this.maxAgeMs;
+    for (const [eventId, event] of this.events) {
+      if (this.events.size <= this.maxEvents && event.storedAt >= cutoff) {
+        break;
+      }
+      this.events.delete(eventId);
+    }
+  }
+
+  async storeEvent(streamId: StreamId, message: JSONRPCMessage): Promise<EventId> {
+    const eventId = `${Date.now()}-${++this.counter}`;
+    this.events.set(eventId, { streamId, message, storedAt: Date.now() });
+    this.prune();
+    return eventId;
+  }
+
+  async replayEventsAfter(lastEventId: EventId, { send }: { send: (eventId: EventId, message: JSONRPCMessage) => Promise<void> }): Promise<StreamId> {
+    const lastEvent = this.events.get(lastEventId);
+    if (!lastEvent) {
+      return '';
+    }
+    let foundLastEvent = false;
+    for (const [eventId, event] of this.events) {
+      if (eventId === lastEventId) {
+        foundLastEvent = true;
+        continue;
+      }
+      if (foundLastEvent && event.streamId === lastEvent.streamId) {
+        await send(eventId, event.message);
+      }
+    }
+    return lastEvent.streamId;
+  }
+}
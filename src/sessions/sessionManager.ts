@@ -0,0 +1,214 @@
+import { randomUUID } from 'crypto';
+import express from 'express';
+import { McpServer } from '@modelcontextprotocol/sdk/server/mcp.js';
+import { StreamableHTTPServerTransport } from '@modelcontextprotocol/sdk/server/streamableHttp.js';
+import { isInitializeRequest } from '@modelcontextprotocol/sdk/types.js';
+import { SessionRecord, SessionStore } from './sessionStore';
+import { CallerContext, getCaller } from '../auth/callerContext';
+import { InMemoryEventStore } from './eventStore';
+import { createLogger } from '../utils/logger';
+import { withSpan } from '../tracing/tracing';
+
+const log = createLogger('sessions.sessionManager');
+
+interface LiveSession {
+  id: string;
+  owner: SessionOwner;
+  transport: StreamableHTTPServerTransport;
+  server: McpServer;
+  touchedAt: number; // when lastActiveAt was last written to the store
+}
+
+type SessionOwner = Pick<SessionRecord, 'clientName' | 'tenantId'>;
+
+export interface McpSessionManagerOptions {
+  createServer: (caller: CallerContext) => McpServer; // for the caller that starts or restores the session
+  store: SessionStore;
+  idleTimeoutMs: number;
+}
+
+function sendJsonRpcError(res: express.Response, status: number, message: string, id: any = null) {
+  res.status(status).json({
+    jsonrpc: '2.0',
+    error: { code: -32000, message },
+    id,
+  });
+}
+
+// Owns the stateful /mcp sessions: one transport + McpServer pair per session ID,
+// metadata in a pluggable SessionStore, and idle expiry. A session belongs to the client
+// and tenant that started it; requests from any other caller are refused.
+export class McpSessionManager {
+  private live = new Map<string, LiveSession>();
+  private restoring = new Map<string, Promise<LiveSession>>(); // so concurrent requests share one restore
+  private sweepTimer: NodeJS.Timeout | null = null;
+  // lastActiveAt is written at most this often per session rather than on every request,
+  // which with the file store would rewrite the whole file each time
+  private touchIntervalMs: number;
+
+  constructor(private options: McpSessionManagerOptions) {
+    this.touchIntervalMs = Math.min(30 * 1000, options.idleTimeoutMs / 10);
+  }
+
+  get activeSessionCount(): number {
+    return this.live.size;
+  }
+
+  start(): void {
+    const interval = Math.min(this.options.idleTimeoutMs, 60 * 1000);
+    this.sweepTimer = setInterval(() => {
+      this.expireIdleSessions().catch((error: any) => {
+        log.error('Error while expiring idle MCP sessions', { error });
+      });
+    }, interval);
+    this.sweepTimer.unref();
+  }
+
+  async stop(): Promise<void> {
+    if (this.sweepTimer) {
+      clearInterval(this.sweepTimer);
+      this.sweepTimer = null;
+    }
+    for (const session of [...this.live.values()]) {
+      await session.transport.close();
+    }
+  }
+
+  private async connect(transport: StreamableHTTPServerTransport, caller: CallerContext): Promise<McpServer> {
+    const server = this.options.createServer(caller);
+    await withSpan('mcp.connect', { 'mcp.session.mode': 'stateful' }, () => server.connect(transport));
+    // connect() takes over transport.onclose, so listen on the protocol layer instead
+    server.server.onclose = () => {
+      const sessionId = [...this.live.values()].find(session => session.transport === transport)?.id;
+      if (sessionId) {
+        log.info(`MCP session closed: ${sessionId}`);
+        this.live.delete(sessionId);
+        this.options.store.delete(sessionId).catch((error: any) => {
+          log.error(`Failed to remove MCP session ${sessionId} from store`, { error });
+        });
+      }
+    };
+    return server;
+  }
+
+  private async open(caller: CallerContext): Promise<StreamableHTTPServerTransport> {
+    const owner = { clientName: caller.clientName, tenantId: caller.tenantId };
+    let server: McpServer;
+    const transport = new StreamableHTTPServerTransport({
+      sessionIdGenerator: () => randomUUID(),
+      eventStore: new InMemoryEventStore(1000, this.options.idleTimeoutMs),
+      onsessioninitialized: (sessionId) => {
+        log.info(`MCP session initialized: ${sessionId}`, owner);
+        this.live.set(sessionId, { id: sessionId, owner, transport, server, touchedAt: Date.now() });
+        const now = new Date().toISOString();
+        this.options.store.set({ id: sessionId, ...owner, createdAt: now, lastActiveAt: now }).catch((error: any) => {
+          log.error(`Failed to store MCP session ${sessionId}`, { error });
+        });
+      }
+    });
+    server = await this.connect(transport, caller);
+    return transport;
+  }
+
+  // A session known to the store but not to this process (e.g. after a restart with the
+  // file store) gets a fresh transport. The SDK's transport can only start a session with an
+  // initialize handshake, which the client already did, so this one runs with its own
+  // session handling off and handleRequest checks the Mcp-Session-Id header instead.
+  private restore(record: SessionRecord, caller: CallerContext): Promise<LiveSession> {
+    let pending = this.restoring.get(record.id);
+    if (!pending) {
+      pending = this.reconnect(record, caller).finally(() => this.restoring.delete(record.id));
+      this.restoring.set(record.id, pending);
+    }
+    return pending;
+  }
+
+  private async reconnect(record: SessionRecord, caller: CallerContext): Promise<LiveSession> {
+    const transport = new StreamableHTTPServerTransport({
+      sessionIdGenerator: undefined,
+      eventStore: new InMemoryEventStore(1000, this.options.idleTimeoutMs),
+    });
+    transport.sessionId = record.id; // still sent back in the Mcp-Session-Id header
+    const server = await this.connect(transport, caller);
+    const owner = { clientName: record.clientName, tenantId: record.tenantId };
+    const session = { id: record.id, owner, transport, server, touchedAt: new Date(record.lastActiveAt).getTime() };
+    this.live.set(record.id, session);
+    log.info(`MCP session restored from session store: ${record.id}`);
+    return session;
+  }
+
+  // A stored session this process can pick up. Records written before sessions had owners
+  // cannot be checked against the caller, so they are not restored.
+  private async restorable(sessionId: string): Promise<SessionRecord | undefined> {
+    const record = await this.options.store.get(sessionId);
+    return record && record.clientName && !this.isExpired(record.lastActiveAt) ? record : undefined;
+  }
+
+  private isExpired(lastActiveAt: string): boolean {
+    return Date.now() - new Date(lastActiveAt).getTime() > this.options.idleTimeoutMs;
+  }
+
+  private async touch(session: LiveSession): Promise<void> {
+    const now = Date.now();
+    if (now - session.touchedAt < this.touchIntervalMs) {
+      return;
+    }
+    session.touchedAt = now;
+    const record = await this.options.store.get(session.id);
+    if (record) {
+      await this.options.store.set({ ...record, lastActiveAt: new Date(now).toISOString() });
+    }
+  }
+
+  async expireIdleSessions(): Promise<void> {
+    for (const record of await this.options.store.list()) {
+      if (!this.isExpired(record.lastActiveAt)) {
+        continue;
+      }
+      log.info(`Expiring idle MCP session: ${record.id}`);
+      const session = this.live.get(record.id);
+      if (session) {
+        await session.transport.close(); // onclose removes it from the store
+      } else {
+        await this.options.store.delete(record.id);
+      }
+    }
+  }
+
+  // Handles POST, GET (server-to-client SSE stream, Last-Event-ID replay) and DELETE on /mcp
+  async handleRequest(req: express.Request, res: express.Response): Promise<void> {
+    const headerValue = req.headers['mcp-session-id'];
+    const sessionId = Array.isArray(headerValue) ? headerValue[0] : headerValue;
+
+    if (sessionId) {
+      const caller = getCaller(req);
+      const messageId = req.body?.id ?? null;
+      const record = this.live.has(sessionId) || this.restoring.has(sessionId) ? undefined : await this.restorable(sessionId);
+      const owner = this.live.get(sessionId)?.owner ?? (await this.restoring.get(sessionId))?.owner ?? record;
+      if (!owner) {
+        return sendJsonRpcError(res, 404, 'Session not found or expired. Start a new session with an initialize request.', messageId);
+      }
+      if (owner.clientName !== caller.clientName || owner.tenantId !== caller.tenantId) {
+        log.warn(`Client ${caller.clientName} refused MCP session ${sessionId}, which belongs to another caller`, { tenantId: caller.tenantId });
+        return sendJsonRpcError(res, 403, 'Forbidden: this session belongs to another client or tenant.', messageId);
+      }
+      if (req.method === 'POST' && isInitializeRequest(req.body)) {
+        return sendJsonRpcError(res, 400, 'Invalid Request: session already initialized. Send initialize without an Mcp-Session-Id header to start a new one.', messageId);
+      }
+      const session = this.live.get(sessionId) ?? await this.restore(record!, caller);
+      if (req.method !== 'DELETE') {
+        await this.touch(session);
+      }
+      await session.transport.handleRequest(req, res, req.body);
+      return;
+    }
+
+    if (req.method === 'POST' && isInitializeRequest(req.body)) {
+      const transport = await this.open(getCaller(req));
+      await transport.handleRequest(req, res, req.body);
+      return;
+    }
+
+    sendJsonRpcError(res, 400, 'Bad Request: Mcp-Session-Id header is required for requests other than initialize.', req.body?.id ?? null);
+  }
+}
@@ -0,0 +1,109 @@
+import fs from 'fs';
+import path from 'path';
+import { createLogger } from '../utils/logger';
+
+const log = createLogger('sessions.sessionStore');
+
+// Metadata kept for each stateful MCP session. Live transports stay in process memory;
+// the store only needs enough to recognise and expire a session.
+export interface SessionRecord {
+  id: string;
+  clientName: string; // the client that started the session; no other may use it
+  tenantId: string;
+  createdAt: string;
+  lastActiveAt: string;
+}
+
+export interface SessionStore {
+  get(id: string): Promise<SessionRecord | undefined>;
+  set(record: SessionRecord): Promise<void>;
+  delete(id: string): Promise<void>;
+  list(): Promise<SessionRecord[]>;
+}
+
+export class InMemorySessionStore implements SessionStore {
+  private sessions = new Map<string, SessionRecord>();
+
+  async get(id: string) {
+    return this.sessions.get(id);
+  }
+
+  async set(record: SessionRecord) {
+    this.sessions.set(record.id, { ...record });
+  }
+
+  async delete(id: string) {
+    this.sessions.delete(id);
+  }
+
+  async list() {
+    return [...this.sessions.values()];
+  }
+}
+
+// Keeps sessions in a JSON file so they survive a restart of this process.
+export class FileSessionStore implements SessionStore {
+  private sessions = new Map<string, SessionRecord>();
+  private writeChain: Promise<void> = Promise.resolve();
+
+  constructor(private filePath: string) {
+    if (fs.existsSync(filePath)) {
+      try {
+        const records: SessionRecord[] = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        for (const record of records) {
+          this.sessions.set(record.id, record);
+        }
+        log.info(`Loaded ${this.sessions.size} MCP sessions from ${filePath}`);
+      } catch (error: any) {
+        log.error(`Could not read MCP session file ${filePath}, starting with no sessions`, { error });
+      }
+    }
+  }
+
+  // Writes are serialised and go through a temp file so a crash never leaves a half-written store
+  private persist(): Promise<void> {
+    const snapshot = JSON.stringify([...this.sessions.values()], null, 2);
+    this.writeChain = this.writeChain
+      .then(async () => {
+        await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+        const tempPath = `${this.filePath}.tmp`;
+        await fs.promises.writeFile(tempPath, snapshot, 'utf8');
+        await fs.promises.rename(tempPath, this.filePath);
+      })
+      .catch((error: any) => {
+        log.error(`Failed to write MCP session file ${this.filePath}`, { error });
+      });
+    return this.writeChain;
+  }
+
+  async get(id: string) {
+    return this.sessions.get(id);
+  }
+
+  async set(record: SessionRecord) {
+    this.sessions.set(record.id, { ...record });
+    await this.persist();
+  }
+
+  async delete(id: string) {
+    if (this.sessions.delete(id)) {
+      await this.persist();
+    }
+  }
+
+  async list() {
+    return [...this.sessions.values()];
+  }
+}
+
+export function createSessionStoreFromEnv(): SessionStore {
+  const storeType = (process.env.MCP_SESSION_STORE || 'memory').toLowerCase();
+  if (storeType === 'file') {
+    const filePath = process.env.MCP_SESSION_STORE_FILE || path.join(process.cwd(), 'data', 'mcp-sessions.json');
+    return new FileSessionStore(filePath);
+  }
+  if (storeType !== 'memory') {
+    log.warn(`Unknown MCP_SESSION_STORE "${storeType}". Falling back to in-memory session store.`);
+  }
+  return new InMemorySessionStore();
+}
@@ -0,0 +1,40 @@
+#!/usr/bin/env node
+import './utils/redirectConsoleToStderr';
+import dotenv from 'dotenv';
+import { StdioServerTransport } from '@modelcontextprotocol/sdk/server/stdio.js';
+import { initializeMcpServerInstance } from './mcpServerFactory';
+import { createLocalCredentialResolver } from './localCredentials';
+import { createIdempotencyGuardFromEnv } from './idempotency/idempotencyGuard';
+import { createResponseCacheFromEnv } from './cache/responseCache';
+import { createBackendSelectorFromEnv } from './backends/backendSelector';
+import { createAuditStoreFromEnv } from './audit/auditLog';
+import { loadMockScenarios } from './mocks/scenarios';
+import { loadFaultInjectionFromEnv } from './faults/faultInjector';
+import { createLogger } from './utils/logger';
+
+// stdio entry point for desktop MCP clients that launch the server as a subprocess.
+// The client owns the process, so there is no internal API key and no Secret Manager
+// lookup; provider credentials come from local config (see localCredentials.ts).
+dotenv.config();
+
+const log = createLogger('stdio');
+
+async function startStdioServer() {
+  loadMockScenarios();
+  loadFaultInjectionFromEnv();
+  const server = initializeMcpServerInstance({
+    credentialResolver: createLocalCredentialResolver(),
+    idempotency: createIdempotencyGuardFromEnv(),
+    audit: createAuditStoreFromEnv(),
+    cache: createResponseCacheFromEnv(),
+    backends: createBackendSelectorFromEnv(),
+  });
+  const transport = new StdioServerTransport();
+  await server.connect(transport);
+  log.info('KnowReply MCP Server running on stdio');
+}
+
+startStdioServer().catch((error: any) => {
+  log.error('Failed to start stdio MCP server', { error, stack: error.stack });
+  process.exit(1);
+});
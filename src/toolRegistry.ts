@@ -0,0 +1,442 @@
+import fs from 'fs';
+import path from 'path';
+import { McpServer, RegisteredTool } from '@modelcontextprotocol/sdk/server/mcp.js';
+import { RequestHandlerExtra } from '@modelcontextprotocol/sdk/shared/protocol.js';
+import { CallToolResult, ServerNotification, ServerRequest } from '@modelcontextprotocol/sdk/types.js';
+import { z } from 'zod';
+import type { IdempotencyGuard } from './idempotency/idempotencyGuard';
+import type { ResponseCache } from './cache/responseCache';
+import { ApprovalQueue, pendingApprovalResult } from './approvals/approvalQueue';
+import { getCallerFromExtra } from './auth/callerContext';
+import { createLogger } from './utils/logger';
+import { inRequestContext, getRequestContext, setMockScenario, setMockTime, setToolName } from './utils/requestContext';
+import { currentMockScenario } from './mocks/mockStore';
+import { mockClockKey } from './mocks/mockClock';
+import { withMockFaults } from './faults/faultInjector';
+import { withSpan } from './tracing/tracing';
+import { Backend, BackendSelector, isBackend } from './backends/backendSelector';
+import { ErrorCodes, errorResult } from './utils/toolErrors';
+
+const log = createLogger('toolRegistry');
+
+// Shape of the { success, data, message, errors } object every handler returns. Failed
+// results also carry an error code (see src/utils/toolErrors.js).
+export interface HandlerResult {
+  success: boolean;
+  data?: any;
+  message?: string;
+  errors?: any;
+  code?: string;
+  retryable?: boolean;
+  provider?: string;
+  backend?: Backend; // set by the registry: which backend served the call
+  scenario?: string; // set by the registry for the mock backend: the scenario it served
+}
+
+// What each file under src/handlers/<provider>/ exports
+export interface HandlerInput {
+  args: any;
+  auth: any;
+  backend: Backend;        // which implementation of the provider calls to use
+  idempotencyKey?: string; // write tools only; forward to providers that support idempotency keys
+  dryRun?: boolean;        // write tools only; validate and report what would change, but change nothing
+}
+
+export interface HandlerModule {
+  handler: (input: HandlerInput) => Promise<HandlerResult>;
+  ArgsSchema: z.AnyZodObject;
+  AuthSchema: z.AnyZodObject;
+  defaultBackend?: Backend; // used unless the server, tenant or request picks another; mock if unset
+  access?: ToolAccess; // overrides the access inferred from the action name
+  cacheGroup?: string;    // read tools: results may be cached under this group, e.g. "contacts"
+  invalidates?: string[]; // write tools: this provider's cache groups a successful call clears
+  // The provider calls the handler makes, once per backend with the same function names
+  backends: Record<Backend, Record<string, (...args: any[]) => Promise<any>>>;
+}
+
+// What a tool does to provider data; together with the provider this is the scope a caller
+// needs, e.g. `write:shopify`. Refunds move money, so they get their own verb.
+export type ToolAccess = 'read' | 'write' | 'refund';
+
+export interface ToolDefinition {
+  name: string;          // e.g. "hubspot_getContactByEmail"
+  provider: string;      // e.g. "hubspot"
+  action: string;        // e.g. "getContactByEmail"
+  module: HandlerModule;
+  defaultBackend: Backend;
+  access: ToolAccess;
+  scope: string;         // e.g. "read:hubspot"
+  authParamMap: Record<string, string>; // tool param name -> AuthSchema key
+}
+
+// --- Credential Resolution ---
+// How tools get provider credentials:
+//   tool_params - the caller passes raw secrets as `<provider>_api_key` params (default)
+//   local       - read from local config (stdio mode)
+//   connections - looked up in the per-tenant connection vault
+//   secrets     - read from the configured secret backend, shared by all tenants
+export type CredentialMode = 'tool_params' | 'local' | 'connections' | 'secrets';
+
+export type ToolExtra = RequestHandlerExtra<ServerRequest, ServerNotification>;
+
+// --- Tool Call Wrappers ---
+// Scope checks, auditing, metrics and tracing run around each tool's callback. They are
+// applied when the tool is registered, so they see every call the SDK hands to a tool;
+// calls it rejects first (unknown tools, arguments that fail the tool's schema) never
+// reach them.
+export type ToolCallback = (toolArgs: Record<string, any>, extra: ToolExtra) => Promise<CallToolResult>;
+export type ToolCallWrapper = (toolName: string, callback: ToolCallback) => ToolCallback;
+
+/**
+ * One wrapper that applies `wrappers` in order, the first innermost. Null entries (features
+ * that are off) are skipped.
+ */
+export function chainToolCallWrappers(wrappers: (ToolCallWrapper | null | undefined)[]): ToolCallWrapper {
+  return (toolName, callback) => wrappers.reduce<ToolCallback>((wrapped, wrapper) => wrapper ? wrapper(toolName, wrapped) : wrapped, callback);
+}
+
+export type CredentialResult =
+  | { success: true; credentials: Record<string, any> }
+  | { success: false; message: string };
+
+export interface CredentialResolver {
+  mode: CredentialMode;
+  // Params that select credentials (e.g. connection_id), possibly none. Return null to fall
+  // back to raw `<provider>_api_key` params for this provider.
+  toolParams(provider: string, authSchema: z.AnyZodObject): z.ZodRawShape | null;
+  resolve(provider: string, authSchema: z.AnyZodObject, params: Record<string, any>, extra: ToolExtra): Promise<CredentialResult>;
+}
+
+const DEFAULT_HANDLERS_DIR = path.join(__dirname, 'handlers');
+
+// Handler AuthSchemas use `token`; as a tool param this becomes `<provider>_api_key`
+// so that it doesn't collide with args and reads naturally to the caller.
+function authParamName(provider: string, authKey: string): string {
+  return authKey === 'token' ? `${provider}_api_key` : `${provider}_${authKey}`;
+}
+
+const READ_ACTION_PATTERN = /^(get|list|search|find)[A-Z]/;
+
+export function toolAccess(action: string, declared?: ToolAccess): ToolAccess {
+  return declared || (READ_ACTION_PATTERN.test(action) ? 'read' : 'write');
+}
+
+export function toolScope(provider: string, action: string, access?: ToolAccess): string {
+  return `${toolAccess(action, access)}:${provider}`;
+}
+
+// --- Write Tool Params ---
+// Extra params every write tool accepts on top of its ArgsSchema; the registry consumes them
+// and handlers never see them in `args`.
+export function writeToolParams(access: ToolAccess): z.ZodRawShape {
+  if (access === 'read') {
+    return {};
+  }
+  return {
+    idempotency_key: z.string().min(1).max(255).optional()
+      .describe('Client-chosen unique key for this change. Repeating a call with the same key returns the original result instead of acting twice.'),
+    dry_run: z.boolean().optional()
+      .describe('If true, validate the request and report the current state and what would change, without changing anything.')
+  };
+}
+
+// Read tools that can be cached also accept bypass_cache
+export function cacheToolParams(mod: HandlerModule): z.ZodRawShape {
+  if (!mod.cacheGroup) {
+    return {};
+  }
+  return {
+    bypass_cache: z.boolean().optional()
+      .describe('If true, skip the response cache and fetch fresh data from the provider.')
+  };
+}
+
+function isHandlerModule(mod: any): mod is HandlerModule {
+  return !!mod
+    && typeof mod.handler === 'function'
+    && mod.ArgsSchema instanceof z.ZodObject
+    && mod.AuthSchema instanceof z.ZodObject;
+}
+
+// --- Discovery ---
+export function discoverHandlerTools(handlersDir: string = DEFAULT_HANDLERS_DIR): ToolDefinition[] {
+  const tools: ToolDefinition[] = [];
+  if (!fs.existsSync(handlersDir)) {
+    log.warn(`Handlers directory not found at ${handlersDir}. No handler tools will be registered.`);
+    return tools;
+  }
+
+  const providers = fs.readdirSync(handlersDir, { withFileTypes: true })
+    .filter(entry => entry.isDirectory())
+    .map(entry => entry.name)
+    .sort();
+
+  for (const provider of providers) {
+    const providerDir = path.join(handlersDir, provider);
+    const files = fs.readdirSync(providerDir)
+      .filter(file => file.endsWith('.js'))
+      .sort();
+
+    for (const file of files) {
+      const action = path.basename(file, '.js');
+      const name = `${provider}_${action}`;
+      let mod: any;
+      try {
+        mod = require(path.join(providerDir, file));
+      } catch (error: any) {
+        log.error(`Failed to load handler module for ${name}`, { error });
+        continue;
+      }
+      if (!isHandlerModule(mod)) {
+        log.warn(`Skipping ${name}: module does not export handler, ArgsSchema and AuthSchema.`);
+        continue;
+      }
+
+      const authParamMap: Record<string, string> = {};
+      for (const authKey of Object.keys(mod.AuthSchema.shape)) {
+        authParamMap[authParamName(provider, authKey)] = authKey;
+      }
+      const access = toolAccess(action, mod.access);
+      if (mod.defaultBackend !== undefined && !isBackend(mod.defaultBackend)) {
+        log.warn(`Skipping ${name}: defaultBackend must be live or mock.`);
+        continue;
+      }
+      if (typeof mod.backends?.live !== 'object' || typeof mod.backends?.mock !== 'object') {
+        log.warn(`Skipping ${name}: module does not export live and mock backends.`);
+        continue;
+      }
+      // Handlers call their backends through this object, so wrapping in place gives mock
+      // calls the injected faults live calls get from the provider HTTP client. Modules are
+      // cached by require; withMockFaults leaves already wrapped functions alone.
+      for (const [call, fn] of Object.entries(mod.backends.mock as HandlerModule['backends']['mock'])) {
+        mod.backends.mock[call] = withMockFaults(provider, fn);
+      }
+      tools.push({ name, provider, action, module: mod, defaultBackend: mod.defaultBackend || 'mock', access, scope: toolScope(provider, action, access), authParamMap });
+    }
+  }
+  return tools;
+}
+
+// --- Parameter shape & result adaptation ---
+export interface ToolCredentials {
+  paramsShape: z.ZodRawShape; // credential params to merge into the tool's params
+  // Splits validated tool params into handler args and resolved auth
+  split(toolArgs: Record<string, any>, extra: ToolExtra): Promise<
+    | { success: true; args: Record<string, any>; auth: Record<string, any> }
+    | { success: false; message: string }
+  >;
+}
+
+export function createToolCredentials(
+  provider: string,
+  authSchema: z.AnyZodObject,
+  authParamMap: Record<string, string>,
+  resolver?: CredentialResolver
+): ToolCredentials {
+  const selectorParams = resolver ? resolver.toolParams(provider, authSchema) : null;
+
+  if (resolver && selectorParams) {
+    return {
+      paramsShape: selectorParams,
+      async split(toolArgs, extra) {
+        const args: Record<string, any> = {};
+        const selection: Record<string, any> = {};
+        for (const [key, value] of Object.entries(toolArgs)) {
+          (key in selectorParams ? selection : args)[key] = value;
+        }
+        const resolved = await resolver.resolve(provider, authSchema, selection, extra);
+        if (!resolved.success) {
+          return { success: false, message: resolved.message };
+        }
+        return { success: true, args, auth: resolved.credentials };
+      }
+    };
+  }
+
+  const paramsShape: z.ZodRawShape = {};
+  for (const [paramName, authKey] of Object.entries(authParamMap)) {
+    paramsShape[paramName] = authSchema.shape[authKey];
+  }
+  return {
+    paramsShape,
+    async split(toolArgs) {
+      const args: Record<string, any> = {};
+      const auth: Record<string, any> = {};
+      for (const [key, value] of Object.entries(toolArgs)) {
+        if (key in authParamMap) {
+          auth[authParamMap[key]] = value;
+        } else {
+          args[key] = value;
+        }
+      }
+      return { success: true, args, auth };
+    }
+  };
+}
+
+// `provider` is used for failed results that do not name one themselves
+export function toCallToolResult(result: HandlerResult, provider: string | null = null) {
+  const meta = result?.backend ? { _meta: { backend: result.backend, ...(result.scenario && { scenario: result.scenario }) } } : {};
+  if (result && result.success) {
+    return {
+      content: [{ type: "text" as const, text: JSON.stringify({ message: result.message, data: result.data ?? null }) }],
+      ...meta
+    };
+  }
+  return {
+    ...meta,
+    content: [{
+      type: "text" as const,
+      text: JSON.stringify({
+        error: result?.message || 'Tool execution failed.',
+        code: result?.code ?? ErrorCodes.INTERNAL,
+        retryable: result?.retryable ?? false,
+        provider: result?.provider ?? provider,
+        details: result?.errors ?? null,
+        data: result?.data ?? null
+      })
+    }],
+    isError: true
+  };
+}
+
+// --- Progress Notifications ---
+// Sent only when the client asked for them by passing a progressToken in the request _meta
+
+async function reportProgress(extra: ToolExtra, progress: number, message: string): Promise<void> {
+  const progressToken = extra._meta?.progressToken;
+  if (progressToken === undefined) {
+    return;
+  }
+  try {
+    await extra.sendNotification({
+      method: "notifications/progress",
+      params: { progressToken, progress, total: 1, message }
+    });
+  } catch (error: any) {
+    log.warn('Failed to send progress notification', { error });
+  }
+}
+
+// --- Registration ---
+export interface HandlerToolOptions {
+  credentialResolver?: CredentialResolver;
+  idempotency?: IdempotencyGuard; // without it, idempotency keys are only forwarded to providers
+  approvals?: ApprovalQueue;      // holds calls that match its policy until a reviewer approves them
+  cache?: ResponseCache | null;   // read-through cache for tools with a cacheGroup
+  backends?: BackendSelector;     // without it, every tool uses its handler's default backend
+  wrapToolCall?: ToolCallWrapper; // see chainToolCallWrappers
+}
+
+// Returns the registered tools by name
+export function registerHandlerTools(server: McpServer, tools: ToolDefinition[], options: HandlerToolOptions = {}): Map<string, RegisteredTool> {
+  const wrapToolCall = options.wrapToolCall ?? ((toolName: string, callback: ToolCallback) => callback);
+  const registered = new Map<string, RegisteredTool>();
+  for (const tool of tools) {
+    const credentials = createToolCredentials(tool.provider, tool.module.AuthSchema, tool.authParamMap, options.credentialResolver);
+    registered.set(tool.name, server.tool(
+      tool.name,
+      { ...tool.module.ArgsSchema.shape, ...writeToolParams(tool.access), ...cacheToolParams(tool.module), ...credentials.paramsShape },
+      wrapToolCall(tool.name, (toolArgs, extra) => inRequestContext(async () => {
+        log.info(`Executing MCP SDK Tool: ${tool.name}`);
+        const { idempotency_key: idempotencyKey, dry_run: dryRun = false, bypass_cache: bypassCache = false, ...rest } = toolArgs;
+        const split = await credentials.split(rest, extra);
+        if (!split.success) {
+          return toCallToolResult(errorResult(ErrorCodes.AUTH_FAILED, split.message), tool.provider);
+        }
+        const { args, auth } = split;
+        const tenantId = getCallerFromExtra(extra).tenantId;
+        const backend = options.backends
+          ? options.backends.select(tool.provider, tool.defaultBackend, tenantId, getRequestContext()?.backendOverride)
+          : tool.defaultBackend;
+        // Held calls run later, when a reviewer approves, so the scenario and any x-mcp-clock
+        // time are fixed now
+        const scenario = backend === 'mock' ? currentMockScenario() : undefined;
+        const mockTime = backend === 'mock' ? getRequestContext()?.mockTime : undefined;
+
+        const runHandler = () => inRequestContext(() => withSpan(`handler ${tool.name}`, { 'mcp.tool.name': tool.name, 'mcp.provider': tool.provider, 'mcp.dry_run': dryRun, 'mcp.backend': backend }, async (span): Promise<HandlerResult> => {
+          setToolName(tool.name);
+          if (scenario) {
+            setMockScenario(scenario);
+          }
+          if (mockTime !== undefined) {
+            setMockTime(mockTime);
+          }
+          try {
+            const result = await tool.module.handler({ args, auth, backend, idempotencyKey, dryRun });
+            span.setAttribute('mcp.handler.success', !!result.success);
+            // Also reached when a held call is approved later, so its writes invalidate too
+            if (result.success && !dryRun && options.cache && tool.module.invalidates) {
+              await options.cache.invalidate(tenantId, tool.provider, tool.module.invalidates, backend, scenario);
+            }
+            return { ...result, backend, scenario };
+          } catch (error: any) {
+            log.error(`Unhandled error in handler for tool ${tool.name}`, { error });
+            span.recordException(error);
+            return { ...errorResult(ErrorCodes.INTERNAL, `Unexpected error while executing ${tool.name}.`), backend, scenario };
+          }
+        }));
+        let execute = async (): Promise<HandlerResult> => {
+          await reportProgress(extra, 0, `Calling ${tool.provider} for ${tool.action}.`);
+          try {
+            return await runHandler();
+          } finally {
+            await reportProgress(extra, 1, `${tool.name} finished.`);
+          }
+        };
+
+        // Calls the policy holds are queued instead; the handler runs when a reviewer approves.
+        // Dry runs change nothing, so they are never held.
+        const approvals = options.approvals;
+        const hold = !dryRun && approvals ? approvals.policy.match(tool.name, args) : null;
+        if (approvals && hold) {
+          execute = async () => {
+            const { clientName } = getCallerFromExtra(extra);
+            const action = await approvals.submit({ tenantId, clientName, toolName: tool.name, args, reason: hold.reason }, runHandler);
+            return pendingApprovalResult(action);
+          };
+        }
+
+        const cache = options.cache;
+        const cacheGroup = tool.module.cacheGroup;
+        if (cache && cacheGroup) {
+          const clock = backend === 'mock' ? mockClockKey() : undefined;
+          const scope = { tenantId, toolName: tool.name, provider: tool.provider, group: cacheGroup, backend, scenario, clock };
+          const outcome = await cache.read(scope, args, auth, execute, bypassCache);
+          const callResult = toCallToolResult(outcome.result, tool.provider);
+          const cacheMeta = outcome.cached ? { cached: true, cachedAt: outcome.cachedAt, ageMs: outcome.ageMs } : { cached: false };
+          return { ...callResult, _meta: { ...callResult._meta, ...cacheMeta } };
+        }
+
+        // A dry run changes nothing, so there is nothing to deduplicate and it must not use up the key
+        if (dryRun || !idempotencyKey || !options.idempotency) {
+          return toCallToolResult(await execute(), tool.provider);
+        }
+        const outcome = await options.idempotency.run(
+          { tenantId, toolName: tool.name, idempotencyKey },
+          args,
+          execute
+        );
+        if (outcome.status === 'conflict') {
+          return toCallToolResult(errorResult(ErrorCodes.CONFLICT, outcome.message), tool.provider);
+        }
+        if (outcome.status === 'replayed') {
+          const callResult = toCallToolResult(outcome.result, tool.provider);
+          return { ...callResult, _meta: { ...callResult._meta, idempotentReplay: true, originalAt: outcome.originalAt } };
+        }
+        return toCallToolResult(outcome.result, tool.provider);
+      }))
+    ));
+  }
+  return registered;
+}
+
+// Merged AuthSchema per provider: what a stored credential must contain to serve every tool of that provider
+export function getProviderAuthSchemas(tools: ToolDefinition[]): Map<string, z.AnyZodObject> {
+  const schemas = new Map<string, z.AnyZodObject>();
+  for (const tool of tools) {
+    const existing = schemas.get(tool.provider);
+    schemas.set(tool.provider, existing ? existing.merge(tool.module.AuthSchema) : tool.module.AuthSchema);
+  }
+  return schemas;
+}
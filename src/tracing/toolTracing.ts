@@ -0,0 +1,23 @@
+import { SpanStatusCode } from '@opentelemetry/api';
+import { ToolCallWrapper } from '../toolRegistry';
+import { withSpan } from './tracing';
+
+// One span per call to a tool, covering scope checks, auditing and the handler (which gets
+// its own child span in registerHandlerTools). Chain it after the other wrappers so the
+// span covers them.
+export function traceToolCalls(toolProviders: Map<string, string>): ToolCallWrapper {
+  return (toolName, callTool) => (toolArgs, extra) => {
+    const attributes = {
+      'mcp.tool.name': toolName,
+      'mcp.provider': toolProviders.get(toolName) ?? 'unknown',
+    };
+    return withSpan(`tools/call ${toolName}`, attributes, async span => {
+      const result = await callTool(toolArgs, extra);
+      span.setAttribute('mcp.tool.is_error', !!result?.isError);
+      if (result?.isError) {
+        span.setStatus({ code: SpanStatusCode.ERROR });
+      }
+      return result;
+    });
+  };
+}
@@ -0,0 +1,117 @@
+import express from 'express';
+import { context, propagation, trace, Attributes, Span, SpanKind, SpanStatusCode } from '@opentelemetry/api';
+import { NodeTracerProvider, BatchSpanProcessor, ReadableSpan, SpanProcessor } from '@opentelemetry/sdk-trace-node';
+import { OTLPTraceExporter } from '@opentelemetry/exporter-trace-otlp-http';
+import { resourceFromAttributes } from '@opentelemetry/resources';
+import { ATTR_HTTP_REQUEST_METHOD, ATTR_HTTP_RESPONSE_STATUS_CODE, ATTR_HTTP_ROUTE, ATTR_SERVICE_NAME, ATTR_URL_PATH } from '@opentelemetry/semantic-conventions';
+import { getRequestContext } from '../utils/requestContext';
+import { createLogger } from '../utils/logger';
+
+const log = createLogger('tracing.tracing');
+const spanLog = createLogger('tracing.spans');
+
+// Spans made before startTracingFromEnv (or without it, e.g. over stdio) are no-ops
+export const tracer = trace.getTracer('knowreply-mcp');
+
+/**
+ * Runs `fn` in a new active span. A thrown error is recorded on the span and rethrown.
+ */
+export function withSpan<T>(name: string, attributes: Attributes, fn: (span: Span) => Promise<T>): Promise<T> {
+  return tracer.startActiveSpan(name, { attributes }, async span => {
+    try {
+      return await fn(span);
+    } catch (error: any) {
+      span.recordException(error);
+      span.setStatus({ code: SpanStatusCode.ERROR, message: error.message });
+      throw error;
+    } finally {
+      span.end();
+    }
+  });
+}
+
+// Starts the server span for an HTTP request, continuing the caller's trace when it sends a
+// W3C traceparent header. The span ends when the response closes, so it covers SSE streams too.
+export function traceHttpRequest(route: string) {
+  return (req: express.Request, res: express.Response, next: express.NextFunction) => {
+    const parent = propagation.extract(context.active(), req.headers);
+    const attributes: Attributes = {
+      [ATTR_HTTP_REQUEST_METHOD]: req.method,
+      [ATTR_HTTP_ROUTE]: route,
+      [ATTR_URL_PATH]: req.originalUrl.split('?')[0],
+    };
+    const requestId = getRequestContext()?.requestId;
+    if (requestId) {
+      attributes['mcp.request_id'] = requestId;
+    }
+    // JSON-RPC method, e.g. "tools/call"; batches are left unlabelled
+    if (typeof req.body?.method === 'string') {
+      attributes['mcp.method.name'] = req.body.method;
+    }
+    const span = tracer.startSpan(`${req.method} ${route}`, { kind: SpanKind.SERVER, attributes }, parent);
+    res.on('close', () => {
+      span.setAttribute(ATTR_HTTP_RESPONSE_STATUS_CODE, res.statusCode);
+      if (res.statusCode >= 500) {
+        span.setStatus({ code: SpanStatusCode.ERROR });
+      }
+      span.end();
+    });
+    context.with(trace.setSpan(parent, span), next);
+  };
+}
+
+// Writes finished spans to the console as log entries, so they are redacted like any entry.
+// At debug level they stay out of the logs unless asked for (LOG_LEVELS="tracing.spans=debug").
+class LogSpanProcessor implements SpanProcessor {
+  constructor(private level: 'debug' | 'info') {}
+
+  onStart(): void {}
+
+  onEnd(span: ReadableSpan): void {
+    spanLog[this.level](`Span ${span.name}`, {
+      traceId: span.spanContext().traceId,
+      spanId: span.spanContext().spanId,
+      parentSpanId: span.parentSpanContext?.spanId,
+      durationMs: span.duration[0] * 1000 + span.duration[1] / 1e6,
+      status: span.status.code === SpanStatusCode.ERROR ? 'error' : 'ok',
+      attributes: span.attributes,
+    });
+  }
+
+  async forceFlush(): Promise<void> {}
+
+  async shutdown(): Promise<void> {}
+}
+
+// Exports spans over OTLP/HTTP when OTEL_EXPORTER_OTLP_ENDPOINT (or
+// OTEL_EXPORTER_OTLP_TRACES_ENDPOINT) is set, and logs them at debug level otherwise.
+// OTEL_TRACES_EXPORTER=console prints them (redacted) instead, endpoint or not.
+// OTEL_SDK_DISABLED=true turns tracing off.
+export function startTracingFromEnv(): NodeTracerProvider | null {
+  if (process.env.OTEL_SDK_DISABLED === 'true') {
+    log.info('Tracing disabled (OTEL_SDK_DISABLED=true).');
+    return null;
+  }
+  const exporter = (process.env.OTEL_TRACES_EXPORTER || '').toLowerCase();
+  if (exporter && exporter !== 'otlp' && exporter !== 'console') {
+    throw new Error(`Unknown OTEL_TRACES_EXPORTER "${process.env.OTEL_TRACES_EXPORTER}". Use otlp or console.`);
+  }
+  const endpoint = process.env.OTEL_EXPORTER_OTLP_TRACES_ENDPOINT || process.env.OTEL_EXPORTER_OTLP_ENDPOINT;
+  const printSpans = exporter === 'console';
+  // The OTLP exporter reads the endpoint, headers and timeout from the standard OTEL_EXPORTER_OTLP_* variables
+  const spanProcessor = endpoint && !printSpans
+    ? new BatchSpanProcessor(new OTLPTraceExporter())
+    : new LogSpanProcessor(printSpans ? 'info' : 'debug');
+  const provider = new NodeTracerProvider({
+    resource: resourceFromAttributes({ [ATTR_SERVICE_NAME]: process.env.OTEL_SERVICE_NAME || 'knowreply-mcp' }),
+    spanProcessors: [spanProcessor],
+  });
+  // Also installs the W3C trace context propagator and the async context manager
+  provider.register();
+  if (printSpans) {
+    log.info('Tracing enabled; printing spans to the console (OTEL_TRACES_EXPORTER=console).');
+  } else {
+    log.info(endpoint ? 'Tracing enabled; exporting spans over OTLP.' : 'Tracing enabled; no OTLP endpoint set, logging spans at debug level (tracing.spans).', { endpoint });
+  }
+  return provider;
+}
@@ -11,85 +11,227 @@ function toTitleCase(str) {
     .replace(/\b[a-z]/g, (char) => char.toUpperCase()); // Capitalize each word
 }
 
-function getZodSchemaDetails(zodSchema) {
-  const details = {};
-  if (zodSchema && typeof zodSchema.shape === 'object' && zodSchema.shape !== null) {
-    for (const key in zodSchema.shape) {
-      const field = zodSchema.shape[key];
-      if (field && field._def && field._def.typeName) {
-        let typeName = field._def.typeName;
-        // For optional types, it's often ZodOptional { _def: { innerType: ZodString ... } }
-        if (typeName === 'ZodOptional' && field._def.innerType && field._def.innerType._def) {
-          typeName = `ZodOptional<${field._def.innerType._def.typeName}>`;
-        }
-        // For enums, list the values: ZodEnum { _def: { values: [...] } }
-        if (typeName === 'ZodEnum' && field._def.values) {
-          typeName = `ZodEnum<[${field._def.values.join(', ')}]>`;
-        }
-        // For objects, we might want to indicate it's an object but not recurse deeply for this basic version
-        if (typeName === 'ZodObject') {
-            // Could potentially call getZodSchemaDetails recursively if we want nested structure later
-            // For now, just mark as object.
-            // To get sub-keys: Object.keys(field._def.shape())
-            typeName = 'ZodObject';
-        }
-         if (typeName === 'ZodEffects') { // Handle .passthrough() or other effects
-            if (field._def.schema && field._def.schema._def && field._def.schema._def.typeName) {
-                let innerEffectTypeName = field._def.schema._def.typeName;
-                 if (innerEffectTypeName === 'ZodObject') {
-                     typeName = 'ZodObject'; // Keep it simple for passthrough objects
-                 } else {
-                    typeName = `ZodEffects<${innerEffectTypeName}>`;
-                 }
-            } else {
-                typeName = 'ZodEffects';
-            }
+// --- Zod -> JSON Schema ---
+
+function stringChecksToJsonSchema(checks, jsonSchema) {
+  for (const check of checks || []) {
+    switch (check.kind) {
+      case 'min': jsonSchema.minLength = check.value; break;
+      case 'max': jsonSchema.maxLength = check.value; break;
+      case 'length': jsonSchema.minLength = check.value; jsonSchema.maxLength = check.value; break;
+      case 'email': jsonSchema.format = 'email'; break;
+      case 'datetime': jsonSchema.format = 'date-time'; break;
+      case 'date': jsonSchema.format = 'date'; break;
+      case 'time': jsonSchema.format = 'time'; break;
+      case 'url': jsonSchema.format = 'uri'; break;
+      case 'uuid': jsonSchema.format = 'uuid'; break;
+      case 'regex': jsonSchema.pattern = check.regex.source; break;
+      case 'startsWith': jsonSchema.pattern = `^${check.value}`; break;
+      case 'endsWith': jsonSchema.pattern = `${check.value}$`; break;
+      default: break; // Other refinements (trim, toLowerCase, ...) have no JSON Schema equivalent
+    }
+  }
+  return jsonSchema;
+}
+
+function numberChecksToJsonSchema(checks, jsonSchema) {
+  for (const check of checks || []) {
+    switch (check.kind) {
+      case 'int': jsonSchema.type = 'integer'; break;
+      case 'min':
+        if (check.inclusive) jsonSchema.minimum = check.value;
+        else jsonSchema.exclusiveMinimum = check.value; // e.g. .positive() is { min: 0, inclusive: false }
+        break;
+      case 'max':
+        if (check.inclusive) jsonSchema.maximum = check.value;
+        else jsonSchema.exclusiveMaximum = check.value;
+        break;
+      case 'multipleOf': jsonSchema.multipleOf = check.value; break;
+      default: break;
+    }
+  }
+  return jsonSchema;
+}
+
+function zodToJsonSchema(zodSchema) {
+  if (!zodSchema || !zodSchema._def || !zodSchema._def.typeName) {
+    return {};
+  }
+  const def = zodSchema._def;
+  let jsonSchema;
+
+  switch (def.typeName) {
+    case 'ZodString':
+      jsonSchema = stringChecksToJsonSchema(def.checks, { type: 'string' });
+      break;
+    case 'ZodNumber':
+      jsonSchema = numberChecksToJsonSchema(def.checks, { type: 'number' });
+      break;
+    case 'ZodBigInt':
+      jsonSchema = { type: 'integer' };
+      break;
+    case 'ZodBoolean':
+      jsonSchema = { type: 'boolean' };
+      break;
+    case 'ZodDate':
+      jsonSchema = { type: 'string', format: 'date-time' };
+      break;
+    case 'ZodLiteral':
+      jsonSchema = { const: def.value };
+      break;
+    case 'ZodEnum':
+      jsonSchema = { type: 'string', enum: [...def.values] };
+      break;
+    case 'ZodNativeEnum':
+      // Numeric TS enums carry reverse mappings; keep only the real values
+      jsonSchema = { enum: Object.values(def.values).filter(value => typeof def.values[value] !== 'number') };
+      break;
+    case 'ZodArray':
+      jsonSchema = { type: 'array', items: zodToJsonSchema(def.type) };
+      if (def.minLength) jsonSchema.minItems = def.minLength.value;
+      if (def.maxLength) jsonSchema.maxItems = def.maxLength.value;
+      if (def.exactLength) {
+        jsonSchema.minItems = def.exactLength.value;
+        jsonSchema.maxItems = def.exactLength.value;
+      }
+      break;
+    case 'ZodObject': {
+      const shape = typeof def.shape === 'function' ? def.shape() : zodSchema.shape;
+      const properties = {};
+      const required = [];
+      for (const key of Object.keys(shape || {})) {
+        properties[key] = zodToJsonSchema(shape[key]);
+        if (!shape[key].isOptional()) {
+          required.push(key);
         }
-        details[key] = typeName;
+      }
+      jsonSchema = { type: 'object', properties };
+      if (required.length > 0) jsonSchema.required = required;
+      // .passthrough() keeps unknown keys (e.g. hubspot updateContact's `updates`); .strict() rejects them
+      if (def.catchall && def.catchall._def.typeName !== 'ZodNever') {
+        jsonSchema.additionalProperties = zodToJsonSchema(def.catchall);
       } else {
-        details[key] = 'UnknownZodType';
+        jsonSchema.additionalProperties = def.unknownKeys === 'passthrough';
       }
+      break;
+    }
+    case 'ZodRecord':
+      jsonSchema = { type: 'object', additionalProperties: zodToJsonSchema(def.valueType) };
+      break;
+    case 'ZodUnion':
+    case 'ZodDiscriminatedUnion': {
+      const options = Array.isArray(def.options) ? def.options : [...def.options.values()];
+      jsonSchema = { anyOf: options.map(zodToJsonSchema) };
+      break;
     }
+    case 'ZodOptional':
+      jsonSchema = zodToJsonSchema(def.innerType);
+      break;
+    case 'ZodNullable': {
+      const inner = zodToJsonSchema(def.innerType);
+      jsonSchema = inner.type ? { ...inner, type: [].concat(inner.type, 'null') } : { anyOf: [inner, { type: 'null' }] };
+      break;
+    }
+    case 'ZodDefault':
+      jsonSchema = { ...zodToJsonSchema(def.innerType), default: def.defaultValue() };
+      break;
+    case 'ZodEffects': // .refine(), .transform(), .preprocess() - describe the input schema
+      jsonSchema = zodToJsonSchema(def.schema);
+      break;
+    case 'ZodLazy':
+      jsonSchema = zodToJsonSchema(def.getter());
+      break;
+    default: // ZodAny, ZodUnknown and anything else accept any value
+      jsonSchema = {};
+      break;
   }
-  return details;
+
+  // .describe() on a wrapper (e.g. .optional().describe(...)) overrides the inner description
+  if (zodSchema.description) {
+    jsonSchema.description = zodSchema.description;
+  }
+  return jsonSchema;
 }
 
-function generateSamplePayload(schemaDetails) {
-  const payload = {};
-  for (const key in schemaDetails) {
-    const type = schemaDetails[key];
-    if (type.startsWith('ZodString') || type.includes('ZodString')) {
-      if (key.toLowerCase().includes('email')) {
-        payload[key] = 'user@example.com';
-      } else if (key.toLowerCase().includes('id')) {
-        payload[key] = 'identifier_123';
-      } else if (key.toLowerCase().includes('time') || key.toLowerCase().includes('date')) {
-        payload[key] = new Date().toISOString();
-      }
-      else {
-        payload[key] = 'string_value';
-      }
-    } else if (type.startsWith('ZodNumber') || type.includes('ZodNumber')) {
-      payload[key] = 123;
-    } else if (type.startsWith('ZodBoolean') || type.includes('ZodBoolean')) {
-      payload[key] = true;
-    } else if (type.startsWith('ZodObject') || type.includes('ZodObject')) {
-      payload[key] = { /* add sample sub-fields if necessary or leave empty */ };
-    } else if (type.startsWith('ZodArray') || type.includes('ZodArray')) {
-      payload[key] = [];
-    } else if (type.startsWith('ZodEnum') || type.includes('ZodEnum')) {
-      // Extract first value from enum type string e.g. "ZodEnum<[new, open]>"
-      const match = type.match(/ZodEnum<\[([^,]+).*\]>/);
-      payload[key] = match ? match[1] : 'enum_value';
-    } else {
-      payload[key] = 'unknown_type_value';
+// --- Sample payloads from JSON Schema ---
+
+function sampleString(key, jsonSchema) {
+  const lowerKey = (key || '').toLowerCase();
+  let value;
+  switch (jsonSchema.format) {
+    case 'email': return 'user@example.com';
+    case 'date-time': return new Date(Date.now() + 7 * 24 * 60 * 60 * 1000).toISOString(); // One week ahead, so "must be in the future" checks pass
+    case 'date': return new Date(Date.now() + 7 * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+    case 'time': return '12:00:00';
+    case 'uri': return 'https://example.com';
+    case 'uuid': return '00000000-0000-4000-8000-000000000000';
+    default: break;
+  }
+  if (lowerKey.includes('email')) {
+    value = 'user@example.com';
+  } else if (lowerKey.endsWith('id')) {
+    value = 'identifier_123';
+  } else {
+    value = 'string_value';
+  }
+  if (jsonSchema.maxLength !== undefined && value.length > jsonSchema.maxLength) {
+    value = value.slice(0, jsonSchema.maxLength);
+  }
+  if (jsonSchema.minLength !== undefined && value.length < jsonSchema.minLength) {
+    value = value.padEnd(jsonSchema.minLength, 'x');
+  }
+  return value;
+}
+
+function sampleNumber(jsonSchema) {
+  const isInteger = jsonSchema.type === 'integer';
+  const step = isInteger ? 1 : 0.5;
+  let value = 123;
+  if (jsonSchema.minimum !== undefined && value < jsonSchema.minimum) value = jsonSchema.minimum;
+  if (jsonSchema.exclusiveMinimum !== undefined && value <= jsonSchema.exclusiveMinimum) value = jsonSchema.exclusiveMinimum + step;
+  if (jsonSchema.maximum !== undefined && value > jsonSchema.maximum) value = jsonSchema.maximum;
+  if (jsonSchema.exclusiveMaximum !== undefined && value >= jsonSchema.exclusiveMaximum) value = jsonSchema.exclusiveMaximum - step;
+  if (isInteger) value = Math.ceil(value);
+  if (jsonSchema.multipleOf) value = Math.ceil(value / jsonSchema.multipleOf) * jsonSchema.multipleOf;
+  return value;
+}
+
+function generateSampleValue(jsonSchema, key) {
+  if (!jsonSchema) return null;
+  if (jsonSchema.default !== undefined) return jsonSchema.default;
+  if (jsonSchema.const !== undefined) return jsonSchema.const;
+  if (Array.isArray(jsonSchema.enum) && jsonSchema.enum.length > 0) return jsonSchema.enum[0];
+  if (Array.isArray(jsonSchema.anyOf) && jsonSchema.anyOf.length > 0) return generateSampleValue(jsonSchema.anyOf[0], key);
+
+  const type = Array.isArray(jsonSchema.type) ? jsonSchema.type.find(t => t !== 'null') : jsonSchema.type;
+  switch (type) {
+    case 'string': return sampleString(key, jsonSchema);
+    case 'number':
+    case 'integer': return sampleNumber(jsonSchema);
+    case 'boolean': return true;
+    case 'array': {
+      const count = Math.max(jsonSchema.minItems || 0, 1);
+      return Array.from({ length: Math.min(count, jsonSchema.maxItems ?? count) }, () => generateSampleValue(jsonSchema.items, key));
     }
+    case 'object': return generateSamplePayload(jsonSchema);
+    default: return 'unknown_type_value';
+  }
+}
+
+// Builds an example object that validates against an object JSON Schema (as produced by zodToJsonSchema).
+// Optional properties are included too, so the sample shows every field a caller can send.
+function generateSamplePayload(jsonSchema) {
+  const payload = {};
+  const properties = (jsonSchema && jsonSchema.properties) || {};
+  for (const key in properties) {
+    payload[key] = generateSampleValue(properties[key], key);
   }
   return payload;
 }
 
 module.exports = {
   toTitleCase,
-  getZodSchemaDetails,
+  zodToJsonSchema,
+  generateSampleValue,
   generateSamplePayload,
 };
@@ -0,0 +1,21 @@
+// Result returned by a write handler called with dry_run: true. `success` means the preview
+// itself ran; whether the real action would go through is `data.wouldSucceed`, with the
+// reason when it would not. `before`/`after` describe the state the action would change.
+function dryRunResult({ wouldSucceed, reason = null, before = null, after = null, ...extra }) {
+  return {
+    success: true,
+    message: wouldSucceed ? 'Dry run: the action would succeed. Nothing was changed.' : `Dry run: the action would fail. ${reason}`,
+    data: {
+      dryRun: true,
+      wouldSucceed,
+      reason: wouldSucceed ? null : reason,
+      before,
+      after: wouldSucceed ? after : before,
+      ...extra,
+    },
+  };
+}
+
+module.exports = {
+  dryRunResult,
+};
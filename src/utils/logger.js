@@ -0,0 +1,96 @@
+const { getRequestContext } = require('./requestContext');
+const { redactForLog } = require('./redact');
+
+// Structured JSON logger: one line per entry with time, level, module, the current request
+// ID and any fields, with secrets, emails and card numbers masked (see redactForLog).
+//
+// Levels are set with LOG_LEVEL (default "info") and per module with LOG_LEVELS, e.g.
+//   LOG_LEVELS="server=debug,handlers.stripe=warn"
+// Module names are dotted and the longest matching prefix wins, so "handlers.stripe"
+// covers "handlers.stripe.issueRefund". Entries go through console.log/console.error, so
+// the stdio entry point's redirect to stderr applies to them too.
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 };
+
+let cachedConfig = null;
+
+// Re-read whenever the env changes, since loggers are created before dotenv has run
+function levelConfig() {
+  const defaultLevel = (process.env.LOG_LEVEL || 'info').toLowerCase();
+  const moduleLevels = process.env.LOG_LEVELS || '';
+  if (!cachedConfig || cachedConfig.defaultLevel !== defaultLevel || cachedConfig.moduleLevels !== moduleLevels) {
+    const overrides = [];
+    for (const entry of moduleLevels.split(',')) {
+      const [module, level] = entry.split('=').map(part => part && part.trim());
+      if (module && level && LEVELS[level.toLowerCase()] !== undefined) {
+        overrides.push({ module, level: LEVELS[level.toLowerCase()] });
+      }
+    }
+    overrides.sort((a, b) => b.module.length - a.module.length);
+    cachedConfig = { defaultLevel, moduleLevels, overrides, fallback: LEVELS[defaultLevel] ?? LEVELS.info };
+  }
+  return cachedConfig;
+}
+
+function thresholdFor(module) {
+  const config = levelConfig();
+  const override = config.overrides.find(({ module: prefix }) => module === prefix || module.startsWith(`${prefix}.`));
+  return override ? override.level : config.fallback;
+}
+
+// Errors keep their name, message and status/code; provider response bodies are left out.
+// Pass `stack: error.stack` as a field where the stack is worth having.
+function serializeError(error) {
+  return {
+    name: error.name,
+    message: error.message,
+    ...(error.code !== undefined ? { code: error.code } : {}),
+    ...(error.status !== undefined ? { status: error.status } : {}),
+  };
+}
+
+function serializeFields(fields) {
+  const serialized = {};
+  for (const [key, value] of Object.entries(fields || {})) {
+    serialized[key] = value instanceof Error ? serializeError(value) : value;
+  }
+  return serialized;
+}
+
+/**
+ * Creates the logger for one module.
+ * @param {string} module dotted module name, e.g. "handlers.stripe.issueRefund"
+ */
+function createLogger(module) {
+  const write = (level, msg, fields) => {
+    if (LEVELS[level] < thresholdFor(module)) {
+      return;
+    }
+    const requestId = getRequestContext()?.requestId;
+    const entry = redactForLog({
+      time: new Date().toISOString(),
+      level,
+      module,
+      ...(requestId ? { requestId } : {}),
+      msg,
+      ...serializeFields(fields),
+    });
+    const line = JSON.stringify(entry);
+    if (level === 'error' || level === 'warn') {
+      console.error(line);
+    } else {
+      console.log(line);
+    }
+  };
+
+  return {
+    debug: (msg, fields) => write('debug', msg, fields),
+    info: (msg, fields) => write('info', msg, fields),
+    warn: (msg, fields) => write('warn', msg, fields),
+    error: (msg, fields) => write('error', msg, fields),
+  };
+}
+
+module.exports = {
+  createLogger,
+};
@@ -0,0 +1,99 @@
+const { getProviderClient } = require('./providerHttpClient');
+const { ErrorCodes, ToolError } = require('./toolErrors');
+
+// How each provider's live API is addressed and authenticated, for the live backends of the
+// handlers. Every function takes the handler's validated auth and an axios request config
+// with a path relative to the provider's API root, and resolves with the response body.
+// Errors are ProviderHttpErrors from the shared client.
+
+function requireAuthField(auth, field, providerName, example) {
+  if (!auth[field]) {
+    throw new ToolError(ErrorCodes.AUTH_FAILED, `The live ${providerName} backend needs \`${field}\` in the ${providerName} credentials (e.g. "${example}").`);
+  }
+  return auth[field];
+}
+
+async function shopifyRequest(auth, config) {
+  const shopDomain = requireAuthField(auth, 'shop_domain', 'Shopify', 'your-store.myshopify.com');
+  const apiVersion = process.env.SHOPIFY_API_VERSION || '2024-07';
+  const response = await getProviderClient('shopify').request({
+    ...config,
+    url: `https://${shopDomain}/admin/api/${apiVersion}${config.url}`,
+    headers: { 'X-Shopify-Access-Token': auth.token, 'Content-Type': 'application/json', ...(config.headers || {}) },
+  });
+  return response.data;
+}
+
+// OAuth access token as a bearer token
+async function zendeskRequest(auth, config) {
+  const subdomain = requireAuthField(auth, 'subdomain', 'Zendesk', 'yourcompany');
+  const response = await getProviderClient('zendesk').request({
+    ...config,
+    url: `https://${subdomain}.zendesk.com/api/v2${config.url}`,
+    headers: { 'Authorization': `Bearer ${auth.token}`, 'Content-Type': 'application/json', ...(config.headers || {}) },
+  });
+  return response.data;
+}
+
+// Private app access token
+async function hubspotRequest(auth, config) {
+  const response = await getProviderClient('hubspot').request({
+    ...config,
+    headers: { 'Authorization': `Bearer ${auth.token}`, 'Content-Type': 'application/json', ...(config.headers || {}) },
+  });
+  return response.data;
+}
+
+// Private API key; Klaviyo versions its API by a dated revision header
+async function klaviyoRequest(auth, config) {
+  const response = await getProviderClient('klaviyo').request({
+    ...config,
+    headers: {
+      'Authorization': `Klaviyo-API-Key ${auth.token}`,
+      'revision': process.env.KLAVIYO_API_REVISION || '2024-10-15',
+      'Accept': 'application/vnd.api+json',
+      ...(config.headers || {}),
+    },
+  });
+  return response.data;
+}
+
+// The profile's events of the named metrics (e.g. "Opened Email"), newest first, as
+// { metric, datetime, properties }; null when no profile has the email
+async function klaviyoProfileEvents(auth, email, metricNames) {
+  const profiles = await klaviyoRequest(auth, { method: 'GET', url: '/profiles/', params: { filter: `equals(email,"${email}")` } });
+  if (!profiles.data || profiles.data.length === 0) {
+    return null;
+  }
+  const events = await klaviyoRequest(auth, {
+    method: 'GET',
+    url: '/events/',
+    params: { filter: `equals(profile_id,"${profiles.data[0].id}")`, include: 'metric', sort: '-datetime' },
+  });
+  const metricNamesById = new Map((events.included || []).filter(item => item.type === 'metric').map(metric => [metric.id, metric.attributes.name]));
+  return (events.data || [])
+    .map(event => ({
+      metric: metricNamesById.get(event.relationships?.metric?.data?.id),
+      datetime: event.attributes.datetime,
+      properties: event.attributes.event_properties || {},
+    }))
+    .filter(event => metricNames.includes(event.metric));
+}
+
+// Personal access token or OAuth access token
+async function calendlyRequest(auth, config) {
+  const response = await getProviderClient('calendly').request({
+    ...config,
+    headers: { 'Authorization': `Bearer ${auth.token}`, 'Content-Type': 'application/json', ...(config.headers || {}) },
+  });
+  return response.data;
+}
+
+module.exports = {
+  shopifyRequest,
+  zendeskRequest,
+  hubspotRequest,
+  klaviyoRequest,
+  klaviyoProfileEvents,
+  calendlyRequest,
+};
@@ -0,0 +1,435 @@
+const crypto = require('crypto');
+const axios = require('axios');
+const { trace, SpanKind, SpanStatusCode } = require('@opentelemetry/api');
+const { recordProviderResponse } = require('./requestContext');
+const { createLogger } = require('./logger');
+const { ErrorCodes, errorResult, toolErrorResult, errorCodeForStatus } = require('./toolErrors');
+
+const log = createLogger('utils.providerHttpClient');
+const tracer = trace.getTracer('knowreply-mcp');
+
+// Shared HTTP client for live provider calls: per-provider timeouts, retries with
+// exponential backoff and jitter on 429/5xx and network errors, and one error shape
+// (ProviderHttpError) for every provider.
+//
+// Retry rules:
+//   - GET/HEAD/PUT/DELETE (idempotent) are retried on 429, 5xx and network errors.
+//   - POST/PATCH are retried only when repeating them cannot apply the change twice: the
+//     request carries an Idempotency-Key, the connection never reached the provider, or
+//     the provider rejected it with 429 before doing any work.
+//   - Retry-After, RateLimit-Reset / X-RateLimit-Reset and Stripe-Should-Retry are honoured.
+//     If the provider asks us to wait longer than maxDelayMs, we give up instead of blocking.
+//
+// The `retryable` of the error a caller gets follows the same rules, except that a key this
+// client made up does not count: the caller's retry would be sent with a new one. A POST or
+// PATCH that timed out without the caller's key may have been applied, so it is not
+// retryable and its message says so.
+
+const DEFAULT_OPTIONS = {
+  timeoutMs: 10000,
+  maxRetries: 2,
+  baseDelayMs: 300,
+  maxDelayMs: 10000,
+  supportsIdempotencyKeys: false,
+  displayName: null,
+};
+
+// Provider-specific defaults; env vars (see resolveOptions) take precedence
+const PROVIDER_DEFAULTS = {
+  stripe: {
+    displayName: 'Stripe',
+    baseURL: 'https://api.stripe.com/v1',
+    timeoutMs: 15000,
+    supportsIdempotencyKeys: true, // POSTs get an Idempotency-Key so they can be retried safely
+    extractError: (data) => ({
+      message: data?.error?.message,
+      code: data?.error?.code,
+      type: data?.error?.type,
+      data: data?.error,
+    }),
+  },
+  // Shopify and Zendesk URLs include the shop or account, so their handlers pass full URLs
+  shopify: {
+    displayName: 'Shopify',
+    extractError: (data) => ({
+      message: typeof data?.errors === 'string' ? data.errors : undefined,
+      data: data?.errors,
+    }),
+  },
+  zendesk: {
+    displayName: 'Zendesk',
+    extractError: (data) => ({
+      message: data?.description || (typeof data?.error === 'string' ? data.error : data?.error?.message),
+      code: typeof data?.error === 'string' ? data.error : data?.error?.title,
+      data: data?.details,
+    }),
+  },
+  hubspot: {
+    displayName: 'HubSpot',
+    baseURL: 'https://api.hubapi.com',
+    extractError: (data) => ({
+      message: data?.message,
+      code: data?.category,
+      data: data?.errors,
+    }),
+  },
+  klaviyo: {
+    displayName: 'Klaviyo',
+    baseURL: 'https://a.klaviyo.com/api',
+    extractError: (data) => ({
+      message: data?.errors?.[0]?.detail,
+      code: data?.errors?.[0]?.code,
+      data: data?.errors,
+    }),
+  },
+  calendly: {
+    displayName: 'Calendly',
+    baseURL: 'https://api.calendly.com',
+    extractError: (data) => ({
+      message: data?.message,
+      code: data?.title,
+      data: data?.details,
+    }),
+  },
+};
+
+const IDEMPOTENT_METHODS = ['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE'];
+const RETRYABLE_STATUSES = [408, 429, 500, 502, 503, 504];
+// The request never reached the provider, so even a POST is safe to send again
+const CONNECT_ERROR_CODES = ['ECONNREFUSED', 'ENOTFOUND', 'EAI_AGAIN'];
+// Whether these reached the provider is unknown
+const NETWORK_ERROR_CODES = ['ECONNRESET', 'ETIMEDOUT', 'ECONNABORTED', 'EPIPE', 'ERR_NETWORK'];
+const UNKNOWN_OUTCOME = ' The request may have been applied; check before trying again.';
+
+// Called after every attempt, including retried ones (see onProviderResponse)
+const responseListeners = [];
+
+/**
+ * Registers a listener for every provider API attempt, e.g. for metrics.
+ * @param {(attempt: { provider: string, method: string, status: number | null, durationMs: number }) => void} listener
+ */
+function onProviderResponse(listener) {
+  responseListeners.push(listener);
+}
+
+// Runs before every attempt in place of the request when it returns a response (see
+// setProviderAttemptHook)
+let attemptHook = null;
+
+/**
+ * Sets the hook the fault injector (src/faults/faultInjector.js) runs before every provider
+ * API attempt. It may wait, throw an axios-style error or resolve with a response to use
+ * instead of sending the request; resolving with null sends it as usual. The error or
+ * response goes through the same retry and error handling as a real one.
+ * @param {((attempt: { provider: string, method: string, timeoutMs: number }) => Promise<object | null>) | null} hook
+ */
+function setProviderAttemptHook(hook) {
+  attemptHook = hook;
+}
+
+function notifyResponseListeners(attempt) {
+  for (const listener of responseListeners) {
+    try {
+      listener(attempt);
+    } catch (error) {
+      log.error('Provider response listener failed', { error });
+    }
+  }
+}
+
+class ProviderHttpError extends Error {
+  constructor({ provider, message, status = null, code = null, type = null, retryable = false, retryAfterMs = null, attempts = 1, data = null }) {
+    super(message);
+    this.name = 'ProviderHttpError';
+    this.provider = provider;
+    this.status = status;         // HTTP status, or null when no response was received
+    this.code = code;             // provider error code (e.g. Stripe's "charge_already_refunded") or network error code
+    this.type = type;             // provider error type, if any
+    this.retryable = retryable;   // whether the caller may try again later
+    this.retryAfterMs = retryAfterMs;
+    this.attempts = attempts;
+    this.data = data;             // provider error body
+  }
+
+  // The `errors` value handlers put in their { success: false, ... } result
+  toDetails() {
+    return {
+      provider: this.provider,
+      status: this.status,
+      code: this.code,
+      type: this.type,
+      retryable: this.retryable,
+      retryAfterMs: this.retryAfterMs,
+      attempts: this.attempts,
+      data: this.data,
+    };
+  }
+}
+
+function envNumber(name) {
+  const value = parseInt(process.env[name] || '', 10);
+  return Number.isNaN(value) ? undefined : value;
+}
+
+// e.g. STRIPE_HTTP_TIMEOUT_MS, then MCP_HTTP_TIMEOUT_MS for all providers
+function resolveOptions(provider, overrides) {
+  const prefix = provider.toUpperCase();
+  const fromEnv = {};
+  for (const [option, suffix] of [['timeoutMs', 'HTTP_TIMEOUT_MS'], ['maxRetries', 'HTTP_MAX_RETRIES'], ['baseDelayMs', 'HTTP_RETRY_BASE_DELAY_MS'], ['maxDelayMs', 'HTTP_RETRY_MAX_DELAY_MS']]) {
+    const value = envNumber(`${prefix}_${suffix}`) ?? envNumber(`MCP_${suffix}`);
+    if (value !== undefined) {
+      fromEnv[option] = value;
+    }
+  }
+  return { ...DEFAULT_OPTIONS, ...(PROVIDER_DEFAULTS[provider] || {}), ...overrides, ...fromEnv };
+}
+
+function headerValue(headers, name) {
+  if (!headers) return undefined;
+  const value = typeof headers.get === 'function' ? headers.get(name) : headers[name.toLowerCase()];
+  return value === undefined || value === null ? undefined : String(value);
+}
+
+// Retry-After is seconds or an HTTP date; RateLimit-Reset is seconds until the window resets
+function serverRequestedDelayMs(headers) {
+  const retryAfter = headerValue(headers, 'retry-after');
+  if (retryAfter) {
+    const seconds = Number(retryAfter);
+    if (!Number.isNaN(seconds)) {
+      return Math.max(0, seconds * 1000);
+    }
+    const date = Date.parse(retryAfter);
+    if (!Number.isNaN(date)) {
+      return Math.max(0, date - Date.now());
+    }
+  }
+  const reset = headerValue(headers, 'ratelimit-reset') || headerValue(headers, 'x-ratelimit-reset');
+  if (reset) {
+    const seconds = Number(reset);
+    // Some providers send an epoch timestamp rather than a delta
+    if (!Number.isNaN(seconds)) {
+      return Math.max(0, seconds > 1e9 ? seconds * 1000 - Date.now() : seconds * 1000);
+    }
+  }
+  return null;
+}
+
+// "Full jitter": a random delay between 0 and the exponential backoff for this attempt
+function backoffDelayMs(attempt, options) {
+  const ceiling = Math.min(options.maxDelayMs, options.baseDelayMs * 2 ** (attempt - 1));
+  return Math.round(Math.random() * ceiling);
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function defaultExtractError(data) {
+  return {
+    message: data?.error?.message || data?.message || (typeof data?.error === 'string' ? data.error : undefined),
+    code: data?.error?.code || data?.code,
+    type: data?.error?.type,
+    data: data?.error ?? data ?? null,
+  };
+}
+
+// Decide whether a failed attempt may be retried
+function classify(error, method, hasIdempotencyKey) {
+  const safeToRepeat = IDEMPOTENT_METHODS.includes(method) || hasIdempotencyKey;
+  const response = error.response;
+  if (response) {
+    const shouldRetryHeader = headerValue(response.headers, 'stripe-should-retry');
+    if (shouldRetryHeader === 'false') {
+      return { retryable: false };
+    }
+    const statusRetryable = RETRYABLE_STATUSES.includes(response.status);
+    // A 429 was refused before any work was done, so it is safe to repeat for any method
+    const retryable = shouldRetryHeader === 'true'
+      ? true
+      : statusRetryable && (safeToRepeat || response.status === 429);
+    return { retryable, retryAfterMs: serverRequestedDelayMs(response.headers) };
+  }
+  if (CONNECT_ERROR_CODES.includes(error.code)) {
+    return { retryable: true };
+  }
+  if (NETWORK_ERROR_CODES.includes(error.code) || error.request) {
+    return { retryable: safeToRepeat };
+  }
+  return { retryable: false };
+}
+
+function toProviderError(error, options, provider, attempts, retryable, retryAfterMs) {
+  const name = options.displayName || provider;
+  if (error.response) {
+    const extracted = (options.extractError || defaultExtractError)(error.response.data);
+    return new ProviderHttpError({
+      provider,
+      message: `${name} API Error: ${extracted.message || error.response.statusText || `HTTP ${error.response.status}`}`,
+      status: error.response.status,
+      code: extracted.code || null,
+      type: extracted.type || null,
+      retryable,
+      retryAfterMs: retryAfterMs ?? null,
+      attempts,
+      data: extracted.data ?? null,
+    });
+  }
+  if (error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT') {
+    return new ProviderHttpError({
+      provider,
+      message: `${name} API did not respond within ${options.timeoutMs}ms.${retryable ? '' : UNKNOWN_OUTCOME}`,
+      code: error.code,
+      retryable,
+      attempts,
+    });
+  }
+  if (error.request) {
+    return new ProviderHttpError({
+      provider,
+      message: `No response received from ${name} API. Check network connectivity.${retryable ? '' : UNKNOWN_OUTCOME}`,
+      code: error.code || null,
+      retryable,
+      attempts,
+    });
+  }
+  return new ProviderHttpError({ provider, message: `${name} API request could not be sent: ${error.message}`, attempts });
+}
+
+/**
+ * Creates the HTTP client for one provider.
+ * @param {string} provider e.g. "stripe"
+ * @param {object} [overrides] baseURL, timeoutMs, maxRetries, baseDelayMs, maxDelayMs, supportsIdempotencyKeys, extractError
+ */
+function createProviderClient(provider, overrides = {}) {
+  const options = resolveOptions(provider, overrides);
+  const instance = axios.create({ baseURL: options.baseURL, timeout: options.timeoutMs });
+
+  /**
+   * Sends a request, retrying where safe. Resolves with the axios response; rejects with ProviderHttpError.
+   * @param {object} config axios request config, plus optional `idempotencyKey`
+   */
+  async function request(config) {
+    const method = (config.method || 'GET').toUpperCase();
+    const { idempotencyKey: requestedKey, ...axiosConfig } = config;
+    const headers = { ...(axiosConfig.headers || {}) };
+
+    // One key for every attempt of this request, so the provider applies it at most once
+    let idempotencyKey = requestedKey;
+    if (!idempotencyKey && options.supportsIdempotencyKeys && !IDEMPOTENT_METHODS.includes(method)) {
+      idempotencyKey = crypto.randomUUID();
+    }
+    if (idempotencyKey && options.supportsIdempotencyKeys) {
+      headers['Idempotency-Key'] = idempotencyKey;
+    }
+    const hasIdempotencyKey = !!headers['Idempotency-Key'];
+    const hasCallerIdempotencyKey = !!requestedKey && options.supportsIdempotencyKeys;
+
+    for (let attempt = 1; ; attempt++) {
+      const startedAt = Date.now();
+      // One client span per attempt. The URL is recorded without its query string, which can hold emails.
+      const span = tracer.startSpan(`${method} ${provider}`, {
+        kind: SpanKind.CLIENT,
+        attributes: {
+          'http.request.method': method,
+          'url.full': `${options.baseURL || ''}${axiosConfig.url || ''}`.split('?')[0],
+          'mcp.provider': provider,
+          ...(attempt > 1 ? { 'http.request.resend_count': attempt - 1 } : {}),
+        },
+      });
+      try {
+        const response = (attemptHook && await attemptHook({ provider, method, timeoutMs: options.timeoutMs }))
+          || await instance.request({ ...axiosConfig, method, headers });
+        span.setAttribute('http.response.status_code', response.status);
+        span.end();
+        notifyResponseListeners({ provider, method, status: response.status, durationMs: Date.now() - startedAt });
+        recordProviderResponse({ provider, method, url: axiosConfig.url, status: response.status });
+        return response;
+      } catch (error) {
+        if (error.response) {
+          span.setAttribute('http.response.status_code', error.response.status);
+        }
+        span.setAttribute('error.type', error.response ? String(error.response.status) : error.code || 'Error');
+        span.setStatus({ code: SpanStatusCode.ERROR, message: error.message });
+        span.end();
+        notifyResponseListeners({ provider, method, status: error.response?.status ?? null, durationMs: Date.now() - startedAt });
+        const { retryable, retryAfterMs } = classify(error, method, hasIdempotencyKey);
+        const canRetry = retryable && attempt <= options.maxRetries;
+        const delayMs = retryAfterMs ?? backoffDelayMs(attempt, options);
+        if (!canRetry || delayMs > options.maxDelayMs) {
+          recordProviderResponse({ provider, method, url: axiosConfig.url, status: error.response?.status ?? null });
+          const callerMayRetry = classify(error, method, hasCallerIdempotencyKey).retryable;
+          throw toProviderError(error, options, provider, attempt, callerMayRetry, retryAfterMs);
+        }
+        const status = error.response ? `HTTP ${error.response.status}` : error.code || error.message;
+        const reason = headerValue(error.response?.headers, 'stripe-rate-limited-reason');
+        log.warn(`${options.displayName || provider} request failed; retrying`, { method, url: axiosConfig.url, status, reason, attempt, maxRetries: options.maxRetries, delayMs });
+        await sleep(delayMs);
+      }
+    }
+  }
+
+  return {
+    provider,
+    timeoutMs: options.timeoutMs,
+    request,
+    get: (url, config = {}) => request({ ...config, method: 'GET', url }),
+    post: (url, data, config = {}) => request({ ...config, method: 'POST', url, data }),
+  };
+}
+
+const sharedClients = new Map();
+
+// The shared client for a provider, created on first use with its default options
+function getProviderClient(provider) {
+  if (!sharedClients.has(provider)) {
+    sharedClients.set(provider, createProviderClient(provider));
+  }
+  return sharedClients.get(provider);
+}
+
+/**
+ * The ProviderHttpError one failed attempt ends with when it is not retried, e.g. for a
+ * fault injected into a mock backend, which has no HTTP call to retry.
+ * @param {string} provider
+ * @param {any} error axios-style error
+ */
+function failedAttemptError(provider, error) {
+  const options = resolveOptions(provider, {});
+  const { retryable, retryAfterMs } = classify(error, 'GET', false);
+  return toProviderError(error, options, provider, 1, retryable, retryAfterMs);
+}
+
+// Turns any error from a provider call into the handler result shape, with the error code
+// for its HTTP status (see toolErrors)
+function providerErrorResult(error, provider) {
+  if (!(error instanceof ProviderHttpError)) {
+    return errorResult(ErrorCodes.INTERNAL, `Unexpected error while calling ${provider}: ${error.message}`, { provider });
+  }
+  return errorResult(errorCodeForStatus(error.status), error.message, { retryable: error.retryable, provider, details: error.toDetails() });
+}
+
+/**
+ * For handlers with live and mock backends: a ProviderHttpError from the live API becomes a
+ * provider error result, a ToolError (from either backend) keeps its code, and anything else
+ * is INTERNAL with `unexpectedMessage`.
+ * @param {any} error
+ * @param {string} provider
+ * @param {string} unexpectedMessage
+ */
+function backendErrorResult(error, provider, unexpectedMessage) {
+  if (error instanceof ProviderHttpError) {
+    return providerErrorResult(error, provider);
+  }
+  return toolErrorResult(error, unexpectedMessage);
+}
+
+module.exports = {
+  backendErrorResult,
+  createProviderClient,
+  failedAttemptError,
+  getProviderClient,
+  onProviderResponse,
+  providerErrorResult,
+  ProviderHttpError,
+  setProviderAttemptHook,
+};
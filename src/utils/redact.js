@@ -0,0 +1,102 @@
+// Masks secrets in values that get written somewhere durable (audit records, logs).
+// redactSecrets matches by key name, at any depth: "stripe_api_key", "token", "Authorization", etc.
+// redactForLog also masks emails, card numbers and key-shaped strings inside any string.
+// Names match whole or by their last words ("access_token", "accessToken", "X-Api-Key"), so
+// fields that only mention a secret, such as "secretBackend" or "providerCredentials", are kept.
+const SENSITIVE_KEY_PATTERN = /^(?:(?:.*_)?(?:api_?key|token|secrets?|password|passwd|authorization|cookie)|credentials?|auth)$/;
+
+const REDACTED = '[REDACTED]';
+
+// "accessToken" and "X-Api-Key" become "access_token" and "x_api_key"
+function normalizeKey(key) {
+  return key.replace(/([a-z0-9])([A-Z])/g, '$1_$2').replace(/-/g, '_').toLowerCase();
+}
+
+function isSensitiveKey(key) {
+  return SENSITIVE_KEY_PATTERN.test(normalizeKey(key));
+}
+
+/**
+ * Returns a copy of `value` with the values of sensitive keys replaced by "[REDACTED]".
+ * @param {any} value
+ */
+function redactSecrets(value) {
+  if (Array.isArray(value)) {
+    return value.map(redactSecrets);
+  }
+  if (value && typeof value === 'object') {
+    const copy = {};
+    for (const [key, inner] of Object.entries(value)) {
+      copy[key] = isSensitiveKey(key) && inner !== null && inner !== undefined ? REDACTED : redactSecrets(inner);
+    }
+    return copy;
+  }
+  return value;
+}
+
+const EMAIL_PATTERN = /([A-Za-z0-9._%+-])[A-Za-z0-9._%+-]*@([A-Za-z0-9.-]+\.[A-Za-z]{2,})/g;
+// 13-19 digits, optionally grouped with spaces or dashes; only Luhn-valid runs are masked
+const CARD_CANDIDATE_PATTERN = /\b\d(?:[ -]?\d){12,18}\b/g;
+const TOKEN_PATTERNS = [
+  /\b(?:sk|rk|pk|whsec)_(?:live|test)_[A-Za-z0-9]+/g,  // Stripe keys
+  /\bBearer\s+[A-Za-z0-9._~+\/=-]+/gi,
+  /\bpat-[a-z0-9]+-[A-Za-z0-9-]+/g,                   // HubSpot private app tokens
+];
+
+function passesLuhn(digits) {
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    let digit = Number(digits[digits.length - 1 - i]);
+    if (i % 2 === 1) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+    sum += digit;
+  }
+  return sum % 10 === 0;
+}
+
+/**
+ * Masks emails (keeping the first letter and the domain), card numbers and API keys in a string.
+ * @param {string} text
+ */
+function scrubString(text) {
+  let scrubbed = text;
+  for (const pattern of TOKEN_PATTERNS) {
+    scrubbed = scrubbed.replace(pattern, REDACTED);
+  }
+  scrubbed = scrubbed.replace(EMAIL_PATTERN, '$1***@$2');
+  return scrubbed.replace(CARD_CANDIDATE_PATTERN, match => {
+    const digits = match.replace(/[ -]/g, '');
+    return passesLuhn(digits) ? `[CARD ****${digits.slice(-4)}]` : match;
+  });
+}
+
+/**
+ * redactSecrets plus scrubString on every string, for log entries.
+ * @param {any} value
+ */
+function redactForLog(value) {
+  if (typeof value === 'string') {
+    return scrubString(value);
+  }
+  if (Array.isArray(value)) {
+    return value.map(redactForLog);
+  }
+  if (value && typeof value === 'object') {
+    const copy = {};
+    for (const [key, inner] of Object.entries(value)) {
+      copy[key] = isSensitiveKey(key) && inner !== null && inner !== undefined ? REDACTED : redactForLog(inner);
+    }
+    return copy;
+  }
+  return value;
+}
+
+module.exports = {
+  redactSecrets,
+  redactForLog,
+  scrubString,
+  isSensitiveKey,
+  REDACTED,
+};
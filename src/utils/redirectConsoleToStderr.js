@@ -0,0 +1,6 @@
+// Side-effect module for the stdio entry point. Stdout carries the MCP JSON-RPC stream,
+// so the console.log/info/warn/debug calls made throughout the handlers must go to stderr.
+// Import it before anything else that might log.
+for (const method of ['log', 'info', 'warn', 'debug']) {
+  console[method] = (...args) => console.error(...args);
+}
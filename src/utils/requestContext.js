@@ -0,0 +1,102 @@
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+
+// Per-request context that follows an HTTP request or tool call into its handler without
+// threading it through every function. It carries the request ID the logger adds to each
+// entry, and the provider HTTP client records each provider response here so the audit log
+// can tell which status code the provider returned. /mcp requests may also carry a backend
+// override (see src/backends/backendSelector.ts), the mock scenario to serve (see
+// src/mocks/scenarios.js) and a fixed time for the mock clock (see src/mocks/mockClock.js).
+// Tool calls record the tool's name, which fault injection rules can target.
+const storage = new AsyncLocalStorage();
+
+/**
+ * Runs `fn` in a new context. The request ID is the given one, else the enclosing
+ * context's, else a new UUID; the backend override, mock scenario and mock time are the
+ * enclosing context's; provider responses and the tool name start empty.
+ * @param {() => any} fn
+ * @param {{ requestId?: string }} [fields]
+ */
+function runWithRequestContext(fn, fields = {}) {
+  const enclosing = storage.getStore();
+  const requestId = fields.requestId || enclosing?.requestId || crypto.randomUUID();
+  return storage.run({ requestId, providerResponses: [], backendOverride: enclosing?.backendOverride, mockScenario: enclosing?.mockScenario, mockTime: enclosing?.mockTime }, fn);
+}
+
+/**
+ * Runs `fn` in the current context, or in a new one if there is none (e.g. over stdio).
+ * @param {() => any} fn
+ */
+function inRequestContext(fn) {
+  return storage.getStore() ? fn() : runWithRequestContext(fn);
+}
+
+// The current context, or undefined outside runWithRequestContext
+function getRequestContext() {
+  return storage.getStore();
+}
+
+/**
+ * Sets the backend override for tool calls made in the current context.
+ * @param {Record<string, 'live' | 'mock'>} override
+ */
+function setBackendOverride(override) {
+  const context = storage.getStore();
+  if (context) {
+    context.backendOverride = override;
+  }
+}
+
+/**
+ * Sets the mock scenario for tool calls made in the current context.
+ * @param {string} scenario
+ */
+function setMockScenario(scenario) {
+  const context = storage.getStore();
+  if (context) {
+    context.mockScenario = scenario;
+  }
+}
+
+/**
+ * Fixes the mock clock's time for tool calls made in the current context.
+ * @param {number | undefined} time ms since the epoch, or undefined to follow the mock clock
+ */
+function setMockTime(time) {
+  const context = storage.getStore();
+  if (context) {
+    context.mockTime = time;
+  }
+}
+
+/**
+ * Records the tool being called in the current context.
+ * @param {string} toolName
+ */
+function setToolName(toolName) {
+  const context = storage.getStore();
+  if (context) {
+    context.toolName = toolName;
+  }
+}
+
+/**
+ * @param {{ provider: string, method: string, url: string, status: number | null }} response
+ */
+function recordProviderResponse(response) {
+  const context = storage.getStore();
+  if (context) {
+    context.providerResponses.push(response);
+  }
+}
+
+module.exports = {
+  runWithRequestContext,
+  inRequestContext,
+  getRequestContext,
+  recordProviderResponse,
+  setBackendOverride,
+  setMockScenario,
+  setMockTime,
+  setToolName,
+};
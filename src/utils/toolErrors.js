@@ -0,0 +1,95 @@
+// The error model shared by every tool. A failed handler result carries a machine-readable
+// `code` and a `retryable` flag next to its user-facing `message`, and toCallToolResult puts
+// them (plus the provider) in the isError result, so agents can branch on the code.
+//
+//   NOT_FOUND             the record the call refers to does not exist
+//   CONFLICT              the record is in a state that rules the change out (e.g. already cancelled)
+//   NOT_ALLOWED           the caller or the provider does not permit this call
+//   RATE_LIMITED          the provider is throttling requests; retry later
+//   AUTH_FAILED           provider credentials are missing, invalid or could not be loaded
+//   UPSTREAM_UNAVAILABLE  the provider could not be reached or failed; retry later
+//   VALIDATION            the arguments are invalid
+//   INTERNAL              an unexpected error in this server
+
+const ErrorCodes = Object.freeze({
+  NOT_FOUND: 'NOT_FOUND',
+  CONFLICT: 'CONFLICT',
+  NOT_ALLOWED: 'NOT_ALLOWED',
+  RATE_LIMITED: 'RATE_LIMITED',
+  AUTH_FAILED: 'AUTH_FAILED',
+  UPSTREAM_UNAVAILABLE: 'UPSTREAM_UNAVAILABLE',
+  VALIDATION: 'VALIDATION',
+  INTERNAL: 'INTERNAL',
+});
+
+const RETRYABLE_CODES = [ErrorCodes.RATE_LIMITED, ErrorCodes.UPSTREAM_UNAVAILABLE];
+
+// Thrown by mock provider calls; handlers turn it into a result with toolErrorResult
+class ToolError extends Error {
+  /**
+   * @param {string} code one of ErrorCodes
+   * @param {string} message safe to show to the end user
+   * @param {{ retryable?: boolean, data?: any, details?: any }} [options] `data` is returned as the result's data (e.g. the record's current state)
+   */
+  constructor(code, message, { retryable = RETRYABLE_CODES.includes(code), data = null, details = null } = {}) {
+    super(message);
+    this.name = 'ToolError';
+    this.code = code;
+    this.retryable = retryable;
+    this.data = data;
+    this.details = details;
+  }
+}
+
+/**
+ * A failed handler result. The provider is filled in from the tool unless given.
+ * @param {string} code one of ErrorCodes
+ * @param {string} message
+ * @param {{ retryable?: boolean, data?: any, details?: any, provider?: string }} [options]
+ */
+function errorResult(code, message, { retryable = RETRYABLE_CODES.includes(code), data = null, details = null, provider } = {}) {
+  return {
+    success: false,
+    code,
+    retryable,
+    ...(provider ? { provider } : {}),
+    message,
+    data,
+    errors: details,
+  };
+}
+
+/**
+ * Turns an error caught in a handler into a result: a ToolError keeps its code and message,
+ * anything else becomes INTERNAL with `unexpectedMessage`.
+ * @param {any} error
+ * @param {string} unexpectedMessage
+ */
+function toolErrorResult(error, unexpectedMessage) {
+  if (error instanceof ToolError) {
+    return errorResult(error.code, error.message, { retryable: error.retryable, data: error.data, details: error.details });
+  }
+  return errorResult(ErrorCodes.INTERNAL, unexpectedMessage);
+}
+
+/**
+ * The code for a provider's HTTP error status; null (no response) means it was unreachable.
+ * @param {number | null} status
+ */
+function errorCodeForStatus(status) {
+  if (status === null || status === undefined || status >= 500 || status === 408) return ErrorCodes.UPSTREAM_UNAVAILABLE;
+  if (status === 429) return ErrorCodes.RATE_LIMITED;
+  if (status === 401) return ErrorCodes.AUTH_FAILED;
+  if (status === 402 || status === 403) return ErrorCodes.NOT_ALLOWED;
+  if (status === 404 || status === 410) return ErrorCodes.NOT_FOUND;
+  if (status === 409) return ErrorCodes.CONFLICT;
+  return ErrorCodes.VALIDATION;
+}
+
+module.exports = {
+  ErrorCodes,
+  ToolError,
+  errorResult,
+  toolErrorResult,
+  errorCodeForStatus,
+};
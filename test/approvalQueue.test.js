@@ -0,0 +1,78 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { InMemoryTransport } = require('@modelcontextprotocol/sdk/inMemory.js');
+const { initializeMcpServerInstance } = require('../dist/mcpServerFactory');
+const { ApprovalQueue } = require('../dist/approvals/approvalQueue');
+const { ApprovalPolicy } = require('../dist/approvals/approvalPolicy');
+const { InMemoryApprovalStore } = require('../dist/approvals/approvalStore');
+
+const call = { tenantId: 'acme', clientName: 'agent', toolName: 'stripe_issueRefund', args: { chargeId: 'ch_1', amount: 50000 }, reason: 'amount over 10000' };
+
+// An executor that counts its runs
+function counted(result = { success: true, message: 'Refunded.', data: { refundId: 're_1' } }) {
+  const execute = async () => { execute.runs++; return result; };
+  execute.runs = 0;
+  return execute;
+}
+
+test('a call the policy matches is held as a pending action', async () => {
+  const queue = new ApprovalQueue(new ApprovalPolicy([{ tool: 'stripe_issueRefund', arg: 'amount', over: 10000 }]), new InMemoryApprovalStore(), 60 * 1000);
+  const server = initializeMcpServerInstance({ approvals: queue });
+  const [clientTransport, serverTransport] = InMemoryTransport.createLinkedPair();
+  const response = new Promise(resolve => { clientTransport.onmessage = resolve; });
+  await server.connect(serverTransport);
+  try {
+    await clientTransport.send({
+      jsonrpc: '2.0', id: 1, method: 'tools/call',
+      params: { name: 'stripe_issueRefund', arguments: { chargeId: 'ch_1', amount: 50000, stripe_api_key: 'sk_test_123' } }
+    }, { authInfo: { token: '', clientId: 'agent', scopes: ['*'], extra: { tenantId: 'acme' } } });
+    const body = JSON.parse((await response).result.content[0].text);
+
+    assert.strictEqual(body.data.status, 'pending_approval');
+    const [action] = await queue.list('acme');
+    assert.strictEqual(action.id, body.data.actionId);
+    assert.strictEqual(action.status, 'pending');
+    assert.deepStrictEqual(action.args, { chargeId: 'ch_1', amount: 50000 });
+  } finally {
+    await server.close();
+  }
+});
+
+test('approving runs the handler once and stores its result', async () => {
+  const queue = new ApprovalQueue(new ApprovalPolicy([]), new InMemoryApprovalStore(), 60 * 1000);
+  const execute = counted();
+  const action = await queue.submit(call, execute);
+
+  const decision = await queue.approve('acme', action.id, 'reviewer');
+  assert.strictEqual(decision.status, 'decided');
+  assert.strictEqual(execute.runs, 1);
+  const stored = await queue.get('acme', action.id);
+  assert.strictEqual(stored.status, 'completed');
+  assert.deepStrictEqual(stored.result.data, { refundId: 're_1' });
+
+  const again = await queue.approve('acme', action.id, 'reviewer');
+  assert.strictEqual(again.status, 'not_pending');
+  assert.strictEqual(execute.runs, 1);
+});
+
+test('a rejected action never runs', async () => {
+  const queue = new ApprovalQueue(new ApprovalPolicy([]), new InMemoryApprovalStore(), 60 * 1000);
+  const execute = counted();
+  const action = await queue.submit(call, execute);
+
+  assert.strictEqual((await queue.reject('acme', action.id, 'reviewer', 'too large')).status, 'decided');
+  assert.strictEqual((await queue.approve('acme', action.id, 'reviewer')).status, 'not_pending');
+  assert.strictEqual((await queue.get('acme', action.id)).status, 'rejected');
+  assert.strictEqual(execute.runs, 0);
+});
+
+test('an expired action never runs', async () => {
+  const queue = new ApprovalQueue(new ApprovalPolicy([]), new InMemoryApprovalStore(), 0);
+  const execute = counted();
+  const action = await queue.submit(call, execute);
+
+  const decision = await queue.approve('acme', action.id, 'reviewer');
+  assert.strictEqual(decision.status, 'not_pending');
+  assert.strictEqual(decision.action.status, 'expired');
+  assert.strictEqual(execute.runs, 0);
+});
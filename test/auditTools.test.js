@@ -0,0 +1,15 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { auditToolCalls } = require('../dist/audit/auditTools');
+const { InMemoryAuditStore } = require('../dist/audit/auditLog');
+
+test('audit records mask emails and card numbers in the arguments', async () => {
+  const store = new InMemoryAuditStore();
+  const callTool = auditToolCalls(store)('stripe_getCustomerByEmail', async () => ({ content: [{ type: 'text', text: '{}' }] }));
+
+  await callTool({ email: 'jane@example.com', note: 'card 4242 4242 4242 4242', stripe_api_key: 'sk_test_123' }, {});
+
+  const [record] = await store.query({ tenantId: 'default', limit: 10 });
+  assert.deepStrictEqual(record.args, { email: 'j***@example.com', note: 'card [CARD ****4242]', stripe_api_key: '[REDACTED]' });
+  assert.ok(!JSON.stringify(record).includes('jane@example.com'));
+});
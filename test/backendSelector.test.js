@@ -0,0 +1,50 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { BackendSelector, parseBackendOverride } = require('../dist/backends/backendSelector');
+
+// Sets env vars for one test and puts the old values back after it
+function withEnv(t, values) {
+  const saved = Object.fromEntries(Object.keys(values).map(name => [name, process.env[name]]));
+  Object.assign(process.env, values);
+  t.after(() => {
+    for (const [name, value] of Object.entries(saved)) {
+      if (value === undefined) {
+        delete process.env[name];
+      } else {
+        process.env[name] = value;
+      }
+    }
+  });
+}
+
+test('the handler default applies when nothing else is set', () => {
+  assert.strictEqual(new BackendSelector().select('stripe', 'live', 'acme'), 'live');
+  assert.strictEqual(new BackendSelector().select('shopify', 'mock', 'acme'), 'mock');
+});
+
+test('the server setting for a provider beats MCP_BACKEND and the handler default', t => {
+  withEnv(t, { MCP_BACKEND: 'mock', STRIPE_BACKEND: 'live' });
+  const selector = new BackendSelector();
+  assert.strictEqual(selector.select('stripe', 'mock', 'acme'), 'live');
+  assert.strictEqual(selector.select('shopify', 'live', 'acme'), 'mock');
+});
+
+test('a tenant override beats the server setting, and a request override beats both', t => {
+  withEnv(t, { STRIPE_BACKEND: 'live' });
+  const selector = new BackendSelector({ qa: parseBackendOverride('stripe=mock') });
+  assert.strictEqual(selector.select('stripe', 'live', 'acme'), 'live');
+  assert.strictEqual(selector.select('stripe', 'live', 'qa'), 'mock');
+  assert.strictEqual(selector.select('stripe', 'live', 'qa', parseBackendOverride('live')), 'live');
+});
+
+test('a provider named in an override beats its "*" entry', () => {
+  assert.deepStrictEqual(parseBackendOverride('mock, stripe=live'), { '*': 'mock', stripe: 'live' });
+  const selector = new BackendSelector();
+  const override = parseBackendOverride('mock,stripe=live');
+  assert.strictEqual(selector.select('stripe', 'mock', 'acme', override), 'live');
+  assert.strictEqual(selector.select('zendesk', 'live', 'acme', override), 'mock');
+});
+
+test('malformed overrides are refused', () => {
+  assert.throws(() => parseBackendOverride('stripe=real'), /Invalid backend override "stripe=real"/);
+});
@@ -0,0 +1,25 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { getCatalog } = require('../dist/mcpServerFactory');
+const { createConnectionCredentialResolver } = require('../dist/connections/connectionResolver');
+
+function describe(catalog, name) {
+  return catalog.providers.flatMap(provider => provider.actions).find(action => action.name === name);
+}
+
+test('without a credential resolver the catalog lists the raw key params under auth', () => {
+  const action = describe(getCatalog(), 'stripe_issueRefund');
+  assert.deepStrictEqual(action.auth.map(auth => auth.param), ['stripe_api_key']);
+  assert.ok('stripe_api_key' in action.argsSchema.properties);
+  assert.strictEqual(action.samplePayload.stripe_api_key, 'YOUR_STRIPE_API_KEY');
+});
+
+test('with connections the catalog describes connection_id and no raw key params', () => {
+  const catalog = getCatalog(createConnectionCredentialResolver({}));
+  const action = describe(catalog, 'stripe_issueRefund');
+  assert.strictEqual(catalog.credentialMode, 'connections');
+  assert.deepStrictEqual(action.auth, []);
+  assert.ok('connection_id' in action.argsSchema.properties);
+  assert.ok(!('stripe_api_key' in action.argsSchema.properties));
+  assert.ok(!('stripe_api_key' in action.samplePayload));
+});
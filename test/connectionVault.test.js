@@ -0,0 +1,26 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ConnectionVault } = require('../dist/connections/connectionVault');
+
+test('a failed write rolls the change back and later changes still save', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'vault-'));
+  try {
+    // A file where the vault's directory should be makes every write fail
+    const blocker = path.join(dir, 'blocked');
+    fs.writeFileSync(blocker, '');
+    const vault = new ConnectionVault(path.join(blocker, 'connections.json'), 'test-secret');
+
+    await assert.rejects(vault.create('acme', { provider: 'stripe', name: 'main', credentials: { stripe_api_key: 'sk_test' } }));
+    assert.deepStrictEqual(vault.list('acme'), []);
+
+    fs.unlinkSync(blocker);
+    const created = await vault.create('acme', { provider: 'stripe', name: 'main', credentials: { stripe_api_key: 'sk_test' } });
+    assert.deepStrictEqual(vault.list('acme').map(connection => connection.id), [created.id]);
+    assert.deepStrictEqual(vault.getCredentials('acme', created.id), { stripe_api_key: 'sk_test' });
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
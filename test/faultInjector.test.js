@@ -0,0 +1,19 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { discoverHandlerTools } = require('../dist/toolRegistry');
+const { withMockFaults } = require('../dist/faults/faultInjector');
+
+test('wrapping a mock backend twice applies its faults once', () => {
+  const fn = async () => 'ok';
+  const wrapped = withMockFaults('zendesk', fn);
+  assert.notStrictEqual(wrapped, fn);
+  assert.strictEqual(withMockFaults('zendesk', wrapped), wrapped);
+});
+
+test('discovering the handlers again leaves their mock backends as they were', () => {
+  const mocks = tools => tools.map(tool => Object.values(tool.module.backends.mock)).flat();
+  const first = mocks(discoverHandlerTools());
+  const second = mocks(discoverHandlerTools());
+  assert.ok(first.length > 0);
+  assert.deepStrictEqual(second, first);
+});
@@ -0,0 +1,55 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { IdempotencyGuard } = require('../dist/idempotency/idempotencyGuard');
+const { InMemoryIdempotencyStore } = require('../dist/idempotency/idempotencyStore');
+const { errorResult, ErrorCodes } = require('../dist/utils/toolErrors');
+
+const scope = { tenantId: 'acme', toolName: 'stripe_issueRefund', idempotencyKey: 'refund-1' };
+
+test('a retryable failure is not stored, so a retry with the same key runs again', async () => {
+  const guard = new IdempotencyGuard(new InMemoryIdempotencyStore(), 60 * 1000);
+  const unavailable = errorResult(ErrorCodes.UPSTREAM_UNAVAILABLE, 'Stripe is unavailable.');
+  assert.strictEqual(unavailable.retryable, true);
+
+  await guard.run(scope, { amount: 100 }, async () => unavailable);
+  const retry = await guard.run(scope, { amount: 100 }, async () => ({ success: true, message: 'Refunded.' }));
+  assert.strictEqual(retry.status, 'executed');
+});
+
+test('a failure that is not retryable is replayed', async () => {
+  const guard = new IdempotencyGuard(new InMemoryIdempotencyStore(), 60 * 1000);
+  await guard.run(scope, { amount: 100 }, async () => errorResult(ErrorCodes.NOT_ALLOWED, 'Already refunded.'));
+  const retry = await guard.run(scope, { amount: 100 }, async () => ({ success: true, message: 'Refunded.' }));
+  assert.strictEqual(retry.status, 'replayed');
+  assert.strictEqual(retry.result.success, false);
+});
+
+test('a repeat waiting on a call that fails retryably gets the failure, not a replay', async () => {
+  const guard = new IdempotencyGuard(new InMemoryIdempotencyStore(), 60 * 1000);
+  let release;
+  const pending = new Promise(resolve => { release = resolve; });
+  const first = guard.run(scope, { amount: 100 }, () => pending);
+  const waiting = guard.run(scope, { amount: 100 }, async () => ({ success: true, message: 'Refunded.' }));
+  release(errorResult(ErrorCodes.UPSTREAM_UNAVAILABLE, 'Stripe is unavailable.'));
+
+  assert.strictEqual((await first).status, 'executed');
+  const repeat = await waiting;
+  assert.strictEqual(repeat.status, 'executed');
+  assert.strictEqual(repeat.result.retryable, true);
+
+  const retry = await guard.run(scope, { amount: 100 }, async () => ({ success: true, message: 'Refunded.' }));
+  assert.strictEqual(retry.status, 'executed');
+  assert.strictEqual(retry.result.success, true);
+});
+
+test('a repeat waiting on a call that succeeds gets it as a replay', async () => {
+  const guard = new IdempotencyGuard(new InMemoryIdempotencyStore(), 60 * 1000);
+  let release;
+  const pending = new Promise(resolve => { release = resolve; });
+  const first = guard.run(scope, { amount: 100 }, () => pending);
+  const waiting = guard.run(scope, { amount: 100 }, async () => assert.fail('the repeat must not run'));
+  release({ success: true, message: 'Refunded.' });
+
+  assert.strictEqual((await first).status, 'executed');
+  assert.strictEqual((await waiting).status, 'replayed');
+});
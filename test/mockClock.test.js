@@ -0,0 +1,71 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const express = require('express');
+const { createMockRouter } = require('../dist/mocks/mockRoutes');
+const { mockNow, parseMockTime, resetMockClock } = require('../dist/mocks/mockClock');
+const { resetMockData } = require('../dist/mocks/mockStore');
+const { runWithRequestContext, setMockTime } = require('../dist/utils/requestContext');
+const updateTicketStatus = require('../dist/handlers/zendesk/updateTicketStatus');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+async function listen(t) {
+  const app = express();
+  app.use(express.json());
+  app.use('/admin/mocks', createMockRouter(null));
+  const server = await new Promise(resolve => { const s = app.listen(0, () => resolve(s)); });
+  t.after(() => new Promise(resolve => server.close(resolve)));
+  t.after(resetMockClock);
+  const base = `http://localhost:${server.address().port}/admin/mocks`;
+  return async (method, path, body) => {
+    const response = await fetch(base + path, { method, headers: { 'content-type': 'application/json' }, body: body && JSON.stringify(body) });
+    return { status: response.status, body: await response.json() };
+  };
+}
+
+// What the x-mcp-clock header does for one request
+function atRequestTime(header, fn) {
+  return runWithRequestContext(async () => {
+    setMockTime(parseMockTime(header));
+    return fn();
+  });
+}
+
+test('the admin endpoint freezes, advances and resets the mock clock', async t => {
+  const request = await listen(t);
+
+  const set = await request('PUT', '/clock', { at: '2030-01-01T00:00:00Z' });
+  assert.strictEqual(set.status, 200);
+  assert.deepStrictEqual([set.body.now, set.body.frozen], ['2030-01-01T00:00:00.000Z', true]);
+  assert.strictEqual(mockNow(), Date.parse('2030-01-01T00:00:00Z'));
+
+  const advanced = await request('POST', '/clock/advance', { by: '1d+12h' });
+  assert.strictEqual(advanced.body.now, '2030-01-02T12:00:00.000Z');
+
+  const reset = await request('DELETE', '/clock');
+  assert.strictEqual(reset.body.real, true);
+  assert.ok(Math.abs(mockNow() - Date.now()) < 1000);
+});
+
+test('the admin endpoint refuses times and durations it cannot read', async t => {
+  const request = await listen(t);
+  assert.strictEqual((await request('PUT', '/clock', { at: 'tomorrow' })).status, 400);
+  assert.strictEqual((await request('POST', '/clock/advance', { by: '3 days' })).status, 400);
+});
+
+test('a request time is relative to the mock clock and applies to that request only', async t => {
+  const request = await listen(t);
+  await request('PUT', '/clock', { at: '2030-01-01T00:00:00Z' });
+
+  const requestNow = await atRequestTime('now+3d', () => mockNow());
+  assert.strictEqual(requestNow, Date.parse('2030-01-01T00:00:00Z') + 3 * DAY_MS);
+  assert.strictEqual(mockNow(), Date.parse('2030-01-01T00:00:00Z'));
+});
+
+test('mock writes are stamped with the request time', async t => {
+  t.after(() => resetMockData(['zendesk']));
+  const result = await atRequestTime('2031-06-01T09:30:00Z', () => updateTicketStatus.handler({
+    args: { ticketId: 'zd_ticket_12345', newStatus: 'pending' }, auth: { token: 'zd_test_token' }, backend: 'mock'
+  }));
+  assert.strictEqual(result.data.updatedAt, '2031-06-01T09:30:00.000Z');
+});
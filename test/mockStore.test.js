@@ -0,0 +1,58 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const updateTicketStatus = require('../dist/handlers/zendesk/updateTicketStatus');
+const getTicketByEmail = require('../dist/handlers/zendesk/getTicketByEmail');
+const { getMockData, resetMockData, snapshotMockData, restoreMockData } = require('../dist/mocks/mockStore');
+const { parseMockTime } = require('../dist/mocks/mockClock');
+const { runWithRequestContext, setMockScenario, setMockTime } = require('../dist/utils/requestContext');
+
+const auth = { token: 'zd_test_token' };
+
+test('a write through one handler is seen by a read through another', async t => {
+  t.after(() => resetMockData(['zendesk']));
+  const updated = await updateTicketStatus.handler({ args: { ticketId: 'zd_ticket_00789', newStatus: 'solved' }, auth, backend: 'mock' });
+  assert.strictEqual(updated.success, true);
+
+  const found = await getTicketByEmail.handler({ args: { email: 'user@example.com' }, auth, backend: 'mock' });
+  assert.strictEqual(found.success, true);
+  assert.strictEqual(found.data.ticket.ticketId, 'zd_ticket_00789');
+  assert.strictEqual(found.data.ticket.status, 'solved');
+});
+
+// Runs fn with the request's scenario set, as the x-mcp-scenario header does
+function inScenario(scenario, fn) {
+  return runWithRequestContext(async () => {
+    setMockScenario(scenario);
+    return fn();
+  });
+}
+
+test('writes stay in the scenario they were made in', async t => {
+  t.after(() => inScenario('late-delivery', () => resetMockData(['zendesk'])));
+  await inScenario('late-delivery', () => {
+    getMockData('zendesk').users.zd_user_extra = { id: 'zd_user_extra', email: 'extra@example.com' };
+  });
+  assert.ok(await inScenario('late-delivery', () => getMockData('zendesk').users.zd_user_extra));
+  assert.strictEqual(getMockData('zendesk').users.zd_user_extra, undefined);
+});
+
+test('a reset puts the fixtures back and a snapshot restores the changes', async t => {
+  t.after(() => resetMockData(['zendesk']));
+  const before = snapshotMockData(['zendesk']);
+  await updateTicketStatus.handler({ args: { ticketId: 'zd_ticket_12345', newStatus: 'pending' }, auth, backend: 'mock' });
+  const changed = snapshotMockData(['zendesk']);
+
+  resetMockData(['zendesk']);
+  assert.strictEqual(getMockData('zendesk').tickets.zd_ticket_12345.status, before.zendesk.tickets.zd_ticket_12345.status);
+  restoreMockData(changed);
+  assert.strictEqual(getMockData('zendesk').tickets.zd_ticket_12345.status, 'pending');
+});
+
+test('the first read seeds the store against the mock clock, not its request time', async () => {
+  // No earlier test reads calendly, so this read seeds it
+  const startTime = await runWithRequestContext(async () => {
+    setMockTime(parseMockTime('now+100d'));
+    return getMockData('calendly').scheduled_events.event_uuid_past.start_time;
+  });
+  assert.ok(Date.parse(startTime) < Date.now(), startTime);
+});
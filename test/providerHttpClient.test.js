@@ -0,0 +1,42 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createProviderClient, setProviderAttemptHook } = require('../dist/utils/providerHttpClient');
+
+// Every attempt times out without reaching the network
+function timeOutEveryAttempt() {
+  const attempts = [];
+  setProviderAttemptHook(async (attempt) => {
+    attempts.push(attempt);
+    throw Object.assign(new Error(`timeout of ${attempt.timeoutMs}ms exceeded`), { code: 'ECONNABORTED', request: {} });
+  });
+  return attempts;
+}
+
+test.afterEach(() => setProviderAttemptHook(null));
+
+const client = createProviderClient('stripe', { maxRetries: 1, baseDelayMs: 1, maxDelayMs: 10 });
+
+test('a timed-out POST without the caller\'s idempotency key is not retryable', async () => {
+  const attempts = timeOutEveryAttempt();
+  await assert.rejects(client.post('/refunds', {}), (error) => {
+    assert.strictEqual(error.retryable, false);
+    assert.match(error.message, /may have been applied/);
+    return true;
+  });
+  // The key the client made up still makes its own retries safe
+  assert.strictEqual(attempts.length, 2);
+});
+
+test('a timed-out POST with the caller\'s idempotency key is retryable', async () => {
+  timeOutEveryAttempt();
+  await assert.rejects(client.post('/refunds', {}, { idempotencyKey: 'refund-1' }), (error) => {
+    assert.strictEqual(error.retryable, true);
+    assert.doesNotMatch(error.message, /may have been applied/);
+    return true;
+  });
+});
+
+test('a timed-out GET is retryable', async () => {
+  timeOutEveryAttempt();
+  await assert.rejects(client.get('/charges/ch_1'), (error) => error.retryable === true);
+});
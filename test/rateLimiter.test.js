@@ -0,0 +1,46 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { RateLimiter, parseRateLimit } = require('../dist/rateLimit/rateLimiter');
+const { InMemoryRateLimitStore } = require('../dist/rateLimit/rateLimitStore');
+
+const caller = { clientName: 'agent', tenantId: 'acme' };
+
+function createLimiter() {
+  return new RateLimiter(new InMemoryRateLimitStore(), {
+    perClient: parseRateLimit('2/min'),
+    perTool: parseRateLimit('1/min'),
+    perWriteTool: parseRateLimit('1/min'),
+    perProvider: parseRateLimit('2/min'),
+    tools: {},
+    providers: {},
+  });
+}
+
+test('a refused call leaves the other buckets unchanged', async () => {
+  const limiter = createLimiter();
+  const lookup = { name: 'shopify_getOrderStatus', provider: 'shopify', write: false };
+  const other = { name: 'shopify_getCustomer', provider: 'shopify', write: false };
+
+  assert.deepStrictEqual(await limiter.check(caller, [lookup]), { allowed: true });
+
+  const refused = await limiter.check(caller, [lookup]);
+  assert.strictEqual(refused.allowed, false);
+  assert.strictEqual(refused.kind, 'tool');
+
+  // The client and provider buckets each still have the token the refused call did not use
+  assert.deepStrictEqual(await limiter.check(caller, [other]), { allowed: true });
+  const exhausted = await limiter.check(caller, []);
+  assert.strictEqual(exhausted.allowed, false);
+  assert.strictEqual(exhausted.kind, 'client');
+});
+
+test('a batch is refused whole when it needs more tokens than a bucket has', async () => {
+  const limiter = createLimiter();
+  const lookup = { name: 'stripe_getCustomerByEmail', provider: 'stripe', write: false };
+
+  const refused = await limiter.check(caller, [lookup, lookup]);
+  assert.strictEqual(refused.allowed, false);
+  assert.strictEqual(refused.kind, 'tool');
+
+  assert.deepStrictEqual(await limiter.check(caller, [lookup]), { allowed: true });
+});
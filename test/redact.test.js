@@ -0,0 +1,18 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { redactForLog, isSensitiveKey, REDACTED } = require('../dist/utils/redact');
+
+test('secret-bearing keys are redacted', () => {
+  for (const key of ['stripe_api_key', 'apiKey', 'X-API-Key', 'token', 'accessToken', 'refresh_token', 'client_secret', 'password', 'Authorization', 'set-cookie', 'credentials', 'auth']) {
+    assert.ok(isSensitiveKey(key), key);
+  }
+});
+
+test('keys that only mention a secret are logged unredacted', () => {
+  const entry = redactForLog({ secretBackend: 'gcp', providerCredentials: 'connections', tokens: 3, idempotency_key: 'refund-1', apiKeyStatus: 'active' });
+  assert.deepStrictEqual(entry, { secretBackend: 'gcp', providerCredentials: 'connections', tokens: 3, idempotency_key: 'refund-1', apiKeyStatus: 'active' });
+});
+
+test('nested secrets are redacted', () => {
+  assert.deepStrictEqual(redactForLog({ auth: null, headers: { authorization: 'Basic abc' } }), { auth: null, headers: { authorization: REDACTED } });
+});
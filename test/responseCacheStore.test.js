@@ -0,0 +1,45 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { FileResponseCacheStore } = require('../dist/cache/responseCacheStore');
+
+function entry(key) {
+  const now = Date.now();
+  return {
+    key,
+    tags: ['acme:shopify:default'],
+    result: { content: [{ type: 'text', text: '{"email":"jane@example.com"}' }] },
+    createdAt: now,
+    expiresAt: now + 60000,
+  };
+}
+
+test('the file store encrypts results and reads them back with the same key', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cache-'));
+  try {
+    const filePath = path.join(dir, 'response-cache.json');
+    const store = new FileResponseCacheStore(filePath, 'test-secret');
+    await store.set(entry('acme:shopify_getCustomer:1'));
+
+    assert.ok(!fs.readFileSync(filePath, 'utf8').includes('jane@example.com'));
+    const reloaded = new FileResponseCacheStore(filePath, 'test-secret');
+    assert.deepStrictEqual((await reloaded.get('acme:shopify_getCustomer:1')).result, entry('x').result);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('the file store drops entries it cannot decrypt', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cache-'));
+  try {
+    const filePath = path.join(dir, 'response-cache.json');
+    await new FileResponseCacheStore(filePath, 'test-secret').set(entry('acme:shopify_getCustomer:1'));
+
+    const reloaded = new FileResponseCacheStore(filePath, 'other-secret');
+    assert.strictEqual(await reloaded.get('acme:shopify_getCustomer:1'), undefined);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
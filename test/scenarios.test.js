@@ -0,0 +1,53 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadMockScenarios, listMockScenarios, seedFromScenario } = require('../dist/mocks/scenarios');
+
+// A scenarios directory with the given files, used as MCP_SCENARIOS_DIR for one test
+function scenariosDir(t, files) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'scenarios-'));
+  for (const [name, text] of Object.entries(files)) {
+    fs.writeFileSync(path.join(dir, name), text);
+  }
+  process.env.MCP_SCENARIOS_DIR = dir;
+  t.after(() => {
+    delete process.env.MCP_SCENARIOS_DIR;
+    delete process.env.MCP_MOCK_SCENARIO;
+    fs.rmSync(dir, { recursive: true, force: true });
+    loadMockScenarios();
+  });
+  return dir;
+}
+
+test('a scenario file from MCP_SCENARIOS_DIR is loaded alongside the built-in ones', t => {
+  scenariosDir(t, {
+    'vip.yaml': 'description: One VIP\nproviders:\n  zendesk:\n    users:\n      zd_vip: { name: Vera, email: vip@example.com }\n',
+  });
+  assert.ok(loadMockScenarios().includes('vip'));
+  assert.ok(listMockScenarios().some(scenario => scenario.name === 'default'));
+  assert.strictEqual(seedFromScenario('vip', 'zendesk').users.zd_vip.email, 'vip@example.com');
+});
+
+test('an invalid fixture stops loading and names the file and field', t => {
+  const dir = scenariosDir(t, {
+    'broken.json': JSON.stringify({ providers: { zendesk: { tickets: { t1: { requester_id: 'u1', subject: 'Hi', status: 'lost' } } } } }),
+  });
+  assert.throws(() => loadMockScenarios(), error => {
+    assert.ok(error.message.includes(path.join(dir, 'broken.json')), error.message);
+    assert.match(error.message, /providers\.zendesk\.tickets\.t1\.status/);
+    return true;
+  });
+});
+
+test('an unknown provider in a scenario file is refused', t => {
+  scenariosDir(t, { 'extra.json': JSON.stringify({ providers: { salesforce: {} } }) });
+  assert.throws(() => loadMockScenarios(), /Invalid mock scenario file .*extra\.json/);
+});
+
+test('an unknown default scenario is refused', t => {
+  scenariosDir(t, {});
+  process.env.MCP_MOCK_SCENARIO = 'missing';
+  assert.throws(() => loadMockScenarios(), /Unknown mock scenario "missing"/);
+});
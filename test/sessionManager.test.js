@@ -0,0 +1,138 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const express = require('express');
+const { z } = require('zod');
+const { McpServer } = require('@modelcontextprotocol/sdk/server/mcp.js');
+const { McpSessionManager } = require('../dist/sessions/sessionManager');
+const { InMemorySessionStore } = require('../dist/sessions/sessionStore');
+const { attachCaller } = require('../dist/auth/callerContext');
+
+function createServer() {
+  const server = new McpServer({ name: 'test', version: '1.0.0' });
+  server.tool('echo', { text: z.string() }, async ({ text }) => ({ content: [{ type: 'text', text }] }));
+  return server;
+}
+
+// An HTTP server for /mcp where the x-client header names the caller
+async function listen(store, create = createServer) {
+  const manager = new McpSessionManager({ createServer: create, store, idleTimeoutMs: 60 * 1000 });
+  const app = express();
+  app.use(express.json());
+  app.all('/mcp', (req, res, next) => {
+    attachCaller(req, { clientName: req.headers['x-client'], tenantId: 'acme', scopes: ['*'] });
+    next();
+  }, (req, res) => manager.handleRequest(req, res));
+  const httpServer = await new Promise(resolve => { const s = app.listen(0, () => resolve(s)); });
+  return {
+    url: `http://localhost:${httpServer.address().port}/mcp`,
+    async close() {
+      await manager.stop();
+      await new Promise(resolve => httpServer.close(resolve));
+    },
+  };
+}
+
+function post(url, client, body, sessionId) {
+  return fetch(url, {
+    method: 'POST',
+    headers: {
+      'content-type': 'application/json',
+      accept: 'application/json, text/event-stream',
+      'x-client': client,
+      ...(sessionId ? { 'mcp-session-id': sessionId } : {}),
+    },
+    body: JSON.stringify(body),
+  });
+}
+
+async function initialize(url, client) {
+  const response = await post(url, client, {
+    jsonrpc: '2.0', id: 1, method: 'initialize',
+    params: { protocolVersion: '2025-03-26', capabilities: {}, clientInfo: { name: client, version: '1.0.0' } }
+  });
+  assert.strictEqual(response.status, 200);
+  await response.text();
+  return response.headers.get('mcp-session-id');
+}
+
+const listTools = { jsonrpc: '2.0', id: 2, method: 'tools/list', params: {} };
+
+test('a session refuses requests from any caller but the one that started it', async () => {
+  const server = await listen(new InMemorySessionStore());
+  try {
+    const sessionId = await initialize(server.url, 'agent-a');
+    const other = await post(server.url, 'agent-b', listTools, sessionId);
+    assert.strictEqual(other.status, 403);
+    await other.text();
+
+    const owner = await post(server.url, 'agent-a', listTools, sessionId);
+    assert.strictEqual(owner.status, 200);
+    assert.match(await owner.text(), /"name":"echo"/);
+  } finally {
+    await server.close();
+  }
+});
+
+test('a stored session is restored for its owner after a restart', async () => {
+  const store = new InMemorySessionStore();
+  const first = await listen(store);
+  const sessionId = await initialize(first.url, 'agent-a');
+  // Closing the live session would remove it from the store, so only drop the HTTP server
+  const second = await listen(store);
+  try {
+    const other = await post(second.url, 'agent-b', listTools, sessionId);
+    assert.strictEqual(other.status, 403);
+    await other.text();
+
+    const owner = await post(second.url, 'agent-a', listTools, sessionId);
+    assert.strictEqual(owner.status, 200);
+    assert.strictEqual(owner.headers.get('mcp-session-id'), sessionId);
+    assert.match(await owner.text(), /"name":"echo"/);
+  } finally {
+    await second.close();
+    await first.close();
+  }
+});
+
+test('concurrent requests for a stored session restore it once', async () => {
+  const store = new InMemorySessionStore();
+  const first = await listen(store);
+  const sessionId = await initialize(first.url, 'agent-a');
+  let created = 0;
+  const second = await listen(store, caller => {
+    created++;
+    // A slow connect lets every request arrive before the first restore finishes
+    const server = createServer(caller);
+    const connect = server.connect.bind(server);
+    server.connect = async transport => { await new Promise(resolve => setTimeout(resolve, 100)); return connect(transport); };
+    return server;
+  });
+  try {
+    const responses = await Promise.all([2, 3, 4].map(id => post(second.url, 'agent-a', { ...listTools, id }, sessionId)));
+    for (const response of responses) {
+      assert.strictEqual(response.status, 200);
+      await response.text();
+    }
+    assert.strictEqual(created, 1);
+  } finally {
+    await second.close();
+    await first.close();
+  }
+});
+
+test('requests in quick succession do not rewrite the session record each time', async () => {
+  const store = new InMemorySessionStore();
+  let writes = 0;
+  const set = store.set.bind(store);
+  store.set = record => { writes++; return set(record); };
+  const server = await listen(store);
+  try {
+    const sessionId = await initialize(server.url, 'agent-a');
+    for (let i = 0; i < 3; i++) {
+      await (await post(server.url, 'agent-a', listTools, sessionId)).text();
+    }
+    assert.strictEqual(writes, 1);
+  } finally {
+    await server.close();
+  }
+});
@@ -0,0 +1,64 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { InMemoryTransport } = require('@modelcontextprotocol/sdk/inMemory.js');
+const { initializeMcpServerInstance } = require('../dist/mcpServerFactory');
+const { createServerMetrics } = require('../dist/metrics/serverMetrics');
+
+function authInfo(scopes) {
+  return { token: '', clientId: 'agent', scopes, extra: { tenantId: 'acme' } };
+}
+
+// An MCP server instance and a raw JSON-RPC client for it, so each request can carry its own authInfo
+async function connect(options) {
+  const server = initializeMcpServerInstance(options);
+  const [clientTransport, serverTransport] = InMemoryTransport.createLinkedPair();
+  const pending = new Map();
+  clientTransport.onmessage = message => pending.get(message.id)?.(message);
+  await server.connect(serverTransport);
+  let nextId = 1;
+  return {
+    request(method, params, auth) {
+      const id = nextId++;
+      return new Promise(resolve => {
+        pending.set(id, resolve);
+        clientTransport.send({ jsonrpc: '2.0', id, method, params }, { authInfo: auth });
+      });
+    },
+    close: () => server.close(),
+  };
+}
+
+test('tools outside the caller\'s scopes are left out of tools/list', async () => {
+  const client = await connect({ caller: { clientName: 'agent', tenantId: 'acme', scopes: ['read:shopify'] } });
+  try {
+    const response = await client.request('tools/list', {}, authInfo(['read:shopify']));
+    const names = response.result.tools.map(tool => tool.name);
+    assert.ok(names.length > 0);
+    assert.ok(names.every(name => name.startsWith('shopify_get')), names.join(', '));
+  } finally {
+    await client.close();
+  }
+});
+
+test('tool callbacks are wrapped with the scope check, audit and metrics', async () => {
+  const records = [];
+  const audit = { append: async record => { records.push(record); }, query: async () => records };
+  const metrics = createServerMetrics();
+  const client = await connect({ audit, metrics, caller: { clientName: 'agent', tenantId: 'acme', scopes: ['read:stripe'] } });
+  try {
+    // The scope was lost after the instance was created, so the tool is still listed
+    const response = await client.request('tools/call', {
+      name: 'stripe_getCustomerByEmail',
+      arguments: { email: 'jane@example.com', stripe_api_key: 'sk_test_123' }
+    }, authInfo(['read:shopify']));
+
+    assert.strictEqual(response.result.isError, true);
+    assert.strictEqual(JSON.parse(response.result.content[0].text).code, 'NOT_ALLOWED');
+    assert.strictEqual(records.length, 1);
+    assert.strictEqual(records[0].outcome, 'denied');
+    assert.strictEqual(records[0].args.stripe_api_key, '[REDACTED]');
+    assert.match(metrics.render(), /mcp_tool_calls_total\{tool="stripe_getCustomerByEmail",provider="stripe",result="error"\} 1/);
+  } finally {
+    await client.close();
+  }
+});